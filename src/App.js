@@ -1,158 +1,434 @@
 // App.js - Main React Application File
-// Manages input images, output viewports, region configuration, and auto-mixing logic
+// Wires the input slots (hooks/useSlots), undo history (hooks/useHistory) and sessions
+// (hooks/useSession) to auto-mixing, the output ports (each keeping the recipe that produced it
+// and its own display window/level, with a comparison view), presets, the full-size zoom/pan
+// inspector for any port or input, and the resize policy / resampling method / fit mode that
+// bring all inputs to one size
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import ImageViewport from './components/ImageViewport'; // Component for individual input image
 import OutputViewport from './components/OutputViewport'; // Component to display outputs
-import FourierMixer from './classes/FourierMixer'; // Class that handles FFT-based image mixing
+import SessionRecovery from './components/SessionRecovery'; // Recent/autosaved sessions panel
+import HistoryPanel from './components/HistoryPanel'; // Undo/redo buttons and history list
+import PresetPanel from './components/PresetPanel'; // Share link and named preset library
+import ComparisonView from './components/ComparisonView'; // Split / flicker / difference view of two ports
+import Inspector from './components/Inspector'; // Full-size zoom/pan view with pixel readout
+import ResizeControls from './components/ResizeControls'; // Unified size policy, resampling and fit
+import useSlots, { MAX_SLOTS, remapRecipe } from './hooks/useSlots'; // Input slots and mixer parameters
+import useHistory from './hooks/useHistory'; // Undo/redo of the mixer parameters
+import useSession from './hooks/useSession'; // Session files, autosave and recovery
+import fourierService from './classes/FourierService'; // Runs FFT-based image mixing in a Web Worker
+import MixScheduler from './classes/MixScheduler'; // Debounces mixes and drops stale results
+import PresetManager from './classes/PresetManager'; // URL-encoded presets and preset library
+import PixelInspector from './classes/PixelInspector'; // Inspector image and pixel readout
+import DisplayLevels from './classes/DisplayLevels'; // Per-port window/level/gamma (display only)
+import Resampler from './classes/Resampler'; // Unified size policy and image resampling
 import './App.css';
 
-function App() {
-  // State to store loaded images and their processors
-  const [loadedImages, setLoadedImages] = useState({});
+// Number of output ports on startup, and the most the user can add
+const DEFAULT_OUTPUT_COUNT = 2;
+const MAX_OUTPUTS = 6;
+
+// Output ports have stable IDs too, so a mix still in flight lands on the right port
+// even if ports are removed meanwhile
+// display holds the port's window/level/gamma, applied when drawing only
+let nextPortId = 1;
+const createOutputPort = (display = DisplayLevels.getDefaults()) => ({
+  id: `port-${nextPortId++}`,
+  data: null,
+  recipe: null,
+  display
+});
 
+// The mix recipe kept with a port's output: everything needed to mix it again
+// `slots` are the input positions that were mixed; the other lists run parallel to it
+const getRecipe = ({ slots, weights, componentAssignments, mixMode, regionConfigs, colorMode, chromaSource }) => ({
+  slots, weights, componentAssignments, mixMode, regionConfigs, colorMode, chromaSource
+});
+
+function App() {
   // State for unified target size for all images
   const [targetSize, setTargetSize] = useState(null);
 
-  // States for output images of Port 1 and Port 2
-  const [outputData1, setOutputData1] = useState(null);
-  const [outputData2, setOutputData2] = useState(null);
+  // How the unified size is chosen and reached: { policy, fixedWidth, fixedHeight, method, fit }
+  const [resizeSettings, setResizeSettings] = useState(() => Resampler.getDefaults());
 
-  // Currently selected output port (1 or 2)
+  // Resampling part of the settings, passed to the viewports (stable while it is unchanged)
+  const resampling = useMemo(
+    () => ({ method: resizeSettings.method, fit: resizeSettings.fit }),
+    [resizeSettings.method, resizeSettings.fit]
+  );
+
+  // Output ports in display order: { id, data (mix result), recipe (settings that produced it) }
+  const [outputPorts, setOutputPorts] = useState(() =>
+    Array.from({ length: DEFAULT_OUTPUT_COUNT }, () => createOutputPort())
+  );
+
+  // Currently selected output port (1-based port number) - new mixes go there
   const [selectedOutput, setSelectedOutput] = useState(1);
 
-  // Trigger to force re-render or update
-  const [updateTrigger, setUpdateTrigger] = useState(0);
-  
-  // Initialize region configuration (disabled by default)
-  const [regionConfig, setRegionConfig] = useState({
-    enabled: false,
-    type: 'inner', // inner or outer region
-    size: 50
+  // What the inspector shows: { portId } follows that port's latest output,
+  // { inspection } is a fixed input image or FFT component (null = closed)
+  const [inspectorTarget, setInspectorTarget] = useState(null);
+
+  // Bumped whenever a viewport finishes computing its spectra, so auto-mix re-runs
+  const [fftVersion, setFftVersion] = useState(0);
+
+  // Output ports from an opened session still waiting for their images' spectra: [{ portId, recipe }]
+  const pendingOutputsRef = useRef(null);
+
+  // Hidden file input for opening sessions
+  const sessionInputRef = useRef(null);
+
+  // Named presets saved in this browser
+  const [presets, setPresets] = useState(() => PresetManager.listPresets());
+
+  // Input slots, their images and the mixer parameters
+  // Port recipes follow their images when slots move; display changes are undo steps
+  const slots = useSlots({
+    onReorder: (order) => {
+      setOutputPorts(prev => prev.map(port => ({ ...port, recipe: remapRecipe(port.recipe, order) })));
+      pendingOutputsRef.current = null;
+    },
+    onDisplayChange: () => history.record()
   });
-  
-  // Right sidebar controls
-  const [mixMode, setMixMode] = useState('magnitude-phase'); // Mixing mode: magnitude/phase or real/imaginary
-  const [regionType, setRegionType] = useState('inner'); // Region type selection for filter
-  
-  // Weight management for each input image
-  const [weights, setWeights] = useState([0.25, 0.25, 0.25, 0.25]);
-
-  // Sync regionType changes with regionConfig
+  const {
+    slotIds, slotMounts, loadedImages, weights, componentAssignments, regionConfigs, regionTarget,
+    setRegionTarget, mixMode, setMixMode, colorMode, setColorMode, chromaSource, setChromaSource,
+    restoreStates, displayOverrides, fileLoads, getProcessors, applyPreset
+  } = slots;
+
+  // Undo/redo history of mixer parameters and viewport display settings
+  const history = useHistory(slots);
+
+  // Mix scheduler - created once, routes only the newest result to its output port
+  const mixSchedulerRef = useRef(null);
+  if (!mixSchedulerRef.current) {
+    mixSchedulerRef.current = new MixScheduler(
+      (request) => fourierService.mix(request),
+      (result, request, version) => {
+        console.log(`Mix #${version} result:`, {
+          width: result.width,
+          height: result.height,
+          dataLength: result.imageData.length,
+          targetOutput: request.targetOutput
+        });
+
+        // Assign result (and the recipe that produced it) to the port selected when the mix
+        // was requested - dropped if that port has been removed since
+        const recipe = getRecipe(request);
+        setOutputPorts(prev => prev.map(port =>
+          port.id === request.targetOutput ? { ...port, data: result, recipe } : port
+        ));
+        console.log(`✅ Output set to ${request.targetOutput}`);
+      },
+      (error, request, version) => {
+        console.error(`❌ Auto-mixing error (mix #${version}):`, error);
+        console.error('Error stack:', error.stack);
+      }
+    );
+  }
+
+  // Drop any pending or in-flight mix when the app unmounts
   useEffect(() => {
-    setRegionConfig(prev => ({
-      ...prev,
-      type: regionType
-    }));
-  }, [regionType]);
+    const scheduler = mixSchedulerRef.current;
+    return () => scheduler.cancel();
+  }, []);
 
-  // Called when an image is loaded in a viewport
-  const handleImageLoaded = (viewportId, processor) => {
-    const newLoadedImages = {
-      ...loadedImages,
-      [viewportId]: processor
-    };
-    
-    setLoadedImages(newLoadedImages);
-    updateTargetSize(newLoadedImages);
-    
-    // Trigger update after a short delay
-    setTimeout(() => {
-      setUpdateTrigger(prev => prev + 1);
-    }, 500);
-  };
-
-  // Determine minimum width and height across all loaded images for unified size
-  const updateTargetSize = (images) => {
-    const processors = Object.values(images);
-    
-    if (processors.length === 0) return;
-
-    let minWidth = Infinity;
-    let minHeight = Infinity;
-
-    processors.forEach(processor => {
-      if (processor.width < minWidth) minWidth = processor.width;
-      if (processor.height < minHeight) minHeight = processor.height;
-    });
+  // Recompute the unified size whenever an image is loaded, replaced or removed, or the
+  // policy changes - every viewport then resamples its original and recomputes its FFT
+  useEffect(() => {
+    updateTargetSize(loadedImages, resizeSettings);
+  }, [loadedImages, resizeSettings]);
+
+  // Unified size from the loaded images' ORIGINAL sizes under the chosen policy
+  // (smallest / largest width and height, or the fixed size)
+  const updateTargetSize = (images, settings) => {
+    const processors = Object.values(images).filter(processor => processor.hasImage());
+
+    // No image left - nothing to unify (the next image loads at its own size)
+    if (processors.length === 0) {
+      setTargetSize(null);
+      return;
+    }
 
-    setTargetSize({ width: minWidth, height: minHeight });
+    const size = Resampler.getTargetSize(
+      processors.map(processor => processor.getSourceDimensions()),
+      settings
+    );
+    console.log(`Unified size (${settings.policy}): ${size.width} x ${size.height}`);
+    setTargetSize(size);
   };
 
-  // Update region configuration and trigger auto-mixing
-  const handleRegionConfigChange = (config) => {
-    console.log('App: Region config updated:', config);
-    setRegionConfig(config);
+  // Change the resize policy, fixed size, resampling method or fit mode
+  // Every viewport resamples from its original and recomputes its spectra
+  const handleResizeSettingsChange = (changes) => {
+    setResizeSettings(prev => Resampler.normalize({ ...prev, ...changes }));
+  };
+
+  // Called when a viewport's FFT (and colour channel FFTs) are ready
+  const handleFFTComputed = useCallback((viewportId) => {
+    console.log(`FFT ready for Image ${viewportId}`);
+    setFftVersion(prev => prev + 1);
+  }, []);
+
+  // Auto-mix function - schedules a versioned mix with a snapshot of the current state
+  // FourierMixer runs in the worker and the result arrives asynchronously
+  const autoMix = () => {
+    const targetPort = outputPorts[selectedOutput - 1];
+    if (!targetPort) return;
+
+    // Get the slot indices of all loaded processors that have FFT computed
+    // so weights and assignments stay aligned with their processors
+    const readySlots = getProcessors()
+      .map((p, index) => (p && p.hasFFT() && p.hasChannelFFTs(colorMode) ? index : -1))
+      .filter(index => index !== -1);
+    if (readySlots.length === 0) {
+      // Nothing to mix - a mix still pending or in flight must not land after the images are gone
+      mixSchedulerRef.current.cancel();
+      return;
+    }
+
+    const processors = readySlots.map(index => getProcessors()[index]);
+    const chroma = getChroma(processors, colorMode, chromaSource);
+
+    console.log('=== AUTO-MIXING ===');
+    console.log('Processors:', processors.length);
+    console.log('Weights:', weights);
+    console.log('Component Assignments:', componentAssignments);
+    console.log('Mix Mode:', mixMode);
+    console.log('Region Configs:', readySlots.map(index => regionConfigs[index]));
+    console.log('Color Mode:', colorMode);
+    console.log('Target Output:', selectedOutput);
+
+    // Debounced - any earlier mix that has not reached an output yet is superseded
+    const version = mixSchedulerRef.current.schedule({
+      processors,
+      slots: readySlots,
+      weights: readySlots.map(index => weights[index]),
+      componentAssignments: readySlots.map(index => componentAssignments[index]),
+      mixMode,
+      regionConfigs: readySlots.map(index => regionConfigs[index]),
+      colorMode,
+      chromaSource,
+      chroma,
+      targetOutput: targetPort.id
+    });
+    console.log(`Scheduled mix #${version}`);
+  };
+
+  // Auto-mix whenever weights, assignments, mixMode, region configs, colour settings,
+  // selectedOutput, the slots or their images change (e.g. an image was cleared) or new
+  // spectra become ready
+  // New spectra may also complete the images an opened session's other port needs
+  // (through a ref: both read the latest state, the effect only re-runs for the inputs below)
+  const mixRef = useRef(null);
+  mixRef.current = () => {
     autoMix();
+    rebuildSessionOutputs();
   };
+  useEffect(() => {
+    mixRef.current();
+  }, [slotIds, loadedImages, weights, componentAssignments, mixMode, regionConfigs, colorMode, chromaSource, selectedOutput, fftVersion]);
 
-  // Update weight of a specific viewport and trigger auto-mixing
-  const handleWeightChange = (viewportId, newWeight) => {
-    const index = parseInt(viewportId) - 1;
-    const newWeights = [...weights];
-    newWeights[index] = newWeight;
-    setWeights(newWeights);
-    console.log(`Weight changed for Image ${viewportId}: ${newWeight}%`);
-    setTimeout(() => autoMix(), 100);
+  // In 'luminance' mode chroma comes from the slot at the selected position,
+  // or from the first ready image if that slot is empty or a different size
+  const getChroma = (processors, mode, sourcePosition) => {
+    if (mode !== 'luminance') return null;
+    const selected = loadedImages[slotIds[parseInt(sourcePosition) - 1]];
+    const source = selected && selected.hasImage() &&
+      selected.width === processors[0].width && selected.height === processors[0].height
+      ? selected
+      : processors[0];
+    return source.getChromaPlanes();
   };
 
-  // Auto-mix function using FourierMixer
-  const autoMix = () => {
-    // Get all loaded processors that have FFT computed
-    const processors = getProcessorsArray().filter(p => p && p.hasFFT());
-    if (processors.length === 0) return;
+  // ==================== SESSIONS ====================
+
+  // Replace the whole app state with an opened session
+  // `outputs` are displayed output images to show until the ports are re-mixed
+  const applySession = (session, outputs = []) => {
+    const settings = session.settings || {};
+
+    // Drop pending mixes before the images they use are replaced
+    mixSchedulerRef.current.cancel();
+    slots.loadSession(session);
+
+    const outputCount = Math.min(MAX_OUTPUTS, Math.max(1, session.outputs.length || DEFAULT_OUTPUT_COUNT));
+    setSelectedOutput(Math.min(settings.selectedOutput || 1, outputCount));
+    setResizeSettings(Resampler.normalize(settings.resize));
+    setTargetSize(session.targetSize || null);
+
+    // Undo cannot reach back past a different set of images
+    history.clear();
+
+    // Fresh ports - each rebuilt from its saved recipe once its images have spectra
+    const newPorts = Array.from({ length: outputCount }, (_, index) => ({
+      ...createOutputPort(session.outputDisplays[index]
+        ? DisplayLevels.clamp({ ...DisplayLevels.getDefaults(), ...session.outputDisplays[index] })
+        : DisplayLevels.getDefaults()),
+      data: outputs[index] || null
+    }));
+    setOutputPorts(newPorts);
+    pendingOutputsRef.current = newPorts
+      .map((port, index) => ({ portId: port.id, recipe: session.outputs[index] || null }))
+      .filter(entry => entry.recipe);
+  };
+
+  // Rebuild the output ports of an opened session once their images have spectra
+  // The selected port is re-mixed by autoMix from the restored settings
+  const rebuildSessionOutputs = () => {
+    const pending = pendingOutputsRef.current;
+    if (!pending) return;
+
+    const selectedPort = outputPorts[selectedOutput - 1];
+    pendingOutputsRef.current = pending.filter(({ portId, recipe }) => {
+      if (selectedPort && portId === selectedPort.id) return false;
+
+      const processors = recipe.slots.map(index => getProcessors()[index]);
+      if (processors.length === 0 || processors.some(p => !p || !p.hasFFT())) return true;
+
+      rebuildOutput(portId, recipe, processors);
+      return false;
+    });
+
+    if (pendingOutputsRef.current.length === 0) {
+      pendingOutputsRef.current = null;
+    }
+  };
 
+  // Mix one output port with its saved recipe (outside the scheduler, which serves the selected port)
+  const rebuildOutput = async (portId, recipe, processors) => {
     try {
-      console.log('=== AUTO-MIXING ===');
-      console.log('Processors:', processors.length);
-      console.log('Weights:', weights);
-      console.log('Mix Mode:', mixMode);
-      console.log('Region Config:', regionConfig);
-      console.log('Target Output:', selectedOutput);
-
-      const mixer = new FourierMixer();
-      mixer.setProcessors(processors);
-      mixer.setWeights(weights);
-      mixer.setMixMode(mixMode);
-      mixer.setRegionConfig(regionConfig);
-
-      // Perform mixing
-      const result = mixer.mix();
-      
-      console.log('Mix result:', {
-        width: result.width,
-        height: result.height,
-        dataLength: result.imageData.length,
-        targetOutput: selectedOutput
+      await Promise.all(processors.map(p => p.computeChannelFFTs(recipe.colorMode)));
+      const result = await fourierService.mix({
+        ...recipe,
+        processors,
+        chroma: getChroma(processors, recipe.colorMode, recipe.chromaSource)
       });
-
-      // Assign result to selected output port
-      if (selectedOutput === 1) {
-        setOutputData1(result);
-        console.log('✅ Output set to Port 1');
-      } else {
-        setOutputData2(result);
-        console.log('✅ Output set to Port 2');
-      }
+      setOutputPorts(prev => prev.map(port =>
+        port.id === portId ? { ...port, data: result, recipe } : port
+      ));
+      console.log(`✅ Session output rebuilt for ${portId}`);
     } catch (error) {
-      console.error('❌ Auto-mixing error:', error);
-      console.error('Error stack:', error.stack);
+      console.error(`Failed to rebuild ${portId}:`, error);
     }
   };
 
-  // Auto-mix whenever weights, mixMode, regionConfig, or selectedOutput change
+  const session = useSession(
+    { ...slots, selectedOutput, resizeSettings, targetSize, outputPorts },
+    applySession
+  );
+
+  // ==================== PRESETS ====================
+
+  // Apply a preset link on startup, and when a preset link is opened in this tab
   useEffect(() => {
-    autoMix();
-  }, [weights, mixMode, regionConfig, selectedOutput]);
+    const applyHashPreset = () => {
+      const preset = PresetManager.fromHash(window.location.hash);
+      if (preset) applyPreset(preset);
+    };
+    applyHashPreset();
+    window.addEventListener('hashchange', applyHashPreset);
+    return () => window.removeEventListener('hashchange', applyHashPreset);
+  }, [applyPreset]);
+
+  // Preset of the current setup
+  const getCurrentPreset = () => PresetManager.createPreset({
+    weights, componentAssignments, mixMode, regionConfigs, colorMode, chromaSource
+  });
+
+  // Put the current setup in the address bar and copy the link
+  // Resolves true once the link is on the clipboard
+  const handleCopyPresetLink = async () => {
+    const preset = getCurrentPreset();
+    const url = PresetManager.toURL(preset);
+    window.history.replaceState(null, '', PresetManager.toHash(preset));
+
+    try {
+      await navigator.clipboard.writeText(url);
+      console.log('Preset link copied:', url);
+      return true;
+    } catch (error) {
+      // Clipboard unavailable (e.g. not a secure context) - let the user copy it by hand
+      window.prompt('Copy this link:', url);
+      return false;
+    }
+  };
+
+  // Save the current setup under a name
+  const handleSavePreset = (name) => {
+    try {
+      setPresets(PresetManager.savePreset(name, getCurrentPreset()));
+    } catch (error) {
+      console.error('Failed to save preset:', error);
+      alert('Failed to save preset: ' + error.message);
+    }
+  };
+
+  const handleDeletePreset = (name) => {
+    setPresets(PresetManager.deletePreset(name));
+  };
+
+  // ==================== INSPECTOR ====================
+
+  // Inspection shown in the inspector (a port's is rebuilt whenever it is re-mixed)
+  const inspection = useMemo(() => {
+    if (!inspectorTarget) return null;
+    if (inspectorTarget.inspection) return inspectorTarget.inspection;
+    const index = outputPorts.findIndex(port => port.id === inspectorTarget.portId);
+    return index !== -1 && outputPorts[index].data
+      ? PixelInspector.forOutput(outputPorts[index].data, `Port ${index + 1}`)
+      : null;
+  }, [inspectorTarget, outputPorts]);
+
+  // Open an output port in the inspector
+  const handleInspectOutput = (port) => {
+    setInspectorTarget({ portId: outputPorts[port - 1].id });
+  };
+
+  // Open an input image or FFT component in the inspector
+  const handleInspectInput = useCallback((inspectionOfInput) => {
+    setInspectorTarget({ inspection: inspectionOfInput });
+  }, []);
+
+  const handleCloseInspector = useCallback(() => setInspectorTarget(null), []);
+
+  // ==================== OUTPUT PORTS ====================
+
+  // Add an empty port and select it, so the current mix fills it
+  const handleAddOutput = () => {
+    if (outputPorts.length >= MAX_OUTPUTS) return;
+    setOutputPorts([...outputPorts, createOutputPort()]);
+    setSelectedOutput(outputPorts.length + 1);
+  };
+
+  // Remove a port; the selection stays on the same port (or its neighbour if it was removed)
+  const handleRemoveOutput = (port) => {
+    if (outputPorts.length <= 1) return;
+    setOutputPorts(outputPorts.filter((_, index) => index !== port - 1));
+    if (selectedOutput > port) {
+      setSelectedOutput(selectedOutput - 1);
+    } else if (selectedOutput === port) {
+      setSelectedOutput(Math.min(port, outputPorts.length - 1));
+    }
+  };
 
-  // Helper function to return processors array in order
-  const getProcessorsArray = () => {
-    return [
-      loadedImages['1'] || null,
-      loadedImages['2'] || null,
-      loadedImages['3'] || null,
-      loadedImages['4'] || null
-    ];
+  // New window/level/gamma for a port (display only - nothing is re-mixed)
+  const handleOutputDisplayChange = (port, display) => {
+    setOutputPorts(prev => prev.map((output, index) =>
+      index === port - 1 ? { ...output, display } : output
+    ));
+  };
+
+  // Load the recipe a port was mixed with back into the controls, and select that port
+  const handleUseRecipe = (port) => {
+    const recipe = outputPorts[port - 1] && outputPorts[port - 1].recipe;
+    if (!recipe) return;
+
+    slots.applyRecipe(recipe);
+    setSelectedOutput(port);
+    console.log(`Loaded the recipe of Port ${port}`);
   };
 
   return (
@@ -160,50 +436,92 @@ function App() {
       {/* App Header */}
       <header className="app-header">
         <h1>🎨 Fourier Transform Mixer</h1>
+        <div className="session-controls">
+          <button className="session-button" onClick={session.handleSaveSession} title="Save images and all settings to a session file">
+            💾 Save Session
+          </button>
+          <button className="session-button" onClick={() => sessionInputRef.current.click()} title="Open a saved session file">
+            📂 Open Session
+          </button>
+          <button className="session-button" onClick={session.handleToggleRecovery} title="Autosaved sessions">
+            🕘 Recent Sessions
+          </button>
+          <input
+            type="file"
+            ref={sessionInputRef}
+            onChange={session.handleOpenSession}
+            accept=".json,application/json"
+            style={{ display: 'none' }}
+          />
+        </div>
       </header>
 
+      {/* Autosaved sessions - offered on startup, or from the header button */}
+      {session.showRecovery && (
+        <SessionRecovery
+          sessions={session.recentSessions}
+          currentSessionId={session.sessionId}
+          onRestore={session.handleRestoreStored}
+          onDelete={session.handleDeleteStored}
+          onClose={session.handleCloseRecovery}
+        />
+      )}
+
+      {/* Full-size inspector of a port or input */}
+      {inspection && <Inspector inspection={inspection} onClose={handleCloseInspector} />}
+
       <main className="main-content-new">
         {/* Left Section: Input Image Viewports */}
         <section className="left-section">
           <div className="viewports-grid">
-            <ImageViewport 
-              id="1" 
-              onImageLoaded={handleImageLoaded}
-              targetSize={targetSize}
-              regionConfig={regionConfig}
-              weight={weights[0]}
-              onWeightChange={handleWeightChange}
-              isDisabled={!loadedImages['1'] || !loadedImages['1'].hasFFT()}
-            />
-            <ImageViewport 
-              id="2" 
-              onImageLoaded={handleImageLoaded}
-              targetSize={targetSize}
-              regionConfig={regionConfig}
-              weight={weights[1]}
-              onWeightChange={handleWeightChange}
-              isDisabled={!loadedImages['2'] || !loadedImages['2'].hasFFT()}
-            />
-            <ImageViewport 
-              id="3" 
-              onImageLoaded={handleImageLoaded}
-              targetSize={targetSize}
-              regionConfig={regionConfig}
-              weight={weights[2]}
-              onWeightChange={handleWeightChange}
-              isDisabled={!loadedImages['3'] || !loadedImages['3'].hasFFT()}
-            />
-            <ImageViewport 
-              id="4" 
-              onImageLoaded={handleImageLoaded}
-              targetSize={targetSize}
-              regionConfig={regionConfig}
-              weight={weights[3]}
-              onWeightChange={handleWeightChange}
-              isDisabled={!loadedImages['4'] || !loadedImages['4'].hasFFT()}
-            />
+            {slotIds.map((slotId, index) => (
+              <ImageViewport
+                key={`${slotId}-${slotMounts[slotId] || 0}`}
+                id={slotId}
+                index={index}
+                slotCount={slotIds.length}
+                onMove={slots.handleMoveSlot}
+                onSwap={slots.handleSwapSlots}
+                onClear={slots.handleClearSlot}
+                onLoadFiles={slots.handleLoadFiles}
+                fileLoad={fileLoads[slotId]}
+                onRemove={slots.handleRemoveSlot}
+                onInspect={handleInspectInput}
+                restoreState={restoreStates[slotId]}
+                onDisplayStateChange={slots.handleDisplayStateChange}
+                displayOverride={displayOverrides[slotId]}
+                onImageLoaded={slots.handleImageLoaded}
+                targetSize={targetSize}
+                resampling={resampling}
+                regionConfig={regionConfigs[index]}
+                onRegionChange={slots.handleViewportRegionChange}
+                weights={weights[index]}
+                onWeightChange={slots.handleWeightChange}
+                componentAssignment={componentAssignments[index]}
+                onComponentAssignmentChange={slots.handleComponentAssignmentChange}
+                mixMode={mixMode}
+                colorMode={colorMode}
+                onFFTComputed={handleFFTComputed}
+                isDisabled={!loadedImages[slotId] || !loadedImages[slotId].hasFFT()}
+              />
+            ))}
           </div>
 
+          <button
+            className="add-slot-button"
+            onClick={slots.handleAddSlot}
+            disabled={slotIds.length >= MAX_SLOTS}
+            title={`Up to ${MAX_SLOTS} input images`}
+          >
+            ➕ Add Image ({slotIds.length}/{MAX_SLOTS})
+          </button>
+
+          {/* Unified size policy, resampling method and fit mode */}
+          <ResizeControls
+            settings={resizeSettings}
+            onChange={handleResizeSettingsChange}
+          />
+
           {/* Display unified target size info */}
           {targetSize && (
             <div className="info-box">
@@ -215,15 +533,44 @@ function App() {
         {/* Right Section: Output Viewport with controls */}
         <aside className="right-section">
           <OutputViewport 
-            outputData1={outputData1}
-            outputData2={outputData2}
+            outputs={outputPorts}
             selectedOutput={selectedOutput}
             onOutputSelect={setSelectedOutput}
+            onAddOutput={handleAddOutput}
+            onRemoveOutput={handleRemoveOutput}
+            onUseRecipe={handleUseRecipe}
+            onInspect={handleInspectOutput}
+            onDisplayChange={handleOutputDisplayChange}
+            canAddOutput={outputPorts.length < MAX_OUTPUTS}
             mixMode={mixMode}
             onMixModeChange={setMixMode}
-            regionType={regionType}
-            onRegionTypeChange={setRegionType}
-            onRegionConfigChange={handleRegionConfigChange}
+            regionConfig={regionConfigs[regionTarget === 'all' ? 0 : parseInt(regionTarget) - 1]}
+            regionTarget={regionTarget}
+            onRegionTargetChange={setRegionTarget}
+            onRegionConfigChange={slots.handleRegionConfigChange}
+            colorMode={colorMode}
+            onColorModeChange={setColorMode}
+            chromaSource={chromaSource}
+            onChromaSourceChange={setChromaSource}
+            slotCount={slotIds.length}
+          />
+          {outputPorts.length >= 2 && (
+            <ComparisonView outputs={outputPorts.map(port => port.data)} />
+          )}
+          <PresetPanel
+            presets={presets}
+            onCopyLink={handleCopyPresetLink}
+            onSave={handleSavePreset}
+            onApply={applyPreset}
+            onDelete={handleDeletePreset}
+          />
+          <HistoryPanel
+            entries={history.entries}
+            canUndo={history.canUndo}
+            canRedo={history.canRedo}
+            onUndo={history.handleUndo}
+            onRedo={history.handleRedo}
+            onJump={history.handleHistoryJump}
           />
         </aside>
       </main>
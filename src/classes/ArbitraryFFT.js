@@ -0,0 +1,255 @@
+// ArbitraryFFT.js - 1D complex FFT for any length (not only powers of 2)
+// Drop-in replacement for fft.js: same transform(out, data) / inverseTransform(out, data)
+// API with interleaved complex arrays [re0, im0, re1, im1, ...]
+//
+// Strategy per length n:
+//   - Power of 2          -> fft.js (fastest path)
+//   - Small prime factors -> mixed-radix Cooley-Tukey (e.g. 513 = 3^3 * 19)
+//   - Large prime factor  -> Bluestein's chirp-z algorithm on a power-of-2 FFT
+
+import FFT from 'fft.js';
+
+// Largest prime factor handled by the mixed-radix butterflies
+// Above this, the O(p) generic butterfly gets slower than Bluestein
+const MAX_MIXED_RADIX_FACTOR = 31;
+
+class ArbitraryFFT {
+  constructor(size) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`FFT size must be a positive integer, got ${size}`);
+    }
+    this.size = size;
+
+    if (size > 1 && (size & (size - 1)) === 0) {
+      // Power of 2 - let fft.js do the work
+      this.method = 'radix2';
+      this.radix2 = new FFT(size);
+    } else {
+      // Length 1 has no factors and is handled directly by the mixed-radix path
+      this.factors = this.factorize(size);
+      const largestFactor = this.factors.length ? this.factors[this.factors.length - 1] : 1;
+      if (largestFactor <= MAX_MIXED_RADIX_FACTOR) {
+        this.method = 'mixed-radix';
+        this.setupMixedRadix();
+      } else {
+        this.method = 'bluestein';
+        this.setupBluestein();
+      }
+    }
+  }
+
+  // ==================== PUBLIC API (matches fft.js) ====================
+
+  // Forward DFT: X[k] = sum x[j] * exp(-2*pi*i*j*k/n)
+  transform(out, data) {
+    switch (this.method) {
+      case 'radix2':
+        this.radix2.transform(out, data);
+        break;
+      case 'mixed-radix':
+        this.mixedRadixTransform(out, data);
+        break;
+      default:
+        this.bluesteinTransform(out, data);
+    }
+  }
+
+  // Inverse DFT scaled by 1/n (same convention as fft.js)
+  // Uses ifft(x) = conj(fft(conj(x))) / n
+  inverseTransform(out, data) {
+    if (this.method === 'radix2') {
+      this.radix2.inverseTransform(out, data);
+      return;
+    }
+
+    const n = this.size;
+    const conjugated = new Float64Array(n * 2);
+    for (let i = 0; i < n; i++) {
+      conjugated[i * 2] = data[i * 2];
+      conjugated[i * 2 + 1] = -data[i * 2 + 1];
+    }
+
+    this.transform(out, conjugated);
+
+    for (let i = 0; i < n; i++) {
+      out[i * 2] = out[i * 2] / n;
+      out[i * 2 + 1] = -out[i * 2 + 1] / n;
+    }
+  }
+
+  // ==================== MIXED RADIX ====================
+
+  // Split n into its prime factors, smallest first (e.g. 12 -> [2, 2, 3])
+  factorize(n) {
+    const factors = [];
+    let remaining = n;
+    for (let p = 2; p * p <= remaining; p++) {
+      while (remaining % p === 0) {
+        factors.push(p);
+        remaining /= p;
+      }
+    }
+    if (remaining > 1) factors.push(remaining);
+    return factors;
+  }
+
+  // Precompute twiddle factors exp(-2*pi*i*j/n) for j = 0..n-1
+  setupMixedRadix() {
+    const n = this.size;
+    this.twiddleRe = new Float64Array(n);
+    this.twiddleIm = new Float64Array(n);
+    for (let j = 0; j < n; j++) {
+      const angle = (-2 * Math.PI * j) / n;
+      this.twiddleRe[j] = Math.cos(angle);
+      this.twiddleIm[j] = Math.sin(angle);
+    }
+    // Scratch space for one butterfly (largest factor)
+    const maxFactor = this.factors.length ? this.factors[this.factors.length - 1] : 1;
+    this.scratchRe = new Float64Array(maxFactor);
+    this.scratchIm = new Float64Array(maxFactor);
+  }
+
+  mixedRadixTransform(out, data) {
+    const n = this.size;
+    if (n === 1) {
+      out[0] = data[0];
+      out[1] = data[1];
+      return;
+    }
+    this.mixedRadixWork(out, 0, data, 0, 1, 0, n);
+  }
+
+  /**
+   * Recursive decimation-in-time step
+   * Computes the length-n DFT of data[inOffset + j * stride] into out[outOffset ..]
+   * @param {number} factorIndex - Which prime factor splits this level
+   */
+  mixedRadixWork(out, outOffset, data, inOffset, stride, factorIndex, n) {
+    const p = this.factors[factorIndex]; // Radix of this level
+    const m = n / p;                     // Length of each sub-transform
+
+    if (m === 1) {
+      // Leaves: just gather the p input samples
+      for (let q = 0; q < p; q++) {
+        const src = (inOffset + q * stride) * 2;
+        out[(outOffset + q) * 2] = data[src];
+        out[(outOffset + q) * 2 + 1] = data[src + 1];
+      }
+    } else {
+      // p interleaved sub-sequences, each a length-m DFT
+      for (let q = 0; q < p; q++) {
+        this.mixedRadixWork(
+          out,
+          outOffset + q * m,
+          data,
+          inOffset + q * stride,
+          stride * p,
+          factorIndex + 1,
+          m
+        );
+      }
+    }
+
+    // Generic radix-p butterfly combining the sub-transforms
+    const total = this.size;
+    const twiddleStep = total / n; // Twiddles are stored for the full length
+    const scratchRe = this.scratchRe;
+    const scratchIm = this.scratchIm;
+
+    for (let u = 0; u < m; u++) {
+      for (let q = 0; q < p; q++) {
+        const idx = (outOffset + u + q * m) * 2;
+        scratchRe[q] = out[idx];
+        scratchIm[q] = out[idx + 1];
+      }
+
+      for (let q1 = 0; q1 < p; q1++) {
+        const k = u + q1 * m;
+        let sumRe = scratchRe[0];
+        let sumIm = scratchIm[0];
+        for (let q = 1; q < p; q++) {
+          const t = ((q * k) % n) * twiddleStep;
+          const wRe = this.twiddleRe[t];
+          const wIm = this.twiddleIm[t];
+          sumRe += scratchRe[q] * wRe - scratchIm[q] * wIm;
+          sumIm += scratchRe[q] * wIm + scratchIm[q] * wRe;
+        }
+        out[(outOffset + k) * 2] = sumRe;
+        out[(outOffset + k) * 2 + 1] = sumIm;
+      }
+    }
+  }
+
+  // ==================== BLUESTEIN ====================
+
+  // Precompute the chirp and the FFT of the convolution kernel
+  setupBluestein() {
+    const n = this.size;
+
+    // Convolution length: power of 2 >= 2n - 1
+    let m = 1;
+    while (m < 2 * n - 1) m *= 2;
+    this.convSize = m;
+    this.convFFT = new FFT(m);
+
+    // Chirp w[k] = exp(-i*pi*k^2/n), k^2 taken mod 2n to keep the angle precise
+    this.chirpRe = new Float64Array(n);
+    this.chirpIm = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+      const angle = (-Math.PI * ((k * k) % (2 * n))) / n;
+      this.chirpRe[k] = Math.cos(angle);
+      this.chirpIm[k] = Math.sin(angle);
+    }
+
+    // Kernel b[k] = conj(w[k]), wrapped around so b[m - k] = b[k]
+    const kernel = new Float64Array(m * 2);
+    kernel[0] = this.chirpRe[0];
+    kernel[1] = -this.chirpIm[0];
+    for (let k = 1; k < n; k++) {
+      kernel[k * 2] = this.chirpRe[k];
+      kernel[k * 2 + 1] = -this.chirpIm[k];
+      kernel[(m - k) * 2] = this.chirpRe[k];
+      kernel[(m - k) * 2 + 1] = -this.chirpIm[k];
+    }
+    this.kernelFFT = new Float64Array(m * 2);
+    this.convFFT.transform(this.kernelFFT, kernel);
+  }
+
+  bluesteinTransform(out, data) {
+    const n = this.size;
+    const m = this.convSize;
+
+    // a[k] = x[k] * w[k], zero padded to m
+    const a = new Float64Array(m * 2);
+    for (let k = 0; k < n; k++) {
+      const re = data[k * 2];
+      const im = data[k * 2 + 1];
+      a[k * 2] = re * this.chirpRe[k] - im * this.chirpIm[k];
+      a[k * 2 + 1] = re * this.chirpIm[k] + im * this.chirpRe[k];
+    }
+
+    // Circular convolution a * b via the power-of-2 FFT
+    const aFFT = new Float64Array(m * 2);
+    this.convFFT.transform(aFFT, a);
+    for (let k = 0; k < m; k++) {
+      const re = aFFT[k * 2];
+      const im = aFFT[k * 2 + 1];
+      const bRe = this.kernelFFT[k * 2];
+      const bIm = this.kernelFFT[k * 2 + 1];
+      aFFT[k * 2] = re * bRe - im * bIm;
+      aFFT[k * 2 + 1] = re * bIm + im * bRe;
+    }
+    const conv = new Float64Array(m * 2);
+    this.convFFT.inverseTransform(conv, aFFT);
+
+    // X[k] = w[k] * (a * b)[k]
+    for (let k = 0; k < n; k++) {
+      const re = conv[k * 2];
+      const im = conv[k * 2 + 1];
+      out[k * 2] = re * this.chirpRe[k] - im * this.chirpIm[k];
+      out[k * 2 + 1] = re * this.chirpIm[k] + im * this.chirpRe[k];
+    }
+  }
+}
+
+export default ArbitraryFFT;
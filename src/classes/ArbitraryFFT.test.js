@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+import ArbitraryFFT from './ArbitraryFFT';
+
+// Naive O(n^2) DFT of interleaved complex data, the reference every path is checked against
+const naiveDFT = (data, n) => {
+  const out = new Float64Array(2 * n);
+  for (let k = 0; k < n; k++) {
+    let re = 0;
+    let im = 0;
+    for (let j = 0; j < n; j++) {
+      const angle = (-2 * Math.PI * j * k) / n;
+      re += data[2 * j] * Math.cos(angle) - data[2 * j + 1] * Math.sin(angle);
+      im += data[2 * j] * Math.sin(angle) + data[2 * j + 1] * Math.cos(angle);
+    }
+    out[2 * k] = re;
+    out[2 * k + 1] = im;
+  }
+  return out;
+};
+
+// Deterministic complex test signal
+const signal = (n) => Float64Array.from({ length: 2 * n }, (_, i) => Math.sin(i * 0.37) + ((i * 7) % 5) - 2);
+
+const expectClose = (actual, expected) => {
+  expect(actual.length).toBe(expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    expect(actual[i]).toBeCloseTo(expected[i], 6);
+  }
+};
+
+describe('ArbitraryFFT', () => {
+  test.each([
+    [1, 'mixed-radix'],
+    [64, 'radix2'],
+    [12, 'mixed-radix'],
+    [45, 'mixed-radix'],
+    [62, 'mixed-radix'],
+    [37, 'bluestein'],
+    [74, 'bluestein']
+  ])('length %i (%s) matches a naive DFT', (n, method) => {
+    const fft = new ArbitraryFFT(n);
+    expect(fft.method).toBe(method);
+
+    const data = signal(n);
+    const out = new Float64Array(2 * n);
+    fft.transform(out, data);
+    expectClose(out, naiveDFT(data, n));
+  });
+
+  test.each([64, 45, 37])('inverse of length %i gives back the input', (n) => {
+    const fft = new ArbitraryFFT(n);
+    const data = signal(n);
+    const spectrum = new Float64Array(2 * n);
+    const back = new Float64Array(2 * n);
+    fft.transform(spectrum, data);
+    fft.inverseTransform(back, spectrum);
+    expectClose(back, data);
+  });
+
+  test('rejects sizes that are not positive integers', () => {
+    expect(() => new ArbitraryFFT(0)).toThrow();
+    expect(() => new ArbitraryFFT(2.5)).toThrow();
+  });
+});
@@ -0,0 +1,114 @@
+// ColorSpace.js - Colour channel helpers for per-channel FFT mixing
+// Works on whole planes (one value per pixel) rather than single pixels.
+// Chroma (Cb/Cr) planes are kept SIGNED (centered on 0, no +128 offset) so that
+// removing the DC component with a region filter leaves neutral grey, not a colour cast.
+
+class ColorSpace {
+  /**
+   * Split RGBA pixel data into separate R, G, B planes
+   * @param {Uint8ClampedArray} rgba - RGBA data (4 values per pixel)
+   * @returns {Object} { r, g, b } Uint8ClampedArray planes
+   */
+  static splitChannels(rgba) {
+    const size = rgba.length / 4;
+    const r = new Uint8ClampedArray(size);
+    const g = new Uint8ClampedArray(size);
+    const b = new Uint8ClampedArray(size);
+
+    for (let i = 0; i < size; i++) {
+      r[i] = rgba[i * 4];
+      g[i] = rgba[i * 4 + 1];
+      b[i] = rgba[i * 4 + 2];
+    }
+
+    return { r, g, b };
+  }
+
+  /**
+   * Compute signed chroma planes from R, G, B planes (JPEG/BT.601 full range)
+   * Luma is the same 0.299/0.587/0.114 grayscale used by ImageProcessor
+   * @returns {Object} { cb, cr } Float64Array planes, roughly -128..127
+   */
+  static chromaPlanes(r, g, b) {
+    const cb = new Float64Array(r.length);
+    const cr = new Float64Array(r.length);
+
+    for (let i = 0; i < r.length; i++) {
+      cb[i] = -0.168736 * r[i] - 0.331264 * g[i] + 0.5 * b[i];
+      cr[i] = 0.5 * r[i] - 0.418688 * g[i] - 0.081312 * b[i];
+    }
+
+    return { cb, cr };
+  }
+
+  /**
+   * Convert luma + signed chroma planes back to interleaved RGB
+   * @param {ArrayLike<number>} y - Luma plane (0-255)
+   * @param {ArrayLike<number>} cb - Signed blue-difference plane
+   * @param {ArrayLike<number>} cr - Signed red-difference plane
+   * @returns {Uint8ClampedArray} RGB data (3 values per pixel)
+   */
+  static ycbcrToRgb(y, cb, cr) {
+    const rgb = new Uint8ClampedArray(y.length * 3);
+
+    for (let i = 0; i < y.length; i++) {
+      rgb[i * 3] = Math.round(y[i] + 1.402 * cr[i]);                        // Red
+      rgb[i * 3 + 1] = Math.round(y[i] - 0.344136 * cb[i] - 0.714136 * cr[i]); // Green
+      rgb[i * 3 + 2] = Math.round(y[i] + 1.772 * cb[i]);                    // Blue
+    }
+
+    return rgb;
+  }
+
+  /**
+   * Convert luma + signed chroma planes to unclamped floating-point R, G, B planes
+   * Same matrix as ycbcrToRgb, without rounding, for full-precision exports
+   * @returns {Object} { r, g, b } Float64Array planes
+   */
+  static ycbcrToRgbPlanes(y, cb, cr) {
+    const r = new Float64Array(y.length);
+    const g = new Float64Array(y.length);
+    const b = new Float64Array(y.length);
+
+    for (let i = 0; i < y.length; i++) {
+      r[i] = y[i] + 1.402 * cr[i];
+      g[i] = y[i] - 0.344136 * cb[i] - 0.714136 * cr[i];
+      b[i] = y[i] + 1.772 * cb[i];
+    }
+
+    return { r, g, b };
+  }
+
+  /**
+   * Interleave R, G, B planes into RGB data
+   * @returns {Uint8ClampedArray} RGB data (3 values per pixel)
+   */
+  static mergeChannels(r, g, b) {
+    const rgb = new Uint8ClampedArray(r.length * 3);
+
+    for (let i = 0; i < r.length; i++) {
+      rgb[i * 3] = r[i];
+      rgb[i * 3 + 1] = g[i];
+      rgb[i * 3 + 2] = b[i];
+    }
+
+    return rgb;
+  }
+
+  /**
+   * Luma of interleaved RGB data (same weights as ImageProcessor grayscale)
+   * @param {Uint8ClampedArray} rgb - RGB data (3 values per pixel)
+   * @returns {Uint8ClampedArray} Grayscale plane
+   */
+  static rgbToLuma(rgb) {
+    const luma = new Uint8ClampedArray(rgb.length / 3);
+
+    for (let i = 0; i < luma.length; i++) {
+      luma[i] = 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+    }
+
+    return luma;
+  }
+}
+
+export default ColorSpace;
@@ -0,0 +1,148 @@
+// DisplayLevels.js - Window/level and gamma for displaying an output port
+// Display only: the mixed values are never touched, a lookup table maps each
+// 0-255 display value to what is drawn:
+//
+//   t   = clamp((value - (level - window / 2)) / window, 0, 1)
+//   out = 255 * t ^ (1 / gamma)
+//
+// level is the centre of the displayed range (lower = brighter), window its width
+// (smaller = more contrast). The defaults (level 127.5, window 255, gamma 1) show the
+// output unchanged.
+
+// Settings every output port starts with
+const DEFAULT_LEVELS = { level: 127.5, window: 255, gamma: 1 };
+
+// Allowed ranges
+const MIN_WINDOW = 1;
+const MAX_WINDOW = 510;
+const MIN_GAMMA = 0.2;
+const MAX_GAMMA = 5;
+
+// Share of pixels clipped at each end by auto-levels
+const AUTO_LEVELS_CLIP = 0.005;
+
+class DisplayLevels {
+  /**
+   * Settings that leave the output unchanged
+   */
+  static getDefaults() {
+    return { ...DEFAULT_LEVELS };
+  }
+
+  /**
+   * Whether the settings change the output at all
+   */
+  static isIdentity(levels) {
+    return (
+      levels.level === DEFAULT_LEVELS.level &&
+      levels.window === DEFAULT_LEVELS.window &&
+      levels.gamma === DEFAULT_LEVELS.gamma
+    );
+  }
+
+  /**
+   * Keep settings within their ranges
+   */
+  static clamp({ level, window, gamma }) {
+    return {
+      level: Math.max(-MAX_WINDOW / 2, Math.min(255 + MAX_WINDOW / 2, level)),
+      window: Math.max(MIN_WINDOW, Math.min(MAX_WINDOW, window)),
+      gamma: Math.max(MIN_GAMMA, Math.min(MAX_GAMMA, gamma))
+    };
+  }
+
+  /**
+   * Lookup table from display value (0-255) to adjusted value
+   * @returns {Uint8ClampedArray} 256 entries
+   */
+  static buildLUT({ level, window, gamma }) {
+    const lut = new Uint8ClampedArray(256);
+    const low = level - window / 2;
+    for (let value = 0; value < 256; value++) {
+      const t = Math.max(0, Math.min(1, (value - low) / window));
+      lut[value] = Math.round(255 * Math.pow(t, 1 / gamma));
+    }
+    return lut;
+  }
+
+  /**
+   * Adjust RGBA pixels in place (alpha is left alone)
+   * @param {Uint8ClampedArray} rgba - Pixels from OutputComparison.toRGBA()
+   * @returns {Uint8ClampedArray} The same array
+   */
+  static apply(rgba, levels) {
+    if (DisplayLevels.isIdentity(levels)) return rgba;
+    const lut = DisplayLevels.buildLUT(levels);
+    for (let i = 0; i < rgba.length; i += 4) {
+      rgba[i] = lut[rgba[i]];
+      rgba[i + 1] = lut[rgba[i + 1]];
+      rgba[i + 2] = lut[rgba[i + 2]];
+    }
+    return rgba;
+  }
+
+  /**
+   * Histogram of an output's grayscale (luminance) display values
+   * @returns {Uint32Array} 256 bins
+   */
+  static histogram(output) {
+    const bins = new Uint32Array(256);
+    const { imageData } = output;
+    for (let i = 0; i < imageData.length; i++) {
+      bins[imageData[i]]++;
+    }
+    return bins;
+  }
+
+  /**
+   * Stretch the histogram's occupied range over the full display range
+   * A small share of pixels is clipped at each end so a few outliers do not dominate
+   * @param {Uint32Array} bins - From histogram()
+   * @param {number} gamma - Kept as it is
+   */
+  static autoLevels(bins, gamma = DEFAULT_LEVELS.gamma) {
+    const total = bins.reduce((sum, count) => sum + count, 0);
+    const clip = total * AUTO_LEVELS_CLIP;
+
+    let low = 0;
+    for (let seen = 0; low < 255 && seen + bins[low] <= clip; low++) {
+      seen += bins[low];
+    }
+    let high = 255;
+    for (let seen = 0; high > low && seen + bins[high] <= clip; high--) {
+      seen += bins[high];
+    }
+
+    // Darkest kept value maps to black, brightest to white
+    const window = Math.max(MIN_WINDOW, high - low);
+    return DisplayLevels.clamp({ level: low + window / 2, window, gamma });
+  }
+
+  /**
+   * Window/level after a mouse drag on the output, matching the input viewports:
+   * right = more contrast (narrower window), up = brighter (lower level)
+   * @param {Object} start - Settings when the drag started
+   * @param {number} deltaX - Horizontal mouse movement (pixels)
+   * @param {number} deltaY - Vertical mouse movement (pixels)
+   */
+  static fromDrag(start, deltaX, deltaY) {
+    return DisplayLevels.clamp({
+      ...start,
+      window: start.window * Math.pow(2, -deltaX / 150), // Halves every 150 px to the right
+      level: start.level + deltaY * 0.65 // About the full range over 400 px
+    });
+  }
+
+  /**
+   * Range limits for the sliders
+   */
+  static getRanges() {
+    return {
+      level: { min: -MAX_WINDOW / 2, max: 255 + MAX_WINDOW / 2 },
+      window: { min: MIN_WINDOW, max: MAX_WINDOW },
+      gamma: { min: MIN_GAMMA, max: MAX_GAMMA }
+    };
+  }
+}
+
+export default DisplayLevels;
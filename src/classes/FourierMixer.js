@@ -1,15 +1,22 @@
 // FourierMixer.js - Complete FFT mixing logic with region selection
 
-import FFT from 'fft.js';
+// 1D FFT for any length (fft.js for powers of 2, mixed-radix/Bluestein otherwise)
+import ArbitraryFFT from './ArbitraryFFT';
+import ColorSpace from './ColorSpace';
 
 class FourierMixer {
   constructor() {
      // Array of image processors (each containing FFT data)
     this.processors = [];
     this.mixMode = 'magnitude-phase';// Default mixing mode: magnitude + phase
-    this.weights = [0.25, 0.25, 0.25, 0.25];
+    this.rawWeights = [];// { primary, secondary } weight per processor, as set by the user
+    this.weights = [];// Normalized { primary, secondary } weight per processor
+    this.componentAssignments = [];// Which component(s) each processor feeds
     this.regionConfig = null;// Region selection configuration
     // Used to select low/high frequency regions in FFT
+    this.regionConfigs = [];// Optional per-processor region configs (override regionConfig)
+    this.colorMode = 'grayscale';// 'grayscale', 'rgb', 'ycbcr' or 'luminance'
+    this.chromaSource = null;// Signed { cb, cr } planes carried over in 'luminance' mode
   }
 
   // ==================== CONFIGURATION ====================
@@ -21,6 +28,10 @@ class FourierMixer {
   setProcessors(processors) {
     this.processors = processors.filter(p => p && p.hasFFT());
     console.log(`Set ${this.processors.length} processors for mixing`);
+    // Any number of inputs can be mixed - start from equal weights until setWeights() is called
+    if (this.rawWeights.length !== this.processors.length) {
+      this.setWeights([]);
+    }
   }
 
   /**
@@ -40,25 +51,80 @@ class FourierMixer {
 
   /**
    * Set mixing weights for each processor
-   * Automatically normalizes weights to sum to 1.0
-   * @param {Array<number>} weights - Weight for each processor
+   * Each entry is either a single number (same weight for both components)
+   * or an object { primary, secondary } with one weight per component.
+   * Weights are normalized per component so each column sums to 1.0
+   * @param {Array<number|Object>} weights - Weight(s) for each processor
    */
   setWeights(weights) {
-    // Warn if number of weights does not match number of processors
-    if (weights.length !== this.processors.length && this.processors.length > 0) {
-      console.warn(`Weight count (${weights.length}) doesn't match processor count (${this.processors.length})`);
+    // One weight per processor: extra weights are dropped, missing ones get an equal share
+    const count = this.processors.length > 0 ? this.processors.length : weights.length;
+    if (weights.length > 0 && weights.length !== count) {
+      console.warn(`Weight count (${weights.length}) doesn't match processor count (${count})`);
     }
-     // Normalize weights to sum to 1.0
-    // Calculate the sum of the provided weights
-    const sum = weights.reduce((a, b) => a + b, 0);
-    if (sum === 0) {
-      // If all weights are zero, assign equal weights to all processors
-      console.warn('All weights are zero, using equal weights');
-      this.weights = weights.map(() => 1.0 / weights.length);
-    } else {
+    // Expand plain numbers so every processor carries a weight per component
+    this.rawWeights = Array.from({ length: count }, (_, j) => {
+      const w = j < weights.length ? weights[j] : 1 / count;
+      return typeof w === 'number' ? { primary: w, secondary: w } : { ...w };
+    });
+    this.normalizeWeights();
+  }
+
+  /**
+   * Set which component each processor feeds into the mix
+   * 'primary' is magnitude (or real), 'secondary' is phase (or imaginary)
+   * @param {Array<string>} assignments - 'both', 'primary' or 'secondary' per processor
+   */
+  setComponentAssignments(assignments) {
+    this.componentAssignments = [...assignments];
+    this.normalizeWeights();
+    console.log('Component assignments:', this.componentAssignments);
+  }
+
+  /**
+   * Combine raw weights with component assignments and normalize
+   * each component's weights to sum to 1.0
+   */
+  normalizeWeights() {
+    // Which components each processor feeds
+    const feeds = this.rawWeights.map((_, j) => {
+      const assignment = this.componentAssignments[j] || 'both';
+      return {
+        primary: assignment !== 'secondary',
+        secondary: assignment !== 'primary'
+      };
+    });
+
+    // Zero out the weight of any component a processor does not feed
+    const effective = this.rawWeights.map((w, j) => ({
+      primary: feeds[j].primary ? w.primary : 0,
+      secondary: feeds[j].secondary ? w.secondary : 0
+    }));
+
+    const normalizeComponent = (key) => {
+      // Calculate the sum of the weights for this component
+      const sum = effective.reduce((a, w) => a + w[key], 0);
+      if (sum === 0) {
+        // If all weights are zero, share equally among the processors feeding this
+        // component only - one assigned to the other component must not leak into it
+        const feeding = feeds.filter(feed => feed[key]).length;
+        if (feeding === 0) {
+          console.warn(`No image feeds the ${key} component`);
+          return effective.map(() => 0);
+        }
+        console.warn(`All ${key} weights are zero, using equal weights`);
+        return feeds.map(feed => (feed[key] ? 1.0 / feeding : 0));
+      }
       // Normalize weights so that their sum = 1
-      this.weights = weights.map(w => w / sum);
-    }
+      return effective.map(w => w[key] / sum);
+    };
+
+    const primary = normalizeComponent('primary');
+    const secondary = normalizeComponent('secondary');
+    this.weights = effective.map((_, j) => ({
+      primary: primary[j],
+      secondary: secondary[j]
+    }));
     console.log('Normalized weights:', this.weights);
   }
 
@@ -66,18 +132,78 @@ class FourierMixer {
    * Set region selection configuration
    * @param {Object} config - Region configuration
    * @param {boolean} config.enabled - Whether region filtering is enabled
-   * @param {string} config.type - 'inner' or 'outer'
-   * @param {number} config.size - Region size as percentage (0-100)
+   * @param {string} config.shape - 'rectangle', 'circle' or 'ellipse'
+   * @param {string} config.type - 'inner' (low-pass), 'outer' (high-pass) or 'band' (band-pass)
+   * @param {number} config.size - Region size (horizontal radius for ellipses) as percentage (0-100)
+   * @param {number} config.sizeY - Vertical extent of rectangles and ellipses as percentage (0-100)
+   * @param {number} config.offsetX - Horizontal offset of the region centre from DC as percentage of the width
+   * @param {number} config.offsetY - Vertical offset of the region centre from DC as percentage of the height
+   * @param {number} config.innerSize - Inner edge of a band-pass region as percentage (0-100)
+   * @param {string} config.profile - Edge profile: 'ideal', 'gaussian', 'butterworth' or 'cosine'
+   * @param {number} config.order - Butterworth order n
+   * @param {number} config.transition - Transition width as percentage of the region half-size
+   * @param {Object} config.customMask - Optional hand-drawn { width, height, data } weights replacing the shape
    */
   setRegionConfig(config) {
     this.regionConfig = config;// Store the region configuration for later use during FFT mixing
     console.log('Region config:', config);
   }
 
+  /**
+   * Set one region configuration per processor
+   * Each image is masked with its own region before the spectra are summed,
+   * so one image can feed low frequencies while another feeds high frequencies.
+   * Missing entries fall back to the shared config from setRegionConfig.
+   * @param {Array<Object>} configs - Region configuration per processor (same fields as setRegionConfig)
+   */
+  setRegionConfigs(configs) {
+    this.regionConfigs = configs ? [...configs] : [];
+    console.log('Per-image region configs:', this.regionConfigs);
+  }
+
+  /**
+   * Region configuration used for one processor
+   * @param {number} index - Processor index
+   * @returns {Object|null} Its own config, or the shared one
+   */
+  getRegionConfig(index) {
+    return this.regionConfigs[index] || this.regionConfig;
+  }
+
+  /**
+   * Set the colour mode
+   * - grayscale: mix the grayscale spectrum only (default)
+   * - rgb: mix the R, G and B spectra separately
+   * - ycbcr: mix the Y, Cb and Cr spectra separately
+   * - luminance: mix Y only and carry chroma from the chroma source
+   * @param {string} mode - Colour mode
+   */
+  setColorMode(mode) {
+    const modes = ['grayscale', 'rgb', 'ycbcr', 'luminance'];
+    if (!modes.includes(mode)) {
+      console.warn(`Invalid color mode: ${mode}. Using grayscale.`);
+      this.colorMode = 'grayscale';
+    } else {
+      this.colorMode = mode;
+    }
+    console.log(`Color mode set to: ${this.colorMode}`);
+  }
+
+  /**
+   * Set the chroma used in 'luminance' colour mode
+   * @param {Object} planes - Signed { cb, cr } planes of the source image
+   */
+  setChromaSource(planes) {
+    this.chromaSource = planes;
+  }
+
   // ==================== MIXING ====================
   
   /**
    * Mix the configured processors
+   * Besides the displayable 8-bit image the result keeps, for exporting:
+   *   - realPlanes: pre-normalisation real IFFT values, { gray } or { r, g, b }
+   *   - spectra: mixed complex spectra (fftshifted, interleaved) per mixed channel
    * @returns {Object} Mixed image data with width and height
    * @throws {Error} If no processors or dimension mismatch
    */
@@ -100,43 +226,156 @@ class FourierMixer {
       }
     }
  // 4️⃣ Log the mixing action for debugging purposes
-    console.log(`Mixing ${this.processors.length} images in ${this.mixMode} mode`);
+    console.log(`Mixing ${this.processors.length} images in ${this.mixMode} mode (${this.colorMode})`);
+
+    // Colour modes mix one spectrum per channel
+    if (this.colorMode !== 'grayscale') {
+      return this.mixColor(fftWidth, fftHeight, width, height);
+    }
 
-    let mixedComplexData;
 // 5️⃣ Apply the appropriate mixing method based on the current mode
+    const mixedComplexData = this.mixSpectra(fftWidth, fftHeight);
+
+     // 6️⃣ Perform the inverse FFT to convert back to spatial domain
+    const spatial = this.inverseFFT2D(mixedComplexData, fftWidth, fftHeight);
+    const outputImage = this.complexToGrayscale(spatial, fftWidth, fftHeight, width, height);
+
+    return { // 7️⃣ Return the final mixed image with its dimensions
+      imageData: outputImage,
+      width: width,
+      height: height,
+      // Full-precision data for lossless exports
+      realPlanes: { gray: this.extractRealPart(spatial, fftWidth, width, height) },
+      spectra: { gray: mixedComplexData },
+      fftWidth: fftWidth,
+      fftHeight: fftHeight
+    };
+  }
+
+  /**
+   * Mix spectra using the current mix mode
+   * @param {number} fftWidth - FFT width
+   * @param {number} fftHeight - FFT height
+   * @param {Array<FourierTransform>} ffts - One spectrum per processor (defaults to grayscale)
+   * @returns {Float64Array} Mixed complex data
+   */
+  mixSpectra(fftWidth, fftHeight, ffts = this.processors.map(p => p.fft)) {
     if (this.mixMode === 'magnitude-phase') {
       // Mix using magnitude and phase components
-      mixedComplexData = this.mixMagnitudePhase(fftWidth, fftHeight);
+      return this.mixMagnitudePhase(fftWidth, fftHeight, ffts);
+    }
+    // Mix using real and imaginary components
+    return this.mixRealImaginary(fftWidth, fftHeight, ffts);
+  }
+
+  // ==================== COLOUR MIXING ====================
+
+  /**
+   * Mix colour images channel by channel
+   * Every channel goes through the same weights, assignments and region mask
+   * @returns {Object} Mixed image: grayscale imageData (luma), RGB colorData, width, height,
+   *   raw RGB realPlanes and the mixed spectrum of each channel
+   */
+  mixColor(fftWidth, fftHeight, width, height) {
+    const spectra = {};
+
+    // Mix one channel's spectra and return its real spatial values
+    const mixChannel = (channel) => {
+      const ffts = this.processors.map(p => (channel ? p.channelFFTs[channel] : p.fft));
+      ffts.forEach((fft, j) => {
+        if (!fft || fft.fftWidth !== fftWidth || fft.fftHeight !== fftHeight) {
+          throw new Error(`Image ${j + 1} has no ${channel || 'grayscale'} spectrum of matching size`);
+        }
+      });
+      const mixed = this.mixSpectra(fftWidth, fftHeight, ffts);
+      spectra[channel || 'y'] = mixed;
+      const spatial = this.inverseFFT2D(mixed, fftWidth, fftHeight);
+      return this.extractRealPart(spatial, fftWidth, width, height);
+    };
+
+    let colorData;
+    let realPlanes;
+    if (this.colorMode === 'rgb') {
+      // Normalize all three channels together so colour balance is kept
+      const planes = ['r', 'g', 'b'].map(mixChannel);
+      const [r, g, b] = this.normalizePlanes(planes);
+      colorData = ColorSpace.mergeChannels(r, g, b);
+      realPlanes = { r: planes[0], g: planes[1], b: planes[2] };
     } else {
-      // Mix using real and imaginary components
-      mixedComplexData = this.mixRealImaginary(fftWidth, fftHeight);
+      // Luma is mixed like the grayscale image and stretched to 0-255
+      const rawY = mixChannel(null);
+      const [y] = this.normalizePlanes([rawY]);
+      let cb;
+      let cr;
+      if (this.colorMode === 'ycbcr') {
+        cb = mixChannel('cb');
+        cr = mixChannel('cr');
+      } else {
+        // 'luminance' - chroma is carried unchanged from the selected source
+        if (!this.chromaSource || this.chromaSource.cb.length !== width * height) {
+          throw new Error('Chroma source missing or of different size');
+        }
+        cb = this.chromaSource.cb;
+        cr = this.chromaSource.cr;
+      }
+      colorData = ColorSpace.ycbcrToRgb(y, cb, cr);
+      // Raw values are exported as RGB so every colour mode saves the same way
+      realPlanes = ColorSpace.ycbcrToRgbPlanes(rawY, cb, cr);
     }
 
-     // 6️⃣ Perform the inverse FFT to convert back to spatial domain
-    const outputImage = this.performIFFT(
-      mixedComplexData, // mixed complex data from frequency domain
-      fftWidth,         // width in frequency domain
-      fftHeight,        // height in frequency domain
-      width,            // final output image width
-      height            // final output image height
-    );
-    return { // 7️⃣ Return the final mixed image with its dimensions
-      imageData: outputImage,
+    return {
+      imageData: ColorSpace.rgbToLuma(colorData),
+      colorData: colorData,
       width: width,
-      height: height
+      height: height,
+      realPlanes: realPlanes,
+      spectra: spectra,
+      fftWidth: fftWidth,
+      fftHeight: fftHeight
     };
   }
 
+  /**
+   * Stretch planes to 0-255 using one shared min/max
+   * @param {Array<Float64Array>} planes - Real-valued planes
+   * @returns {Array<Float64Array>} Planes scaled to 0-255 (mid-gray if flat)
+   */
+  normalizePlanes(planes) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const plane of planes) {
+      for (let i = 0; i < plane.length; i++) {
+        if (plane[i] < min) min = plane[i];
+        if (plane[i] > max) max = plane[i];
+      }
+    }
+
+    const range = max - min;
+    return planes.map(plane => {
+      const scaled = new Float64Array(plane.length);
+      if (range === 0 || !isFinite(range)) {
+        scaled.fill(128);
+        return scaled;
+      }
+      for (let i = 0; i < plane.length; i++) {
+        scaled[i] = ((plane[i] - min) / range) * 255;
+      }
+      return scaled;
+    });
+  }
+
   // ==================== MAGNITUDE/PHASE MIXING ====================
   
   /**
    * Mix using magnitude and phase components
    * Uses weighted average for magnitude and circular mean for phase
+   * Magnitude uses each image's primary weight, phase its secondary weight
    * @param {number} fftWidth - FFT width
    * @param {number} fftHeight - FFT height
+   * @param {Array<FourierTransform>} ffts - One spectrum per processor (defaults to grayscale)
    * @returns {Float64Array} Mixed complex data
    */
-  mixMagnitudePhase(fftWidth, fftHeight) {
+  mixMagnitudePhase(fftWidth, fftHeight, ffts = this.processors.map(p => p.fft)) {
     const size = fftWidth * fftHeight;// Total number of frequency components in the FFT
     const mixedComplex = new Float64Array(size * 2); // Create output array for mixed FFT data
     // Each frequency has a real and imaginary part, so size * 2
@@ -144,35 +383,27 @@ class FourierMixer {
     console.log('Mixing Magnitude/Phase mode');
 
 
-    // Create region mask if region filtering is enabled
-    // regionMask[i] = true if this frequency should be included
-    const regionMask = this.regionConfig && this.regionConfig.enabled
-      ? this.createRegionMask(fftWidth, fftHeight)
-      : null;
+    // Create one region mask per image (null = no filtering for that image)
+    // regionMasks[j][i] = weight (0-1) image j's frequency i is kept with
+    const regionMasks = this.createRegionMasks(fftWidth, fftHeight, ffts.length);
 
     // Loop through all frequency components
     for (let i = 0; i < size; i++) {
-
-      // If region filtering is enabled, skip frequencies outside the selected region
-      if (regionMask && !regionMask[i]) {
-        // Outside selected region - set to zero
-        mixedComplex[i * 2] = 0; // Real part = 0
-        mixedComplex[i * 2 + 1] = 0; // imag part = 0
-        continue;   // Skip to next frequency
-      }
-
       let mixedMagnitude = 0;// Weighted sum of magnitudes
       let sumCosPhase = 0;  // Sum of cosines of phases (for circular mean)
       let sumSinPhase = 0;
 
-      
-
       // Loop through all processors (images) to accumulate their contribution
       for (let j = 0; j < this.processors.length; j++) {
-        const fft = this.processors[j].fft;// FFT data of current image
-        const weight = this.weights[j];  // Weight for current image
+        // Each image is attenuated by its own region before summing
+        const maskWeight = regionMasks[j] ? regionMasks[j][i] : 1;
+        if (maskWeight === 0) continue;// Outside this image's region
+
+        const fft = ffts[j];// FFT data of current image
+        const magnitudeWeight = this.weights[j].primary * maskWeight; // Magnitude weight for current image
+        const phaseWeight = this.weights[j].secondary * maskWeight;   // Phase weight for current image
 
-        if (weight === 0) continue;// Skip if weight is zero
+        if (magnitudeWeight === 0 && phaseWeight === 0) continue;// Skip if image contributes nothing
 
         const real = fft.complexData[i * 2];// Real part of this frequency
         const imag = fft.complexData[i * 2 + 1];
@@ -180,18 +411,18 @@ class FourierMixer {
         const magnitude = Math.sqrt(real * real + imag * imag);
         const phase = Math.atan2(imag, real);
 
-        mixedMagnitude += magnitude * weight;// Accumulate weighted magnitude
+        mixedMagnitude += magnitude * magnitudeWeight;// Accumulate weighted magnitude
 
         // Accumulate weighted cosine and sine for circular mean of phase
-        sumCosPhase += Math.cos(phase) * weight;
-        sumSinPhase += Math.sin(phase) * weight;
+        sumCosPhase += Math.cos(phase) * phaseWeight;
+        sumSinPhase += Math.sin(phase) * phaseWeight;
       }
 
        // Compute circular mean of phase for this frequency
       // atan2(sumSin, sumCos) gives the average phase taking angle wrap-around into account
       const mixedPhase = Math.atan2(sumSinPhase, sumCosPhase);
 
-      // Convert back to complex form
+      // Convert back to complex form (magnitudes already attenuated by each region mask)
       const real = mixedMagnitude * Math.cos(mixedPhase);
       const imag = mixedMagnitude * Math.sin(mixedPhase);
 
@@ -207,11 +438,13 @@ class FourierMixer {
   /**
    * Mix using real and imaginary components
    * Uses simple weighted average
+   * Real uses each image's primary weight, imaginary its secondary weight
    * @param {number} fftWidth - FFT width
    * @param {number} fftHeight - FFT height
+   * @param {Array<FourierTransform>} ffts - One spectrum per processor (defaults to grayscale)
    * @returns {Float64Array} Mixed complex data
    */
-mixRealImaginary(fftWidth, fftHeight) {
+mixRealImaginary(fftWidth, fftHeight, ffts = this.processors.map(p => p.fft)) {
   // Total number of frequency components
   const size = fftWidth * fftHeight;
 
@@ -221,39 +454,35 @@ mixRealImaginary(fftWidth, fftHeight) {
   // Log to console for debugging
   console.log('Mixing Real/Imaginary mode');
 
-  // Create region mask if region filtering is enabled
-  // regionMask[i] = true → include frequency, false → exclude
-  const regionMask = this.regionConfig && this.regionConfig.enabled
-    ? this.createRegionMask(fftWidth, fftHeight)
-    : null;
+  // Create one region mask per image (null = no filtering for that image)
+  // regionMasks[j][i] = weight (0-1) image j's frequency i is kept with, 0 → exclude
+  const regionMasks = this.createRegionMasks(fftWidth, fftHeight, ffts.length);
 
   // Loop over all frequency components
   for (let i = 0; i < size; i++) {
-    // Skip frequencies outside selected region
-    if (regionMask && !regionMask[i]) {
-      mixedComplex[i * 2] = 0;       // real part = 0
-      mixedComplex[i * 2 + 1] = 0;   // imag part = 0
-      continue;
-    }
-
     // Initialize accumulators for real and imaginary parts
     let mixedReal = 0;
     let mixedImag = 0;
 
     // Loop over all image processors
     for (let j = 0; j < this.processors.length; j++) {
-      const fft = this.processors[j].fft; // Get FFT data of the j-th processor
-      const weight = this.weights[j];     // Weight for this processor
+      // Skip frequencies outside this image's region
+      const maskWeight = regionMasks[j] ? regionMasks[j][i] : 1;
+      if (maskWeight === 0) continue;
+
+      const fft = ffts[j];                   // Get FFT data of the j-th processor
+      const realWeight = this.weights[j].primary * maskWeight;   // Real weight for this processor
+      const imagWeight = this.weights[j].secondary * maskWeight; // Imaginary weight for this processor
 
-      // Skip if weight is zero
-      if (weight === 0) continue;
+      // Skip if this processor contributes nothing
+      if (realWeight === 0 && imagWeight === 0) continue;
 
       // Add weighted real and imaginary values
-      mixedReal += fft.complexData[i * 2] * weight;       // Real part
-      mixedImag += fft.complexData[i * 2 + 1] * weight;  // Imaginary part
+      mixedReal += fft.complexData[i * 2] * realWeight;       // Real part
+      mixedImag += fft.complexData[i * 2 + 1] * imagWeight;  // Imaginary part
     }
 
-    // Store the mixed values back to the complex array
+    // Store the mixed values back to the complex array (already attenuated per image)
     mixedComplex[i * 2] = mixedReal;
     mixedComplex[i * 2 + 1] = mixedImag;
   }
@@ -264,52 +493,143 @@ mixRealImaginary(fftWidth, fftHeight) {
 
 
   // ==================== REGION SELECTION ====================
+
+  /**
+   * Create the region mask of every processor
+   * Images sharing an identical config share one mask.
+   * A hand-drawn mask (config.customMask, see SpectralMask) is used as-is
+   * in place of the generated shape mask.
+   * @param {number} width - FFT width
+   * @param {number} height - FFT height
+   * @param {number} count - Number of processors
+   * @returns {Array<Float32Array|null>} Mask per processor, null where filtering is disabled
+   */
+  createRegionMasks(width, height, count) {
+    const cache = new Map();
+    const masks = [];
+    for (let j = 0; j < count; j++) {
+      const config = this.getRegionConfig(j);
+      if (!config || !config.enabled) {
+        masks.push(null);
+        continue;
+      }
+      if (config.customMask) {
+        const custom = config.customMask;
+        if (custom.width === width && custom.height === height) {
+          masks.push(custom.data);
+        } else {
+          // Drawn for a different image size - ignore rather than misplace frequencies
+          console.warn(`Custom mask of image ${j + 1} is ${custom.width}x${custom.height}, expected ${width}x${height}; ignoring it`);
+          masks.push(null);
+        }
+        continue;
+      }
+      const key = JSON.stringify(config);
+      if (!cache.has(key)) {
+        cache.set(key, this.createRegionMask(width, height, config));
+      }
+      masks.push(cache.get(key));
+    }
+    return masks;
+  }
   
   /**
-   * Create a mask for region selection (inner or outer frequencies)
+   * Create a weight map for region selection (inner, outer or band frequencies)
+   *
+   * Distance from the center is measured relative to the region edge, so r = 1 on the edge:
+   *   - rectangle: r = max(|dx| / halfWidth, |dy| / halfHeight), halfHeight from sizeY
+   *   - circle:    r = sqrt((dx / halfWidth)^2 + (dy / halfHeight)^2) with one radius
+   *                (a circle in normalized frequency, stretched on non-square images)
+   *   - ellipse:   same as circle but with separate horizontal (size) and vertical (sizeY) radii
+   * The inner (low-pass) weight for each profile is:
+   *   - ideal:       1 if r <= 1, else 0 (hard edge)
+   *   - gaussian:    1 if r <= 1, else exp(-((r - 1) / sigma)^2 / 2), sigma = transition / 2
+   *   - butterworth: 1 / (1 + r^(2n)), n = order (0.5 on the edge)
+   *   - cosine:      raised-cosine taper from 1 to 0 across a band of width transition,
+   *                  centered on the edge
+   * The outer (high-pass) weight is 1 - inner weight.
+   * The band-pass weight is inner(size) - inner(innerSize): an annulus between the two edges.
+   *
+   * Off-centre regions (offsetX/offsetY) are mirrored through DC: every frequency takes
+   * the distance to the nearer of the region and its conjugate twin at (-dx, -dy), so the
+   * mask is conjugate-symmetric and the mixed image stays real.
+   *
    * @param {number} width - FFT width
    * @param {number} height - FFT height
-   * @returns {Uint8Array} Binary mask (1 = include, 0 = exclude)
+   * @param {Object} config - Region configuration (defaults to the shared one)
+   * @returns {Float32Array} Weight map (1 = include, 0 = exclude, in between = attenuate)
    */
-  createRegionMask(width, height) {
+  createRegionMask(width, height, config = this.regionConfig) {
     // Initialize mask array with all zeros (size = width * height)
-    const mask = new Uint8Array(width * height);
+    const mask = new Float32Array(width * height);
     // Determine the center coordinates of the FFT
     const centerX = Math.floor(width / 2);
     const centerY = Math.floor(height / 2);
-    
-    // Calculate the size of the selection region based on percentage
-    const regionPercent = this.regionConfig.size / 100; // convert 0-100% to 0-1
-    const regionWidth = Math.floor(width * regionPercent / 2);// half-width of rectangle
-    const regionHeight = Math.floor(height * regionPercent / 2);
-
-    // The rectangle is centered at (centerX, centerY)
-    // Half-width/height because we'll compare distances from center
-
-    console.log('Creating region mask:', {
-      type: this.regionConfig.type,
-      size: this.regionConfig.size,
-      regionWidth,
-      regionHeight
-    });
+
+    // Shape settings (older configs without them behave as a rectangle)
+    const shape = config.shape || 'rectangle';
+    const type = config.type;
+    const size = config.size;
+    // Rectangles and ellipses can have a separate vertical extent, circles cannot
+    const sizeY = shape === 'circle' ? size : (config.sizeY || size);
+    // Region centre relative to DC in bins (percentages of the FFT size)
+    const offsetX = (width * (config.offsetX || 0)) / 100;
+    const offsetY = (height * (config.offsetY || 0)) / 100;
+    // Inner edge of a band-pass annulus
+    const innerSize = Math.min(config.innerSize || 0, size);
+
+    // Profile settings (older configs without them behave as 'ideal')
+    const profile = config.profile || 'ideal';
+    const order = config.order || 2;
+    // Transition width as a fraction of the region half-size
+    const transition = Math.max(0.01, (config.transition || 20) / 100);
+
+    const outerEdge = this.regionHalfSizes(width, height, size, sizeY);
+    const innerEdge = type === 'band' && innerSize > 0
+      ? this.regionHalfSizes(width, height, innerSize, (innerSize * sizeY) / size)
+      : null;
+
+    // Distance to the nearer of the region and its mirror image through DC
+    // The mirror uses the conjugate bin, which wraps onto itself at the Nyquist row/column
+    const mirroredDistance = (dx, dy, edge) => {
+      const mx = -dx > width - 1 - centerX ? -dx - width : -dx;
+      const my = -dy > height - 1 - centerY ? -dy - height : -dy;
+      return Math.min(
+        this.regionDistance(Math.abs(dx - offsetX), Math.abs(dy - offsetY), edge, shape),
+        this.regionDistance(Math.abs(mx - offsetX), Math.abs(my - offsetY), edge, shape)
+      );
+    };
 
     // Loop through all FFT coordinates (x = column, y = row)
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
         const idx = y * width + x;
-        
-        // Distance from center
-        const dx = Math.abs(x - centerX);
-        const dy = Math.abs(y - centerY);
-        
-        // Check if this coordinate is inside the rectangle region
-        const insideRect = dx <= regionWidth && dy <= regionHeight;
-        
+        const dx = x - centerX;
+        const dy = y - centerY;
+
+        // Low-pass weight for the outer edge of the region
+        const inner = this.regionProfileWeight(
+          mirroredDistance(dx, dy, outerEdge),
+          profile,
+          order,
+          transition
+        );
+
         // Set mask based on region type
-        if (this.regionConfig.type === 'inner') {// Inner: include frequencies inside rectangle
-          mask[idx] = insideRect ? 1 : 0;
-        } else {// Outer: include frequencies outside rectangle
-          mask[idx] = insideRect ? 0 : 1;
+        if (type === 'band') {// Band: keep frequencies between the inner and outer edges
+          const hole = innerEdge
+            ? this.regionProfileWeight(
+                mirroredDistance(dx, dy, innerEdge),
+                profile,
+                order,
+                transition
+              )
+            : 0;
+          mask[idx] = Math.max(0, inner - hole);
+        } else if (type === 'inner') {// Inner: keep frequencies inside the region
+          mask[idx] = inner;
+        } else {// Outer: keep frequencies outside the region
+          mask[idx] = 1 - inner;
         }
       }
     }
@@ -317,6 +637,67 @@ mixRealImaginary(fftWidth, fftHeight) {
     return mask;
   }
 
+  /**
+   * Half-width/height in FFT bins of a region covering a percentage of the spectrum
+   * @param {number} width - FFT width
+   * @param {number} height - FFT height
+   * @param {number} sizeX - Horizontal extent (0-100%)
+   * @param {number} sizeY - Vertical extent (0-100%)
+   * @returns {Object} { halfX, halfY } - at least 1 so distances stay finite
+   */
+  regionHalfSizes(width, height, sizeX, sizeY) {
+    return {
+      halfX: Math.max(1, Math.floor(width * (sizeX / 100) / 2)),
+      halfY: Math.max(1, Math.floor(height * (sizeY / 100) / 2))
+    };
+  }
+
+  /**
+   * Normalized distance of a frequency from the center (1 = on the region edge)
+   * @param {number} dx - Horizontal distance from center in bins
+   * @param {number} dy - Vertical distance from center in bins
+   * @param {Object} edge - { halfX, halfY } half-sizes of the region
+   * @param {string} shape - 'rectangle', 'circle' or 'ellipse'
+   * @returns {number} Distance relative to the edge
+   */
+  regionDistance(dx, dy, edge, shape) {
+    const nx = dx / edge.halfX;
+    const ny = dy / edge.halfY;
+    if (shape === 'rectangle') {
+      return Math.max(nx, ny);
+    }
+    return Math.sqrt(nx * nx + ny * ny);
+  }
+
+  /**
+   * Low-pass weight of a profile at normalized distance r (see createRegionMask)
+   * @param {number} r - Distance relative to the region edge (1 = edge)
+   * @param {string} profile - 'ideal', 'gaussian', 'butterworth' or 'cosine'
+   * @param {number} order - Butterworth order
+   * @param {number} transition - Transition width as a fraction of the half-size
+   * @returns {number} Weight between 0 and 1
+   */
+  regionProfileWeight(r, profile, order, transition) {
+    switch (profile) {
+      case 'gaussian': {
+        if (r <= 1) return 1;
+        const sigma = transition / 2;
+        const d = (r - 1) / sigma;
+        return Math.exp(-0.5 * d * d);
+      }
+      case 'butterworth':
+        return 1 / (1 + Math.pow(r, 2 * order));
+      case 'cosine': {
+        const start = 1 - transition / 2;
+        if (r <= start) return 1;
+        if (r >= 1 + transition / 2) return 0;
+        return 0.5 * (1 + Math.cos((Math.PI * (r - start)) / transition));
+      }
+      default:
+        return r <= 1 ? 1 : 0;
+    }
+  }
+
   // ==================== INVERSE FFT ====================
   
   /**
@@ -336,9 +717,10 @@ mixRealImaginary(fftWidth, fftHeight) {
      // Create a new array to store the shifted data
     const shifted = new Float64Array(complexData.length);
 
-     // Half of width and height (used for shifting)
-    const halfW = Math.floor(width / 2);
-    const halfH = Math.floor(height / 2);
+     // Shift amounts that undo fftshift's floor(n / 2) shift
+    // (ceil instead of floor so odd sizes return exactly to the corner)
+    const halfW = Math.ceil(width / 2);
+    const halfH = Math.ceil(height / 2);
 
       // Loop over every frequency point
     for (let y = 0; y < height; y++) {
@@ -367,6 +749,27 @@ performIFFT(complexData, fftWidth, fftHeight, outputWidth, outputHeight) {
   // Log dimensions for debugging
   console.log('Starting IFFT:', { fftWidth, fftHeight, outputWidth, outputHeight });
 
+  const result = this.inverseFFT2D(complexData, fftWidth, fftHeight);
+
+  // Convert complex spatial data to grayscale image (0–255)
+  // This is where the image becomes viewable again
+  return this.complexToGrayscale(
+    result,
+    fftWidth,
+    fftHeight,
+    outputWidth,
+    outputHeight
+  );
+}
+
+/**
+ * Inverse 2D FFT of centred (fftshifted) complex data
+ * @param {Float64Array} complexData - Mixed complex frequency data (DC at center)
+ * @param {number} fftWidth - FFT width
+ * @param {number} fftHeight - FFT height
+ * @returns {Float64Array} Complex spatial-domain result (interleaved)
+ */
+inverseFFT2D(complexData, fftWidth, fftHeight) {
   // IMPORTANT:
   // Before applying IFFT, we must undo the fftshift
   // FFT processing was done with DC component at the center,
@@ -374,8 +777,8 @@ performIFFT(complexData, fftWidth, fftHeight, outputWidth, outputHeight) {
   const shiftedData = this.ifftShift(complexData, fftWidth, fftHeight);
 
   // Create FFT objects for rows and columns
-  const fftRow = new FFT(fftWidth);
-  const fftCol = new FFT(fftHeight);
+  const fftRow = new ArbitraryFFT(fftWidth);
+  const fftCol = new ArbitraryFFT(fftHeight);
 
   // ==================== STEP 1: IFFT on columns ====================
 
@@ -433,15 +836,25 @@ performIFFT(complexData, fftWidth, fftHeight, outputWidth, outputHeight) {
     }
   }
 
-  // Convert complex spatial data to grayscale image (0–255)
-  // This is where the image becomes viewable again
-  return this.complexToGrayscale(
-    result,
-    fftWidth,
-    fftHeight,
-    outputWidth,
-    outputHeight
-  );
+  return result;
+}
+
+/**
+ * Take the real part of a complex spatial result (no normalization)
+ * @param {Float64Array} complexResult - Complex IFFT result
+ * @param {number} fftWidth - FFT width
+ * @param {number} outputWidth - Output width
+ * @param {number} outputHeight - Output height
+ * @returns {Float64Array} Real values, one per pixel
+ */
+extractRealPart(complexResult, fftWidth, outputWidth, outputHeight) {
+  const realValues = new Float64Array(outputWidth * outputHeight);
+  for (let y = 0; y < outputHeight; y++) {
+    for (let x = 0; x < outputWidth; x++) {
+      realValues[y * outputWidth + x] = complexResult[(y * fftWidth + x) * 2];
+    }
+  }
+  return realValues;
 }
 
 /**
@@ -528,6 +941,17 @@ complexToGrayscale(complexResult, fftWidth, fftHeight, outputWidth, outputHeight
 
 
   // ==================== UTILITY ====================
+
+  /**
+   * Get the component names fed by 'primary' and 'secondary' in a mode
+   * @param {string} mode - 'magnitude-phase' or 'real-imaginary'
+   * @returns {Object} { primary, secondary } component names
+   */
+  static getComponentNames(mode) {
+    return mode === 'real-imaginary'
+      ? { primary: 'real', secondary: 'imaginary' }
+      : { primary: 'magnitude', secondary: 'phase' };
+  }
   
   /**
    * Check if mixing is possible
@@ -552,8 +976,11 @@ complexToGrayscale(complexResult, fftWidth, fftHeight, outputWidth, outputHeight
   getConfig() {
     return {
       mixMode: this.mixMode,
-      weights: [...this.weights],
+      weights: this.weights.map(w => ({ ...w })),
+      componentAssignments: [...this.componentAssignments],
       regionConfig: this.regionConfig ? { ...this.regionConfig } : null,
+      regionConfigs: this.regionConfigs.map(config => (config ? { ...config } : null)),
+      colorMode: this.colorMode,
       processorCount: this.processors.length
     };
   }
@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+import FourierMixer from './FourierMixer';
+
+describe('FourierMixer weights', () => {
+  let mixer;
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mixer = new FourierMixer();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('normalizes each component to sum to 1', () => {
+    mixer.setWeights([{ primary: 3, secondary: 1 }, { primary: 1, secondary: 1 }]);
+    expect(mixer.weights).toEqual([{ primary: 0.75, secondary: 0.5 }, { primary: 0.25, secondary: 0.5 }]);
+  });
+
+  test('a processor only counts towards the component it is assigned to', () => {
+    mixer.setWeights([1, 1, 2]);
+    mixer.setComponentAssignments(['primary', 'both', 'secondary']);
+    expect(mixer.weights).toEqual([
+      { primary: 0.5, secondary: 0 },
+      { primary: 0.5, secondary: 1 / 3 },
+      { primary: 0, secondary: 2 / 3 }
+    ]);
+  });
+
+  test('zero weights share equally among the processors feeding that component', () => {
+    mixer.setWeights([0, 0, 0]);
+    mixer.setComponentAssignments(['primary', 'primary', 'secondary']);
+    expect(mixer.weights).toEqual([
+      { primary: 0.5, secondary: 0 },
+      { primary: 0.5, secondary: 0 },
+      { primary: 0, secondary: 1 }
+    ]);
+  });
+
+  test('a component nobody feeds gets no weight', () => {
+    mixer.setWeights([1, 1]);
+    mixer.setComponentAssignments(['primary', 'primary']);
+    expect(mixer.weights.map(w => w.secondary)).toEqual([0, 0]);
+  });
+});
+
+describe('FourierMixer region mask profiles', () => {
+  let mixer;
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mixer = new FourierMixer();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  // 20x20 spectrum, centre (10, 10), half-size 5: the edge is at x = 15 on the centre row
+  const row = (config) => {
+    mixer.setRegionConfig({ type: 'inner', size: 50, ...config });
+    const mask = mixer.createRegionMask(20, 20);
+    return Array.from(mask.subarray(10 * 20, 11 * 20));
+  };
+
+  test('ideal is a hard edge', () => {
+    const values = row({ profile: 'ideal' });
+    expect(values[10]).toBe(1);
+    expect(values[15]).toBe(1);
+    expect(values[16]).toBe(0);
+  });
+
+  test('butterworth and cosine pass half on the edge', () => {
+    expect(row({ profile: 'butterworth', order: 2 })[15]).toBeCloseTo(0.5);
+    expect(row({ profile: 'cosine', transition: 20 })[15]).toBeCloseTo(0.5);
+  });
+
+  test('gaussian keeps the inside and falls off monotonically outside', () => {
+    const values = row({ profile: 'gaussian', transition: 40 });
+    expect(values.slice(5, 16).every(v => v === 1)).toBe(true);
+    for (let x = 16; x < 20; x++) {
+      expect(values[x]).toBeLessThan(values[x - 1]);
+    }
+  });
+
+  test('outer is the complement of inner', () => {
+    const inner = row({ profile: 'butterworth', order: 3 });
+    const outer = row({ type: 'outer', profile: 'butterworth', order: 3 });
+    inner.forEach((v, x) => expect(outer[x]).toBeCloseTo(1 - v));
+  });
+});
+
+describe('FourierMixer region shapes', () => {
+  let mixer;
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mixer = new FourierMixer();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  // Ideal mask value at (x, y) of a 20x20 spectrum (centre (10, 10))
+  const at = (config, x, y) => {
+    mixer.setRegionConfig({ type: 'inner', size: 50, profile: 'ideal', ...config });
+    return mixer.createRegionMask(20, 20)[y * 20 + x];
+  };
+
+  test('a circle drops the corners a rectangle keeps', () => {
+    expect(at({ shape: 'rectangle' }, 14, 14)).toBe(1);
+    expect(at({ shape: 'circle' }, 14, 14)).toBe(0);
+    expect(at({ shape: 'circle' }, 15, 10)).toBe(1);
+  });
+
+  test('an ellipse has separate horizontal and vertical radii', () => {
+    const ellipse = { shape: 'ellipse', sizeY: 20 };
+    expect(at(ellipse, 13, 10)).toBe(1);
+    expect(at(ellipse, 10, 13)).toBe(0);
+  });
+
+  test('a band keeps only the annulus between innerSize and size', () => {
+    const band = { shape: 'circle', type: 'band', innerSize: 20 };
+    expect(at(band, 10, 10)).toBe(0);
+    expect(at(band, 11, 10)).toBe(0);
+    expect(at(band, 13, 10)).toBe(1);
+    expect(at(band, 17, 10)).toBe(0);
+  });
+});
+
+describe('FourierMixer per-image regions', () => {
+  let mixer;
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mixer = new FourierMixer();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const lowPass = { enabled: true, type: 'inner', size: 50 };
+  const highPass = { enabled: true, type: 'outer', size: 50 };
+
+  test('each processor gets the mask of its own region', () => {
+    mixer.setRegionConfigs([lowPass, highPass, { ...lowPass, enabled: false }]);
+    const [low, high, off] = mixer.createRegionMasks(20, 20, 3);
+    expect(low[10 * 20 + 10]).toBe(1);
+    expect(high[10 * 20 + 10]).toBe(0);
+    expect(off).toBeNull();
+  });
+
+  test('identical regions share one mask', () => {
+    mixer.setRegionConfigs([lowPass, { ...lowPass }]);
+    const [first, second] = mixer.createRegionMasks(20, 20, 2);
+    expect(second).toBe(first);
+  });
+
+  test('missing entries fall back to the shared region', () => {
+    mixer.setRegionConfig(highPass);
+    mixer.setRegionConfigs([lowPass]);
+    expect(mixer.getRegionConfig(0)).toBe(lowPass);
+    expect(mixer.getRegionConfig(1)).toBe(highPass);
+  });
+});
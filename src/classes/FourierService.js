@@ -0,0 +1,177 @@
+// FourierService.js - Asynchronous front end for FFT and mixing
+// Sends the heavy math to fourier.worker.js and resolves with the results,
+// so React handlers never block the main thread.
+// Falls back to computing in-thread when Web Workers are unavailable.
+
+import FourierTransform from './FourierTransform';
+import FourierMixer from './FourierMixer';
+
+class FourierService {
+  constructor() {
+    this.worker = null;            // Lazily created Web Worker
+    this.pending = new Map();      // requestId -> { resolve, reject }
+    this.nextRequestId = 1;
+    this.workerFailed = false;     // Set once the worker fails, later work runs in-thread
+  }
+
+  // ==================== WORKER MANAGEMENT ====================
+
+  /**
+   * Check whether computations can run in a Web Worker
+   * @returns {boolean} True if the Worker API exists and the worker has not failed
+   */
+  isWorkerSupported() {
+    return typeof Worker !== 'undefined' && !this.workerFailed;
+  }
+
+  /**
+   * Get the worker, creating it on first use
+   * @returns {Worker} The FFT/mixing worker
+   */
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('../workers/fourier.worker.js', import.meta.url));
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (event) => this.handleWorkerError(event);
+    }
+    return this.worker;
+  }
+
+  /**
+   * The worker failed to load or threw outside a request handler
+   * Every outstanding request is rejected (nothing would ever answer it) and the
+   * worker is dropped, so later computations fall back to the main thread
+   * @param {ErrorEvent} event - The worker's error event
+   */
+  handleWorkerError(event) {
+    console.error('Fourier worker error:', event.message);
+
+    const error = new Error(`Fourier worker failed: ${event.message || 'unknown error'}`);
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerFailed = true;
+  }
+
+  /**
+   * Send a request to the worker
+   * @param {string} type - Request type ('fft', 'mix' or 'release')
+   * @param {Object} payload - Request data
+   * @param {Array<ArrayBuffer>} transfer - Buffers to transfer instead of copy
+   * @returns {Promise<*>} Resolves with the worker's result
+   */
+  request(type, payload, transfer = []) {
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(requestId, { resolve, reject });
+      this.getWorker().postMessage({ requestId, type, payload }, transfer);
+    });
+  }
+
+  /**
+   * Resolve or reject the pending request a worker message answers
+   * @param {Object} message - { requestId, result } or { requestId, error }
+   */
+  handleMessage({ requestId, result, error }) {
+    const request = this.pending.get(requestId);
+    if (!request) return;
+    this.pending.delete(requestId);
+
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  // ==================== FFT ====================
+
+  /**
+   * Compute the 2D FFT of a grayscale image (or of one colour channel)
+   * @param {number} processorId - ID of the image the spectrum belongs to
+   * @param {ArrayLike<number>} grayscaleData - Grayscale pixels or channel plane
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {string|null} channel - Colour channel ('r', 'g', 'b', 'cb', 'cr'), null for grayscale
+   * @returns {Promise<FourierTransform>} Transform holding the computed spectrum
+   */
+  async computeFFT(processorId, grayscaleData, width, height, channel = null) {
+    const fft = new FourierTransform(width, height);
+
+    if (!this.isWorkerSupported()) {
+      fft.compute2DFFT(grayscaleData);
+      return fft;
+    }
+
+    // Copy into a Float64Array we own so its buffer can be transferred
+    const grayscale = new Float64Array(grayscaleData);
+    const result = await this.request(
+      'fft',
+      { processorId, grayscale, width, height, channel },
+      [grayscale.buffer]
+    );
+
+    fft.setComputedFFT(result);
+    return fft;
+  }
+
+  /**
+   * Drop the worker's cached spectrum for an image
+   * @param {number} processorId - ID of the image to release
+   */
+  releaseFFT(processorId) {
+    if (!this.isWorkerSupported() || !this.worker) return;
+    this.request('release', { processorId }).catch(() => {});
+  }
+
+  // ==================== MIXING ====================
+
+  /**
+   * Mix the spectra of the given processors
+   * @param {Object} config - Mixing configuration
+   * @param {Array<ImageProcessor>} config.processors - Processors with FFT data
+   * @param {Array<number|Object>} config.weights - Weight(s) per processor
+   * @param {Array<string>} config.componentAssignments - Component each processor feeds
+   * @param {string} config.mixMode - 'magnitude-phase' or 'real-imaginary'
+   * @param {Object} config.regionConfig - Region selection configuration shared by all processors
+   * @param {Array<Object>} config.regionConfigs - Region configuration per processor (overrides regionConfig)
+   * @param {string} config.colorMode - 'grayscale', 'rgb', 'ycbcr' or 'luminance'
+   * @param {Object} config.chroma - Signed { cb, cr } planes for 'luminance' mode
+   * @returns {Promise<Object>} Mixed image data with width and height
+   */
+  async mix({ processors, weights, componentAssignments, mixMode, regionConfig = null, regionConfigs = null, colorMode = 'grayscale', chroma = null }) {
+    if (!this.isWorkerSupported()) {
+      const mixer = new FourierMixer();
+      mixer.setProcessors(processors);
+      mixer.setWeights(weights);
+      mixer.setComponentAssignments(componentAssignments);
+      mixer.setMixMode(mixMode);
+      mixer.setRegionConfig(regionConfig);
+      mixer.setRegionConfigs(regionConfigs);
+      mixer.setColorMode(colorMode);
+      mixer.setChromaSource(chroma);
+      return mixer.mix();
+    }
+
+    // The worker already holds each image's spectrum, so only IDs are sent
+    return this.request('mix', {
+      processorIds: processors.map(p => p.id),
+      weights,
+      componentAssignments,
+      mixMode,
+      regionConfig,
+      regionConfigs,
+      colorMode,
+      chroma
+    });
+  }
+}
+
+// Shared instance so every viewport talks to the same worker
+const fourierService = new FourierService();
+
+export default fourierService;
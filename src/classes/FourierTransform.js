@@ -1,4 +1,5 @@
-import FFT from 'fft.js';
+// 1D FFT for any length (fft.js for powers of 2, mixed-radix/Bluestein otherwise)
+import ArbitraryFFT from './ArbitraryFFT';
 
 class FourierTransform {
   constructor(width, height) {
@@ -6,14 +7,13 @@ class FourierTransform {
     this.width = width;
     this.height = height;
     
-   // FFT libraries usually require dimensions to be powers of 2
-    // So we compute the next power of 2 for both width and height
-    this.fftWidth = this.nextPowerOf2(width);
-    this.fftHeight = this.nextPowerOf2(height);
+    // The FFT runs at the exact image size (no zero padding),
+    // so the spectrum is the true DFT of the image
+    this.fftWidth = width;
+    this.fftHeight = height;
     this.fftSize = this.fftWidth * this.fftHeight;
     
-    /// These will store the FULL (padded) FFT results
-    // We keep full size because it is required later for mixing
+    // These will store the full FFT results (same size as the image)
     this.complexData = null;    
     // Interleaved complex array: [real, imag, real, imag, ...]
 
@@ -28,11 +28,8 @@ class FourierTransform {
     // Convert input data to Float64 for numerical accuracy
     const data = new Float64Array(grayscaleData);
     
-    // Pad data to power of 2 dimensions using zero padding
-    const paddedData = this.padData(data, this.width, this.height, this.fftWidth, this.fftHeight);
-    
-   // Perform the actual 2D FFT (row-wise then column-wise)
-    const fftResult = this.fft2D(paddedData, this.fftWidth, this.fftHeight);
+   // Perform the actual 2D FFT (row-wise then column-wise) at the exact image size
+    const fftResult = this.fft2D(data, this.fftWidth, this.fftHeight);
     
     
      // Shift the FFT so that the DC component (low frequency)
@@ -56,11 +53,21 @@ class FourierTransform {
     };
   }
 
+  // Adopt a spectrum computed elsewhere (e.g. in the FFT worker)
+  // Expects the same shifted complexData and components compute2DFFT produces
+  setComputedFFT({ complexData, magnitude, phase, real, imaginary }) {
+    this.complexData = complexData;
+    this.magnitude = magnitude;
+    this.phase = phase;
+    this.real = real;
+    this.imaginary = imaginary;
+  }
+
     // Perform a 2D FFT by applying 1D FFTs on rows then columns
   fft2D(data, width, height) {
     // Create FFT instances for rows and columns
-    const fftRow = new FFT(width);
-    const fftCol = new FFT(height);
+    const fftRow = new ArbitraryFFT(width);
+    const fftCol = new ArbitraryFFT(height);
     
     // Allocate array for complex data
     // Each pixel has two values: real and imaginary
@@ -168,7 +175,6 @@ fftShiftComplex(complexData, width, height) {
 
 // Compute all main FFT components from the full complex data
   computeComponents() {
-    // Use full FFT dimensions (not cropped)
     const size = this.fftWidth * this.fftHeight;
     
     // Initialize arrays for each component
@@ -189,59 +195,36 @@ fftShiftComplex(complexData, width, height) {
     }
   }
 
-  // Get magnitude as a displayable image (cropped to original size)
+  // Get magnitude as a displayable image
   getMagnitudeDisplay() {
     if (!this.magnitude) return null;
     
-    // Crop from padded FFT to original image size
-    const cropped = this.cropToOriginalSize(this.magnitude);
-    
     // Apply logarithmic scale to make small details visible
-    const display = new Float64Array(cropped.length);
-    for (let i = 0; i < cropped.length; i++) {
-      display[i] = Math.log(1 + cropped[i]);
+    const display = new Float64Array(this.magnitude.length);
+    for (let i = 0; i < this.magnitude.length; i++) {
+      display[i] = Math.log(1 + this.magnitude[i]);
     }
     
     // Normalize to 0-255 for displaying as image
     return this.normalizeForDisplay(display);
   }
 
-  // Get phase as displayable image (cropped)
+  // Get phase as displayable image
   getPhaseDisplay() {
     if (!this.phase) return null;
-    const cropped = this.cropToOriginalSize(this.phase);
-    return this.normalizeForDisplay(cropped);
+    return this.normalizeForDisplay(this.phase);
   }
 
-  // Get real component as displayable image (cropped)
+  // Get real component as displayable image
   getRealDisplay() {
     if (!this.real) return null;
-    const cropped = this.cropToOriginalSize(this.real);
-    return this.normalizeForDisplay(cropped);
+    return this.normalizeForDisplay(this.real);
   }
 
-  // Get imaginary component as displayable image (cropped)
+  // Get imaginary component as displayable image
   getImaginaryDisplay() {
     if (!this.imaginary) return null;
-    const cropped = this.cropToOriginalSize(this.imaginary);
-    return this.normalizeForDisplay(cropped);
-  }
-
-  // Crop FFT data from padded size to original image size
-  //mngherha hykon fe 7waf soda bsbb en el value lehom 
-  //zero mn el zero padding w fel mixer wel region el coordinates htkon ghlt
-  cropToOriginalSize(data) {
-    const cropped = new Float64Array(this.width * this.height);
-    
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        const srcIdx = y * this.fftWidth + x;  // Index in padded FFT
-        const dstIdx = y * this.width + x;     // Index in cropped array
-        cropped[dstIdx] = data[srcIdx];        // Copy value
-      }
-    }
-    
-    return cropped;
+    return this.normalizeForDisplay(this.imaginary);
   }
 
   // Normalize data to 0-255 range for display
@@ -272,27 +255,6 @@ fftShiftComplex(complexData, width, height) {
     return normalized;
   }
 
-  // Pad data to power-of-2 dimensions (needed for FFT)
-  padData(data, width, height, newWidth, newHeight) {
-    const padded = new Float64Array(newWidth * newHeight);
-    
-    // Copy original data into padded array
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        padded[y * newWidth + x] = data[y * width + x];
-      }
-    }
-    
-    // Remaining values are zero by default
-    return padded;
-  }
-
-  // Find next power of 2 (for padding)
-  nextPowerOf2(n) {
-    if (n <= 1) return 2;
-    return Math.pow(2, Math.ceil(Math.log2(n)));
-  }
-
   // Apply brightness and contrast adjustment to a displayable component
   applyBrightnessContrast(componentData, brightness, contrast) {
     if (!componentData) return null;
@@ -343,6 +305,45 @@ fftShiftComplex(complexData, width, height) {
     return componentData;
   }
 
+  // Get the raw (unnormalised, un-logged) values of one component
+  // Same fftshifted layout as the display views
+  getComponentData(componentType) {
+    switch (componentType) {
+      case 'magnitude':
+        return this.magnitude;
+      case 'phase':
+        return this.phase;
+      case 'real':
+        return this.real;
+      case 'imaginary':
+        return this.imaginary;
+      default:
+        return null;
+    }
+  }
+
+  // Describe how a component's values are laid out and scaled, for exported files
+  getExportMetadata(componentType) {
+    return {
+      component: componentType,
+      width: this.width,
+      height: this.height,
+      fftWidth: this.fftWidth,
+      fftHeight: this.fftHeight,
+      // fftshift: DC at (row floor(H/2), column floor(W/2)),
+      // bin (row, column) is frequency (row - dcRow, column - dcColumn)
+      shift: 'fftshift',
+      dcRow: Math.floor(this.fftHeight / 2),
+      dcColumn: Math.floor(this.fftWidth / 2),
+      // Forward DFT without 1/N scaling: F(0, 0) is the sum of all pixels
+      fftNormalization: 'none',
+      units: componentType === 'phase' ? 'radians (-pi..pi)' : 'grayscale sum (0-255 per pixel)',
+      // The on-screen view applies log(1 + x) to magnitude only, then min-max to 0-255
+      displayScaling: componentType === 'magnitude' ? 'log(1 + magnitude)' : 'linear',
+      displayNormalization: 'min-max'
+    };
+  }
+
   // Check if FFT data exists
   hasFFT() {
     return this.complexData !== null;
@@ -0,0 +1,138 @@
+// HistoryManager.js - Undo/redo history of state snapshots
+// Each entry holds a complete snapshot of the tracked state plus a label for the
+// history list. Undo/redo just move a cursor through the entries, so restoring
+// any point in the history is a single state replacement.
+//
+// Continuous edits (slider drags, region drags) are coalesced: a change with the
+// same key as the newest entry, arriving within COALESCE_WINDOW of the previous
+// one, updates that entry instead of adding a new step.
+
+// Milliseconds between same-key changes that still count as one step
+const COALESCE_WINDOW = 1000;
+
+// Maximum number of entries kept (oldest are dropped first)
+const MAX_ENTRIES = 100;
+
+class HistoryManager {
+  constructor() {
+    this.entries = []; // { label, key, state, time }
+    this.index = -1;   // Entry matching the current state
+  }
+
+  /**
+   * Forget everything (e.g. after a session is opened)
+   */
+  clear() {
+    this.entries = [];
+    this.index = -1;
+  }
+
+  /**
+   * Whether a starting snapshot has been recorded
+   */
+  isEmpty() {
+    return this.entries.length === 0;
+  }
+
+  /**
+   * Snapshot of the current entry
+   * @returns {Object|null} Tracked state, or null before the first record
+   */
+  getCurrentState() {
+    return this.index >= 0 ? this.entries[this.index].state : null;
+  }
+
+  /**
+   * Record the starting state (first entry, nothing to undo to)
+   */
+  init(state, label = 'Initial state') {
+    this.entries = [{ label, key: null, state, time: 0 }];
+    this.index = 0;
+  }
+
+  /**
+   * Record a change
+   * Drops any redo entries, and merges into the newest entry when coalescing
+   * @param {string} label - Text for the history list
+   * @param {Object} state - Snapshot after the change
+   * @param {string} key - Identifies the control being changed (for coalescing)
+   */
+  push(label, state, key) {
+    const now = Date.now();
+    this.entries = this.entries.slice(0, this.index + 1);
+
+    const last = this.entries[this.entries.length - 1];
+    if (last && last.key === key && this.index > 0 && now - last.time < COALESCE_WINDOW) {
+      last.label = label;
+      last.state = state;
+      last.time = now;
+      return;
+    }
+
+    this.entries.push({ label, key, state, time: now });
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+    }
+    this.index = this.entries.length - 1;
+  }
+
+  /**
+   * Replace the current snapshot without adding a step
+   * (for state that appears without a user action, e.g. a viewport mounting)
+   */
+  amend(state) {
+    if (this.index >= 0) {
+      this.entries[this.index].state = state;
+    }
+  }
+
+  canUndo() {
+    return this.index > 0;
+  }
+
+  canRedo() {
+    return this.index < this.entries.length - 1;
+  }
+
+  /**
+   * Step back one entry
+   * @returns {Object|null} State to restore, or null if there is nothing to undo
+   */
+  undo() {
+    return this.canUndo() ? this.goTo(this.index - 1) : null;
+  }
+
+  /**
+   * Step forward one entry
+   * @returns {Object|null} State to restore, or null if there is nothing to redo
+   */
+  redo() {
+    return this.canRedo() ? this.goTo(this.index + 1) : null;
+  }
+
+  /**
+   * Jump to any entry (clicking the history list)
+   * @returns {Object|null} State to restore
+   */
+  goTo(index) {
+    if (index < 0 || index >= this.entries.length) return null;
+    this.index = index;
+    // The next change must start a new step, not coalesce into this one
+    this.entries[index].time = 0;
+    return this.entries[index].state;
+  }
+
+  /**
+   * Entries for the history list
+   * @returns {Array<Object>} { label, isCurrent, isUndone } per entry, oldest first
+   */
+  getEntries() {
+    return this.entries.map((entry, index) => ({
+      label: entry.label,
+      isCurrent: index === this.index,
+      isUndone: index > this.index
+    }));
+  }
+}
+
+export default HistoryManager;
@@ -0,0 +1,73 @@
+/**
+ * @jest-environment node
+ */
+import HistoryManager from './HistoryManager';
+
+describe('HistoryManager', () => {
+  let history;
+  let now;
+  beforeEach(() => {
+    now = 10000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    history = new HistoryManager();
+    history.init({ value: 0 });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('undo and redo move through the snapshots', () => {
+    history.push('one', { value: 1 }, 'a');
+    now += 5000;
+    history.push('two', { value: 2 }, 'b');
+
+    expect(history.undo()).toEqual({ value: 1 });
+    expect(history.undo()).toEqual({ value: 0 });
+    expect(history.canUndo()).toBe(false);
+    expect(history.undo()).toBeNull();
+    expect(history.redo()).toEqual({ value: 1 });
+    expect(history.getEntries().map(entry => entry.isUndone)).toEqual([false, false, true]);
+  });
+
+  test('a new change drops the redo entries', () => {
+    history.push('one', { value: 1 }, 'a');
+    history.undo();
+    history.push('other', { value: 9 }, 'b');
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.getEntries().map(entry => entry.label)).toEqual(['Initial state', 'other']);
+  });
+
+  test('quick changes to the same control coalesce into one step', () => {
+    history.push('weight 10%', { value: 1 }, 'weight');
+    now += 200;
+    history.push('weight 20%', { value: 2 }, 'weight');
+    now += 5000;
+    history.push('weight 30%', { value: 3 }, 'weight');
+
+    expect(history.getEntries().map(entry => entry.label)).toEqual(['Initial state', 'weight 20%', 'weight 30%']);
+  });
+
+  test('jumping to an entry starts a new step on the next change', () => {
+    history.push('weight 10%', { value: 1 }, 'weight');
+    history.goTo(1);
+    now += 100;
+    history.push('weight 20%', { value: 2 }, 'weight');
+
+    expect(history.getEntries()).toHaveLength(3);
+  });
+
+  test('amend replaces the current snapshot without a new step', () => {
+    history.amend({ value: 5 });
+    expect(history.getEntries()).toHaveLength(1);
+    expect(history.getCurrentState()).toEqual({ value: 5 });
+  });
+
+  test('keeps at most 100 entries', () => {
+    for (let i = 1; i <= 150; i++) {
+      now += 5000;
+      history.push(`step ${i}`, { value: i }, `key-${i}`);
+    }
+    const entries = history.getEntries();
+    expect(entries).toHaveLength(100);
+    expect(entries[entries.length - 1].label).toBe('step 150');
+  });
+});
@@ -0,0 +1,815 @@
+// ImageDecoder.js - Decode scientific and high-bit-depth images in plain JavaScript
+// A browser Image + canvas squeezes every file into 8-bit sRGB. These decoders read the
+// samples themselves, so 16-bit, 32-bit and floating-point data keep full precision:
+//   - PNG (16-bit)     : grey, grey+alpha, RGB, RGBA (8-bit PNGs are left to the browser)
+//   - TIFF             : 8/16/32-bit integer or 32/64-bit float samples, strips or tiles,
+//                        uncompressed, LZW, Deflate or PackBits, horizontal predictor
+//   - PGM / PPM (PNM)  : ASCII or binary, maxval up to 65535
+//   - FITS             : primary image or first IMAGE extension, BITPIX 8/16/32/64/-32/-64,
+//                        BZERO/BSCALE applied, flipped so row 0 is the top
+//   - NumPy (.npy)     : bool, (u)int8-64, float32/64 arrays shaped (H, W), (H, W, 1),
+//                        (H, W, 3) or (H, W, 4), C or Fortran order
+//
+// decode() returns the raw sample values; normalize() maps them linearly onto 0-255 as
+// floats (no rounding) so high-bit-depth inputs mix on the same scale as 8-bit ones.
+// Alpha channels are dropped. Only the first image of multi-page / multi-HDU files is read.
+
+// File extensions decoded here (lower case, with the dot)
+const EXTENSIONS = {
+  png: ['.png'],
+  tiff: ['.tif', '.tiff'],
+  pnm: ['.pgm', '.ppm', '.pnm'],
+  fits: ['.fits', '.fit', '.fts'],
+  npy: ['.npy']
+};
+
+// FITS files are made of 2880-byte blocks of 80-character header cards
+const FITS_BLOCK = 2880;
+const FITS_CARD = 80;
+
+// TIFF tags used by the decoder
+const TIFF_TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  photometric: 262,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  planarConfig: 284,
+  predictor: 317,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339
+};
+
+// TIFF field types: byte size of one value
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+class ImageDecoder {
+  /**
+   * Extensions the file dialog should offer, e.g. '.tif,.tiff,...'
+   */
+  static getExtensions() {
+    return Object.values(EXTENSIONS).flat();
+  }
+
+  /**
+   * Which decoder a file name needs (null = leave it to the browser)
+   * @param {string} fileName
+   * @returns {string|null} 'png' | 'tiff' | 'pnm' | 'fits' | 'npy' | null
+   */
+  static getFormat(fileName) {
+    const name = (fileName || '').toLowerCase();
+    const format = Object.keys(EXTENSIONS).find(key =>
+      EXTENSIONS[key].some(extension => name.endsWith(extension))
+    );
+    return format || null;
+  }
+
+  /**
+   * Whether a file may need one of these decoders
+   * @param {File|{name: string}} file
+   */
+  static canDecode(file) {
+    return Boolean(file) && ImageDecoder.getFormat(file.name) !== null;
+  }
+
+  /**
+   * Decode a file's bytes
+   * @param {ArrayBuffer} buffer - Whole file
+   * @param {string} fileName - Used to pick the decoder
+   * @returns {Promise<Object|null>} { width, height, planes: Float64Array[] (1 grey or 3 RGB),
+   *                                   description } - or null for an 8-bit PNG (browser path)
+   * @throws {Error} Unsupported or damaged file
+   */
+  static async decode(buffer, fileName) {
+    const bytes = new Uint8Array(buffer);
+    switch (ImageDecoder.getFormat(fileName)) {
+      case 'png':
+        return ImageDecoder.decodePNG(bytes);
+      case 'tiff':
+        return ImageDecoder.decodeTIFF(bytes);
+      case 'pnm':
+        return ImageDecoder.decodePNM(bytes);
+      case 'fits':
+        return ImageDecoder.decodeFITS(bytes);
+      case 'npy':
+        return ImageDecoder.decodeNPY(bytes);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Map decoded planes linearly onto 0-255, keeping full float precision
+   * One range is shared by all planes so colour balance is kept
+   * Non-finite samples (NaN, blank FITS pixels, infinities) become the minimum
+   * @param {Float64Array[]} planes - From decode()
+   * @returns {Object} { planes: Float32Array[], min, max } - min/max in the file's units
+   */
+  static normalize(planes) {
+    let min = Infinity;
+    let max = -Infinity;
+    planes.forEach(plane => {
+      for (let i = 0; i < plane.length; i++) {
+        const value = plane[i];
+        if (!Number.isFinite(value)) continue;
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    });
+    if (min === Infinity) {
+      min = 0;
+      max = 0;
+    }
+
+    // A constant image maps to 0 rather than dividing by zero
+    const scale = max > min ? 255 / (max - min) : 0;
+    const normalized = planes.map(plane => {
+      const out = new Float32Array(plane.length);
+      for (let i = 0; i < plane.length; i++) {
+        const value = plane[i];
+        out[i] = Number.isFinite(value) ? (value - min) * scale : 0;
+      }
+      return out;
+    });
+
+    return { planes: normalized, min, max };
+  }
+
+  // ==================== PNG (16-bit) ====================
+
+  /**
+   * Decode a 16-bit PNG (8-bit and palette PNGs return null for the browser to load)
+   */
+  static async decodePNG(bytes) {
+    const signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+    if (!signature.every((value, i) => bytes[i] === value)) {
+      throw new Error('Not a PNG file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let header = null;
+    const idat = [];
+    for (let pos = 8; pos + 8 <= bytes.length;) {
+      const length = view.getUint32(pos);
+      const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+      const data = bytes.subarray(pos + 8, pos + 8 + length);
+      if (type === 'IHDR') {
+        header = {
+          width: view.getUint32(pos + 8),
+          height: view.getUint32(pos + 12),
+          bitDepth: data[8],
+          colorType: data[9],
+          interlace: data[12]
+        };
+      } else if (type === 'IDAT') {
+        idat.push(data);
+      } else if (type === 'IEND') {
+        break;
+      }
+      pos += 12 + length;
+    }
+
+    if (!header) throw new Error('PNG has no IHDR chunk');
+    if (header.bitDepth !== 16) return null; // 8-bit or less - the browser decodes it exactly
+    if (header.interlace !== 0) throw new Error('Interlaced 16-bit PNGs are not supported');
+
+    // Samples per pixel by colour type: grey, RGB, grey+alpha, RGBA
+    const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[header.colorType];
+    if (!channels) throw new Error(`PNG colour type ${header.colorType} is not supported`);
+
+    const { width, height } = header;
+    const raw = await ImageDecoder.inflate(ImageDecoder.concat(idat));
+    const bytesPerPixel = channels * 2;
+    const stride = width * bytesPerPixel;
+    if (raw.length < height * (stride + 1)) throw new Error('PNG image data is truncated');
+
+    // Undo the per-row filters (in place, row by row)
+    const pixels = new Uint8Array(height * stride);
+    for (let y = 0; y < height; y++) {
+      const filter = raw[y * (stride + 1)];
+      const source = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+      const row = pixels.subarray(y * stride, (y + 1) * stride);
+      const previous = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+        const up = previous ? previous[i] : 0;
+        const upLeft = previous && i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+        let predicted;
+        switch (filter) {
+          case 0: predicted = 0; break;
+          case 1: predicted = left; break;
+          case 2: predicted = up; break;
+          case 3: predicted = (left + up) >> 1; break;
+          case 4: predicted = ImageDecoder.paeth(left, up, upLeft); break;
+          default: throw new Error(`PNG filter type ${filter} is invalid`);
+        }
+        row[i] = (source[i] + predicted) & 0xff;
+      }
+    }
+
+    // Big-endian 16-bit samples; grey+alpha / RGBA drop the alpha
+    const colorCount = channels >= 3 ? 3 : 1;
+    const planes = Array.from({ length: colorCount }, () => new Float64Array(width * height));
+    for (let i = 0; i < width * height; i++) {
+      for (let c = 0; c < colorCount; c++) {
+        const offset = i * bytesPerPixel + c * 2;
+        planes[c][i] = (pixels[offset] << 8) | pixels[offset + 1];
+      }
+    }
+
+    return { width, height, planes, description: '16-bit PNG' };
+  }
+
+  // Paeth predictor of PNG filter type 4
+  static paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    if (distanceUp <= distanceUpLeft) return up;
+    return upLeft;
+  }
+
+  /**
+   * Inflate a zlib stream (PNG IDAT, TIFF Deflate) with the browser's DecompressionStream
+   * @returns {Promise<Uint8Array>}
+   */
+  static async inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress the image data (no DecompressionStream)');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // Join byte arrays
+  static concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      out.set(part, offset);
+      offset += part.length;
+    });
+    return out;
+  }
+
+  // ==================== TIFF ====================
+
+  /**
+   * Decode the first image of a TIFF file
+   */
+  static async decodeTIFF(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const order = String.fromCharCode(bytes[0], bytes[1]);
+    if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF file');
+    const little = order === 'II';
+    const magic = view.getUint16(2, little);
+    if (magic === 43) throw new Error('BigTIFF files are not supported');
+    if (magic !== 42) throw new Error('Not a TIFF file');
+
+    const tags = ImageDecoder.readTIFFTags(view, view.getUint32(4, little), little);
+    const first = (tag, fallback) => (tags[tag] ? tags[tag][0] : fallback);
+
+    const width = first(TIFF_TAGS.width);
+    const height = first(TIFF_TAGS.height);
+    const samplesPerPixel = first(TIFF_TAGS.samplesPerPixel, 1);
+    const bits = first(TIFF_TAGS.bitsPerSample, 1);
+    const sampleFormat = first(TIFF_TAGS.sampleFormat, 1); // 1 uint, 2 int, 3 float
+    const compression = first(TIFF_TAGS.compression, 1);
+    const photometric = first(TIFF_TAGS.photometric, 1);
+    const planar = first(TIFF_TAGS.planarConfig, 1) === 2;
+    const predictor = first(TIFF_TAGS.predictor, 1);
+
+    if (!width || !height) throw new Error('TIFF has no image size');
+    if (photometric === 3) throw new Error('Palette TIFFs are not supported');
+    if (predictor === 3) throw new Error('TIFF floating-point predictor is not supported');
+    const SampleArray = ImageDecoder.getTIFFSampleArray(bits, sampleFormat);
+
+    // Layout: strips (full-width segments) or tiles, per plane when planar
+    const tiled = Boolean(tags[TIFF_TAGS.tileOffsets]);
+    const segmentWidth = tiled ? first(TIFF_TAGS.tileWidth) : width;
+    const segmentHeight = tiled ? first(TIFF_TAGS.tileLength) : Math.min(height, first(TIFF_TAGS.rowsPerStrip, height));
+    const offsets = tags[tiled ? TIFF_TAGS.tileOffsets : TIFF_TAGS.stripOffsets];
+    const byteCounts = tags[tiled ? TIFF_TAGS.tileByteCounts : TIFF_TAGS.stripByteCounts];
+    if (!offsets || !byteCounts) throw new Error('TIFF has no image data');
+
+    const across = Math.ceil(width / segmentWidth);
+    const down = Math.ceil(height / segmentHeight);
+    const segmentsPerPlane = across * down;
+    const samplesPerSegmentPixel = planar ? 1 : samplesPerPixel;
+
+    // Keep grey (first sample) or RGB (first three) - extra samples such as alpha are dropped
+    const colorCount = photometric === 2 && samplesPerPixel >= 3 ? 3 : 1;
+    const planes = Array.from({ length: colorCount }, () => new Float64Array(width * height));
+    const bytesPerSample = bits / 8;
+
+    for (let index = 0; index < offsets.length; index++) {
+      const plane = planar ? Math.floor(index / segmentsPerPlane) : 0;
+      if (planar && plane >= colorCount) continue;
+      const position = index % segmentsPerPlane;
+      const x0 = (position % across) * segmentWidth;
+      const y0 = Math.floor(position / across) * segmentHeight;
+
+      const rowSamples = segmentWidth * samplesPerSegmentPixel;
+      const rows = tiled ? segmentHeight : Math.min(segmentHeight, height - y0);
+
+      const compressed = bytes.subarray(offsets[index], offsets[index] + byteCounts[index]);
+      const data = await ImageDecoder.decompressTIFF(compressed, compression, rows * rowSamples * bytesPerSample);
+      const row = new SampleArray(rowSamples);
+      const rowView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+      for (let y = 0; y < rows; y++) {
+        const rowStart = y * rowSamples * bytesPerSample;
+        if (rowStart + rowSamples * bytesPerSample > data.length) break; // Truncated segment
+        for (let s = 0; s < rowSamples; s++) {
+          row[s] = ImageDecoder.readTIFFSample(rowView, rowStart + s * bytesPerSample, bits, sampleFormat, little);
+        }
+        // Horizontal differencing: each sample stored as the difference from its left neighbour
+        // (the typed array wraps integer overflow exactly like the encoder did)
+        if (predictor === 2) {
+          for (let s = samplesPerSegmentPixel; s < rowSamples; s++) {
+            row[s] += row[s - samplesPerSegmentPixel];
+          }
+        }
+
+        const imageY = y0 + y;
+        if (imageY >= height) break;
+        for (let x = 0; x < segmentWidth && x0 + x < width; x++) {
+          const target = imageY * width + x0 + x;
+          if (planar) {
+            planes[plane][target] = row[x];
+          } else {
+            for (let c = 0; c < colorCount; c++) {
+              planes[c][target] = row[x * samplesPerPixel + c];
+            }
+          }
+        }
+      }
+    }
+
+    // WhiteIsZero: larger values are darker
+    if (photometric === 0) {
+      const top = sampleFormat === 3 ? 0 : Math.pow(2, bits) - 1;
+      planes.forEach(plane => {
+        for (let i = 0; i < plane.length; i++) plane[i] = top - plane[i];
+      });
+    }
+
+    const kind = { 1: '', 2: ' signed', 3: ' float' }[sampleFormat];
+    return { width, height, planes, description: `${bits}-bit${kind} TIFF` };
+  }
+
+  /**
+   * Read the tags of one IFD: { tag: number[] }
+   */
+  static readTIFFTags(view, ifdOffset, little) {
+    const tags = {};
+    const count = view.getUint16(ifdOffset, little);
+    for (let entry = 0; entry < count; entry++) {
+      const pos = ifdOffset + 2 + entry * 12;
+      const tag = view.getUint16(pos, little);
+      const type = view.getUint16(pos + 2, little);
+      const valueCount = view.getUint32(pos + 4, little);
+      const size = TIFF_TYPE_SIZES[type];
+      if (!size) continue; // Unknown type - not a tag we need
+
+      // Values that fit in 4 bytes are stored in the entry itself
+      const valueOffset = size * valueCount <= 4 ? pos + 8 : view.getUint32(pos + 8, little);
+      const values = [];
+      for (let i = 0; i < valueCount; i++) {
+        const at = valueOffset + i * size;
+        switch (type) {
+          case 3: values.push(view.getUint16(at, little)); break;
+          case 4: values.push(view.getUint32(at, little)); break;
+          case 8: values.push(view.getInt16(at, little)); break;
+          case 9: values.push(view.getInt32(at, little)); break;
+          case 11: values.push(view.getFloat32(at, little)); break;
+          case 12: values.push(view.getFloat64(at, little)); break;
+          case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+          case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+          case 6: values.push(view.getInt8(at)); break;
+          default: values.push(view.getUint8(at));
+        }
+      }
+      tags[tag] = values;
+    }
+    return tags;
+  }
+
+  /**
+   * Typed array holding one row of samples (wraps like the file's integer type)
+   */
+  static getTIFFSampleArray(bits, sampleFormat) {
+    const arrays = {
+      1: { 8: Uint8Array, 16: Uint16Array, 32: Uint32Array },
+      2: { 8: Int8Array, 16: Int16Array, 32: Int32Array },
+      3: { 32: Float32Array, 64: Float64Array }
+    };
+    const SampleArray = arrays[sampleFormat] && arrays[sampleFormat][bits];
+    if (!SampleArray) {
+      throw new Error(`TIFF with ${bits}-bit samples (format ${sampleFormat}) is not supported`);
+    }
+    return SampleArray;
+  }
+
+  // One sample at a byte offset
+  static readTIFFSample(view, offset, bits, sampleFormat, little) {
+    if (sampleFormat === 3) {
+      return bits === 32 ? view.getFloat32(offset, little) : view.getFloat64(offset, little);
+    }
+    const signed = sampleFormat === 2;
+    switch (bits) {
+      case 8: return signed ? view.getInt8(offset) : view.getUint8(offset);
+      case 16: return signed ? view.getInt16(offset, little) : view.getUint16(offset, little);
+      default: return signed ? view.getInt32(offset, little) : view.getUint32(offset, little);
+    }
+  }
+
+  /**
+   * Decompress one strip or tile
+   * @param {number} compression - 1 none, 5 LZW, 8 / 32946 Deflate, 32773 PackBits
+   * @param {number} expectedSize - Decompressed size in bytes
+   */
+  static async decompressTIFF(data, compression, expectedSize) {
+    switch (compression) {
+      case 1:
+        return data;
+      case 5:
+        return ImageDecoder.decodeLZW(data, expectedSize);
+      case 8:
+      case 32946:
+        return ImageDecoder.inflate(data);
+      case 32773:
+        return ImageDecoder.decodePackBits(data);
+      default:
+        throw new Error(`TIFF compression ${compression} is not supported`);
+    }
+  }
+
+  /**
+   * TIFF LZW (MSB-first codes, code width grows one code early)
+   * Dictionary strings are kept as prefix code + last byte, so adding one is O(1) and
+   * each code is written straight into the output by walking its prefix chain backwards
+   * @param {Uint8Array} data - Compressed strip or tile
+   * @param {number} expectedSize - Decompressed size if known (the output grows past it if needed)
+   */
+  static decodeLZW(data, expectedSize = data.length * 4) {
+    const CLEAR = 256;
+    const END = 257;
+    const FIRST_FREE = 258;
+    const MAX_CODES = 4096;
+    const NO_PREFIX = 0xffff;
+
+    // Entry n is prefix[n]'s string followed by suffix[n]; lengths and first bytes are cached
+    const prefix = new Uint16Array(MAX_CODES);
+    const suffix = new Uint8Array(MAX_CODES);
+    const lengths = new Uint16Array(MAX_CODES);
+    const firstByte = new Uint8Array(MAX_CODES);
+    for (let i = 0; i < 256; i++) {
+      prefix[i] = NO_PREFIX;
+      suffix[i] = i;
+      lengths[i] = 1;
+      firstByte[i] = i;
+    }
+
+    let out = new Uint8Array(Math.max(1, expectedSize));
+    let size = 0;
+    const reserve = (count) => {
+      if (size + count <= out.length) return;
+      const grown = new Uint8Array(Math.max(out.length * 2, size + count));
+      grown.set(out.subarray(0, size));
+      out = grown;
+    };
+    // Write a dictionary string at the end of the output (last byte first)
+    const writeEntry = (code) => {
+      const length = lengths[code];
+      reserve(length);
+      for (let pos = size + length - 1; code !== NO_PREFIX; pos--) {
+        out[pos] = suffix[code];
+        code = prefix[code];
+      }
+      size += length;
+    };
+
+    let next = FIRST_FREE;
+    let codeWidth = 9;
+    let bitPos = 0;
+    let previous = -1;
+    const totalBits = data.length * 8;
+
+    while (bitPos + codeWidth <= totalBits) {
+      // Read codeWidth bits, most significant first
+      let code = 0;
+      for (let i = 0; i < codeWidth; i++) {
+        const bit = (data[(bitPos + i) >> 3] >> (7 - ((bitPos + i) & 7))) & 1;
+        code = (code << 1) | bit;
+      }
+      bitPos += codeWidth;
+
+      if (code === END) break;
+      if (code === CLEAR) {
+        next = FIRST_FREE;
+        codeWidth = 9;
+        previous = -1;
+        continue;
+      }
+
+      let first;
+      if (code < next) {
+        writeEntry(code);
+        first = firstByte[code];
+      } else if (code === next && previous !== -1) {
+        // Code defined by this very step: previous string + its own first byte
+        first = firstByte[previous];
+        writeEntry(previous);
+        reserve(1);
+        out[size++] = first;
+      } else {
+        throw new Error('TIFF LZW data is damaged');
+      }
+
+      // New entry: previous string + first byte of this one
+      if (previous !== -1 && next < MAX_CODES) {
+        prefix[next] = previous;
+        suffix[next] = first;
+        lengths[next] = lengths[previous] + 1;
+        firstByte[next] = firstByte[previous];
+        next++;
+      }
+      previous = code;
+
+      // Early change: widen one code before the dictionary fills the current width
+      if (next + 1 >= 1 << codeWidth && codeWidth < 12) codeWidth++;
+    }
+
+    return out.subarray(0, size);
+  }
+
+
+  /**
+   * PackBits run-length decoding
+   */
+  static decodePackBits(data) {
+    const out = [];
+    for (let pos = 0; pos < data.length;) {
+      const header = (data[pos++] << 24) >> 24; // Signed byte
+      if (header >= 0) {
+        for (let i = 0; i <= header && pos < data.length; i++) out.push(data[pos++]);
+      } else if (header !== -128) {
+        const value = data[pos++];
+        for (let i = 0; i <= -header; i++) out.push(value);
+      }
+    }
+    return Uint8Array.from(out);
+  }
+
+  // ==================== PGM / PPM ====================
+
+  /**
+   * Decode a PGM (P2 / P5) or PPM (P3 / P6) image
+   */
+  static decodePNM(bytes) {
+    const magic = String.fromCharCode(bytes[0], bytes[1]);
+    if (!['P2', 'P3', 'P5', 'P6'].includes(magic)) {
+      throw new Error(`Netpbm type ${magic} is not supported (PGM/PPM only)`);
+    }
+    const colorCount = magic === 'P3' || magic === 'P6' ? 3 : 1;
+    const ascii = magic === 'P2' || magic === 'P3';
+
+    // Whitespace-separated header numbers (width, height, maxval), '#' starts a comment
+    let pos = 2;
+    const readNumber = () => {
+      for (;;) {
+        while (pos < bytes.length && /\s/.test(String.fromCharCode(bytes[pos]))) pos++;
+        if (bytes[pos] !== 0x23) break; // '#'
+        while (pos < bytes.length && bytes[pos] !== 0x0a && bytes[pos] !== 0x0d) pos++;
+      }
+      const start = pos;
+      while (pos < bytes.length && bytes[pos] >= 0x30 && bytes[pos] <= 0x39) pos++;
+      if (start === pos) throw new Error('PGM/PPM header is damaged');
+      return parseInt(String.fromCharCode(...bytes.subarray(start, pos)), 10);
+    };
+
+    const width = readNumber();
+    const height = readNumber();
+    const maxValue = readNumber();
+    if (maxValue < 1 || maxValue > 65535) throw new Error('PGM/PPM maxval must be 1-65535');
+
+    const count = width * height;
+    const planes = Array.from({ length: colorCount }, () => new Float64Array(count));
+    if (ascii) {
+      for (let i = 0; i < count; i++) {
+        for (let c = 0; c < colorCount; c++) planes[c][i] = readNumber();
+      }
+    } else {
+      pos++; // Single whitespace byte after maxval
+      const wide = maxValue > 255; // Two bytes per sample, big-endian
+      const sampleBytes = wide ? 2 : 1;
+      if (pos + count * colorCount * sampleBytes > bytes.length) {
+        throw new Error('PGM/PPM image data is truncated');
+      }
+      for (let i = 0; i < count; i++) {
+        for (let c = 0; c < colorCount; c++) {
+          const at = pos + (i * colorCount + c) * sampleBytes;
+          planes[c][i] = wide ? (bytes[at] << 8) | bytes[at + 1] : bytes[at];
+        }
+      }
+    }
+
+    const bitDepth = Math.ceil(Math.log2(maxValue + 1));
+    return { width, height, planes, description: `${bitDepth}-bit ${colorCount === 3 ? 'PPM' : 'PGM'}` };
+  }
+
+  // ==================== FITS ====================
+
+  /**
+   * Decode the primary image of a FITS file, or its first IMAGE extension
+   */
+  static decodeFITS(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    for (let offset = 0; offset < bytes.length;) {
+      const { cards, dataStart } = ImageDecoder.readFITSHeader(bytes, offset);
+      if (offset === 0 && cards.SIMPLE !== true) throw new Error('Not a FITS file');
+
+      const bitpix = cards.BITPIX;
+      const axes = Array.from({ length: cards.NAXIS || 0 }, (_, i) => cards[`NAXIS${i + 1}`]);
+      const sampleCount = axes.length ? axes.reduce((product, size) => product * size, 1) : 0;
+      // Data size per the standard: |BITPIX| / 8 * GCOUNT * (PCOUNT + NAXIS1 * ... * NAXISn)
+      const dataBytes = (Math.abs(bitpix) / 8) * (cards.GCOUNT || 1) * ((cards.PCOUNT || 0) + sampleCount);
+      const isImage = offset === 0 || cards.XTENSION === 'IMAGE';
+
+      if (isImage && axes.length >= 2) {
+        return ImageDecoder.readFITSImage(view, dataStart, cards, axes);
+      }
+
+      // No image here (e.g. empty primary HDU) - skip to the next HDU
+      offset = dataStart + Math.ceil(dataBytes / FITS_BLOCK) * FITS_BLOCK;
+    }
+
+    throw new Error('FITS file has no 2D image');
+  }
+
+  /**
+   * Parse the header cards of one HDU
+   * @returns {Object} { cards: { KEYWORD: value }, dataStart }
+   */
+  static readFITSHeader(bytes, offset) {
+    const cards = {};
+    for (let pos = offset; pos + FITS_CARD <= bytes.length; pos += FITS_CARD) {
+      const card = String.fromCharCode(...bytes.subarray(pos, pos + FITS_CARD));
+      const keyword = card.slice(0, 8).trim();
+      if (keyword === 'END') {
+        const headerEnd = pos + FITS_CARD;
+        return { cards, dataStart: Math.ceil(headerEnd / FITS_BLOCK) * FITS_BLOCK };
+      }
+      if (card.slice(8, 10) !== '= ') continue; // Comment / history cards
+
+      // Value before any '/' comment: 'string', T / F, or a number
+      const text = card.slice(10);
+      const quoted = text.match(/^\s*'((?:[^']|'')*)'/);
+      if (quoted) {
+        cards[keyword] = quoted[1].replace(/''/g, "'").trim();
+      } else {
+        const value = text.split('/')[0].trim();
+        if (value === 'T' || value === 'F') cards[keyword] = value === 'T';
+        else if (value !== '') cards[keyword] = Number(value.replace(/D/i, 'E'));
+      }
+    }
+    throw new Error('FITS header has no END card');
+  }
+
+  /**
+   * Read the first 2D plane (or three planes as RGB) of an image HDU
+   * FITS stores the bottom row first - rows are flipped so row 0 is the top
+   */
+  static readFITSImage(view, dataStart, cards, axes) {
+    const [width, height] = axes;
+    const depth = axes.length > 2 ? axes[2] : 1;
+    const colorCount = depth === 3 ? 3 : 1;
+    const bitpix = cards.BITPIX;
+    const bytesPerSample = Math.abs(bitpix) / 8;
+    const scale = cards.BSCALE !== undefined ? cards.BSCALE : 1;
+    const zero = cards.BZERO !== undefined ? cards.BZERO : 0;
+    const blank = cards.BLANK;
+
+    if (dataStart + width * height * colorCount * bytesPerSample > view.byteLength) {
+      throw new Error('FITS image data is truncated');
+    }
+
+    const read = (at) => {
+      switch (bitpix) {
+        case 8: return view.getUint8(at);
+        case 16: return view.getInt16(at);
+        case 32: return view.getInt32(at);
+        case 64: return Number(view.getBigInt64(at));
+        case -32: return view.getFloat32(at);
+        case -64: return view.getFloat64(at);
+        default: throw new Error(`FITS BITPIX ${bitpix} is not supported`);
+      }
+    };
+
+    const planes = Array.from({ length: colorCount }, () => new Float64Array(width * height));
+    for (let c = 0; c < colorCount; c++) {
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const at = dataStart + ((c * height + y) * width + x) * bytesPerSample;
+          const stored = read(at);
+          const value = bitpix > 0 && stored === blank ? NaN : zero + scale * stored;
+          planes[c][(height - 1 - y) * width + x] = value;
+        }
+      }
+    }
+
+    const kind = bitpix < 0 ? `${-bitpix}-bit float` : `${bitpix}-bit`;
+    return { width, height, planes, description: `${kind} FITS` };
+  }
+
+  // ==================== NUMPY (.npy) ====================
+
+  /**
+   * Decode a NumPy array shaped (H, W), (H, W, 1), (H, W, 3) or (H, W, 4)
+   */
+  static decodeNPY(bytes) {
+    const magic = [0x93, 78, 85, 77, 80, 89]; // \x93NUMPY
+    if (!magic.every((value, i) => bytes[i] === value)) throw new Error('Not a NumPy .npy file');
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const major = bytes[6];
+    const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+    const headerStart = major === 1 ? 10 : 12;
+    const header = String.fromCharCode(...bytes.subarray(headerStart, headerStart + headerLength));
+    const dataStart = headerStart + headerLength;
+
+    const descr = header.match(/'descr'\s*:\s*'([<>|=])?([a-z])(\d+)'/);
+    const fortran = /'fortran_order'\s*:\s*True/.test(header);
+    const shapeMatch = header.match(/'shape'\s*:\s*\(([^)]*)\)/);
+    if (!descr || !shapeMatch) throw new Error('NumPy header is damaged or uses an unsupported dtype');
+
+    const [, endian, kind, sizeText] = descr;
+    const size = parseInt(sizeText, 10);
+    const little = endian !== '>';
+    const shape = shapeMatch[1].split(',').map(part => part.trim()).filter(Boolean).map(Number);
+
+    if (shape.length < 2 || shape.length > 3 || (shape.length === 3 && ![1, 3, 4].includes(shape[2]))) {
+      throw new Error(`NumPy array of shape (${shape.join(', ')}) is not an image - expected (H, W) or (H, W, 3)`);
+    }
+    const [height, width] = shape;
+    const depth = shape.length === 3 ? shape[2] : 1;
+    const colorCount = depth >= 3 ? 3 : 1;
+
+    const read = ImageDecoder.getNPYReader(view, kind, size, little);
+    if (dataStart + height * width * depth * size > bytes.length) {
+      throw new Error('NumPy array data is truncated');
+    }
+
+    const planes = Array.from({ length: colorCount }, () => new Float64Array(width * height));
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (let c = 0; c < colorCount; c++) {
+          // Element (y, x, c) in C (row-major) or Fortran (column-major) order
+          const index = fortran
+            ? y + x * height + c * height * width
+            : (y * width + x) * depth + c;
+          planes[c][y * width + x] = read(dataStart + index * size);
+        }
+      }
+    }
+
+    const dtype = `${{ b: 'bool', u: 'uint', i: 'int', f: 'float' }[kind]}${kind === 'b' ? '' : size * 8}`;
+    return { width, height, planes, description: `NumPy ${dtype}` };
+  }
+
+  /**
+   * Element reader for a NumPy dtype
+   * @returns {Function} (byteOffset) => number
+   */
+  static getNPYReader(view, kind, size, little) {
+    const readers = {
+      b1: at => view.getUint8(at),
+      u1: at => view.getUint8(at),
+      i1: at => view.getInt8(at),
+      u2: at => view.getUint16(at, little),
+      i2: at => view.getInt16(at, little),
+      u4: at => view.getUint32(at, little),
+      i4: at => view.getInt32(at, little),
+      u8: at => Number(view.getBigUint64(at, little)),
+      i8: at => Number(view.getBigInt64(at, little)),
+      f4: at => view.getFloat32(at, little),
+      f8: at => view.getFloat64(at, little)
+    };
+    const reader = readers[`${kind}${size}`];
+    if (!reader) throw new Error(`NumPy dtype ${kind}${size} is not supported`);
+    return reader;
+  }
+}
+
+export default ImageDecoder;
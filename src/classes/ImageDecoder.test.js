@@ -0,0 +1,185 @@
+/**
+ * @jest-environment node
+ */
+import ImageDecoder from './ImageDecoder';
+import ImageExporter from './ImageExporter';
+
+const WIDTH = 7;
+const HEIGHT = 5;
+
+// Values beyond 8 bits, so a lossy path would show
+const VALUES = Float64Array.from({ length: WIDTH * HEIGHT }, (_, i) => i * 1000 + 3);
+
+const toBuffer = (bytes) => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+const ascii = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
+const join = (...parts) => {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+};
+
+/**
+ * Minimal little-endian grey TIFF with one strip
+ */
+const buildTIFF = (strip, width, height, compression, bits = 8) => {
+  const tags = [
+    [256, width], [257, height], [258, bits], [259, compression], [262, 1],
+    [273, 0], [277, 1], [278, height], [279, strip.length]
+  ];
+  const ifdSize = 2 + tags.length * 12 + 4;
+  const file = new Uint8Array(8 + ifdSize + strip.length);
+  const view = new DataView(file.buffer);
+  file.set(ascii('II'), 0);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, tags.length, true);
+  tags.forEach(([tag, value], i) => {
+    const entry = 10 + i * 12;
+    const long = tag === 273 || tag === 279;
+    view.setUint16(entry, tag, true);
+    view.setUint16(entry + 2, long ? 4 : 3, true);
+    view.setUint32(entry + 4, 1, true);
+    if (long) {
+      view.setUint32(entry + 8, tag === 273 ? 8 + ifdSize : value, true);
+    } else {
+      view.setUint16(entry + 8, value, true);
+    }
+  });
+  file.set(strip, 8 + ifdSize);
+  return toBuffer(file);
+};
+
+/**
+ * TIFF-flavoured LZW encoder (MSB-first, early change, clear code when the table fills)
+ */
+const encodeLZW = (input) => {
+  const codes = [];
+  let table;
+  let next;
+  let width;
+  const reset = () => {
+    table = new Map(Array.from({ length: 256 }, (_, i) => [String(i), i]));
+    next = 258;
+    width = 9;
+  };
+  reset();
+  codes.push([256, 9]);
+  let current = '';
+  input.forEach(byte => {
+    const extended = current === '' ? String(byte) : `${current},${byte}`;
+    if (table.has(extended)) {
+      current = extended;
+      return;
+    }
+    codes.push([table.get(current), width]);
+    table.set(extended, next++);
+    if (next > (1 << width) - 1 && width < 12) width++;
+    current = String(byte);
+    if (next === 4094) {
+      codes.push([256, width]);
+      reset();
+    }
+  });
+  codes.push([table.get(current), width]);
+  codes.push([257, width]);
+
+  const out = new Uint8Array(Math.ceil(codes.reduce((sum, [, bits]) => sum + bits, 0) / 8));
+  let bit = 0;
+  codes.forEach(([code, bits]) => {
+    for (let i = bits - 1; i >= 0; i--, bit++) {
+      if ((code >> i) & 1) out[bit >> 3] |= 0x80 >> (bit & 7);
+    }
+  });
+  return out;
+};
+
+const expectValues = (plane, expected) => {
+  expect(plane.length).toBe(expected.length);
+  expected.forEach((value, i) => expect(plane[i]).toBeCloseTo(value, 6));
+};
+
+describe('ImageDecoder', () => {
+  test('knows which files it decodes', () => {
+    expect(ImageDecoder.canDecode({ name: 'scan.FITS' })).toBe(true);
+    expect(ImageDecoder.canDecode({ name: 'data.npy' })).toBe(true);
+    expect(ImageDecoder.canDecode({ name: 'photo.jpg' })).toBe(false);
+  });
+
+  test('float TIFF round trip', async () => {
+    const tiff = ImageExporter.encodeFloatTIFF(WIDTH, HEIGHT, 1, Float32Array.from(VALUES), null);
+    const decoded = await ImageDecoder.decode(toBuffer(tiff), 'a.tif');
+    expect([decoded.width, decoded.height]).toEqual([WIDTH, HEIGHT]);
+    expectValues(decoded.planes[0], VALUES);
+  });
+
+  test('RGB float TIFF keeps three planes', async () => {
+    const samples = Float32Array.from({ length: WIDTH * HEIGHT * 3 }, (_, i) => i * 0.5);
+    const decoded = await ImageDecoder.decode(toBuffer(ImageExporter.encodeFloatTIFF(WIDTH, HEIGHT, 3, samples, null)), 'a.tiff');
+    expect(decoded.planes).toHaveLength(3);
+    expect(decoded.planes[2][4]).toBeCloseTo(samples[4 * 3 + 2], 6);
+  });
+
+  test('LZW TIFF, including a dictionary reset', async () => {
+    const width = 100;
+    const height = 60;
+    const pixels = Array.from({ length: width * height }, (_, i) => ((i >> 4) * 13 + (i % 7)) & 255);
+    const decoded = await ImageDecoder.decode(buildTIFF(encodeLZW(pixels), width, height, 5), 'l.tif');
+    expectValues(decoded.planes[0], pixels);
+  });
+
+  test('PackBits TIFF', async () => {
+    // Run of four 9s, then the literals 5 and 6
+    const decoded = await ImageDecoder.decode(buildTIFF(Uint8Array.from([0xfd, 9, 1, 5, 6]), 6, 1, 32773), 'p.tif');
+    expect(Array.from(decoded.planes[0])).toEqual([9, 9, 9, 9, 5, 6]);
+  });
+
+  test('.npy round trip', async () => {
+    const npy = ImageExporter.encodeNPY(VALUES, [HEIGHT, WIDTH], '<f8');
+    const decoded = await ImageDecoder.decode(toBuffer(npy), 'a.npy');
+    expectValues(decoded.planes[0], VALUES);
+  });
+
+  test('16-bit binary PGM and ASCII PPM', async () => {
+    const body = new Uint8Array(WIDTH * HEIGHT * 2);
+    const view = new DataView(body.buffer);
+    VALUES.forEach((value, i) => view.setUint16(i * 2, value));
+    const pgm = await ImageDecoder.decode(toBuffer(join(ascii(`P5\n# comment\n${WIDTH} ${HEIGHT}\n65535\n`), body)), 'a.pgm');
+    expectValues(pgm.planes[0], VALUES);
+
+    const ppm = await ImageDecoder.decode(toBuffer(ascii('P3 2 1 255 1 2 3 4 5 6')), 'a.ppm');
+    expect(Array.from(ppm.planes[0])).toEqual([1, 4]);
+    expect(Array.from(ppm.planes[2])).toEqual([3, 6]);
+  });
+
+  test('16-bit FITS with BZERO, stored bottom row first', async () => {
+    const card = (text) => text.padEnd(80);
+    const header = [
+      card('SIMPLE  =                    T'),
+      card('BITPIX  =                   16'),
+      card('NAXIS   =                    2'),
+      card(`NAXIS1  = ${String(WIDTH).padStart(20)}`),
+      card(`NAXIS2  = ${String(HEIGHT).padStart(20)}`),
+      card('BZERO   =                32768'),
+      card('END')
+    ].join('').padEnd(2880);
+    const data = new Uint8Array(2880);
+    const view = new DataView(data.buffer);
+    for (let y = 0; y < HEIGHT; y++) {
+      for (let x = 0; x < WIDTH; x++) {
+        view.setInt16(((HEIGHT - 1 - y) * WIDTH + x) * 2, VALUES[y * WIDTH + x] - 32768);
+      }
+    }
+    const decoded = await ImageDecoder.decode(toBuffer(join(ascii(header), data)), 'a.fits');
+    expectValues(decoded.planes[0], VALUES);
+  });
+
+  test('normalize maps the finite range onto 0-255', () => {
+    const { planes, min, max } = ImageDecoder.normalize([Float64Array.from([2, 4, NaN, 6])]);
+    expect([min, max]).toEqual([2, 6]);
+    expect(Array.from(planes[0])).toEqual([0, 127.5, 0, 255]);
+  });
+});
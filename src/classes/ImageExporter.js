@@ -0,0 +1,574 @@
+// ImageExporter.js - Encode mixed outputs to files and download them
+// Everything is encoded in plain JavaScript so full-precision data never
+// passes through an 8-bit canvas:
+//   - PNG (8-bit)   : the image exactly as displayed
+//   - PNG (16-bit)  : pre-normalisation real values stretched to 0-65535
+//   - TIFF (float)  : pre-normalisation real values as 32-bit IEEE floats
+//   - NumPy (.npy)  : real values (float64) or the mixed spectrum (complex128)
+//   - Raw spectrum  : interleaved little-endian float64 re/im pairs
+//
+// Input-viewport FFT components (magnitude/phase/real/imaginary) use the same encoders,
+// with the FFT size, shift convention and display scaling embedded as JSON metadata.
+
+// Export formats offered for an output port
+const OUTPUT_FORMATS = [
+  { value: 'png8', label: 'PNG (8-bit)', extension: 'png' },
+  { value: 'png16', label: 'PNG (16-bit)', extension: 'png' },
+  { value: 'tiff', label: 'TIFF (32-bit float)', extension: 'tif' },
+  { value: 'npy-real', label: 'NumPy real values (.npy)', extension: 'npy' },
+  { value: 'npy-spectrum', label: 'NumPy spectrum (.npy)', extension: 'npy' },
+  { value: 'raw-spectrum', label: 'Raw spectrum (float64)', extension: 'raw' }
+];
+
+// Export formats offered for an input viewport's FFT component
+const COMPONENT_FORMATS = [
+  { value: 'png8', label: 'PNG (as displayed)', extension: 'png' },
+  { value: 'png16', label: 'PNG (16-bit)', extension: 'png' },
+  { value: 'tiff', label: 'TIFF (raw float)', extension: 'tif' },
+  { value: 'npy', label: 'NumPy raw (.npy + .json)', extension: 'npy' }
+];
+
+// CRC-32 lookup table for PNG chunks (built on first use)
+let crcTable = null;
+
+class ImageExporter {
+  /**
+   * Export formats for output ports
+   * @returns {Array<Object>} { value, label, extension } per format
+   */
+  static getOutputFormats() {
+    return OUTPUT_FORMATS;
+  }
+
+  /**
+   * Export formats for input-viewport FFT components
+   * @returns {Array<Object>} { value, label, extension } per format
+   */
+  static getComponentFormats() {
+    return COMPONENT_FORMATS;
+  }
+
+  // ==================== OUTPUT EXPORT ====================
+
+  /**
+   * Encode one mixed output and download it
+   * @param {Object} outputData - Result of FourierMixer.mix()
+   * @param {string} format - One of getOutputFormats() values
+   * @param {string} baseName - File name without extension, e.g. 'fourier-mix-port1'
+   */
+  static async exportOutput(outputData, format, baseName) {
+    const { blob, fileName } = await ImageExporter.encodeOutput(outputData, format, baseName);
+    ImageExporter.download(blob, fileName);
+  }
+
+  /**
+   * Encode one mixed output without downloading it
+   * @returns {Promise<Object>} { blob, fileName }
+   */
+  static async encodeOutput(outputData, format, baseName) {
+    const { width, height } = outputData;
+    const realPlanes = ImageExporter.getPlanes(outputData.realPlanes);
+    const size = `${width}x${height}`;
+
+    switch (format) {
+      case 'png8': {
+        const channels = outputData.colorData ? 3 : 1;
+        const bytes = await ImageExporter.encodePNG(
+          width,
+          height,
+          channels,
+          8,
+          outputData.colorData || outputData.imageData
+        );
+        return { blob: new Blob([bytes], { type: 'image/png' }), fileName: `${baseName}.png` };
+      }
+
+      case 'png16': {
+        const samples = ImageExporter.interleave(ImageExporter.stretchPlanes(realPlanes.planes, 65535));
+        const bytes = await ImageExporter.encodePNG(width, height, realPlanes.planes.length, 16, samples);
+        return { blob: new Blob([bytes], { type: 'image/png' }), fileName: `${baseName}-16bit.png` };
+      }
+
+      case 'tiff': {
+        const samples = Float32Array.from(ImageExporter.interleave(realPlanes.planes));
+        const bytes = ImageExporter.encodeFloatTIFF(width, height, realPlanes.planes.length, samples);
+        return { blob: new Blob([bytes], { type: 'image/tiff' }), fileName: `${baseName}-float.tif` };
+      }
+
+      case 'npy-real': {
+        const shape = realPlanes.planes.length === 1 ? [height, width] : [height, width, realPlanes.planes.length];
+        const bytes = ImageExporter.encodeNPY(ImageExporter.interleave(realPlanes.planes), shape, '<f8');
+        return { blob: new Blob([bytes]), fileName: `${baseName}-real-${size}.npy` };
+      }
+
+      case 'npy-spectrum':
+      case 'raw-spectrum': {
+        // Spectra stay fftshifted (DC at row floor(H/2), column floor(W/2))
+        const spectra = ImageExporter.getPlanes(outputData.spectra);
+        const values = ImageExporter.concat(spectra.planes);
+        const channelTag = spectra.names.join('-');
+        const fftSize = `${outputData.fftWidth}x${outputData.fftHeight}`;
+        if (format === 'raw-spectrum') {
+          const bytes = ImageExporter.toLittleEndianFloat64(values);
+          return {
+            blob: new Blob([bytes]),
+            fileName: `${baseName}-spectrum-${channelTag}-${fftSize}-c128le.raw`
+          };
+        }
+        const shape = spectra.planes.length === 1
+          ? [outputData.fftHeight, outputData.fftWidth]
+          : [spectra.planes.length, outputData.fftHeight, outputData.fftWidth];
+        const bytes = ImageExporter.encodeNPY(values, shape, '<c16');
+        return { blob: new Blob([bytes]), fileName: `${baseName}-spectrum-${channelTag}-${fftSize}.npy` };
+      }
+
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  // ==================== COMPONENT EXPORT ====================
+
+  /**
+   * Encode one FFT component of an input image and download it
+   * @param {Object} componentExport - { width, height, displayData, rawData, metadata }
+   *   displayData: 0-255 values as shown on the canvas (brightness/contrast applied)
+   *   rawData: unnormalised values from FourierTransform.getComponentData()
+   *   metadata: FourierTransform.getExportMetadata() plus any viewport details
+   * @param {string} format - One of getComponentFormats() values
+   * @param {string} baseName - File name without extension, e.g. 'image1-magnitude'
+   */
+  static async exportComponent(componentExport, format, baseName) {
+    const files = await ImageExporter.encodeComponent(componentExport, format, baseName);
+    files.forEach(({ blob, fileName }) => ImageExporter.download(blob, fileName));
+  }
+
+  /**
+   * Encode one FFT component without downloading it
+   * @returns {Promise<Array<Object>>} { blob, fileName } per file (npy adds a .json sidecar)
+   */
+  static async encodeComponent(componentExport, format, baseName) {
+    const { width, height, displayData, rawData } = componentExport;
+    const metadata = { ...componentExport.metadata };
+
+    switch (format) {
+      case 'png8': {
+        metadata.values = 'display (8-bit, brightness/contrast applied)';
+        const bytes = await ImageExporter.encodePNG(width, height, 1, 8, displayData, {
+          Description: JSON.stringify(metadata)
+        });
+        return [{ blob: new Blob([bytes], { type: 'image/png' }), fileName: `${baseName}.png` }];
+      }
+
+      case 'png16': {
+        // Same scaling as the view (log for magnitude) but with 65536 levels instead of 256
+        const scaled = metadata.displayScaling === 'linear'
+          ? rawData
+          : Float64Array.from(rawData, value => Math.log(1 + value));
+        const { min, max } = ImageExporter.getRange(scaled);
+        metadata.values = `${metadata.displayScaling} stretched from [min, max] to 0-65535`;
+        metadata.min = min;
+        metadata.max = max;
+        const samples = ImageExporter.stretchPlanes([scaled], 65535)[0];
+        const bytes = await ImageExporter.encodePNG(width, height, 1, 16, samples, {
+          Description: JSON.stringify(metadata)
+        });
+        return [{ blob: new Blob([bytes], { type: 'image/png' }), fileName: `${baseName}-16bit.png` }];
+      }
+
+      case 'tiff': {
+        metadata.values = 'raw (unnormalised, float32)';
+        const bytes = ImageExporter.encodeFloatTIFF(
+          width,
+          height,
+          1,
+          Float32Array.from(rawData),
+          JSON.stringify(metadata)
+        );
+        return [{ blob: new Blob([bytes], { type: 'image/tiff' }), fileName: `${baseName}-float.tif` }];
+      }
+
+      case 'npy': {
+        // .npy headers cannot carry free-form metadata, so it goes in a JSON file alongside
+        metadata.values = 'raw (unnormalised, float64)';
+        const bytes = ImageExporter.encodeNPY(rawData, [height, width], '<f8');
+        const json = JSON.stringify(metadata, null, 2);
+        return [
+          { blob: new Blob([bytes]), fileName: `${baseName}-${width}x${height}.npy` },
+          { blob: new Blob([json], { type: 'application/json' }), fileName: `${baseName}-${width}x${height}.json` }
+        ];
+      }
+
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Trigger a browser download of a blob
+   */
+  static download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ==================== PLANE HELPERS ====================
+
+  /**
+   * Order named planes: gray, or r/g/b, or y/cb/cr
+   * @param {Object} planesByName - e.g. { r, g, b }
+   * @returns {Object} { names, planes }
+   */
+  static getPlanes(planesByName) {
+    if (!planesByName) {
+      throw new Error('This output has no full-precision data to export');
+    }
+    const order = ['gray', 'r', 'g', 'b', 'y', 'cb', 'cr'];
+    const names = order.filter(name => planesByName[name]);
+    return { names, planes: names.map(name => planesByName[name]) };
+  }
+
+  /**
+   * Smallest and largest value over one or more planes
+   * @returns {Object} { min, max }
+   */
+  static getRange(...planes) {
+    let min = Infinity;
+    let max = -Infinity;
+    planes.forEach(plane => {
+      for (let i = 0; i < plane.length; i++) {
+        if (plane[i] < min) min = plane[i];
+        if (plane[i] > max) max = plane[i];
+      }
+    });
+    return { min, max };
+  }
+
+  /**
+   * Stretch planes to 0..maxValue with one shared min/max (keeps colour balance)
+   * @returns {Array<Float64Array>} Rounded planes
+   */
+  static stretchPlanes(planes, maxValue) {
+    const { min, max } = ImageExporter.getRange(...planes);
+    const range = max - min;
+    return planes.map(plane => {
+      const scaled = new Float64Array(plane.length);
+      for (let i = 0; i < plane.length; i++) {
+        scaled[i] = range > 0 && isFinite(range)
+          ? Math.round(((plane[i] - min) / range) * maxValue)
+          : Math.round(maxValue / 2);
+      }
+      return scaled;
+    });
+  }
+
+  /**
+   * Interleave planes pixel by pixel ([r0, g0, b0, r1, ...])
+   * @returns {Float64Array} Interleaved samples
+   */
+  static interleave(planes) {
+    if (planes.length === 1) return planes[0];
+    const count = planes[0].length;
+    const out = new Float64Array(count * planes.length);
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < planes.length; c++) {
+        out[i * planes.length + c] = planes[c][i];
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Concatenate planes one after another (channel-major)
+   * @returns {Float64Array} Concatenated values
+   */
+  static concat(planes) {
+    if (planes.length === 1) return planes[0];
+    const out = new Float64Array(planes.reduce((sum, plane) => sum + plane.length, 0));
+    let offset = 0;
+    planes.forEach(plane => {
+      out.set(plane, offset);
+      offset += plane.length;
+    });
+    return out;
+  }
+
+  /**
+   * Copy float64 values into little-endian bytes
+   * @returns {Uint8Array} 8 bytes per value
+   */
+  static toLittleEndianFloat64(values) {
+    const bytes = new Uint8Array(values.length * 8);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < values.length; i++) {
+      view.setFloat64(i * 8, values[i], true);
+    }
+    return bytes;
+  }
+
+  // ==================== PNG ====================
+
+  /**
+   * Encode a grayscale or RGB PNG (colour type 0 or 2), 8 or 16 bits per sample
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} channels - 1 (gray) or 3 (RGB)
+   * @param {number} bitDepth - 8 or 16
+   * @param {ArrayLike<number>} samples - Interleaved samples (0-255 or 0-65535)
+   * @param {Object} text - Optional { keyword: text } pairs stored as tEXt chunks
+   * @returns {Promise<Uint8Array>} PNG file bytes
+   */
+  static async encodePNG(width, height, channels, bitDepth, samples, text = {}) {
+    const bytesPerSample = bitDepth / 8;
+    const rowLength = width * channels * bytesPerSample;
+
+    // Raw scanlines, each prefixed with filter type 0 (None); 16-bit samples are big-endian
+    const raw = new Uint8Array((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+      let pos = y * (rowLength + 1) + 1;
+      for (let i = y * width * channels; i < (y + 1) * width * channels; i++) {
+        const value = Math.max(0, Math.min(bitDepth === 16 ? 65535 : 255, Math.round(samples[i])));
+        if (bitDepth === 16) {
+          raw[pos++] = value >> 8;
+        }
+        raw[pos++] = value & 0xff;
+      }
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = bitDepth;
+    header[9] = channels === 3 ? 2 : 0; // Colour type: truecolour or grayscale
+    // Compression, filter and interlace methods are all 0
+
+    // tEXt: keyword, NUL separator, Latin-1 text
+    const textChunks = Object.entries(text).map(([keyword, value]) =>
+      ImageExporter.pngChunk('tEXt', ImageExporter.toLatin1(`${keyword}\0${value}`))
+    );
+
+    const chunks = [
+      ImageExporter.pngChunk('IHDR', header),
+      ...textChunks,
+      ImageExporter.pngChunk('IDAT', await ImageExporter.zlibCompress(raw)),
+      ImageExporter.pngChunk('IEND', new Uint8Array(0))
+    ];
+
+    const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+    const file = new Uint8Array(signature.length + chunks.reduce((sum, c) => sum + c.length, 0));
+    file.set(signature, 0);
+    let offset = signature.length;
+    chunks.forEach(chunk => {
+      file.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return file;
+  }
+
+  /**
+   * Build one PNG chunk: length, type, data, CRC
+   */
+  static pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+      chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, ImageExporter.crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+  }
+
+  static crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * zlib-wrap data for IDAT
+   * Uses the browser's CompressionStream when available, otherwise
+   * stored (uncompressed) deflate blocks - larger files, same pixels
+   * @returns {Promise<Uint8Array>} zlib stream
+   */
+  static async zlibCompress(data) {
+    if (typeof CompressionStream !== 'undefined') {
+      const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    const maxBlock = 65535;
+    const blockCount = Math.max(1, Math.ceil(data.length / maxBlock));
+    const out = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+    out[0] = 0x78; // CMF: deflate, 32K window
+    out[1] = 0x01; // FLG: no preset dictionary, check bits
+    let pos = 2;
+    for (let block = 0; block < blockCount; block++) {
+      const start = block * maxBlock;
+      const length = Math.min(maxBlock, data.length - start);
+      out[pos++] = block === blockCount - 1 ? 1 : 0; // BFINAL, BTYPE = 00 (stored)
+      out[pos++] = length & 0xff;
+      out[pos++] = length >> 8;
+      out[pos++] = ~length & 0xff;
+      out[pos++] = (~length >> 8) & 0xff;
+      out.set(data.subarray(start, start + length), pos);
+      pos += length;
+    }
+
+    // Adler-32 checksum of the uncompressed data (big-endian)
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < data.length; i++) {
+      a = (a + data[i]) % 65521;
+      b = (b + a) % 65521;
+    }
+    new DataView(out.buffer).setUint32(pos, ((b << 16) | a) >>> 0);
+    return out;
+  }
+
+  // ==================== TIFF ====================
+
+  /**
+   * Encode an uncompressed little-endian TIFF with 32-bit float samples
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} channels - 1 (gray) or 3 (RGB)
+   * @param {Float32Array} samples - Interleaved samples
+   * @param {string} description - Optional ImageDescription text (ASCII)
+   * @returns {Uint8Array} TIFF file bytes
+   */
+  static encodeFloatTIFF(width, height, channels, samples, description = null) {
+    const entryCount = description ? 12 : 11;
+    const ifdOffset = 8;
+    const ifdSize = 2 + entryCount * 12 + 4;
+    // Per-sample BitsPerSample/SampleFormat arrays only fit inline for one sample
+    const extraOffset = ifdOffset + ifdSize;
+    const extraSize = channels > 2 ? channels * 2 * 2 : 0;
+    // ImageDescription is NUL-terminated and stored after the per-sample arrays
+    const descriptionBytes = description ? ImageExporter.toLatin1(`${description}\0`) : null;
+    const descriptionOffset = extraOffset + extraSize;
+    const descriptionSize = descriptionBytes ? descriptionBytes.length : 0;
+    const dataOffset = Math.ceil((descriptionOffset + descriptionSize) / 8) * 8;
+    const dataSize = samples.length * 4;
+
+    const bytes = new Uint8Array(dataOffset + dataSize);
+    const view = new DataView(bytes.buffer);
+
+    // Header: "II", 42, offset of the first IFD
+    view.setUint16(0, 0x4949, true);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+
+    const ASCII = 2;
+    const SHORT = 3;
+    const LONG = 4;
+    let entry = ifdOffset + 2;
+    const writeEntry = (tag, type, count, value) => {
+      view.setUint16(entry, tag, true);
+      view.setUint16(entry + 2, type, true);
+      view.setUint32(entry + 4, count, true);
+      if (type === SHORT && count === 1) {
+        view.setUint16(entry + 8, value, true);
+      } else {
+        view.setUint32(entry + 8, value, true);
+      }
+      entry += 12;
+    };
+
+    // Per-sample SHORT arrays (inline for one sample, otherwise stored after the IFD)
+    const perSample = (value, index) => {
+      if (channels === 1) return value;
+      const offset = extraOffset + index * channels * 2;
+      for (let c = 0; c < channels; c++) {
+        view.setUint16(offset + c * 2, value, true);
+      }
+      return offset;
+    };
+
+    view.setUint16(ifdOffset, entryCount, true);
+    // Tags must be in ascending order
+    writeEntry(256, LONG, 1, width);                          // ImageWidth
+    writeEntry(257, LONG, 1, height);                         // ImageLength
+    writeEntry(258, SHORT, channels, perSample(32, 0));       // BitsPerSample
+    writeEntry(259, SHORT, 1, 1);                             // Compression: none
+    writeEntry(262, SHORT, 1, channels === 3 ? 2 : 1);        // Photometric: RGB / BlackIsZero
+    if (descriptionBytes) {
+      bytes.set(descriptionBytes, descriptionOffset);
+      writeEntry(270, ASCII, descriptionSize, descriptionOffset); // ImageDescription
+    }
+    writeEntry(273, LONG, 1, dataOffset);                     // StripOffsets
+    writeEntry(277, SHORT, 1, channels);                      // SamplesPerPixel
+    writeEntry(278, LONG, 1, height);                         // RowsPerStrip: one strip
+    writeEntry(279, LONG, 1, dataSize);                       // StripByteCounts
+    writeEntry(284, SHORT, 1, 1);                             // PlanarConfiguration: chunky
+    writeEntry(339, SHORT, channels, perSample(3, 1));        // SampleFormat: IEEE float
+    view.setUint32(entry, 0, true);                           // No next IFD
+
+    for (let i = 0; i < samples.length; i++) {
+      view.setFloat32(dataOffset + i * 4, samples[i], true);
+    }
+    return bytes;
+  }
+
+  /**
+   * Encode text as one byte per character (metadata is plain ASCII JSON)
+   * @returns {Uint8Array} Text bytes
+   */
+  static toLatin1(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      bytes[i] = text.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+  }
+
+  // ==================== NUMPY ====================
+
+  /**
+   * Encode a NumPy .npy (format version 1.0) file
+   * @param {Float64Array} values - float64 values, or interleaved re/im pairs for complex
+   * @param {Array<number>} shape - Array shape (C order)
+   * @param {string} dtype - '<f8' (float64) or '<c16' (complex128)
+   * @returns {Uint8Array} .npy file bytes
+   */
+  static encodeNPY(values, shape, dtype) {
+    const shapeText = shape.length === 1 ? `(${shape[0]},)` : `(${shape.join(', ')})`;
+    let header = `{'descr': '${dtype}', 'fortran_order': False, 'shape': ${shapeText}, }`;
+    // Magic (6) + version (2) + header length (2) + header must be a multiple of 64, ending in \n
+    const unpadded = 10 + header.length + 1;
+    header += ' '.repeat((64 - (unpadded % 64)) % 64) + '\n';
+
+    const data = ImageExporter.toLittleEndianFloat64(values);
+    const bytes = new Uint8Array(10 + header.length + data.length);
+    bytes.set([0x93, 78, 85, 77, 80, 89, 1, 0], 0); // \x93NUMPY v1.0
+    new DataView(bytes.buffer).setUint16(8, header.length, true);
+    for (let i = 0; i < header.length; i++) {
+      bytes[10 + i] = header.charCodeAt(i);
+    }
+    bytes.set(data, 10 + header.length);
+    return bytes;
+  }
+}
+
+export default ImageExporter;
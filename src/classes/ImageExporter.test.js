@@ -0,0 +1,216 @@
+/**
+ * @jest-environment node
+ */
+import zlib from 'zlib';
+import ImageExporter from './ImageExporter';
+
+// Split a PNG into its chunks, checking the signature on the way
+const readChunks = (bytes) => {
+  expect(Array.from(bytes.subarray(0, 8))).toEqual([137, 80, 78, 71, 13, 10, 26, 10]);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let pos = 8;
+  while (pos < bytes.length) {
+    const length = view.getUint32(pos);
+    chunks.push({
+      type: String.fromCharCode(...bytes.subarray(pos + 4, pos + 8)),
+      data: bytes.subarray(pos + 8, pos + 8 + length),
+      crc: view.getUint32(pos + 8 + length),
+      crcInput: bytes.subarray(pos + 4, pos + 8 + length)
+    });
+    pos += 12 + length;
+  }
+  return chunks;
+};
+
+// Parse a .npy v1.0 header
+const readNPYHeader = (bytes) => {
+  const headerLength = new DataView(bytes.buffer, bytes.byteOffset).getUint16(8, true);
+  return {
+    headerLength,
+    header: String.fromCharCode(...bytes.subarray(10, 10 + headerLength)),
+    dataOffset: 10 + headerLength
+  };
+};
+
+describe('ImageExporter PNG', () => {
+  test('crc32 matches the standard check value', () => {
+    const bytes = new TextEncoder().encode('123456789');
+    expect(ImageExporter.crc32(bytes)).toBe(0xcbf43926);
+  });
+
+  test('16-bit grayscale: IHDR, big-endian samples and valid chunk CRCs', async () => {
+    const samples = [0, 1, 256, 65535, 70000, -5];
+    const bytes = await ImageExporter.encodePNG(3, 2, 1, 16, samples);
+    const chunks = readChunks(bytes);
+    expect(chunks.map(c => c.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    chunks.forEach(chunk => expect(chunk.crc).toBe(ImageExporter.crc32(chunk.crcInput)));
+
+    const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset, 13);
+    expect(header.getUint32(0)).toBe(3);
+    expect(header.getUint32(4)).toBe(2);
+    expect(chunks[0].data[8]).toBe(16);
+    expect(chunks[0].data[9]).toBe(0);
+
+    // Each scanline is filter byte 0 followed by big-endian samples, clamped to 0-65535
+    const raw = zlib.inflateSync(Buffer.from(chunks[1].data));
+    expect(Array.from(raw)).toEqual([
+      0, 0x00, 0x00, 0x00, 0x01, 0x01, 0x00,
+      0, 0xff, 0xff, 0xff, 0xff, 0x00, 0x00
+    ]);
+  });
+
+  test('text entries become tEXt chunks between IHDR and IDAT', async () => {
+    const metadata = JSON.stringify({ component: 'phase', dcRow: 1 });
+    const chunks = readChunks(await ImageExporter.encodePNG(2, 2, 1, 8, [0, 1, 2, 3], { Description: metadata }));
+    expect(chunks.map(c => c.type)).toEqual(['IHDR', 'tEXt', 'IDAT', 'IEND']);
+    expect(chunks[1].crc).toBe(ImageExporter.crc32(chunks[1].crcInput));
+    expect(String.fromCharCode(...chunks[1].data)).toBe(`Description\0${metadata}`);
+  });
+
+  test('8-bit RGB uses colour type 2', async () => {
+    const samples = [255, 0, 0, 0, 255, 0];
+    const chunks = readChunks(await ImageExporter.encodePNG(2, 1, 3, 8, samples));
+    expect(chunks[0].data[9]).toBe(2);
+    expect(Array.from(zlib.inflateSync(Buffer.from(chunks[1].data)))).toEqual([0, ...samples]);
+  });
+
+  test('the stored-block fallback is a valid zlib stream across block boundaries', async () => {
+    const data = new Uint8Array(70000).map((_, i) => i % 251);
+    const compressed = await ImageExporter.zlibCompress(data);
+    expect(new Uint8Array(zlib.inflateSync(Buffer.from(compressed)))).toEqual(data);
+  });
+});
+
+describe('ImageExporter TIFF', () => {
+  // Tag -> { type, count, value } of the first IFD
+  const readIFD = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    expect(view.getUint16(0, true)).toBe(0x4949);
+    expect(view.getUint16(2, true)).toBe(42);
+    const ifd = view.getUint32(4, true);
+    const count = view.getUint16(ifd, true);
+    const entries = {};
+    const tags = [];
+    for (let i = 0; i < count; i++) {
+      const at = ifd + 2 + i * 12;
+      const tag = view.getUint16(at, true);
+      const type = view.getUint16(at + 2, true);
+      const n = view.getUint32(at + 4, true);
+      const value = type === 3 && n === 1 ? view.getUint16(at + 8, true) : view.getUint32(at + 8, true);
+      tags.push(tag);
+      entries[tag] = { type, count: n, value };
+    }
+    expect(view.getUint32(ifd + 2 + count * 12, true)).toBe(0);
+    return { view, tags, entries };
+  };
+
+  test('grayscale float IFD and strip', () => {
+    const samples = Float32Array.from([0.5, -1.25, 3e6, 0, 1, 2]);
+    const bytes = ImageExporter.encodeFloatTIFF(3, 2, 1, samples);
+    const { view, tags, entries } = readIFD(bytes);
+
+    expect(tags).toEqual([...tags].sort((a, b) => a - b));
+    expect(entries[256].value).toBe(3);
+    expect(entries[257].value).toBe(2);
+    expect(entries[258]).toEqual({ type: 3, count: 1, value: 32 });
+    expect(entries[259].value).toBe(1);
+    expect(entries[262].value).toBe(1);
+    expect(entries[277].value).toBe(1);
+    expect(entries[279].value).toBe(samples.length * 4);
+    expect(entries[339]).toEqual({ type: 3, count: 1, value: 3 });
+
+    const offset = entries[273].value;
+    expect(offset % 8).toBe(0);
+    expect(offset + entries[279].value).toBe(bytes.length);
+    samples.forEach((v, i) => expect(view.getFloat32(offset + i * 4, true)).toBe(v));
+  });
+
+  test('RGB stores per-sample BitsPerSample and SampleFormat after the IFD', () => {
+    const bytes = ImageExporter.encodeFloatTIFF(1, 1, 3, Float32Array.from([1, 2, 3]));
+    const { view, entries } = readIFD(bytes);
+    expect(entries[262].value).toBe(2);
+    expect(entries[277].value).toBe(3);
+    [[258, 32], [339, 3]].forEach(([tag, value]) => {
+      expect(entries[tag].count).toBe(3);
+      for (let c = 0; c < 3; c++) {
+        expect(view.getUint16(entries[tag].value + c * 2, true)).toBe(value);
+      }
+    });
+    expect(view.getFloat32(entries[273].value + 8, true)).toBe(3);
+  });
+
+  test('a description adds a NUL-terminated ImageDescription tag in order', () => {
+    const description = JSON.stringify({ component: 'magnitude', shift: 'fftshift' });
+    const samples = Float32Array.from([1, 2, 3, 4]);
+    const bytes = ImageExporter.encodeFloatTIFF(2, 2, 1, samples, description);
+    const { view, tags, entries } = readIFD(bytes);
+
+    expect(tags.length).toBe(12);
+    expect(tags).toEqual([...tags].sort((a, b) => a - b));
+    expect(entries[270].type).toBe(2);
+    expect(entries[270].count).toBe(description.length + 1);
+    const text = bytes.subarray(entries[270].value, entries[270].value + entries[270].count);
+    expect(String.fromCharCode(...text)).toBe(`${description}\0`);
+
+    const offset = entries[273].value;
+    expect(offset % 8).toBe(0);
+    expect(offset).toBeGreaterThanOrEqual(entries[270].value + entries[270].count);
+    expect(view.getFloat32(offset + 12, true)).toBe(4);
+  });
+});
+
+describe('ImageExporter NumPy', () => {
+  test('float64 header is padded to a multiple of 64 bytes and ends in a newline', () => {
+    const bytes = ImageExporter.encodeNPY(Float64Array.from([1.5, -2, 3, 4, 5, 6]), [2, 3], '<f8');
+    expect(Array.from(bytes.subarray(0, 8))).toEqual([0x93, 78, 85, 77, 80, 89, 1, 0]);
+
+    const { header, dataOffset } = readNPYHeader(bytes);
+    expect(dataOffset % 64).toBe(0);
+    expect(header.endsWith('\n')).toBe(true);
+    expect(header.trim()).toBe("{'descr': '<f8', 'fortran_order': False, 'shape': (2, 3), }");
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset + dataOffset);
+    expect(bytes.length - dataOffset).toBe(6 * 8);
+    expect(view.getFloat64(0, true)).toBe(1.5);
+    expect(view.getFloat64(8, true)).toBe(-2);
+  });
+
+  test('one-dimensional shapes keep the trailing comma', () => {
+    const { header } = readNPYHeader(ImageExporter.encodeNPY(Float64Array.from([1]), [1], '<f8'));
+    expect(header).toContain("'shape': (1,)");
+  });
+
+  test('<c16 stores interleaved re/im pairs, one complex value per element', () => {
+    const values = Float64Array.from([1, -1, 2, 0.5, 0, 3, -4, 0]);
+    const bytes = ImageExporter.encodeNPY(values, [2, 2], '<c16');
+    const { header, dataOffset } = readNPYHeader(bytes);
+    expect(dataOffset % 64).toBe(0);
+    expect(header).toContain("'descr': '<c16'");
+    expect(bytes.length - dataOffset).toBe(2 * 2 * 16);
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset + dataOffset);
+    // Element [0][1] is 2 + 0.5i, element [1][1] is -4 + 0i
+    expect(view.getFloat64(16, true)).toBe(2);
+    expect(view.getFloat64(24, true)).toBe(0.5);
+    expect(view.getFloat64(48, true)).toBe(-4);
+  });
+});
+
+describe('ImageExporter planes', () => {
+  test('stretchPlanes maps the joint range of all planes onto 0..maxValue', () => {
+    const [a, b] = ImageExporter.stretchPlanes([Float64Array.from([-1, 0]), Float64Array.from([1, 0.5])], 100);
+    expect(Array.from(a)).toEqual([0, 50]);
+    expect(Array.from(b)).toEqual([100, 75]);
+  });
+
+  test('getRange spans every plane passed in', () => {
+    expect(ImageExporter.getRange(Float64Array.from([3, -2]), Float64Array.from([7]))).toEqual({ min: -2, max: 7 });
+  });
+
+  test('interleave and concat order the samples', () => {
+    const planes = [Float64Array.from([1, 2]), Float64Array.from([3, 4])];
+    expect(Array.from(ImageExporter.interleave(planes))).toEqual([1, 3, 2, 4]);
+    expect(Array.from(ImageExporter.concat(planes))).toEqual([1, 2, 3, 4]);
+  });
+});
@@ -1,12 +1,29 @@
-// Import the FourierTransform class which handles FFT operations
-import FourierTransform from './FourierTransform';
+// Import the FourierService which runs FourierTransform operations in a Web Worker
+import fourierService from './FourierService';
+// Colour channel helpers (RGB split, YCbCr chroma)
+import ColorSpace from './ColorSpace';
+// Resampling to the unified mixing size
+import Resampler from './Resampler';
+// Decoders for 16-bit PNG, TIFF, PGM/PPM, FITS and NumPy inputs
+import ImageDecoder from './ImageDecoder';
+
+// Counter used to give every processor a unique ID
+let nextProcessorId = 1;
 
 class ImageProcessor {
   constructor() {
+    // Unique ID - identifies this image's spectrum inside the FFT worker
+    this.id = nextProcessorId++;
     // Stores the original colored image data (RGBA) ..from canvas.getImageData
     this.rawImageData = null;      
     // Stores the grayscale version of the image (1 value per pixel)
     this.grayscaleData = null;     
+    // Name of the loaded file (kept for saved sessions)
+    this.fileName = null;
+    // PNG-encoded original, cached because sessions are autosaved often
+    this.originalImageCache = null;
+    // The loaded image as binary (the file itself when there is one), stored once by autosave
+    this.sourceBlob = null;
     this.width = 0; // Image width in pixels
     this.height = 0;
     this.fft = null;  // FFT object associated with this image
@@ -14,77 +31,251 @@ class ImageProcessor {
     this.contrast = 0;      // -100 to 100
     // Copy of the original grayscale image (used for reset)
     this.originalGrayscale = null;  
+    // Separate R, G, B planes (1 value per pixel each) for colour mixing
+    this.colorChannels = null;
+    // Per-channel FFTs used by the colour modes ('r', 'g', 'b', 'cb', 'cr')
+    this.channelFFTs = {};
+    // Full-resolution grayscale and colour planes as loaded - never resized, so the image
+    // can be resampled again to any size without losing quality
+    this.sourceGrayscale = null;
+    this.sourceChannels = null;
+    this.sourceWidth = 0;
+    this.sourceHeight = 0;
+    // Resampling settings { method, fit } of the current size (null = original size)
+    this.resampling = null;
+    // Bumped whenever the pixels are replaced (new image or resize), so spectra computed
+    // from the previous pixels can be recognised and dropped when they arrive late
+    this.pixelVersion = 0;
+    // High-bit-depth inputs (ImageDecoder) only, null for 8-bit images:
+    // full-precision grey at the current size (0-255 floats) - what the FFT transforms,
+    // while grayscaleData is its 8-bit display mapping
+    this.floatGrayscale = null;
+    // File values mapped to 0 and 255, e.g. { min: 112, max: 40391 }
+    this.valueRange = null;
+    // What was decoded, e.g. '16-bit TIFF'
+    this.sourceDescription = null;
+    // The decoded file itself as a data URL, so saved sessions keep full precision
+    this.sourceFileURL = null;
   }
 
   // ==================== IMAGE LOADING ====================
+
+  // File types offered by the file dialog (browser images plus the decoded formats)
+  static getAcceptedTypes() {
+    return ['image/*', ...ImageDecoder.getExtensions()].join(',');
+  }
+
+  // Whether a file (dropped, pasted or picked) looks like an image this class can load
+  static canLoad(file) {
+    if (!file) return false;
+    return (typeof file.type === 'string' && file.type.startsWith('image/')) ||
+      ImageDecoder.canDecode(file);
+  }
   
-  
-  async loadImage(file) {
-    // Return a Promise because image loading is asynchronous
+  // Read a file or Blob as a data URL
+  static readAsDataURL(blob) {
+    // Return a Promise because reading is asynchronous
     return new Promise((resolve, reject) => {
       // read the contents of files stored on the user's computer
       const reader = new FileReader();
 
       // Triggered after the file is successfully read
-      //kol ely gwa { }  hyntfz b3d ma el file yt2ry 
-      reader.onload = (e) => {
-        // Create a new Image object
-        const img = new Image();
-
-        // Triggered when the image is fully loaded
-        img.onload = () => {
-
-          // Create an off-screen canvas to extract pixel data
-          //de msh btzhr ll user 
-          const canvas = document.createElement('canvas');
-          //el tool ely bnrsm beha 3lcanvas 
-          const ctx = canvas.getContext('2d');
-
-          // Set canvas size equal to image size
-          canvas.width = img.width;
-          canvas.height = img.height;
-
-          // Draw the image on the canvas
-          ctx.drawImage(img, 0, 0);
-
-          // Extract raw RGBA pixel data from the canvas
-          this.rawImageData = ctx.getImageData(0, 0, img.width, img.height);
-
-          // Store image dimensions
-          this.width = img.width;
-          this.height = img.height;
-
-          // Immediately convert the image to grayscale
-          this.convertToGrayscale();
-
-          // Store a copy of the grayscale image for reset operations
-          //3shan n3rd el original 3la tol mn gher revert 
-          this.originalGrayscale = new Uint8ClampedArray(this.grayscaleData);
-
-          // Resolve the promise with basic image data
-          //hn pass el kalam dh lly hy call el function 
-          resolve({
-            width: this.width,
-            height: this.height,
-            grayscale: this.grayscaleData
-          });
-        };
-
-        // Reject the promise if the image fails to load
-        img.onerror = reject;
-
-        // Set the image source to the loaded file data
-        img.src = e.target.result;
-      };
+      reader.onload = (e) => resolve(e.target.result);
 
       // Reject the promise if the file fails to read
       reader.onerror = reject;
 
       // Read the image file as a Data URL
-      reader.readAsDataURL(file);
+      reader.readAsDataURL(blob);
     });
   }
 
+  async loadImage(file) {
+    const dataUrl = await ImageProcessor.readAsDataURL(file);
+    await this.loadImageFromURL(dataUrl, file.name);
+    this.sourceBlob = file;
+  }
+
+  // Load an image from a URL or data URL (used by loadImage and by session restore)
+  // Scientific / high-bit-depth formats (by file name) are decoded here at full precision,
+  // everything else (and 8-bit PNGs) goes through the browser
+  async loadImageFromURL(url, fileName = null) {
+    if (ImageDecoder.canDecode({ name: fileName })) {
+      const buffer = await (await fetch(url)).arrayBuffer();
+      const decoded = await ImageDecoder.decode(buffer, fileName);
+      if (decoded) return this.loadDecodedImage(decoded, url, fileName);
+    }
+    return this.loadBrowserImage(url, fileName);
+  }
+
+  // Load an 8-bit image through a browser Image and an off-screen canvas
+  loadBrowserImage(url, fileName) {
+    return new Promise((resolve, reject) => {
+      // Create a new Image object
+      const img = new Image();
+
+      // Triggered when the image is fully loaded
+      img.onload = () => {
+
+        // Create an off-screen canvas to extract pixel data
+        //de msh btzhr ll user 
+        const canvas = document.createElement('canvas');
+        //el tool ely bnrsm beha 3lcanvas 
+        const ctx = canvas.getContext('2d');
+
+        // Set canvas size equal to image size
+        canvas.width = img.width;
+        canvas.height = img.height;
+
+        // Draw the image on the canvas
+        ctx.drawImage(img, 0, 0);
+
+        // Extract raw RGBA pixel data from the canvas
+        this.rawImageData = ctx.getImageData(0, 0, img.width, img.height);
+
+        // Store image dimensions
+        this.fileName = fileName;
+        this.originalImageCache = null;
+        this.sourceBlob = null;
+        this.floatGrayscale = null;
+        this.valueRange = null;
+        this.sourceDescription = null;
+        this.sourceFileURL = null;
+        this.width = img.width;
+        this.height = img.height;
+
+        // Immediately convert the image to grayscale
+        this.convertToGrayscale();
+
+        // Keep the colour channels too, for colour mixing modes
+        this.colorChannels = ColorSpace.splitChannels(this.rawImageData.data);
+        this.channelFFTs = {};
+
+        // Store a copy of the grayscale image for reset operations
+        //3shan n3rd el original 3la tol mn gher revert 
+        this.originalGrayscale = new Uint8ClampedArray(this.grayscaleData);
+
+        // Full-resolution planes every later resize starts from
+        this.sourceGrayscale = new Uint8ClampedArray(this.grayscaleData);
+        this.sourceChannels = this.colorChannels;
+        this.sourceWidth = img.width;
+        this.sourceHeight = img.height;
+        this.resampling = null;
+
+        // The previous image's spectra do not belong to these pixels
+        this.fft = null;
+        this.pixelVersion++;
+
+        // Resolve the promise with basic image data
+        //hn pass el kalam dh lly hy call el function 
+        resolve({
+          width: this.width,
+          height: this.height,
+          grayscale: this.grayscaleData
+        });
+      };
+
+      // Reject the promise if the image fails to load
+      img.onerror = reject;
+
+      // Set the image source to the loaded file data
+      img.src = url;
+    });
+  }
+
+  /**
+   * Use planes decoded by ImageDecoder as the image
+   * Values are mapped linearly onto 0-255 floats: the FFT transforms those at full
+   * precision, the canvases show them rounded to 8-bit
+   * @param {Object} decoded - { width, height, planes, description } from ImageDecoder.decode()
+   * @param {string} url - The file as a data URL (kept for sessions)
+   */
+  loadDecodedImage(decoded, url, fileName) {
+    const { width, height, description } = decoded;
+    const { planes, min, max } = ImageDecoder.normalize(decoded.planes);
+
+    // Grey from RGB with the same luminosity weights as convertToGrayscale()
+    let gray = planes[0];
+    if (planes.length === 3) {
+      const [r, g, b] = planes;
+      gray = new Float32Array(width * height);
+      for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * r[i] + 0.587 * g[i] + 0.114 * b[i];
+      }
+    }
+
+    this.rawImageData = null; // No 8-bit RGBA original - sessions keep sourceFileURL instead
+    this.fileName = fileName;
+    this.originalImageCache = null;
+    this.sourceBlob = null;
+    this.width = width;
+    this.height = height;
+    this.valueRange = { min, max };
+    this.sourceDescription = description;
+    this.sourceFileURL = url;
+
+    // Full-resolution float planes every later resize starts from
+    this.sourceGrayscale = gray;
+    this.sourceChannels = planes.length === 3
+      ? { r: planes[0], g: planes[1], b: planes[2] }
+      : { r: gray, g: gray, b: gray };
+    this.sourceWidth = width;
+    this.sourceHeight = height;
+    this.resampling = null;
+
+    this.setGrayscale(gray);
+    this.colorChannels = this.sourceChannels;
+    this.channelFFTs = {};
+    this.fft = null;
+    this.pixelVersion++;
+    console.log(`Decoded ${description} ${width} x ${height} (values ${min} to ${max})`);
+
+    return {
+      width,
+      height,
+      grayscale: this.grayscaleData
+    };
+  }
+
+  // Original (full-size, colour) image as a PNG data URL, for saving sessions
+  // Decoded high-bit-depth files are kept as they were loaded instead
+  getOriginalImage() {
+    if (this.sourceFileURL) {
+      return {
+        name: this.fileName,
+        width: this.sourceWidth,
+        height: this.sourceHeight,
+        dataUrl: this.sourceFileURL
+      };
+    }
+    if (!this.rawImageData) return null;
+    if (this.originalImageCache) return this.originalImageCache;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = this.rawImageData.width;
+    canvas.height = this.rawImageData.height;
+    canvas.getContext('2d').putImageData(this.rawImageData, 0, 0);
+
+    this.originalImageCache = {
+      name: this.fileName,
+      width: canvas.width,
+      height: canvas.height,
+      dataUrl: canvas.toDataURL('image/png')
+    };
+    return this.originalImageCache;
+  }
+
+  // Original image as a Blob, for autosave to store once apart from the session settings
+  // The loaded file itself when there is one, otherwise the data URL of getOriginalImage()
+  async getSourceBlob() {
+    if (!this.sourceBlob) {
+      const original = this.getOriginalImage();
+      if (!original) return null;
+      this.sourceBlob = await (await fetch(original.dataUrl)).blob();
+    }
+    return this.sourceBlob;
+  }
+
   // ==================== COLOR CONVERSION ====================
   /**
    * Convert the loaded colored image to grayscale
@@ -128,44 +319,70 @@ class ImageProcessor {
   // ==================== IMAGE RESIZING ====================
   
   
-  resize(newWidth, newHeight) {
-     // If no grayscale image exists, do nothing
-    if (!this.grayscaleData) return;
-    // Create a new array for the resized image
-    const resized = new Uint8ClampedArray(newWidth * newHeight);
-    // Compute scaling ratios between old and new dimensions
-    const xRatio = this.width / newWidth;
-    const yRatio = this.height / newHeight;
-    
-    // Loop over each pixel in the new image
-    for (let y = 0; y < newHeight; y++) {
-      for (let x = 0; x < newWidth; x++) {
-        // Find the corresponding source pixel (nearest neighbor)
-        //l kol pixel ashof a2rb pixel leha 
-        // fel original w akhod elgray value bta3tha (3shan kda floor)
-        const srcX = Math.floor(x * xRatio);
-        const srcY = Math.floor(y * yRatio);
-        // Compute source index in original image
-        const srcIdx = srcY * this.width + srcX;
-        // Compute destination index in resized image
-        const dstIdx = y * newWidth + x;
-        // *****Copy pixel value from source to destination*******
-        resized[dstIdx] = this.grayscaleData[srcIdx];
-      }
+  /**
+   * Resample the image to a new size, always from the full-resolution source planes
+   * so shrinking and growing again gives back the original detail
+   * @param {number} newWidth
+   * @param {number} newHeight
+   * @param {Object} options - { method, fit } (see Resampler)
+   */
+  resize(newWidth, newHeight, options = Resampler.getDefaults()) {
+    // If no image is loaded, do nothing
+    if (!this.sourceGrayscale) return;
+    const { method, fit } = options;
+    const resample = (plane) => Resampler.resample(
+      plane, this.sourceWidth, this.sourceHeight, newWidth, newHeight, { method, fit }
+    );
+    // Resample the grayscale image and every colour channel the same way
+    const resized = resample(this.sourceGrayscale);
+    if (this.sourceChannels) {
+      this.colorChannels = {
+        r: resample(this.sourceChannels.r),
+        g: resample(this.sourceChannels.g),
+        b: resample(this.sourceChannels.b)
+      };
     }
-    // Update grayscale data with resized image
-    this.grayscaleData = resized;
-    // Store a fresh copy for reset purposes
-    this.originalGrayscale = new Uint8ClampedArray(resized);
+    // Spectra no longer match the new size - recomputed from the resampled pixels
+    this.fft = null;
+    this.channelFFTs = {};
+    // Update grayscale data with resized image (and keep a fresh copy for reset purposes)
+    this.setGrayscale(resized);
     // Update image dimensions
     this.width = newWidth;
     this.height = newHeight;
+    this.resampling = { method, fit };
+    this.pixelVersion++;
 
     // Reset brightness and contrast after resizing
     this.brightness = 0;
     this.contrast = 0;
   }
 
+  // Current-size grey plane: float planes (high-bit-depth inputs) are kept for the FFT
+  // and rounded to 8-bit for display; 8-bit planes are used as they are
+  setGrayscale(plane) {
+    this.floatGrayscale = plane instanceof Float32Array ? plane : null;
+    this.grayscaleData = this.floatGrayscale ? Uint8ClampedArray.from(plane) : plane;
+    this.originalGrayscale = new Uint8ClampedArray(this.grayscaleData);
+  }
+
+  // Whether the image differs from a target size or was resampled with other settings
+  needsResize(targetSize, options) {
+    if (!this.hasImage() || !targetSize) return false;
+    if (this.width !== targetSize.width || this.height !== targetSize.height) return true;
+    // Already the right size - only matters if it was resampled (not the original size)
+    return this.resampling !== null &&
+      (this.resampling.method !== options.method || this.resampling.fit !== options.fit);
+  }
+
+  // Size of the image as loaded (before any resizing)
+  getSourceDimensions() {
+    return {
+      width: this.sourceWidth,
+      height: this.sourceHeight
+    };
+  }
+
   // ==================== BRIGHTNESS/CONTRAST ADJUSTMENTS ====================
   
  
@@ -200,6 +417,7 @@ setBrightnessContrast(brightness, contrast) {
 /**
  * Apply brightness and contrast changes to the grayscale image
  * Always start from the original grayscale to avoid cumulative errors
+ * Display only: the FFT is always computed from the original (see computeFFT)
  */
 applyAdjustments() {
   // Do nothing if no original image exists
@@ -251,20 +469,32 @@ getAdjustments() {
   // ==================== FFT COMPUTATION ====================
   
 
-   // Compute FFT for the current image
+   // Compute FFT for the current image (asynchronously, in the FFT worker)
+   // Resolves to null if the image was replaced or resized meanwhile (a newer FFT follows)
    
-  computeFFT() {
+  async computeFFT() {
     // Do nothing if no grayscale image is loaded
     if (!this.grayscaleData) {
       console.warn('No grayscale data to compute FFT');
       return;
     }
     
-    // Create a new instance of the FourierTransform class
-    this.fft = new FourierTransform(this.width, this.height);
-    
-    // Compute the 2D FFT on the grayscale data
-    this.fft.compute2DFFT(this.grayscaleData);
+    // A new grayscale spectrum replaces the image's colour channel spectra too
+    this.channelFFTs = {};
+
+    // Compute the 2D FFT on the loaded grayscale (full-precision floats for high-bit-depth inputs)
+    // Brightness/contrast is display-only, so the unadjusted pixels are used for every input
+    // The service returns a FourierTransform instance holding the result
+    const version = this.pixelVersion;
+    const fft = await fourierService.computeFFT(
+      this.id,
+      this.floatGrayscale || this.originalGrayscale,
+      this.width,
+      this.height
+    );
+    // Pixels changed while the worker was busy - keep this stale spectrum out
+    if (version !== this.pixelVersion) return null;
+    this.fft = fft;
     // Return the FFT instance
     return this.fft;
   }
@@ -276,6 +506,64 @@ getAdjustments() {
     return this.fft !== null && this.fft.hasFFT();
   }
 
+  // ==================== COLOUR CHANNELS ====================
+
+  // Channels whose spectra a colour mode needs (grayscale FFT is always used as luma)
+  static getRequiredChannels(colorMode) {
+    switch (colorMode) {
+      case 'rgb':
+        return ['r', 'g', 'b'];
+      case 'ycbcr':
+        return ['cb', 'cr'];
+      default:
+        return [];
+    }
+  }
+
+  // Get one colour channel plane: 'r', 'g', 'b' (0-255) or signed 'cb', 'cr'
+  getChannelData(channel) {
+    if (!this.colorChannels) return null;
+    if (channel === 'cb' || channel === 'cr') {
+      return this.getChromaPlanes()[channel];
+    }
+    return this.colorChannels[channel];
+  }
+
+  // Signed Cb/Cr planes of the current image (used to carry chroma into the output)
+  getChromaPlanes() {
+    if (!this.colorChannels) return null;
+    const { r, g, b } = this.colorChannels;
+    return ColorSpace.chromaPlanes(r, g, b);
+  }
+
+  // Compute the FFT of each colour channel a colour mode needs (in the FFT worker)
+  async computeChannelFFTs(colorMode) {
+    const channels = ImageProcessor.getRequiredChannels(colorMode)
+      .filter(channel => !this.channelFFTs[channel]);
+
+    const version = this.pixelVersion;
+    for (const channel of channels) {
+      const data = this.getChannelData(channel);
+      if (!data) return;
+      const fft = await fourierService.computeFFT(
+        this.id,
+        data,
+        this.width,
+        this.height,
+        channel
+      );
+      // Stale (image replaced or resized meanwhile) - the newer FFT computes them again
+      if (version !== this.pixelVersion) return;
+      this.channelFFTs[channel] = fft;
+    }
+  }
+
+  // Check if every channel FFT a colour mode needs has been computed
+  hasChannelFFTs(colorMode) {
+    return ImageProcessor.getRequiredChannels(colorMode)
+      .every(channel => this.channelFFTs[channel]);
+  }
+
   // ==================== FFT COMPONENT RETRIEVAL ====================
 
    //Get a specific FFT component for display
@@ -345,6 +633,13 @@ getAdjustments() {
     return this.grayscaleData;
   }
 
+  // Value of a current-size pixel in the file's own units (high-bit-depth inputs), else null
+  getFileValue(index) {
+    if (!this.floatGrayscale) return null;
+    const { min, max } = this.valueRange;
+    return min + (this.floatGrayscale[index] * (max - min)) / 255;
+  }
+
   
   //Convert a grayscale Array to ImageData for canvas rendering
   static arrayToImageData(data, width, height) {
@@ -0,0 +1,106 @@
+// MixScheduler.js - Debounced, versioned mix requests
+// Every scheduled request gets an increasing version number.
+// Only the newest request is ever run after the debounce delay, at most one
+// mix is in flight at a time, and results from superseded versions are dropped
+// so a slow, older mix can never overwrite a newer output.
+
+class MixScheduler {
+  /**
+   * @param {Function} runMix - (request) => Promise resolving with the mix result
+   * @param {Function} onResult - (result, request, version) called for the newest result only
+   * @param {Function} onError - (error, request, version) called if the newest mix fails
+   * @param {number} delay - Debounce delay in milliseconds
+   */
+  constructor(runMix, onResult, onError, delay = 100) {
+    this.runMix = runMix;
+    this.onResult = onResult;
+    this.onError = onError;
+    this.delay = delay;
+    this.version = 0;       // Version of the most recently scheduled request
+    this.timer = null;      // Pending debounce timer
+    this.inFlight = false;  // Whether a mix is currently running
+    this.queued = null;     // Newest job waiting for the in-flight mix to finish
+  }
+
+  /**
+   * Schedule a mix, superseding every earlier request
+   * @param {Object} request - Everything needed to run the mix
+   * @returns {number} Version assigned to this request
+   */
+  schedule(request) {
+    const version = ++this.version;
+
+    // Restart the debounce window - earlier, unstarted requests are cancelled
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.start({ version, request });
+    }, this.delay);
+
+    return version;
+  }
+
+  /**
+   * Run a job now, or queue it if another mix is still running
+   * @param {Object} job - { version, request }
+   */
+  start(job) {
+    if (this.inFlight) {
+      // Replace any older queued job - only the newest one matters
+      this.queued = job;
+      return;
+    }
+
+    this.inFlight = true;
+    Promise.resolve()
+      .then(() => this.runMix(job.request))
+      .then(
+        (result) => {
+          if (this.isCurrent(job.version)) {
+            this.onResult(result, job.request, job.version);
+          } else {
+            console.log(`Dropping stale mix #${job.version} (latest is #${this.version})`);
+          }
+        },
+        (error) => {
+          if (this.isCurrent(job.version)) {
+            this.onError(error, job.request, job.version);
+          }
+        }
+      )
+      .finally(() => {
+        this.inFlight = false;
+        const next = this.queued;
+        this.queued = null;
+        // Skip the queued job if a newer request is already on its way
+        if (next && this.isCurrent(next.version)) {
+          this.start(next);
+        }
+      });
+  }
+
+  /**
+   * Check whether a version is still the newest scheduled request
+   * @param {number} version - Version to check
+   * @returns {boolean} True if no newer request has been scheduled
+   */
+  isCurrent(version) {
+    return version === this.version;
+  }
+
+  /**
+   * Cancel pending requests and drop any result still in flight
+   */
+  cancel() {
+    this.version++;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.queued = null;
+  }
+}
+
+export default MixScheduler;
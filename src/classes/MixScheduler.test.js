@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import MixScheduler from './MixScheduler';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A mix that can be finished from the test
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+describe('MixScheduler', () => {
+  let logSpy;
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => logSpy.mockRestore());
+
+  test('runs only the newest request of a burst', async () => {
+    const runMix = jest.fn(request => Promise.resolve(request.value * 10));
+    const onResult = jest.fn();
+    const scheduler = new MixScheduler(runMix, onResult, jest.fn(), 5);
+
+    scheduler.schedule({ value: 1 });
+    scheduler.schedule({ value: 2 });
+    const version = scheduler.schedule({ value: 3 });
+    await wait(20);
+
+    expect(runMix).toHaveBeenCalledTimes(1);
+    expect(onResult).toHaveBeenCalledWith(30, { value: 3 }, version);
+  });
+
+  test('drops a slow result superseded by a newer request', async () => {
+    const first = deferred();
+    const runMix = jest.fn()
+      .mockReturnValueOnce(first.promise)
+      .mockReturnValueOnce(Promise.resolve('new'));
+    const onResult = jest.fn();
+    const scheduler = new MixScheduler(runMix, onResult, jest.fn(), 0);
+
+    scheduler.schedule({ value: 'old' });
+    await wait(5); // The first mix is now in flight
+    scheduler.schedule({ value: 'new' });
+    await wait(5); // Queued behind it
+    first.resolve('old');
+    await wait(5);
+
+    expect(runMix).toHaveBeenCalledTimes(2);
+    expect(onResult).toHaveBeenCalledTimes(1);
+    expect(onResult.mock.calls[0][0]).toBe('new');
+  });
+
+  test('cancel drops pending and in-flight mixes', async () => {
+    const first = deferred();
+    const runMix = jest.fn(() => first.promise);
+    const onResult = jest.fn();
+    const scheduler = new MixScheduler(runMix, onResult, jest.fn(), 0);
+
+    scheduler.schedule({ value: 1 });
+    await wait(5);
+    scheduler.cancel();
+    first.resolve('late');
+    await wait(5);
+
+    expect(onResult).not.toHaveBeenCalled();
+  });
+
+  test('reports errors of the newest mix only', async () => {
+    const error = new Error('boom');
+    const onError = jest.fn();
+    const scheduler = new MixScheduler(() => Promise.reject(error), jest.fn(), onError, 0);
+
+    const version = scheduler.schedule({ value: 1 });
+    await wait(5);
+
+    expect(onError).toHaveBeenCalledWith(error, { value: 1 }, version);
+  });
+});
@@ -0,0 +1,92 @@
+// OutputComparison.js - Pixel work for comparing two output ports
+// Builds the RGBA frames the comparison view draws:
+//   - split      : port A left of the divider, port B right of it
+//   - flicker    : either port on its own (the view alternates between them)
+//   - difference : per-channel |A - B|, amplified by a gain so small changes show up
+//
+// Outputs are the mix results the ports hold: { width, height, imageData, colorData? }
+// (8-bit grayscale, plus interleaved RGB when the mix was in colour)
+
+class OutputComparison {
+  /**
+   * Whether two outputs can be compared pixel by pixel
+   */
+  static canCompare(a, b) {
+    return !!a && !!b && a.width === b.width && a.height === b.height;
+  }
+
+  /**
+   * RGBA pixels of one output (grayscale is copied into all three channels)
+   * @returns {Uint8ClampedArray} width * height * 4 values
+   */
+  static toRGBA(output) {
+    const pixelCount = output.width * output.height;
+    const rgba = new Uint8ClampedArray(pixelCount * 4);
+    const { imageData, colorData } = output;
+
+    for (let i = 0; i < pixelCount; i++) {
+      if (colorData) {
+        rgba[i * 4] = colorData[i * 3];         // Red
+        rgba[i * 4 + 1] = colorData[i * 3 + 1]; // Green
+        rgba[i * 4 + 2] = colorData[i * 3 + 2]; // Blue
+      } else {
+        const val = imageData[i];
+        rgba[i * 4] = val;
+        rgba[i * 4 + 1] = val;
+        rgba[i * 4 + 2] = val;
+      }
+      rgba[i * 4 + 3] = 255; // Alpha (fully opaque)
+    }
+    return rgba;
+  }
+
+  /**
+   * Port A left of the divider, port B right of it
+   * @param {number} fraction - Divider position (0 = all B, 1 = all A)
+   * @returns {Uint8ClampedArray} RGBA pixels
+   */
+  static split(a, b, fraction) {
+    const rgba = OutputComparison.toRGBA(a);
+    const right = OutputComparison.toRGBA(b);
+    const splitX = Math.round(a.width * Math.max(0, Math.min(1, fraction)));
+
+    // Copy B's part of every row over A
+    for (let y = 0; y < a.height; y++) {
+      const start = (y * a.width + splitX) * 4;
+      const end = (y + 1) * a.width * 4;
+      rgba.set(right.subarray(start, end), start);
+    }
+    return rgba;
+  }
+
+  /**
+   * Absolute difference |A - B| per channel
+   * @param {number} gain - Amplification of the difference (1 = true scale)
+   * @returns {Object} { rgba, maxDifference, meanDifference } - statistics before the gain
+   */
+  static difference(a, b, gain = 1) {
+    const left = OutputComparison.toRGBA(a);
+    const right = OutputComparison.toRGBA(b);
+    const rgba = new Uint8ClampedArray(left.length);
+    let maxDifference = 0;
+    let total = 0;
+
+    for (let i = 0; i < left.length; i += 4) {
+      for (let c = 0; c < 3; c++) {
+        const diff = Math.abs(left[i + c] - right[i + c]);
+        if (diff > maxDifference) maxDifference = diff;
+        total += diff;
+        rgba[i + c] = diff * gain; // Clamped to 255 by the array type
+      }
+      rgba[i + 3] = 255;
+    }
+
+    return {
+      rgba,
+      maxDifference,
+      meanDifference: total / ((left.length / 4) * 3)
+    };
+  }
+}
+
+export default OutputComparison;
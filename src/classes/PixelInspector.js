@@ -0,0 +1,170 @@
+// PixelInspector.js - What the inspector shows for one image, and its per-pixel readout
+// An inspection is built from one of:
+//   - an output port's mix result   (displayed 8-bit pixels + pre-normalisation real values)
+//   - an input image                 (grayscale pixels as used for the FFT)
+//   - an input's FFT component       (displayed component + frequency and complex value)
+//
+// FFT data is fftshifted: bin (row, column) is frequency (u, v) = (column - dcColumn, row - dcRow)
+// with DC at (floor(H/2), floor(W/2)). complexData is interleaved [re, im, re, im, ...].
+
+import OutputComparison from './OutputComparison';
+
+// Component names as shown in the readout
+const COMPONENT_LABELS = {
+  magnitude: 'Magnitude',
+  phase: 'Phase',
+  real: 'Real',
+  imaginary: 'Imaginary'
+};
+
+// Real-value planes of colour outputs, in display order
+const PLANE_LABELS = { gray: 'Value', r: 'R value', g: 'G value', b: 'B value' };
+
+class PixelInspector {
+  /**
+   * @param {Object} options
+   * @param {string} options.title - Shown in the inspector header
+   * @param {number} options.width - Image width in pixels
+   * @param {number} options.height - Image height in pixels
+   * @param {Uint8ClampedArray} options.rgba - Pixels to draw (width * height * 4)
+   * @param {Function} options.readPixel - (x, y, index) => Array<{ label, value }> readout lines
+   */
+  constructor({ title, width, height, rgba, readPixel }) {
+    this.title = title;
+    this.width = width;
+    this.height = height;
+    this.rgba = rgba;
+    this.readPixel = readPixel;
+  }
+
+  /**
+   * Readout for one pixel
+   * @returns {Array<Object>} { label, value } lines, empty outside the image
+   */
+  read(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return [];
+    return [{ label: 'Pixel', value: `(${x}, ${y})` }, ...this.readPixel(x, y, y * this.width + x)];
+  }
+
+  // ==================== SOURCES ====================
+
+  /**
+   * Inspect an output port's mix result
+   * Outputs restored from an autosave have no real values until they are re-mixed
+   */
+  static forOutput(output, title) {
+    const { width, height, imageData, colorData, realPlanes } = output;
+    return new PixelInspector({
+      title,
+      width,
+      height,
+      rgba: OutputComparison.toRGBA(output),
+      readPixel: (x, y, i) => {
+        const lines = colorData
+          ? [{ label: 'RGB', value: `${colorData[i * 3]}, ${colorData[i * 3 + 1]}, ${colorData[i * 3 + 2]}` }]
+          : [{ label: 'Grey', value: String(imageData[i]) }];
+        Object.keys(PLANE_LABELS).forEach(name => {
+          if (realPlanes && realPlanes[name]) {
+            lines.push({ label: PLANE_LABELS[name], value: PixelInspector.formatNumber(realPlanes[name][i]) });
+          }
+        });
+        return lines;
+      }
+    });
+  }
+
+  /**
+   * Inspect an input image as displayed (brightness/contrast applied)
+   * The readout also gives the loaded value when the display adjustment changed it,
+   * and the full-precision value in the file's units for high-bit-depth inputs
+   */
+  static forImage(processor, title) {
+    const gray = processor.getGrayscaleData();
+    const original = processor.originalGrayscale;
+    return new PixelInspector({
+      title,
+      width: processor.width,
+      height: processor.height,
+      rgba: PixelInspector.grayToRGBA(gray),
+      readPixel: (x, y, i) => {
+        const lines = [{ label: 'Grey', value: String(gray[i]) }];
+        if (original && original[i] !== gray[i]) {
+          lines.push({ label: 'Original grey', value: String(original[i]) });
+        }
+        const fileValue = processor.getFileValue(i);
+        if (fileValue !== null) {
+          lines.push({
+            label: `Value (${processor.sourceDescription})`,
+            value: PixelInspector.formatNumber(fileValue)
+          });
+        }
+        return lines;
+      }
+    });
+  }
+
+  /**
+   * Inspect an input's FFT component as displayed (brightness/contrast applied)
+   * The readout adds the frequency of the bin and its raw complex value
+   */
+  static forComponent(processor, componentType, brightness, contrast, title) {
+    const fft = processor.fft;
+    const display = processor.getFFTComponentWithAdjustments(componentType, brightness, contrast);
+    const component = fft.getComponentData(componentType);
+    const { fftWidth, fftHeight, complexData } = fft;
+    const dcColumn = Math.floor(fftWidth / 2);
+    const dcRow = Math.floor(fftHeight / 2);
+
+    return new PixelInspector({
+      title,
+      width: fftWidth,
+      height: fftHeight,
+      rgba: PixelInspector.grayToRGBA(display),
+      readPixel: (x, y, i) => {
+        const u = x - dcColumn;
+        const v = y - dcRow;
+        const re = complexData[i * 2];
+        const im = complexData[i * 2 + 1];
+        return [
+          { label: 'Display', value: String(display[i]) },
+          { label: 'Frequency', value: `u ${u}, v ${v}` },
+          { label: 'Cycles/px', value: `${(u / fftWidth).toFixed(4)}, ${(v / fftHeight).toFixed(4)}` },
+          {
+            label: 'F(u, v)',
+            value: `${PixelInspector.formatNumber(re)} ${im < 0 ? '−' : '+'} ${PixelInspector.formatNumber(Math.abs(im))}i`
+          },
+          { label: COMPONENT_LABELS[componentType], value: PixelInspector.formatNumber(component[i]) }
+        ];
+      }
+    });
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Grayscale 0-255 values to opaque RGBA
+   */
+  static grayToRGBA(gray) {
+    const rgba = new Uint8ClampedArray(gray.length * 4);
+    for (let i = 0; i < gray.length; i++) {
+      rgba[i * 4] = gray[i];
+      rgba[i * 4 + 1] = gray[i];
+      rgba[i * 4 + 2] = gray[i];
+      rgba[i * 4 + 3] = 255;
+    }
+    return rgba;
+  }
+
+  /**
+   * Compact number for the readout (exponent form for very large or small values)
+   */
+  static formatNumber(value) {
+    const magnitude = Math.abs(value);
+    if (value === 0 || (magnitude >= 1e-3 && magnitude < 1e6)) {
+      return String(Number(value.toFixed(4)));
+    }
+    return value.toExponential(4);
+  }
+}
+
+export default PixelInspector;
@@ -0,0 +1,235 @@
+// PresetManager.js - Mixer "recipes" shared as URL hashes or kept in a named library
+// A preset holds only the mixing setup, never the images:
+//   weights, componentAssignments, mixMode, regionConfigs, colorMode, chromaSource
+//
+// URL form:  #preset=<base64url(JSON)>   e.g. https://host/#preset=eyJ2IjoxLC...
+// Library:   localStorage['fourier-mixer-presets'] = [{ name, preset, savedAt }, ...]
+//
+// Hand-drawn spectral masks (regionConfig.customMask) are left out: they can be
+// megabytes, far too large for a link, and only make sense for one image size.
+
+// Hash parameter holding the encoded preset
+const HASH_KEY = 'preset';
+
+// localStorage key of the named preset library
+const LIBRARY_KEY = 'fourier-mixer-presets';
+
+// Preset format version (stored as 'v')
+const PRESET_VERSION = 1;
+
+// Values a preset may hold (anything else is dropped when a preset is read)
+const MIX_MODES = ['magnitude-phase', 'real-imaginary'];
+const COLOR_MODES = ['grayscale', 'rgb', 'ycbcr', 'luminance'];
+const ASSIGNMENTS = ['both', 'primary', 'secondary'];
+const WEIGHT_RANGE = { min: 0, max: 1 };
+const REGION_OPTIONS = {
+  shape: ['rectangle', 'circle', 'ellipse'],
+  type: ['inner', 'outer', 'band'],
+  profile: ['ideal', 'gaussian', 'butterworth', 'cosine']
+};
+// Same ranges as the region controls
+const REGION_RANGES = {
+  size: { min: 5, max: 100 },
+  sizeY: { min: 5, max: 100 },
+  offsetX: { min: -50, max: 50 },
+  offsetY: { min: -50, max: 50 },
+  innerSize: { min: 0, max: 100 },
+  order: { min: 1, max: 10, integer: true },
+  transition: { min: 5, max: 100 }
+};
+
+// A finite number clamped into { min, max } (rounded when integer), undefined otherwise
+const clampNumber = (value, { min, max, integer = false }) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+  const clamped = Math.max(min, Math.min(max, value));
+  return integer ? Math.round(clamped) : clamped;
+};
+
+class PresetManager {
+  // ==================== PRESET OBJECTS ====================
+
+  /**
+   * Build a preset from the mixer state
+   * @param {Object} state - { weights, componentAssignments, mixMode, regionConfigs, colorMode, chromaSource }
+   * @returns {Object} Preset (plain JSON-safe object)
+   */
+  static createPreset(state) {
+    return {
+      v: PRESET_VERSION,
+      weights: state.weights,
+      componentAssignments: state.componentAssignments,
+      mixMode: state.mixMode,
+      regionConfigs: state.regionConfigs.map(config => {
+        const { customMask, ...rest } = config;
+        return rest;
+      }),
+      colorMode: state.colorMode,
+      chromaSource: state.chromaSource
+    };
+  }
+
+  /**
+   * Check a decoded preset and drop anything malformed
+   * Presets come from URLs and localStorage, so nothing is trusted: unknown modes are
+   * dropped, numbers are clamped to the ranges the controls allow, and fields that fail
+   * are left out so the app's defaults fill them in. Custom masks are never accepted.
+   * @returns {Object|null} The preset, or null if it cannot be used
+   */
+  static validatePreset(preset) {
+    if (!preset || typeof preset !== 'object' || !Number.isInteger(preset.v) || preset.v < 1) return null;
+    if (preset.v > PRESET_VERSION) {
+      console.warn(`Preset version ${preset.v} is newer than supported (${PRESET_VERSION})`);
+      return null;
+    }
+    const isList = value => Array.isArray(value) && value.length > 0;
+    const pick = (options, value) => (options.includes(value) ? value : undefined);
+
+    return {
+      v: preset.v,
+      weights: isList(preset.weights) ? preset.weights.map(PresetManager.validateWeight) : null,
+      componentAssignments: isList(preset.componentAssignments)
+        ? preset.componentAssignments.map(assignment => pick(ASSIGNMENTS, assignment) || null)
+        : null,
+      regionConfigs: isList(preset.regionConfigs)
+        ? preset.regionConfigs.map(PresetManager.validateRegionConfig)
+        : null,
+      mixMode: pick(MIX_MODES, preset.mixMode),
+      colorMode: pick(COLOR_MODES, preset.colorMode),
+      // A 1-based slot position such as '2'
+      chromaSource: /^[1-9][0-9]?$/.test(String(preset.chromaSource)) ? String(preset.chromaSource) : undefined
+    };
+  }
+
+  /**
+   * One image's weight: a number (both components) or { primary, secondary }, each 0-1
+   * @returns {Object|null} { primary, secondary } with the valid fields, null if there are none
+   */
+  static validateWeight(weight) {
+    const source = typeof weight === 'number' ? { primary: weight, secondary: weight } : weight;
+    if (!source || typeof source !== 'object') return null;
+    const result = {};
+    ['primary', 'secondary'].forEach(key => {
+      const value = clampNumber(source[key], WEIGHT_RANGE);
+      if (value !== undefined) result[key] = value;
+    });
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  /**
+   * One image's region config: known fields only, enums checked, numbers clamped
+   * @returns {Object|null} The valid fields (customMask is always dropped), null if there are none
+   */
+  static validateRegionConfig(config) {
+    if (!config || typeof config !== 'object') return null;
+    const result = {};
+    if (typeof config.enabled === 'boolean') result.enabled = config.enabled;
+    Object.entries(REGION_OPTIONS).forEach(([key, options]) => {
+      if (options.includes(config[key])) result[key] = config[key];
+    });
+    Object.entries(REGION_RANGES).forEach(([key, range]) => {
+      const value = clampNumber(config[key], range);
+      if (value !== undefined) result[key] = value;
+    });
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  // ==================== URL HASH ====================
+
+  /**
+   * Encode a preset as a URL hash
+   * @returns {string} '#preset=...'
+   */
+  static toHash(preset) {
+    return `#${HASH_KEY}=${PresetManager.toBase64Url(JSON.stringify(preset))}`;
+  }
+
+  /**
+   * Full shareable link for a preset (current page without its old hash)
+   */
+  static toURL(preset) {
+    return `${window.location.origin}${window.location.pathname}${window.location.search}${PresetManager.toHash(preset)}`;
+  }
+
+  /**
+   * Decode a preset from a URL hash
+   * @param {string} hash - e.g. window.location.hash
+   * @returns {Object|null} Preset, or null if the hash holds none
+   */
+  static fromHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (!encoded) return null;
+
+    try {
+      return PresetManager.validatePreset(JSON.parse(PresetManager.fromBase64Url(encoded)));
+    } catch (error) {
+      console.warn('Ignoring malformed preset in URL:', error);
+      return null;
+    }
+  }
+
+  /**
+   * UTF-8 text to URL-safe base64 without padding
+   */
+  static toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * URL-safe base64 back to UTF-8 text
+   */
+  static fromBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+  }
+
+  // ==================== LIBRARY ====================
+
+  /**
+   * Named presets stored in this browser
+   * @returns {Array<Object>} { name, preset, savedAt }, sorted by name
+   */
+  static listPresets() {
+    try {
+      const library = JSON.parse(localStorage.getItem(LIBRARY_KEY) || '[]');
+      if (!Array.isArray(library)) return [];
+      return library
+        .filter(entry => entry && typeof entry.name === 'string' && entry.name)
+        .map(entry => ({ ...entry, preset: PresetManager.validatePreset(entry.preset) }))
+        .filter(entry => entry.preset);
+    } catch (error) {
+      console.warn('Preset library is unreadable:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a preset under a name (replaces an existing preset with the same name)
+   * @returns {Array<Object>} Updated library
+   */
+  static savePreset(name, preset) {
+    const library = PresetManager.listPresets().filter(entry => entry.name !== name);
+    library.push({ name, preset, savedAt: Date.now() });
+    library.sort((a, b) => a.name.localeCompare(b.name));
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+    return library;
+  }
+
+  /**
+   * Remove a named preset
+   * @returns {Array<Object>} Updated library
+   */
+  static deletePreset(name) {
+    const library = PresetManager.listPresets().filter(entry => entry.name !== name);
+    localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+    return library;
+  }
+}
+
+export default PresetManager;
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+import PresetManager from './PresetManager';
+
+const STATE = {
+  weights: [{ primary: 0.7, secondary: 0.3 }, { primary: 0.1, secondary: 0.9 }],
+  componentAssignments: ['both', 'secondary'],
+  mixMode: 'real-imaginary',
+  regionConfigs: [
+    { enabled: true, shape: 'circle', type: 'band', size: 60, innerSize: 20, profile: 'gaussian', transition: 30 },
+    { enabled: false, shape: 'rectangle', type: 'inner', size: 50, customMask: { width: 2, height: 2, data: [1, 0, 0, 1] } }
+  ],
+  colorMode: 'luminance',
+  chromaSource: '2'
+};
+
+describe('PresetManager', () => {
+  let warnSpy;
+  beforeEach(() => {
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => warnSpy.mockRestore());
+
+  test('a preset survives the URL hash round trip without its custom masks', () => {
+    const preset = PresetManager.createPreset(STATE);
+    const decoded = PresetManager.fromHash(PresetManager.toHash(preset));
+
+    expect(decoded.weights).toEqual(STATE.weights);
+    expect(decoded.componentAssignments).toEqual(STATE.componentAssignments);
+    expect(decoded.mixMode).toBe('real-imaginary');
+    expect(decoded.colorMode).toBe('luminance');
+    expect(decoded.chromaSource).toBe('2');
+    expect(decoded.regionConfigs[0]).toEqual(STATE.regionConfigs[0]);
+    expect(decoded.regionConfigs[1].customMask).toBeUndefined();
+  });
+
+  test('rejects presets without a usable version', () => {
+    expect(PresetManager.validatePreset(null)).toBeNull();
+    expect(PresetManager.validatePreset('preset')).toBeNull();
+    expect(PresetManager.validatePreset({ weights: [] })).toBeNull();
+    expect(PresetManager.validatePreset({ v: 0 })).toBeNull();
+    expect(PresetManager.validatePreset({ v: 99 })).toBeNull();
+  });
+
+  test('drops unknown modes and malformed fields', () => {
+    const preset = PresetManager.validatePreset({
+      v: 1,
+      weights: [{ primary: 'x', secondary: 2 }, 0.4, 'heavy'],
+      componentAssignments: ['primary', 'everything'],
+      mixMode: 'sideways',
+      colorMode: 'cmyk',
+      chromaSource: '<script>',
+      extra: 'ignored'
+    });
+
+    expect(preset.weights).toEqual([{ secondary: 1 }, { primary: 0.4, secondary: 0.4 }, null]);
+    expect(preset.componentAssignments).toEqual(['primary', null]);
+    expect(preset.mixMode).toBeUndefined();
+    expect(preset.colorMode).toBeUndefined();
+    expect(preset.chromaSource).toBeUndefined();
+    expect(preset.extra).toBeUndefined();
+  });
+
+  test('clamps region fields and never accepts a custom mask', () => {
+    const [config] = PresetManager.validatePreset({
+      v: 1,
+      regionConfigs: [{
+        enabled: 'yes',
+        shape: 'hexagon',
+        type: 'outer',
+        size: 1e9,
+        offsetX: -80,
+        order: 3.6,
+        transition: NaN,
+        customMask: { width: 1, height: 1, data: [1] }
+      }]
+    }).regionConfigs;
+
+    expect(config).toEqual({ type: 'outer', size: 100, offsetX: -50, order: 4 });
+  });
+
+  test('ignores a malformed hash', () => {
+    expect(PresetManager.fromHash('#preset=%%%')).toBeNull();
+    expect(PresetManager.fromHash('#other=1')).toBeNull();
+  });
+});
@@ -0,0 +1,285 @@
+// Resampler.js - Bring every input image to the unified mixing size
+// Three choices, all independent:
+//   - policy : which size all images get - the smallest or largest loaded width/height,
+//              or a fixed size typed in by the user
+//   - method : how pixels are resampled - nearest, bilinear, bicubic or Lanczos
+//   - fit    : what happens when the aspect ratio differs - stretch, centre-crop, or
+//              letterbox (scale to fit, pad the rest with black)
+//
+// Resampling is separable (rows, then columns). When shrinking, each kernel is widened by
+// the shrink factor so every source pixel contributes (anti-aliasing) instead of a few
+// being picked and the rest skipped, which would alias fine detail into the spectrum.
+
+// Settings a new mixer starts with (the previous behaviour apart from the method)
+const DEFAULT_RESIZE = {
+  policy: 'smallest',
+  fixedWidth: 256,
+  fixedHeight: 256,
+  method: 'bilinear',
+  fit: 'stretch'
+};
+
+// Allowed fixed size (both dimensions)
+const MIN_FIXED_SIZE = 8;
+const MAX_FIXED_SIZE = 4096;
+
+// Options shown in the UI
+const POLICIES = [
+  { value: 'smallest', label: 'Smallest' },
+  { value: 'largest', label: 'Largest' },
+  { value: 'fixed', label: 'Fixed' }
+];
+const METHODS = [
+  { value: 'nearest', label: 'Nearest' },
+  { value: 'bilinear', label: 'Bilinear' },
+  { value: 'bicubic', label: 'Bicubic' },
+  { value: 'lanczos', label: 'Lanczos-3' }
+];
+const FITS = [
+  { value: 'stretch', label: 'Stretch' },
+  { value: 'crop', label: 'Centre crop' },
+  { value: 'pad', label: 'Letterbox' }
+];
+
+// Value of the letterbox bars
+const PAD_VALUE = 0;
+
+// Lanczos lobes
+const LANCZOS_A = 3;
+
+// Keys cubic sharpness (-0.5 matches Catmull-Rom)
+const CUBIC_A = -0.5;
+
+// Resampling kernels: radius (in source pixels at 1:1) and weight at distance x
+const KERNELS = {
+  bilinear: {
+    radius: 1,
+    weight: (x) => Math.max(0, 1 - Math.abs(x))
+  },
+  bicubic: {
+    radius: 2,
+    weight: (x) => {
+      const t = Math.abs(x);
+      if (t < 1) return (CUBIC_A + 2) * t * t * t - (CUBIC_A + 3) * t * t + 1;
+      if (t < 2) return CUBIC_A * (t * t * t - 5 * t * t + 8 * t - 4);
+      return 0;
+    }
+  },
+  lanczos: {
+    radius: LANCZOS_A,
+    weight: (x) => {
+      if (x === 0) return 1;
+      if (Math.abs(x) >= LANCZOS_A) return 0;
+      const px = Math.PI * x;
+      return (LANCZOS_A * Math.sin(px) * Math.sin(px / LANCZOS_A)) / (px * px);
+    }
+  }
+};
+
+class Resampler {
+  /**
+   * Settings a new mixer starts with
+   */
+  static getDefaults() {
+    return { ...DEFAULT_RESIZE };
+  }
+
+  /**
+   * Options for the policy, method and fit selectors
+   */
+  static getOptions() {
+    return { policies: POLICIES, methods: METHODS, fits: FITS };
+  }
+
+  /**
+   * Fill in and clamp settings (e.g. from an older or edited session)
+   */
+  static normalize(settings = {}) {
+    const merged = { ...DEFAULT_RESIZE, ...settings };
+    const isOption = (options, value) => options.some(option => option.value === value);
+    const clampSize = (size, fallback) => {
+      const value = Math.round(Number(size));
+      return Number.isFinite(value)
+        ? Math.max(MIN_FIXED_SIZE, Math.min(MAX_FIXED_SIZE, value))
+        : fallback;
+    };
+    return {
+      policy: isOption(POLICIES, merged.policy) ? merged.policy : DEFAULT_RESIZE.policy,
+      fixedWidth: clampSize(merged.fixedWidth, DEFAULT_RESIZE.fixedWidth),
+      fixedHeight: clampSize(merged.fixedHeight, DEFAULT_RESIZE.fixedHeight),
+      method: isOption(METHODS, merged.method) ? merged.method : DEFAULT_RESIZE.method,
+      fit: isOption(FITS, merged.fit) ? merged.fit : DEFAULT_RESIZE.fit
+    };
+  }
+
+  /**
+   * Allowed range of the fixed size inputs
+   */
+  static getFixedSizeRange() {
+    return { min: MIN_FIXED_SIZE, max: MAX_FIXED_SIZE };
+  }
+
+  /**
+   * Unified size for a set of images under a policy
+   * @param {Array<{width, height}>} sizes - Original sizes of the loaded images
+   * @param {Object} settings - Resize settings (policy, fixedWidth, fixedHeight)
+   * @returns {{width, height}|null} null when no image is loaded
+   */
+  static getTargetSize(sizes, settings) {
+    if (sizes.length === 0) return null;
+    if (settings.policy === 'fixed') {
+      return { width: settings.fixedWidth, height: settings.fixedHeight };
+    }
+    const pick = settings.policy === 'largest' ? Math.max : Math.min;
+    return {
+      width: pick(...sizes.map(size => size.width)),
+      height: pick(...sizes.map(size => size.height))
+    };
+  }
+
+  /**
+   * Where the source lands in the target for a fit mode
+   * @returns {Object} { source: {x, y, width, height} (fractional source pixels),
+   *                     dest: {x, y, width, height} (whole target pixels) }
+   */
+  static getFitGeometry(sourceWidth, sourceHeight, targetWidth, targetHeight, fit) {
+    const fullSource = { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+    const fullDest = { x: 0, y: 0, width: targetWidth, height: targetHeight };
+
+    if (fit === 'crop') {
+      // Scale to cover the target, cut the overflow equally on both sides
+      const scale = Math.max(targetWidth / sourceWidth, targetHeight / sourceHeight);
+      const width = targetWidth / scale;
+      const height = targetHeight / scale;
+      return {
+        source: { x: (sourceWidth - width) / 2, y: (sourceHeight - height) / 2, width, height },
+        dest: fullDest
+      };
+    }
+
+    if (fit === 'pad') {
+      // Scale to fit inside the target, centre it, the rest stays PAD_VALUE
+      const scale = Math.min(targetWidth / sourceWidth, targetHeight / sourceHeight);
+      const width = Math.max(1, Math.min(targetWidth, Math.round(sourceWidth * scale)));
+      const height = Math.max(1, Math.min(targetHeight, Math.round(sourceHeight * scale)));
+      return {
+        source: fullSource,
+        dest: {
+          x: Math.floor((targetWidth - width) / 2),
+          y: Math.floor((targetHeight - height) / 2),
+          width,
+          height
+        }
+      };
+    }
+
+    // Stretch: whole source onto the whole target
+    return { source: fullSource, dest: fullDest };
+  }
+
+  /**
+   * Resample one plane (1 value per pixel) to a new size
+   * Float planes (high-bit-depth inputs) stay float; anything else becomes 8-bit
+   * @param {ArrayLike<number>} plane - Source values, row by row
+   * @param {number} sourceWidth
+   * @param {number} sourceHeight
+   * @param {number} targetWidth
+   * @param {number} targetHeight
+   * @param {Object} options - { method, fit }
+   * @returns {Uint8ClampedArray|Float32Array} targetWidth * targetHeight values
+   */
+  static resample(plane, sourceWidth, sourceHeight, targetWidth, targetHeight, options = {}) {
+    const { method = DEFAULT_RESIZE.method, fit = DEFAULT_RESIZE.fit } = options;
+    const OutputArray = plane instanceof Float32Array ? Float32Array : Uint8ClampedArray;
+    const output = new OutputArray(targetWidth * targetHeight).fill(PAD_VALUE);
+
+    const { source, dest } = Resampler.getFitGeometry(
+      sourceWidth, sourceHeight, targetWidth, targetHeight, fit
+    );
+
+    // Contributing source pixels (and weights) for every target column and row
+    const columns = Resampler.buildTaps(source.x, source.width, sourceWidth, dest.width, method);
+    const rows = Resampler.buildTaps(source.y, source.height, sourceHeight, dest.height, method);
+
+    // Horizontal pass: every source row to dest.width columns
+    const horizontal = new Float32Array(sourceHeight * dest.width);
+    for (let y = 0; y < sourceHeight; y++) {
+      const rowOffset = y * sourceWidth;
+      for (let x = 0; x < dest.width; x++) {
+        const { indices, weights } = columns[x];
+        let sum = 0;
+        for (let k = 0; k < indices.length; k++) {
+          sum += plane[rowOffset + indices[k]] * weights[k];
+        }
+        horizontal[y * dest.width + x] = sum;
+      }
+    }
+
+    // Vertical pass: into the destination rectangle of the output
+    for (let y = 0; y < dest.height; y++) {
+      const { indices, weights } = rows[y];
+      const outOffset = (dest.y + y) * targetWidth + dest.x;
+      for (let x = 0; x < dest.width; x++) {
+        let sum = 0;
+        for (let k = 0; k < indices.length; k++) {
+          sum += horizontal[indices[k] * dest.width + x] * weights[k];
+        }
+        output[outOffset + x] = sum; // Uint8ClampedArray rounds and clamps overshoot, floats keep it
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Source taps along one axis
+   * @param {number} start - First source coordinate covered (fractional for crop)
+   * @param {number} span - Source length covered
+   * @param {number} sourceSize - Source length (taps are clamped to it)
+   * @param {number} count - Number of target samples
+   * @param {string} method - Resampling method
+   * @returns {Array<{indices: number[], weights: number[]}>} One entry per target sample
+   */
+  static buildTaps(start, span, sourceSize, count, method) {
+    const scale = span / count; // Source pixels per target pixel (> 1 = shrinking)
+    const taps = [];
+
+    for (let i = 0; i < count; i++) {
+      // Centre of target pixel i in source pixel coordinates
+      const center = start + (i + 0.5) * scale - 0.5;
+
+      if (method === 'nearest' || !KERNELS[method]) {
+        const index = Math.max(0, Math.min(sourceSize - 1, Math.round(center)));
+        taps.push({ indices: [index], weights: [1] });
+        continue;
+      }
+
+      // Widen the kernel when shrinking so it averages every covered source pixel
+      const kernel = KERNELS[method];
+      const stretch = Math.max(1, scale);
+      const support = kernel.radius * stretch;
+      const indices = [];
+      const weights = [];
+      let total = 0;
+      for (let j = Math.ceil(center - support); j <= Math.floor(center + support); j++) {
+        const weight = kernel.weight((j - center) / stretch);
+        if (weight === 0) continue;
+        // Past the edges, repeat the edge pixel
+        indices.push(Math.max(0, Math.min(sourceSize - 1, j)));
+        weights.push(weight);
+        total += weight;
+      }
+
+      // Normalise so flat areas keep their value
+      if (total === 0) {
+        taps.push({ indices: [Math.max(0, Math.min(sourceSize - 1, Math.round(center)))], weights: [1] });
+      } else {
+        taps.push({ indices, weights: weights.map(weight => weight / total) });
+      }
+    }
+
+    return taps;
+  }
+}
+
+export default Resampler;
@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+import Resampler from './Resampler';
+
+const METHODS = Resampler.getOptions().methods.map(option => option.value);
+
+describe('Resampler.normalize', () => {
+  test('fills in defaults and drops unknown options', () => {
+    expect(Resampler.normalize({ policy: 'huge', method: 'magic' })).toEqual(Resampler.getDefaults());
+  });
+
+  test('clamps the fixed size into range', () => {
+    const { min, max } = Resampler.getFixedSizeRange();
+    const settings = Resampler.normalize({ fixedWidth: 1, fixedHeight: 1e6 });
+    expect(settings.fixedWidth).toBe(min);
+    expect(settings.fixedHeight).toBe(max);
+  });
+});
+
+describe('Resampler.getTargetSize', () => {
+  const sizes = [{ width: 100, height: 40 }, { width: 60, height: 80 }];
+
+  test('picks the smallest or largest width and height', () => {
+    expect(Resampler.getTargetSize(sizes, { policy: 'smallest' })).toEqual({ width: 60, height: 40 });
+    expect(Resampler.getTargetSize(sizes, { policy: 'largest' })).toEqual({ width: 100, height: 80 });
+  });
+
+  test('uses the fixed size, and null without images', () => {
+    expect(Resampler.getTargetSize(sizes, { policy: 'fixed', fixedWidth: 32, fixedHeight: 16 }))
+      .toEqual({ width: 32, height: 16 });
+    expect(Resampler.getTargetSize([], { policy: 'smallest' })).toBeNull();
+  });
+});
+
+describe('Resampler.resample', () => {
+  const gradient = Uint8ClampedArray.from({ length: 12 * 8 }, (_, i) => (i * 5) % 256);
+
+  test.each(METHODS)('%s keeps a flat image flat', (method) => {
+    const flat = new Uint8ClampedArray(20 * 10).fill(77);
+    const out = Resampler.resample(flat, 20, 10, 7, 13, { method });
+    expect(out.every(value => value === 77)).toBe(true);
+  });
+
+  test.each(METHODS)('%s at 1:1 is the identity', (method) => {
+    const out = Resampler.resample(gradient, 12, 8, 12, 8, { method });
+    expect(Array.from(out)).toEqual(Array.from(gradient));
+  });
+
+  test('averages a checkerboard when shrinking (anti-aliasing)', () => {
+    const checker = Uint8ClampedArray.from({ length: 16 * 16 }, (_, i) => ((i % 16) + Math.floor(i / 16)) % 2 ? 255 : 0);
+    const out = Resampler.resample(checker, 16, 16, 4, 4, { method: 'bilinear' });
+    out.forEach(value => expect(Math.abs(value - 127.5)).toBeLessThan(10));
+
+    // Point sampling aliases to pure black or white instead
+    const nearest = Resampler.resample(checker, 16, 16, 4, 4, { method: 'nearest' });
+    nearest.forEach(value => expect([0, 255]).toContain(value));
+  });
+
+  test('letterboxes with zero bars when the aspect ratio differs', () => {
+    const flat = new Uint8ClampedArray(20 * 10).fill(200);
+    const out = Resampler.resample(flat, 20, 10, 20, 20, { method: 'nearest', fit: 'pad' });
+    expect(out[0]).toBe(0); // Top bar
+    expect(out[10 * 20 + 10]).toBe(200); // Centre
+    expect(out[19 * 20 + 19]).toBe(0); // Bottom bar
+  });
+
+  test('keeps float planes float', () => {
+    const plane = Float32Array.from({ length: 8 * 8 }, (_, i) => i + 0.25);
+    const out = Resampler.resample(plane, 8, 8, 8, 8, { method: 'bicubic' });
+    expect(out).toBeInstanceOf(Float32Array);
+    expect(out[9]).toBeCloseTo(9.25, 5);
+  });
+});
@@ -0,0 +1,183 @@
+// SessionManager.js - Save and reopen a complete mixer session as a JSON project file
+// A session holds everything needed to rebuild the app:
+//   - settings      : mix mode, colour mode, chroma source, selected port, region target,
+//                     resize policy / resampling method / fit mode
+//   - per image     : weights, component assignments, region configs (custom masks included)
+//   - viewports     : embedded original image (PNG data URL, or the file itself for
+//                     16-bit PNG / TIFF / PGM / FITS / .npy inputs) plus brightness/contrast
+//                     and the selected FFT component
+//   - outputs       : the recipe each output port was last mixed with (one entry per
+//                     port), so every port can be re-mixed after the images are loaded again
+//   - outputDisplays: each port's display window/level/gamma (optional, defaults if missing)
+//
+// Every file carries a format tag and a version number. Older versions are upgraded
+// step by step through MIGRATIONS, so sessions saved by earlier releases keep loading.
+
+import ImageExporter from './ImageExporter';
+
+// Identifies a file as a mixer session
+const SESSION_FORMAT = 'fourier-mixer-session';
+
+// Version written by this release - bump it and add a migration when the format changes
+const SESSION_VERSION = 1;
+
+// Upgrade functions keyed by the version they upgrade FROM
+// e.g. MIGRATIONS[1] = (session) => ({ ...session, version: 2, newField: default })
+const MIGRATIONS = {};
+
+class SessionManager {
+  /**
+   * Current session file version
+   * @returns {number} Version number written by toJSON()
+   */
+  static getVersion() {
+    return SESSION_VERSION;
+  }
+
+  // ==================== SAVE ====================
+
+  /**
+   * Serialise the app state to session JSON
+   * @param {Object} state - { settings, weights, componentAssignments, regionConfigs,
+   *                           targetSize, viewports, outputs, outputDisplays }
+   * @returns {string} Session file contents
+   */
+  static toJSON(state) {
+    const session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      savedAt: new Date().toISOString(),
+      settings: state.settings,
+      weights: state.weights,
+      componentAssignments: state.componentAssignments,
+      regionConfigs: state.regionConfigs.map(SessionManager.encodeRegionConfig),
+      targetSize: state.targetSize,
+      viewports: state.viewports,
+      outputs: state.outputs.map(output => output && {
+        ...output,
+        regionConfigs: output.regionConfigs.map(SessionManager.encodeRegionConfig)
+      }),
+      outputDisplays: state.outputDisplays || []
+    };
+    return JSON.stringify(session);
+  }
+
+  /**
+   * Download session JSON as a file
+   */
+  static download(json, fileName = 'fourier-mixer-session.json') {
+    ImageExporter.download(new Blob([json], { type: 'application/json' }), fileName);
+  }
+
+  // ==================== OPEN ====================
+
+  /**
+   * Read and parse a session file chosen by the user
+   * @param {File} file - Session JSON file
+   * @returns {Promise<Object>} Parsed, upgraded session
+   */
+  static async readFile(file) {
+    return SessionManager.fromJSON(await file.text());
+  }
+
+  /**
+   * Parse session JSON, upgrade it to the current version and decode custom masks
+   * @param {string} json - Session file contents
+   * @returns {Object} Session in the current format
+   */
+  static fromJSON(json) {
+    let session;
+    try {
+      session = JSON.parse(json);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (!session || session.format !== SESSION_FORMAT) {
+      throw new Error('The file is not a Fourier mixer session');
+    }
+    if (!Number.isInteger(session.version) || session.version < 1) {
+      throw new Error('The session has no valid version number');
+    }
+    if (session.version > SESSION_VERSION) {
+      throw new Error(
+        `The session was saved by a newer version (v${session.version}, this app reads up to v${SESSION_VERSION})`
+      );
+    }
+
+    // Upgrade one version at a time
+    while (session.version < SESSION_VERSION) {
+      const migrate = MIGRATIONS[session.version];
+      if (!migrate) {
+        throw new Error(`No upgrade path from session version ${session.version}`);
+      }
+      session = migrate(session);
+    }
+
+    return {
+      ...session,
+      regionConfigs: (session.regionConfigs || []).map(SessionManager.decodeRegionConfig),
+      viewports: session.viewports || [],
+      outputs: (session.outputs || []).map(output => output && {
+        ...output,
+        regionConfigs: (output.regionConfigs || []).map(SessionManager.decodeRegionConfig)
+      }),
+      outputDisplays: session.outputDisplays || []
+    };
+  }
+
+  // ==================== CUSTOM MASKS ====================
+
+  /**
+   * Replace a custom mask's Float32Array with base64 so it survives JSON
+   */
+  static encodeRegionConfig(config) {
+    if (!config || !config.customMask) return config;
+    const { width, height, data } = config.customMask;
+    return { ...config, customMask: { width, height, data: SessionManager.float32ToBase64(data) } };
+  }
+
+  /**
+   * Turn a saved custom mask back into a Float32Array
+   */
+  static decodeRegionConfig(config) {
+    if (!config || !config.customMask) return config;
+    const { width, height, data } = config.customMask;
+    return { ...config, customMask: { width, height, data: SessionManager.base64ToFloat32(data) } };
+  }
+
+  /**
+   * Little-endian float32 values as base64 text
+   */
+  static float32ToBase64(values) {
+    const bytes = new Uint8Array(values.length * 4);
+    const view = new DataView(bytes.buffer);
+    for (let i = 0; i < values.length; i++) {
+      view.setFloat32(i * 4, values[i], true);
+    }
+    // Build the binary string in pieces so large masks do not overflow the call stack
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Base64 text back to float32 values
+   */
+  static base64ToFloat32(text) {
+    const binary = atob(text);
+    const view = new DataView(new ArrayBuffer(binary.length));
+    for (let i = 0; i < binary.length; i++) {
+      view.setUint8(i, binary.charCodeAt(i));
+    }
+    const values = new Float32Array(binary.length / 4);
+    for (let i = 0; i < values.length; i++) {
+      values[i] = view.getFloat32(i * 4, true);
+    }
+    return values;
+  }
+}
+
+export default SessionManager;
@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+import SessionManager from './SessionManager';
+
+// A session as the first release wrote it: no output displays
+const V1_SESSION = {
+  format: 'fourier-mixer-session',
+  version: 1,
+  savedAt: '2025-01-01T00:00:00.000Z',
+  settings: { mixMode: 'real-imaginary', colorMode: 'grayscale', chromaSource: '1', selectedOutput: 2, regionTarget: 'all' },
+  weights: [{ primary: 0.5, secondary: 0.5 }, { primary: 1, secondary: 0 }],
+  componentAssignments: ['both', 'primary'],
+  regionConfigs: [{ enabled: true, type: 'inner', size: 40 }, { enabled: false, type: 'outer', size: 50 }],
+  targetSize: { width: 64, height: 48 },
+  viewports: [{ image: null, display: { imageBrightness: 10 } }],
+  outputs: [null, { slots: [0], weights: [{ primary: 1, secondary: 1 }], regionConfigs: [{ enabled: false }] }]
+};
+
+describe('SessionManager', () => {
+  test('opens a version 1 session and fills in what it lacks', () => {
+    const session = SessionManager.fromJSON(JSON.stringify(V1_SESSION));
+
+    expect(session.version).toBe(SessionManager.getVersion());
+    expect(session.settings.mixMode).toBe('real-imaginary');
+    expect(session.weights).toEqual(V1_SESSION.weights);
+    expect(session.regionConfigs).toEqual(V1_SESSION.regionConfigs);
+    expect(session.outputs[0]).toBeNull();
+    expect(session.outputs[1].regionConfigs).toEqual([{ enabled: false }]);
+    expect(session.outputDisplays).toEqual([]);
+  });
+
+  test('fills in the lists a partial session lacks', () => {
+    const { viewports, outputs, ...partial } = V1_SESSION;
+    const session = SessionManager.fromJSON(JSON.stringify(partial));
+    expect(session.viewports).toEqual([]);
+    expect(session.outputs).toEqual([]);
+  });
+
+  test('saves and reopens custom masks as Float32Arrays', () => {
+    const data = Float32Array.from([0, 0.25, 0.5, 1, 0.125, 0.75]);
+    const customMask = { width: 3, height: 2, data };
+    const json = SessionManager.toJSON({
+      settings: {},
+      weights: [],
+      componentAssignments: [],
+      regionConfigs: [{ enabled: true, customMask }],
+      targetSize: null,
+      viewports: [],
+      outputs: [{ slots: [0], regionConfigs: [{ enabled: true, customMask }] }]
+    });
+
+    const session = SessionManager.fromJSON(json);
+    expect(session.regionConfigs[0].customMask.data).toBeInstanceOf(Float32Array);
+    expect(Array.from(session.regionConfigs[0].customMask.data)).toEqual(Array.from(data));
+    expect(Array.from(session.outputs[0].regionConfigs[0].customMask.data)).toEqual(Array.from(data));
+  });
+
+  test('keeps one recipe per output port, empty ports included', () => {
+    const recipe = {
+      slots: [1, 4],
+      weights: [{ primary: 1 }, { primary: 0 }],
+      regionConfigs: [{ enabled: false }, { enabled: true, size: 30 }],
+      mixMode: 'real-imaginary'
+    };
+    const json = SessionManager.toJSON({
+      settings: { selectedOutput: 3 },
+      weights: [],
+      componentAssignments: [],
+      regionConfigs: [],
+      targetSize: null,
+      viewports: [],
+      outputs: [null, recipe, recipe, null]
+    });
+
+    const session = SessionManager.fromJSON(json);
+    expect(session.settings.selectedOutput).toBe(3);
+    expect(session.outputs).toEqual([null, recipe, recipe, null]);
+  });
+
+  test('saves each port\'s display levels', () => {
+    const outputDisplays = [{ level: 0.4, window: 0.5, gamma: 2.2 }, null];
+    const json = SessionManager.toJSON({
+      settings: {},
+      weights: [],
+      componentAssignments: [],
+      regionConfigs: [],
+      targetSize: null,
+      viewports: [],
+      outputs: [null, null],
+      outputDisplays
+    });
+    expect(SessionManager.fromJSON(json).outputDisplays).toEqual(outputDisplays);
+  });
+
+  test('rejects files that are not sessions or are too new', () => {
+    expect(() => SessionManager.fromJSON('not json')).toThrow('not valid JSON');
+    expect(() => SessionManager.fromJSON(JSON.stringify({ format: 'other', version: 1 }))).toThrow('not a Fourier mixer session');
+    expect(() => SessionManager.fromJSON(JSON.stringify({ ...V1_SESSION, version: 0 }))).toThrow('no valid version');
+    expect(() => SessionManager.fromJSON(JSON.stringify({ ...V1_SESSION, version: 99 }))).toThrow('newer version');
+  });
+});
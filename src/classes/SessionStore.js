@@ -0,0 +1,217 @@
+// SessionStore.js - Automatic session persistence in IndexedDB
+// App snapshots its working state here every few seconds, so a reload or a crash
+// can be recovered from. Each page load writes to its own session, and earlier
+// sessions stay listed until they are deleted or evicted.
+//
+// Three object stores keep the list cheap to read and the images written once:
+//   - 'sessions'  : small metadata records { id, name, savedAt, imageCount, size }
+//   - 'snapshots' : the data itself { id, json, outputs, images }
+//       json    - SessionManager session JSON without the images (weights, region configs, ...)
+//       outputs - displayed pixels of every output port, shown until they are re-mixed
+//       images  - per viewport, { id, size } of its stored image (null when empty)
+//   - 'images'    : each loaded image as a Blob { id, name, width, height, blob }, keyed
+//                   '<session id>/<processor id>' - written once when the image is loaded,
+//                   so parameter changes only rewrite the small snapshot
+//
+// Storage is capped: the oldest sessions are evicted once the total exceeds
+// MAX_STORAGE_BYTES or MAX_SESSIONS, so large images cannot fill the quota.
+
+const DB_NAME = 'fourier-mixer';
+const DB_VERSION = 2;
+
+// Total bytes kept across all stored sessions
+const MAX_STORAGE_BYTES = 150 * 1024 * 1024;
+
+// Number of sessions kept in the recent list
+const MAX_SESSIONS = 10;
+
+class SessionStore {
+  constructor() {
+    this.dbPromise = null; // Lazily opened database
+  }
+
+  // ==================== DATABASE ====================
+
+  /**
+   * Check whether IndexedDB is available (it is not in some private windows)
+   * @returns {boolean} True if sessions can be stored
+   */
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating the stores on first use
+   * @returns {Promise<IDBDatabase>} The open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('sessions')) {
+            db.createObjectStore('sessions', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('snapshots')) {
+            db.createObjectStore('snapshots', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('images')) {
+            db.createObjectStore('images', { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a later retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one transaction and resolve when it completes
+   * @param {Array<string>} storeNames - Stores used by the transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - (stores) => value or IDBRequest whose result is returned
+   * @returns {Promise<*>} The value or request result
+   */
+  async transaction(storeNames, mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = storeNames.map(name => tx.objectStore(name));
+      const result = work(...stores);
+      tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  // ==================== SESSIONS ====================
+
+  /**
+   * Store (or replace) a session snapshot, then evict old sessions over the cap
+   * Stored images the snapshot no longer refers to are deleted
+   * @param {string} id - Session ID (one per page load)
+   * @param {Object} snapshot - { json, outputs, images }
+   * @param {Object} meta - { name, imageCount }
+   * @param {Array<Object>} newImages - Images not stored yet: { id, name, width, height, blob }
+   * @returns {Promise<boolean>} False if the snapshot alone is larger than the cap
+   */
+  async save(id, snapshot, meta, newImages = []) {
+    const size = SessionStore.getSnapshotSize(snapshot);
+    if (size > MAX_STORAGE_BYTES) {
+      console.warn(`Session snapshot (${size} bytes) exceeds the storage cap, not saved`);
+      return false;
+    }
+
+    const record = { id, ...meta, savedAt: Date.now(), size };
+    const imageIds = snapshot.images.filter(Boolean).map(image => image.id);
+    await this.transaction(['sessions', 'snapshots', 'images'], 'readwrite', (sessions, snapshots, images) => {
+      sessions.put(record);
+      snapshots.put({ id, ...snapshot });
+      newImages.forEach(image => images.put(image));
+      const stored = images.getAllKeys(SessionStore.getImageRange(id));
+      stored.onsuccess = () => {
+        stored.result
+          .filter(key => !imageIds.includes(key))
+          .forEach(key => images.delete(key));
+      };
+    });
+    await this.evict(id);
+    return true;
+  }
+
+  /**
+   * List stored sessions, newest first (metadata only)
+   * @returns {Promise<Array<Object>>} { id, name, savedAt, imageCount, size } records
+   */
+  async list() {
+    const records = await this.transaction(['sessions'], 'readonly', sessions => sessions.getAll());
+    return records.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Load one session's snapshot with its stored images
+   * @returns {Promise<Object|null>} { id, json, outputs, images } or null if it no longer exists
+   *   (images: per viewport { id, name, width, height, blob }, or null)
+   */
+  async load(id) {
+    let snapshot = null;
+    await this.transaction(['snapshots', 'images'], 'readonly', (snapshots, images) => {
+      const request = snapshots.get(id);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        // Snapshots written before images were stored apart have them in the JSON
+        const refs = request.result.images || [];
+        snapshot = { ...request.result, images: refs.map(() => null) };
+        refs.forEach((ref, index) => {
+          if (!ref) return;
+          const image = images.get(ref.id);
+          image.onsuccess = () => {
+            snapshot.images[index] = image.result || null;
+          };
+        });
+      };
+    });
+    return snapshot;
+  }
+
+  /**
+   * Delete one session and its images
+   */
+  async remove(id) {
+    await this.transaction(['sessions', 'snapshots', 'images'], 'readwrite', (sessions, snapshots, images) => {
+      sessions.delete(id);
+      snapshots.delete(id);
+      images.delete(SessionStore.getImageRange(id));
+    });
+  }
+
+  /**
+   * Delete the oldest sessions until the store is within its limits
+   * @param {string} keepId - Session that must never be evicted (the one being written)
+   */
+  async evict(keepId) {
+    const records = await this.list();
+    let total = records.reduce((sum, record) => sum + record.size, 0);
+    let count = records.length;
+
+    // Oldest first
+    for (const record of [...records].reverse()) {
+      if (total <= MAX_STORAGE_BYTES && count <= MAX_SESSIONS) break;
+      if (record.id === keepId) continue;
+      await this.remove(record.id);
+      total -= record.size;
+      count--;
+      console.log(`Evicted stored session ${record.id} (${record.size} bytes)`);
+    }
+  }
+
+  /**
+   * Key range of one session's stored images
+   */
+  static getImageRange(id) {
+    return IDBKeyRange.bound(`${id}/`, `${id}/\uffff`);
+  }
+
+  /**
+   * Approximate stored size of a snapshot in bytes, its images included
+   */
+  static getSnapshotSize(snapshot) {
+    const outputBytes = snapshot.outputs.reduce((sum, output) => {
+      if (!output) return sum;
+      return sum + output.imageData.byteLength + (output.colorData ? output.colorData.byteLength : 0);
+    }, 0);
+    const imageBytes = snapshot.images.reduce((sum, image) => sum + (image ? image.size : 0), 0);
+    return snapshot.json.length * 2 + outputBytes + imageBytes; // Strings are stored as UTF-16
+  }
+}
+
+// Shared instance so the whole app uses one database connection
+const sessionStore = new SessionStore();
+
+export default sessionStore;
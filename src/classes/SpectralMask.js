@@ -0,0 +1,222 @@
+// SpectralMask.js - Hand-drawn frequency mask for one FFT (brush, erase, polygon, notch)
+// Stored in the same fft-shifted layout as FourierTransform.complexData (DC at the center),
+// one weight per frequency: 1 = keep, 0 = block, in between = attenuate.
+//
+// Every edit is mirrored onto the conjugate frequency (-u, -v), so the mask stays
+// Hermitian-symmetric and the mixed image stays real.
+
+// Maximum number of undo/redo snapshots kept per mask
+const MAX_HISTORY = 30;
+
+class SpectralMask {
+  /**
+   * @param {number} width - FFT width
+   * @param {number} height - FFT height
+   * @param {Float32Array} data - Optional initial weights (copied), defaults to all 1 (keep everything)
+   */
+  constructor(width, height, data = null) {
+    this.width = width;
+    this.height = height;
+    this.data = data ? new Float32Array(data) : new Float32Array(width * height).fill(1);
+
+    // DC position after fftShift (same convention as FourierMixer.createRegionMask)
+    this.centerX = Math.floor(width / 2);
+    this.centerY = Math.floor(height / 2);
+
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  // ==================== SYMMETRY ====================
+
+  /**
+   * Conjugate-symmetric partner of a bin in the shifted layout
+   * (-dx, -dy) around DC, wrapping onto itself at the Nyquist row/column of even sizes
+   * @returns {Object} { x, y } of the mirrored bin
+   */
+  mirror(x, y) {
+    const mirrorAxis = (p, center, size) => {
+      const d = -(p - center);
+      return center + (d > size - 1 - center ? d - size : d);
+    };
+    return {
+      x: mirrorAxis(x, this.centerX, this.width),
+      y: mirrorAxis(y, this.centerY, this.height)
+    };
+  }
+
+  /**
+   * Set one bin and its conjugate partner
+   */
+  setWeight(x, y, value) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const m = this.mirror(x, y);
+    this.data[y * this.width + x] = value;
+    this.data[m.y * this.width + m.x] = value;
+  }
+
+  // ==================== HISTORY ====================
+
+  /**
+   * Save the current weights before an edit
+   * Call once per stroke/polygon/notch so one undo reverts the whole edit
+   */
+  beginEdit() {
+    this.undoStack.push(new Float32Array(this.data));
+    if (this.undoStack.length > MAX_HISTORY) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Revert the last edit
+   * @returns {boolean} Whether anything was undone
+   */
+  undo() {
+    if (this.undoStack.length === 0) return false;
+    this.redoStack.push(this.data);
+    this.data = this.undoStack.pop();
+    return true;
+  }
+
+  /**
+   * Re-apply the last undone edit
+   * @returns {boolean} Whether anything was redone
+   */
+  redo() {
+    if (this.redoStack.length === 0) return false;
+    this.undoStack.push(this.data);
+    this.data = this.redoStack.pop();
+    return true;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // ==================== TOOLS ====================
+
+  /**
+   * Paint a filled disc (brush = 0 to block, erase = 1 to restore)
+   * @param {number} x - Center column
+   * @param {number} y - Center row
+   * @param {number} radius - Brush radius in bins
+   * @param {number} value - Weight written inside the disc
+   */
+  paintDisc(x, y, radius, value) {
+    const r = Math.max(0.5, radius);
+    const r2 = r * r;
+    for (let py = Math.floor(y - r); py <= Math.ceil(y + r); py++) {
+      for (let px = Math.floor(x - r); px <= Math.ceil(x + r); px++) {
+        const dx = px - x;
+        const dy = py - y;
+        if (dx * dx + dy * dy <= r2) {
+          this.setWeight(px, py, value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Paint discs along a line so fast mouse moves leave no gaps
+   */
+  paintLine(x0, y0, x1, y1, radius, value) {
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    const steps = Math.max(1, Math.ceil(length / Math.max(0.5, radius / 2)));
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      this.paintDisc(x0 + (x1 - x0) * t, y0 + (y1 - y0) * t, radius, value);
+    }
+  }
+
+  /**
+   * Fill a polygon (lasso) using an even-odd point-in-polygon test per bin center
+   * @param {Array<Object>} points - Vertices { x, y } in bins
+   * @param {number} value - Weight written inside the polygon
+   */
+  fillPolygon(points, value) {
+    if (points.length < 3) return;
+
+    const minX = Math.max(0, Math.floor(Math.min(...points.map(p => p.x))));
+    const maxX = Math.min(this.width - 1, Math.ceil(Math.max(...points.map(p => p.x))));
+    const minY = Math.max(0, Math.floor(Math.min(...points.map(p => p.y))));
+    const maxY = Math.min(this.height - 1, Math.ceil(Math.max(...points.map(p => p.y))));
+
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+          const a = points[i];
+          const b = points[j];
+          if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+          }
+        }
+        if (inside) {
+          this.setWeight(x, y, value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Soft notch: attenuate a Gaussian spot (and its conjugate) to remove a periodic-noise peak
+   * @param {number} x - Center column
+   * @param {number} y - Center row
+   * @param {number} radius - Notch radius in bins (about 2 sigma)
+   */
+  notch(x, y, radius) {
+    const sigma = Math.max(0.5, radius / 2);
+    const reach = Math.ceil(sigma * 3);
+    const cx = Math.round(x);
+    const cy = Math.round(y);
+
+    for (let py = cy - reach; py <= cy + reach; py++) {
+      for (let px = cx - reach; px <= cx + reach; px++) {
+        if (px < 0 || py < 0 || px >= this.width || py >= this.height) continue;
+        const dx = px - x;
+        const dy = py - y;
+        const keep = 1 - Math.exp(-(dx * dx + dy * dy) / (2 * sigma * sigma));
+        // Multiply so overlapping notches deepen instead of overwriting each other
+        this.setWeight(px, py, this.data[py * this.width + px] * keep);
+      }
+    }
+  }
+
+  /**
+   * Swap kept and blocked frequencies
+   */
+  invert() {
+    for (let i = 0; i < this.data.length; i++) {
+      this.data[i] = 1 - this.data[i];
+    }
+  }
+
+  /**
+   * Reset every weight to the same value (1 = keep everything)
+   */
+  fill(value) {
+    this.data.fill(value);
+  }
+
+  // ==================== EXPORT ====================
+
+  /**
+   * Plain snapshot for regionConfig.customMask (safe to post to the worker)
+   * @returns {Object} { width, height, data }
+   */
+  toConfig() {
+    return {
+      width: this.width,
+      height: this.height,
+      data: new Float32Array(this.data)
+    };
+  }
+}
+
+export default SpectralMask;
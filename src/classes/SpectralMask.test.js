@@ -0,0 +1,145 @@
+/**
+ * @jest-environment node
+ */
+import SpectralMask from './SpectralMask';
+
+// Conjugate partner of a shifted position, derived from the unshifted index:
+// k = p - center (mod n), partner k' = -k (mod n), so p' = 2 * center - p (mod n)
+const partner = (p, n) => {
+  const center = Math.floor(n / 2);
+  return (((2 * center - p) % n) + n) % n;
+};
+
+// Whether every weight equals the weight of its conjugate frequency
+const isHermitian = (mask) => {
+  for (let y = 0; y < mask.height; y++) {
+    for (let x = 0; x < mask.width; x++) {
+      const mirrored = partner(y, mask.height) * mask.width + partner(x, mask.width);
+      if (mask.data[y * mask.width + x] !== mask.data[mirrored]) return false;
+    }
+  }
+  return true;
+};
+
+describe('SpectralMask symmetry', () => {
+  test.each([[7, 5], [8, 6], [8, 5]])('mirror() maps every bin to its conjugate on %ix%i', (width, height) => {
+    const mask = new SpectralMask(width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const m = mask.mirror(x, y);
+        expect(m).toEqual({ x: partner(x, width), y: partner(y, height) });
+        expect(mask.mirror(m.x, m.y)).toEqual({ x, y });
+      }
+    }
+  });
+
+  test('DC and the Nyquist corner of even sizes mirror onto themselves', () => {
+    const mask = new SpectralMask(8, 6);
+    expect(mask.mirror(4, 3)).toEqual({ x: 4, y: 3 });
+    expect(mask.mirror(0, 0)).toEqual({ x: 0, y: 0 });
+  });
+
+  test.each([[9, 7], [10, 8]])('every tool keeps a %ix%i mask Hermitian', (width, height) => {
+    const mask = new SpectralMask(width, height);
+    mask.paintLine(1, 1, 3, 2, 1, 0);
+    mask.fillPolygon([{ x: 0, y: 4 }, { x: 2, y: 4 }, { x: 1, y: 6 }], 0.5);
+    mask.notch(width - 2, 1, 2);
+    expect(isHermitian(mask)).toBe(true);
+  });
+});
+
+describe('SpectralMask tools', () => {
+  test('a brush disc blocks inside its radius and at the conjugate spot', () => {
+    const mask = new SpectralMask(16, 16);
+    mask.paintDisc(4, 5, 1, 0);
+    const at = (x, y) => mask.data[y * 16 + x];
+    expect(at(4, 5)).toBe(0);
+    expect(at(5, 5)).toBe(0);
+    expect(at(5, 6)).toBe(1);
+    expect(at(12, 11)).toBe(0);
+    expect(mask.data.filter(v => v === 0).length).toBe(10);
+  });
+
+  test('erase paints the weights back to 1', () => {
+    const mask = new SpectralMask(16, 16);
+    mask.fill(0);
+    mask.paintDisc(8, 8, 2, 1);
+    expect(mask.data[8 * 16 + 8]).toBe(1);
+    expect(mask.data[0]).toBe(0);
+  });
+
+  test('a polygon fills the bins whose centres lie inside it', () => {
+    const mask = new SpectralMask(16, 16);
+    mask.fillPolygon([{ x: 1.5, y: 1.5 }, { x: 4.5, y: 1.5 }, { x: 4.5, y: 3.5 }, { x: 1.5, y: 3.5 }], 0);
+    const at = (x, y) => mask.data[y * 16 + x];
+    for (let y = 2; y <= 3; y++) {
+      for (let x = 2; x <= 4; x++) {
+        expect(at(x, y)).toBe(0);
+      }
+    }
+    expect(at(1, 2)).toBe(1);
+    expect(at(5, 2)).toBe(1);
+    expect(at(2, 4)).toBe(1);
+  });
+
+  test('fewer than three polygon points change nothing', () => {
+    const mask = new SpectralMask(8, 8);
+    mask.fillPolygon([{ x: 1, y: 1 }, { x: 5, y: 5 }], 0);
+    expect(mask.data.every(v => v === 1)).toBe(true);
+  });
+
+  test('a notch is deepest at its centre and overlapping notches deepen', () => {
+    const mask = new SpectralMask(32, 32);
+    mask.notch(6, 6, 4);
+    const at = (x, y) => mask.data[y * 32 + x];
+    expect(at(6, 6)).toBe(0);
+    expect(at(7, 6)).toBeGreaterThan(0);
+    expect(at(8, 6)).toBeGreaterThan(at(7, 6));
+    expect(at(16, 16)).toBe(1);
+
+    const single = at(8, 6);
+    mask.notch(10, 6, 4);
+    expect(at(8, 6)).toBeLessThan(single);
+  });
+});
+
+describe('SpectralMask history', () => {
+  test('undo and redo step through whole edits', () => {
+    const mask = new SpectralMask(8, 8);
+    expect(mask.canUndo()).toBe(false);
+
+    mask.beginEdit();
+    mask.paintDisc(2, 2, 1, 0);
+    const afterEdit = new Float32Array(mask.data);
+
+    expect(mask.undo()).toBe(true);
+    expect(mask.data.every(v => v === 1)).toBe(true);
+    expect(mask.canRedo()).toBe(true);
+
+    expect(mask.redo()).toBe(true);
+    expect(mask.data).toEqual(afterEdit);
+    expect(mask.redo()).toBe(false);
+  });
+
+  test('a new edit clears the redo stack', () => {
+    const mask = new SpectralMask(8, 8);
+    mask.beginEdit();
+    mask.invert();
+    mask.undo();
+    mask.beginEdit();
+    mask.paintDisc(1, 1, 1, 0);
+    expect(mask.canRedo()).toBe(false);
+  });
+
+  test('only the last 30 edits can be undone', () => {
+    const mask = new SpectralMask(4, 4);
+    for (let i = 0; i < 35; i++) {
+      mask.beginEdit();
+      mask.fill(i);
+    }
+    let undone = 0;
+    while (mask.undo()) undone++;
+    expect(undone).toBe(30);
+    expect(mask.data[0]).toBe(4);
+  });
+});
@@ -0,0 +1,253 @@
+// ComparisonView.jsx - UI ONLY - No pixel comparison logic
+
+import React, { useState, useRef, useEffect } from "react";
+import OutputComparison from "../classes/OutputComparison";
+import "./ComparisonView.css";
+
+// How long (ms) each port stays on screen in flicker mode
+const FLICKER_INTERVAL = 500;
+
+// Amplification choices for the difference image
+const DIFFERENCE_GAINS = [1, 4, 16, 64];
+
+/**
+ * ComparisonView Component - Compare two output ports on one canvas
+ *
+ * Responsibilities:
+ * - Pick the two ports being compared (A and B)
+ * - Split view with a draggable divider, flicker between the ports,
+ *   or show their absolute difference
+ * - Draw the frames built by OutputComparison
+ *
+ * Does NOT handle:
+ * - Building split / difference pixels (OutputComparison)
+ * - Mixing or storing outputs (App)
+ */
+function ComparisonView({
+  outputs, // Output data per port (null for an empty port), port N at index N - 1
+}) {
+  const canvasRef = useRef(null);
+
+  // Ports being compared (1-based port numbers)
+  const [portA, setPortA] = useState(1);
+  const [portB, setPortB] = useState(2);
+
+  // 'split', 'flicker' or 'difference'
+  const [mode, setMode] = useState("split");
+
+  // Divider position in split mode (% of the width showing port A)
+  const [splitPosition, setSplitPosition] = useState(50);
+
+  // Flicker mode: whether port B is currently shown, and whether flickering is paused
+  const [showingB, setShowingB] = useState(false);
+  const [isFlickerPaused, setIsFlickerPaused] = useState(false);
+
+  // Difference mode amplification, and the statistics of the last difference drawn
+  const [gain, setGain] = useState(4);
+  const [differenceStats, setDifferenceStats] = useState(null);
+
+  // Dragging the divider on the canvas
+  const [isDragging, setIsDragging] = useState(false);
+
+  // Ports removed since they were picked fall back to the first / last port
+  const portCount = outputs.length;
+  const safePortA = portA <= portCount ? portA : 1;
+  const safePortB = portB <= portCount ? portB : portCount;
+  const outputA = outputs[safePortA - 1];
+  const outputB = outputs[safePortB - 1];
+  const canCompare = OutputComparison.canCompare(outputA, outputB);
+
+  /**
+   * Alternate the shown port in flicker mode
+   */
+  useEffect(() => {
+    if (mode !== "flicker" || isFlickerPaused) return;
+    const timer = setInterval(() => setShowingB((prev) => !prev), FLICKER_INTERVAL);
+    return () => clearInterval(timer);
+  }, [mode, isFlickerPaused]);
+
+  /**
+   * Draw the current comparison frame
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !canCompare) return;
+
+    canvas.width = outputA.width;
+    canvas.height = outputA.height;
+    const ctx = canvas.getContext("2d");
+    const imageData = ctx.createImageData(outputA.width, outputA.height);
+
+    if (mode === "split") {
+      imageData.data.set(OutputComparison.split(outputA, outputB, splitPosition / 100));
+    } else if (mode === "flicker") {
+      imageData.data.set(OutputComparison.toRGBA(showingB ? outputB : outputA));
+    } else {
+      const difference = OutputComparison.difference(outputA, outputB, gain);
+      imageData.data.set(difference.rgba);
+      setDifferenceStats({
+        max: difference.maxDifference,
+        mean: difference.meanDifference,
+      });
+    }
+    ctx.putImageData(imageData, 0, 0);
+
+    // Divider line between the two halves
+    if (mode === "split") {
+      const x = Math.round((outputA.width * splitPosition) / 100);
+      ctx.strokeStyle = "#ffcc00";
+      ctx.lineWidth = Math.max(1, outputA.width / 200);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, outputA.height);
+      ctx.stroke();
+    }
+  }, [outputA, outputB, canCompare, mode, splitPosition, showingB, gain]);
+
+  /**
+   * Move the divider to the pointer (split mode)
+   */
+  const moveDivider = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const percent = ((e.clientX - rect.left) / rect.width) * 100;
+    setSplitPosition(Math.max(0, Math.min(100, Math.round(percent))));
+  };
+
+  const handleMouseDown = (e) => {
+    if (mode !== "split") return;
+    setIsDragging(true);
+    moveDivider(e);
+  };
+
+  const handleMouseMove = (e) => {
+    if (isDragging) moveDivider(e);
+  };
+
+  const portOptions = outputs.map((_, index) => (
+    <option key={index + 1} value={index + 1}>
+      Port {index + 1}
+    </option>
+  ));
+
+  return (
+    <div className="comparison-view">
+      <div className="comparison-header">
+        <span className="comparison-title">Compare</span>
+        <select
+          className="comparison-select"
+          value={safePortA}
+          onChange={(e) => setPortA(parseInt(e.target.value))}
+          title="Port A (left / first)"
+        >
+          {portOptions}
+        </select>
+        <span className="comparison-versus">vs</span>
+        <select
+          className="comparison-select"
+          value={safePortB}
+          onChange={(e) => setPortB(parseInt(e.target.value))}
+          title="Port B (right / second)"
+        >
+          {portOptions}
+        </select>
+      </div>
+
+      {/* Comparison mode */}
+      <div className="comparison-modes">
+        {[
+          { value: "split", label: "◧ Split" },
+          { value: "flicker", label: "⚡ Flicker" },
+          { value: "difference", label: "Δ Difference" },
+        ].map((option) => (
+          <button
+            key={option.value}
+            className={`comparison-mode ${mode === option.value ? "active" : ""}`}
+            onClick={() => setMode(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="comparison-canvas-wrapper">
+        {canCompare ? (
+          <canvas
+            ref={canvasRef}
+            className={`comparison-canvas ${mode === "split" ? "splittable" : ""}`}
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={() => setIsDragging(false)}
+            onMouseLeave={() => setIsDragging(false)}
+          />
+        ) : (
+          <div className="preview-placeholder">
+            <span>
+              {!outputA || !outputB
+                ? "Both ports need an output"
+                : "Ports have different sizes"}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {/* Mode-specific controls */}
+      {canCompare && mode === "split" && (
+        <div className="comparison-row">
+          <span className="comparison-label">Port {safePortA}</span>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={splitPosition}
+            onChange={(e) => setSplitPosition(parseInt(e.target.value))}
+            className="comparison-slider"
+          />
+          <span className="comparison-label">Port {safePortB}</span>
+        </div>
+      )}
+
+      {canCompare && mode === "flicker" && (
+        <div className="comparison-row">
+          <span className="comparison-label">
+            Showing Port {showingB ? safePortB : safePortA}
+          </span>
+          <button
+            className="comparison-mode"
+            onClick={() => setIsFlickerPaused(!isFlickerPaused)}
+          >
+            {isFlickerPaused ? "▶ Resume" : "⏸ Pause"}
+          </button>
+          {isFlickerPaused && (
+            <button className="comparison-mode" onClick={() => setShowingB(!showingB)}>
+              ⇄ Swap
+            </button>
+          )}
+        </div>
+      )}
+
+      {canCompare && mode === "difference" && (
+        <div className="comparison-row">
+          <span className="comparison-label">Gain:</span>
+          <select
+            className="comparison-select"
+            value={gain}
+            onChange={(e) => setGain(parseInt(e.target.value))}
+          >
+            {DIFFERENCE_GAINS.map((value) => (
+              <option key={value} value={value}>
+                ×{value}
+              </option>
+            ))}
+          </select>
+          {differenceStats && (
+            <span className="comparison-stats">
+              max {differenceStats.max} · mean {differenceStats.mean.toFixed(2)}
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ComparisonView;
@@ -0,0 +1,60 @@
+// HistoryPanel.jsx - UI ONLY - No history logic
+
+import React from "react";
+import "./HistoryPanel.css";
+
+/**
+ * HistoryPanel Component - Undo/redo buttons and the list of recorded changes
+ *
+ * Responsibilities:
+ * - Show every recorded step, highlighting the current one
+ * - Grey out steps that have been undone (they can still be redone)
+ * - Jump to any step when it is clicked
+ *
+ * Does NOT handle:
+ * - Recording or coalescing changes (HistoryManager / App)
+ * - Restoring state (App)
+ */
+function HistoryPanel({
+  entries, // { label, isCurrent, isUndone } per step, oldest first
+  canUndo, // Whether there is a step to undo
+  canRedo, // Whether there is a step to redo
+  onUndo, // Callback for the Undo button
+  onRedo, // Callback for the Redo button
+  onJump, // Callback(index) when a step is clicked
+}) {
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <span className="history-title">History</span>
+        <button className="history-button" onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+          ↶ Undo
+        </button>
+        <button className="history-button" onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+          ↷ Redo
+        </button>
+      </div>
+
+      {/* Newest step first */}
+      <ul className="history-list">
+        {entries
+          .map((entry, index) => ({ ...entry, index }))
+          .reverse()
+          .map((entry) => (
+            <li
+              key={entry.index}
+              className={`history-entry ${entry.isCurrent ? "current" : ""} ${
+                entry.isUndone ? "undone" : ""
+              }`}
+              onClick={() => onJump(entry.index)}
+              title="Go back to this step"
+            >
+              {entry.label}
+            </li>
+          ))}
+      </ul>
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -1,56 +1,167 @@
 // ImageViewport.jsx - With mouse-drag brightness/contrast controls
-// This component represents ONE of the 4 input image viewports in the Fourier Mixer application.
+// This component represents ONE of the input image slots in the Fourier Mixer application.
 // Each viewport displays:
 //   1. Original grayscale image (left canvas)
 //   2. Selected FFT component (right canvas) - magnitude, phase, real, or imaginary
 //
 // Key Features:
-//   - Double-click to load images
+//   - Double-click to load images (several files at once fill the following slots),
+//     drop image files from the OS, or paste with Ctrl+V while the viewport has focus
+//   - 16-bit PNG, TIFF, PGM/PPM, FITS and .npy inputs transformed at full precision
+//     (the canvas shows an 8-bit mapping, labelled with the decoded format)
 //   - Mouse drag to adjust brightness/contrast independently for image and FFT component
-//   - Weight slider for mixing contribution
-//   - Region rectangle overlay on FFT component showing selected frequency area
-//   - Auto-resize to match smallest loaded image across all viewports
+//   - Component assignment and per-component weight sliders for mixing contribution
+//   - Region overlay (rectangle, circle, ellipse or band) on FFT component showing selected frequency area
+//   - Shift+drag to draw, drag to move/resize the region on the FFT component canvas
+//   - Spectral mask editor (brush, erase, polygon lasso, notch) for hand-drawn notch filters
+//   - Export of the displayed FFT component (PNG) or its raw float values (TIFF, .npy) with metadata
+//   - Auto-resize (from the original) to the unified size with the chosen resampling and fit
+//   - Restore from a saved session (image, brightness/contrast, selected component)
+//   - Slot header to move the viewport left/right, clear its image or remove it
+//   - Drag the slot header onto another viewport to swap the two images
+//   - Open the image or the FFT component in the full-size inspector
 
 import React, { useState, useRef, useEffect } from "react";
 import ImageProcessor from "../classes/ImageProcessor";
+import FourierMixer from "../classes/FourierMixer";
+import SpectralMask from "../classes/SpectralMask";
+import ImageExporter from "../classes/ImageExporter";
+import PixelInspector from "../classes/PixelInspector";
 import "./ImageViewport.css";
 
+// Overlay colours per region type (border, flat fill, label text, tint RGB)
+const REGION_COLORS = {
+  inner: { stroke: "#00c000", fill: "rgba(0, 200, 0, 0.1)", text: "#00a000", rgb: [0, 200, 0] },
+  outer: { stroke: "#ff5050", fill: "rgba(255, 80, 80, 0.1)", text: "#d00000", rgb: [255, 80, 80] },
+  band: { stroke: "#3090ff", fill: "rgba(48, 144, 255, 0.1)", text: "#0060d0", rgb: [48, 144, 255] },
+};
+
+// Grab distance (in screen pixels) around a region edge that starts a resize
+const REGION_HANDLE_TOLERANCE = 6;
+
+// Mask editor tools: brush blocks frequencies, erase restores them,
+// polygon blocks the lassoed area, notch removes a soft spot (periodic noise peak)
+const MASK_TOOLS = [
+  { value: "brush", label: "🖌️ Brush (block)" },
+  { value: "erase", label: "🧽 Erase (keep)" },
+  { value: "polygon", label: "🔷 Polygon lasso" },
+  { value: "notch", label: "🎯 Notch" },
+];
+
+// Drag data type of a slot header being dragged onto another viewport (swap)
+const SLOT_DRAG_TYPE = "application/x-fourier-slot";
+
+/**
+ * Centre of the DC bin on the component canvas (canvas pixels)
+ * After the FFT shift DC sits at bin (floor(w/2), floor(h/2)), as in FourierMixer's
+ * region masks; + 0.5 is the middle of that pixel
+ */
+const getDCPoint = (width, height) => ({
+  x: Math.floor(width / 2) + 0.5,
+  y: Math.floor(height / 2) + 0.5,
+});
+
+/**
+ * Bounding box of a region on the component canvas (canvas pixels)
+ * The conjugate twin of an off-centre region is this box mirrored through the DC point
+ */
+const getRegionBox = (config, width, height) => {
+  const shape = config.shape || "rectangle";
+  const sizeY = shape === "circle" ? config.size : config.sizeY || config.size;
+  const dc = getDCPoint(width, height);
+  const centerX = dc.x + (width * (config.offsetX || 0)) / 100;
+  const centerY = dc.y + (height * (config.offsetY || 0)) / 100;
+  const halfWidth = (width * config.size) / 200;
+  const halfHeight = (height * sizeY) / 200;
+  return {
+    left: centerX - halfWidth,
+    right: centerX + halfWidth,
+    top: centerY - halfHeight,
+    bottom: centerY + halfHeight,
+  };
+};
+
+/**
+ * Convert a canvas bounding box back into region config fields
+ * Sizes and offsets are whole percentages like the OutputViewport sliders
+ */
+const boxToRegion = (box, width, height, shape) => {
+  const clampSize = (value) => Math.max(5, Math.min(100, Math.round(value)));
+  const clampOffset = (value) => Math.max(-50, Math.min(50, Math.round(value)));
+  const size = clampSize(((box.right - box.left) / width) * 100);
+  const dc = getDCPoint(width, height);
+  return {
+    size,
+    sizeY: shape === "circle" ? size : clampSize(((box.bottom - box.top) / height) * 100),
+    offsetX: clampOffset((((box.left + box.right) / 2 - dc.x) / width) * 100),
+    offsetY: clampOffset((((box.top + box.bottom) / 2 - dc.y) / height) * 100),
+  };
+};
+
 function ImageViewport({
-  id, // Viewport ID (1-4) - Used to identify which viewport this is
+  id, // Slot ID - Stable identifier of this viewport (does not change when slots move)
+  index, // Position among the input slots (0-based) - "Image {index + 1}" in labels
+  slotCount, // Number of input slots - decides which move/remove buttons apply
+  onMove, // Callback(slotId, -1 | +1) to move this slot earlier or later
+  onSwap, // Callback(draggedSlotId, droppedOnSlotId) to swap two slots
+  onClear, // Callback(slotId) to empty this slot (keeps its weights and region)
+  onLoadFiles, // Callback(files, slotId) to spread several files over this and the empty slots
+  fileLoad, // { token, file } pushed by App (drop on the app, multi-select) - loads the file here
+  onRemove, // Callback(slotId) to remove this slot
+  onInspect, // Callback(PixelInspector) to open the image or component in the inspector
+  restoreState, // Saved session slot { image, display, targetSize } to start from (null = empty)
+  onDisplayStateChange, // Callback(viewportId, displayState) when brightness/contrast or component changes
+  displayOverride, // { token, display } pushed by undo/redo - replaces the display settings
   onImageLoaded, // Callback function to notify App.jsx when image loads successfully
   targetSize, // Target dimensions {width, height} - All images must match this size
-  regionConfig, // Frequency region configuration: {enabled, type: 'inner'|'outer', size: 0-100%}
-  weight, // Current mixing weight for this image (0.0 to 1.0)
-  onWeightChange, // Callback when user adjusts weight slider
+  resampling, // { method, fit } used to resample the original to targetSize (see Resampler)
+  regionConfig, // This image's own frequency region: {enabled, shape, type: 'inner'|'outer'|'band', size: 0-100%}
+  onRegionChange, // Callback(viewportId, changes) when the region is drawn, moved or resized on the canvas
+  weights, // Current mixing weights {primary, secondary} for this image (0.0 to 1.0 each)
+  onWeightChange, // Callback when user adjusts a weight slider
+  componentAssignment, // Which component(s) this image feeds: 'both' | 'primary' | 'secondary'
+  onComponentAssignmentChange, // Callback when user changes the component assignment
+  mixMode, // Current mixing mode - used to label the primary/secondary components
+  colorMode, // Colour mode - decides which colour channel FFTs are needed
+  onFFTComputed, // Callback when this image's spectra are ready for mixing
   isDisabled, // If true, disable weight slider (used when image/FFT not ready)
 }) {
   // ==================== STATE MANAGEMENT ====================
 
+  // Display settings saved in a session (read once - the viewport remounts per session)
+  const restoredDisplay = (restoreState && restoreState.display) || {};
+
   // Indicates whether an image is currently loaded in this viewport
   const [hasImage, setHasImage] = useState(false);
 
-  // Stores original image dimensions (before any resizing)
-  const [imageDimensions, setImageDimensions] = useState(null);
-
   // Currently selected FFT component to display on right canvas
   // Options: 'magnitude', 'phase', 'real', 'imaginary'
-  const [selectedComponent, setSelectedComponent] = useState("magnitude");
+  const [selectedComponent, setSelectedComponent] = useState(
+    restoredDisplay.selectedComponent || "magnitude"
+  );
 
   // Flag indicating FFT computation is in progress (shows loading message)
   const [isComputingFFT, setIsComputingFFT] = useState(false);
 
+  // A slot header or files are dragged over this viewport (highlights the drop target)
+  const [isDropTarget, setIsDropTarget] = useState(false);
+
   // ==================== BRIGHTNESS/CONTRAST STATE ====================
   // Each canvas (image and component) has INDEPENDENT brightness/contrast controls
   // This allows users to adjust visualization without affecting the actual data used for mixing
 
   // Brightness/contrast for the ORIGINAL IMAGE (left canvas)
   // Range: -100 to +100 for both
-  const [imageBrightness, setImageBrightness] = useState(0);
-  const [imageContrast, setImageContrast] = useState(0);
+  const [imageBrightness, setImageBrightness] = useState(restoredDisplay.imageBrightness || 0);
+  const [imageContrast, setImageContrast] = useState(restoredDisplay.imageContrast || 0);
 
   // Brightness/contrast for the FFT COMPONENT (right canvas)
-  const [componentBrightness, setComponentBrightness] = useState(0);
-  const [componentContrast, setComponentContrast] = useState(0);
+  const [componentBrightness, setComponentBrightness] = useState(
+    restoredDisplay.componentBrightness || 0
+  );
+  const [componentContrast, setComponentContrast] = useState(
+    restoredDisplay.componentContrast || 0
+  );
 
   // ==================== MOUSE DRAG STATE FOR IMAGE CANVAS ====================
   // These states track mouse dragging for brightness/contrast adjustment on the IMAGE canvas
@@ -77,6 +188,29 @@ function ImageViewport({
     contrast: 0,
   });
 
+  // Region drag on the FFT component canvas: null, or
+  // { mode: 'draw'|'move'|'resize', edges, mirrored, start, startBox }
+  const [regionDrag, setRegionDrag] = useState(null);
+
+  // Cursor shown while hovering a region edge or body (null = default grab cursor)
+  const [regionCursor, setRegionCursor] = useState(null);
+
+  // ==================== SPECTRAL MASK EDITOR STATE ====================
+  // While the editor is open, mouse input on the component canvas edits a
+  // hand-drawn mask instead of brightness/contrast or the region shape
+
+  const [isMaskEditorOpen, setIsMaskEditorOpen] = useState(false);
+  const [maskTool, setMaskTool] = useState("brush");
+  const [brushSize, setBrushSize] = useState(4); // Brush/notch radius in FFT bins
+  const [polygonPoints, setPolygonPoints] = useState([]); // Lasso vertices in progress
+  const [maskStroke, setMaskStroke] = useState(null); // Last brush point while painting
+  const [maskHistory, setMaskHistory] = useState({ canUndo: false, canRedo: false });
+
+  // ==================== COMPONENT EXPORT STATE ====================
+
+  const [componentExportFormat, setComponentExportFormat] = useState("png8");
+  const [isExportingComponent, setIsExportingComponent] = useState(false);
+
   // ==================== REFS ====================
   // Refs persist across re-renders without causing re-renders when changed
 
@@ -91,6 +225,20 @@ function ImageViewport({
   // Reference to hidden file input element (triggered by double-click)
   const fileInputRef = useRef(null);
 
+  // Mask being edited (SpectralMask), and the data last sent to App so
+  // our own updates coming back through regionConfig are not reloaded
+  const spectralMaskRef = useRef(null);
+  const sentMaskDataRef = useRef(null);
+
+  // Region tint last drawn over the component: { config, width, height, overlay (canvas) }
+  const regionOverlayRef = useRef(null);
+
+  // Token of the last fileLoad handled (effects run twice in StrictMode)
+  const loadedFileTokenRef = useRef(null);
+
+  // Set once the session image has been requested (effects run twice in StrictMode)
+  const hasRestoredRef = useRef(false);
+
   // Shorthand reference to the processor instance
   const processor = processorRef.current;
 
@@ -100,15 +248,34 @@ function ImageViewport({
    * Handles file selection from the file input dialog
    * Flow:
    *   1. User double-clicks canvas → fileInputRef.current.click() → file dialog opens
-   *   2. User selects image → this function is called
-   *   3. Image is loaded and processed via ImageProcessor
-   *   4. FFT is automatically computed
-   *   5. Parent component (App.jsx) is notified
+   *   2. User selects one image → loadFile() loads it here
+   *      (several images → App puts the first here and the rest in the empty slots)
    */
-  const handleFileChange = async (event) => {
-    // Extract the selected file from the input event
-    const file = event.target.files[0];
-    if (!file) return; // User cancelled file selection
+  const handleFileChange = (event) => {
+    // Extract the selected files from the input event
+    const files = Array.from(event.target.files);
+    event.target.value = ""; // Allow picking the same file again
+    if (files.length === 0) return; // User cancelled file selection
+
+    if (files.length === 1) {
+      loadFile(files[0]);
+    } else {
+      onLoadFiles(files, id);
+    }
+  };
+
+  /**
+   * Loads one image file into this viewport (dialog, drop, paste or pushed by App)
+   * Flow:
+   *   1. Image is loaded and processed via ImageProcessor
+   *   2. FFT is automatically computed
+   *   3. Parent component (App.jsx) is notified
+   */
+  const loadFile = async (file) => {
+    if (!ImageProcessor.canLoad(file)) {
+      alert(`"${file.name}" is not an image file.`);
+      return;
+    }
 
     try {
       // Call ImageProcessor.loadImage() which:
@@ -118,11 +285,10 @@ function ImageViewport({
       //   - Extracts RGBA pixel data
       //   - Converts to grayscale immediately
       //   - Stores original grayscale as backup for reset
-      const result = await processor.loadImage(file);
+      await processor.loadImage(file);
 
       // Update component state to reflect successful load
       setHasImage(true);
-      setImageDimensions({ width: result.width, height: result.height });
 
       // Reset all brightness/contrast values to default (0)
       // This ensures clean slate for new image
@@ -134,8 +300,8 @@ function ImageViewport({
       // Notify parent component (App.jsx) that image is loaded
       // Parent will:
       //   - Store processor reference
-      //   - Calculate target size (smallest dimensions across all loaded images)
-      //   - Trigger resize if needed
+      //   - Recalculate target size from the originals of all loaded images
+      //   - Trigger resize (and FFT recomputation) if needed
       onImageLoaded(id, processor);
 
       // Render the grayscale image on the left canvas
@@ -145,7 +311,33 @@ function ImageViewport({
       computeFFT();
     } catch (error) {
       console.error("Error loading image:", error);
-      alert("Failed to load image. Please try another file.");
+      alert(`Failed to load image: ${error.message || "unknown error"}. Please try another file.`);
+    }
+  };
+
+  /**
+   * Loads the image saved in a session slot
+   * Brightness/contrast and component state were initialised from the session,
+   * so drawing and FFT computation use the saved display settings
+   */
+  const restoreSessionImage = async () => {
+    const { image, targetSize: sessionSize } = restoreState;
+
+    try {
+      await processor.loadImageFromURL(image.dataUrl, image.name);
+
+      // Match the session's unified size before anything is drawn or transformed
+      if (processor.needsResize(sessionSize, resampling)) {
+        processor.resize(sessionSize.width, sessionSize.height, resampling);
+      }
+
+      setHasImage(true);
+      onImageLoaded(id, processor);
+      drawImage();
+      computeFFT();
+    } catch (error) {
+      console.error(`Error restoring image ${index + 1}:`, error);
+      alert(`Failed to restore Image ${index + 1} from the session.`);
     }
   };
 
@@ -153,9 +345,9 @@ function ImageViewport({
 
   /**
    * Computes the 2D FFT of the loaded grayscale image
-   * Uses setTimeout to avoid blocking the UI thread
+   * The math runs in the FFT Web Worker, so the UI thread never blocks
    * FFT computation involves:
-   *   1. Padding to power-of-2 dimensions
+   *   1. Exact-size FFT plan (no padding) for each dimension
    *   2. Row-wise 1D FFT
    *   3. Column-wise 1D FFT
    *   4. FFT shift (move DC component to center)
@@ -165,27 +357,31 @@ function ImageViewport({
     // Show "Computing FFT..." message in component canvas
     setIsComputingFFT(true);
 
-    // Use setTimeout to yield control back to browser
-    // This prevents UI from freezing during computation
-    setTimeout(() => {
-      try {
-        // Call ImageProcessor.computeFFT() which:
-        //   - Creates FourierTransform instance
-        //   - Pads data to power-of-2
-        //   - Performs 2D FFT
-        //   - Shifts FFT to center DC component
-        //   - Computes magnitude, phase, real, imaginary components
-        processor.computeFFT();
-
-        // Render the default component (magnitude) on the right canvas
-        drawComponent();
-      } catch (error) {
-        console.error("Error computing FFT:", error);
-      }
+    try {
+      // Call ImageProcessor.computeFFT() which:
+      //   - Sends the grayscale data to the FFT worker
+      //   - Worker transforms, shifts and extracts components
+      //   - Resolves once the transferred results are back
+      const fft = await processor.computeFFT();
 
-      // Clear the loading indicator
-      setIsComputingFFT(false);
-    }, 100); // 100ms delay to allow UI to update
+      // Colour modes also need one spectrum per colour channel
+      if (fft) await processor.computeChannelFFTs(colorMode);
+
+      // The image was replaced or resized meanwhile - the FFT started for the
+      // new pixels draws, notifies App and clears the loading indicator instead
+      if (!fft || processor.fft !== fft) return;
+
+      // Render the default component (magnitude) on the right canvas
+      drawComponent();
+
+      // Let App know new spectra are ready so it can re-mix
+      if (onFFTComputed) onFFTComputed(id);
+    } catch (error) {
+      console.error("Error computing FFT:", error);
+    }
+
+    // Clear the loading indicator
+    setIsComputingFFT(false);
   };
 
   // ==================== CANVAS RENDERING ====================
@@ -252,7 +448,6 @@ function ImageViewport({
     // Get FFT component data with brightness/contrast adjustments
     // This calls FourierTransform.getComponentWithAdjustments() which:
     //   - Selects the correct component (magnitude/phase/real/imaginary)
-    //   - Crops from padded FFT size to original image size
     //   - Applies log scaling for magnitude
     //   - Normalizes to 0-255 range
     //   - Applies brightness/contrast formula
@@ -300,62 +495,260 @@ function ImageViewport({
    * Visual representation:
    *   - Green rectangle + green tint = INNER region selected
    *   - Red rectangle + red tint = OUTER region selected
-   *   - Dashed border for clarity
+   *   - Blue ring (two outlines) = BAND region selected
+   *   - Circle/ellipse shapes are outlined with ctx.ellipse
+   *   - Off-centre regions also show their mirrored conjugate twin (fainter)
+   *   - Corner handles mark where the region can be grabbed and resized
+   *   - Smooth profiles (Gaussian, Butterworth, cosine) fade the tint with the mask falloff
+   *   - Dashed border marks the cutoff edge
    *   - Label in bottom-left corner
    */
   const drawRegionRectangle = (ctx, width, height) => {
+    // A hand-drawn mask replaces the region shape while it exists
+    const spectralMask = spectralMaskRef.current;
+    if (
+      spectralMask &&
+      (isMaskEditorOpen || (regionConfig && regionConfig.enabled && regionConfig.customMask))
+    ) {
+      drawSpectralMask(ctx, width, height, spectralMask);
+      return;
+    }
+
     // Only draw if region selection is enabled
     if (!regionConfig || !regionConfig.enabled) return;
 
-    // Calculate center of the canvas (where DC component is located after FFT shift)
-    const centerX = width / 2;
-    const centerY = height / 2;
+    // Centre of the DC bin (where the DC component is located after FFT shift)
+    const { x: centerX, y: centerY } = getDCPoint(width, height);
+
+    const shape = regionConfig.shape || "rectangle";
+    const type = regionConfig.type;
+    const profile = regionConfig.profile || "ideal";
 
-    // Calculate rectangle dimensions based on region size percentage
-    // Size is a percentage (0-100) of the full FFT dimensions
-    const rectWidth = (width * regionConfig.size) / 100;
-    const rectHeight = (height * regionConfig.size) / 100;
+    // Region bounding box (size/sizeY are percentages of the full FFT dimensions)
+    const box = getRegionBox(regionConfig, width, height);
+    const regionX = (box.left + box.right) / 2;
+    const regionY = (box.top + box.bottom) / 2;
+    const halfWidth = (box.right - box.left) / 2;
+    const halfHeight = (box.bottom - box.top) / 2;
+    const isOffCentre = regionX !== centerX || regionY !== centerY;
 
-    // Calculate top-left corner of rectangle (centered around DC component)
-    const x = centerX - rectWidth / 2;
-    const y = centerY - rectHeight / 2;
+    // Band-pass inner edge keeps the outer edge's aspect ratio
+    const innerSize = Math.min(regionConfig.innerSize || 0, regionConfig.size);
+    const innerScale = type === "band" ? innerSize / regionConfig.size : 0;
 
     // Set colors based on region type
-    if (regionConfig.type === "inner") {
-      ctx.strokeStyle = "#00c000"; // Green border
-      ctx.fillStyle = "rgba(0, 200, 0, 0.1)"; // Semi-transparent green fill
-    } else {
-      ctx.strokeStyle = "#ff5050"; // Red border
-      ctx.fillStyle = "rgba(255, 80, 80, 0.1)"; // Semi-transparent red fill
-    }
+    const colors = REGION_COLORS[type] || REGION_COLORS.inner;
+    ctx.strokeStyle = colors.stroke;
+    ctx.fillStyle = colors.fill;
 
     // Configure line style
     ctx.lineWidth = 2;
     ctx.setLineDash([5, 5]); // Dashed line pattern: 5px dash, 5px gap
 
-    // Draw filled rectangle (semi-transparent tint)
-    ctx.fillRect(x, y, rectWidth, rectHeight);
+    // Draw filled region (semi-transparent tint)
+    // Only a centred ideal inner/outer rectangle can be shown with a flat fill,
+    // everything else (curved shapes, bands, offsets, smooth profiles) uses the actual mask
+    if (profile === "ideal" && shape === "rectangle" && type !== "band" && !isOffCentre) {
+      ctx.fillRect(box.left, box.top, halfWidth * 2, halfHeight * 2);
+    } else {
+      drawRegionFalloff(ctx, width, height);
+    }
 
-    // Draw rectangle border (dashed)
-    ctx.strokeRect(x, y, rectWidth, rectHeight);
+    // Draw the region and, when off-centre, its conjugate twin mirrored through DC
+    const centres = isOffCentre
+      ? [[regionX, regionY], [2 * centerX - regionX, 2 * centerY - regionY]]
+      : [[regionX, regionY]];
+    centres.forEach(([x, y], index) => {
+      // The mirrored copy follows automatically, so it is drawn fainter
+      ctx.globalAlpha = index === 0 ? 1 : 0.5;
+
+      // Draw region border (dashed), plus the inner edge of a band
+      traceRegionOutline(ctx, shape, x, y, halfWidth, halfHeight);
+      if (innerScale > 0) {
+        traceRegionOutline(ctx, shape, x, y, halfWidth * innerScale, halfHeight * innerScale);
+      }
+    });
+    ctx.globalAlpha = 1;
 
     // Reset line dash for subsequent drawing
     ctx.setLineDash([]);
 
+    // Corner handles for moving/resizing the region with the mouse
+    ctx.fillStyle = colors.stroke;
+    [
+      [box.left, box.top],
+      [box.right, box.top],
+      [box.left, box.bottom],
+      [box.right, box.bottom],
+    ].forEach(([x, y]) => ctx.fillRect(x - 3, y - 3, 6, 6));
+
     // Draw center point marker (small square at DC component location)
-    ctx.fillStyle = regionConfig.type === "inner" ? "#00c000" : "#ff5050";
     ctx.fillRect(centerX - 2, centerY - 2, 4, 4); // 4x4 pixel square
 
     // Draw text label showing region type and size
-    ctx.fillStyle = regionConfig.type === "inner" ? "#00a000" : "#d00000";
+    const sizeLabel =
+      shape === "circle" || regionConfig.size === regionConfig.sizeY
+        ? `${regionConfig.size}%`
+        : `${regionConfig.size}x${regionConfig.sizeY}%`;
+    ctx.fillStyle = colors.text;
     ctx.font = "bold 11px Arial";
     ctx.fillText(
-      `${regionConfig.type.toUpperCase()} ${regionConfig.size}%`,
+      `${type.toUpperCase()} ${shape.toUpperCase()} ` +
+        (type === "band" ? `${innerSize}-${sizeLabel}` : sizeLabel) +
+        (profile === "ideal" ? "" : ` ${profile.toUpperCase()}`),
       10, // X position (left edge + 10px padding)
       height - 10 // Y position (bottom edge - 10px padding)
     );
   };
 
+  /**
+   * Tints blocked frequencies of the hand-drawn mask and shows the lasso in progress
+   */
+  const drawSpectralMask = (ctx, width, height, spectralMask) => {
+    if (spectralMask.width === width && spectralMask.height === height) {
+      const overlay = document.createElement("canvas");
+      overlay.width = width;
+      overlay.height = height;
+      const overlayCtx = overlay.getContext("2d");
+      const tint = overlayCtx.createImageData(width, height);
+      const [red, green, blue] = REGION_COLORS.outer.rgb;
+
+      for (let i = 0; i < spectralMask.data.length; i++) {
+        tint.data[i * 4] = red;
+        tint.data[i * 4 + 1] = green;
+        tint.data[i * 4 + 2] = blue;
+        tint.data[i * 4 + 3] = Math.round((1 - spectralMask.data[i]) * 0.5 * 255); // Up to 50% opacity
+      }
+
+      overlayCtx.putImageData(tint, 0, 0);
+      ctx.drawImage(overlay, 0, 0);
+    }
+
+    // Polygon lasso in progress (and its mirrored twin, which is filled too)
+    if (polygonPoints.length > 0) {
+      ctx.strokeStyle = REGION_COLORS.outer.stroke;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 3]);
+      [polygonPoints, polygonPoints.map((p) => spectralMask.mirror(p.x, p.y))].forEach(
+        (points, index) => {
+          ctx.globalAlpha = index === 0 ? 1 : 0.5;
+          ctx.beginPath();
+          points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+          ctx.stroke();
+        }
+      );
+      ctx.globalAlpha = 1;
+      ctx.setLineDash([]);
+    }
+
+    ctx.fillStyle = REGION_COLORS.outer.text;
+    ctx.font = "bold 11px Arial";
+    ctx.fillText("CUSTOM MASK", 10, height - 10);
+  };
+
+  /**
+   * Strokes one region edge around the given centre
+   * Rectangles use strokeRect, circles and ellipses use ctx.ellipse
+   */
+  const traceRegionOutline = (ctx, shape, centerX, centerY, halfWidth, halfHeight) => {
+    if (shape === "rectangle") {
+      ctx.strokeRect(centerX - halfWidth, centerY - halfHeight, halfWidth * 2, halfHeight * 2);
+      return;
+    }
+
+    // A circle is an ellipse whose radii follow the canvas aspect ratio,
+    // matching the normalised distance FourierMixer uses for the mask
+    ctx.beginPath();
+    ctx.ellipse(centerX, centerY, halfWidth, halfHeight, 0, 0, Math.PI * 2);
+    ctx.stroke();
+  };
+
+  /**
+   * Tints the component canvas with the smooth region mask
+   * Uses the same weight map FourierMixer applies, so the fade matches the mix
+   * Tint strength follows the region's (inner) weight, so outer regions tint what they remove
+   */
+  const drawRegionFalloff = (ctx, width, height) => {
+    // Redraws are frequent (every brightness/contrast drag tick), the mask only changes
+    // with the region or the FFT size - reuse the tint built for them last time
+    const cached = regionOverlayRef.current;
+    if (cached && cached.config === regionConfig && cached.width === width && cached.height === height) {
+      ctx.drawImage(cached.overlay, 0, 0);
+      return;
+    }
+
+    const mixer = new FourierMixer();
+    mixer.setRegionConfig(regionConfig);
+    const mask = mixer.createRegionMask(width, height);
+
+    // Draw the tint on an off-screen canvas so it blends over the component
+    const overlay = document.createElement("canvas");
+    overlay.width = width;
+    overlay.height = height;
+    const overlayCtx = overlay.getContext("2d");
+    const tint = overlayCtx.createImageData(width, height);
+
+    // Outer masks are tinted where they cut, inner/band masks where they keep
+    const isOuter = regionConfig.type === "outer";
+    const [red, green, blue] = (REGION_COLORS[regionConfig.type] || REGION_COLORS.inner).rgb;
+
+    for (let i = 0; i < mask.length; i++) {
+      const insideWeight = isOuter ? 1 - mask[i] : mask[i];
+      tint.data[i * 4] = red;
+      tint.data[i * 4 + 1] = green;
+      tint.data[i * 4 + 2] = blue;
+      tint.data[i * 4 + 3] = Math.round(insideWeight * 0.35 * 255); // Up to 35% opacity
+    }
+
+    overlayCtx.putImageData(tint, 0, 0);
+    regionOverlayRef.current = { config: regionConfig, width, height, overlay };
+    ctx.drawImage(overlay, 0, 0);
+  };
+
+
+  // ==================== FFT COMPONENT EXPORT ====================
+
+  /**
+   * Save the selected FFT component in the chosen format
+   * PNG (as displayed) keeps the current brightness/contrast; the other formats
+   * use the raw values, with FFT size, shift convention and log scaling as metadata
+   */
+  const handleExportComponent = async () => {
+    if (!processor.hasFFT()) return;
+
+    const fft = processor.fft;
+    const componentExport = {
+      width: fft.fftWidth,
+      height: fft.fftHeight,
+      displayData: processor.getFFTComponentWithAdjustments(
+        selectedComponent,
+        componentBrightness,
+        componentContrast
+      ),
+      rawData: fft.getComponentData(selectedComponent),
+      metadata: {
+        image: index + 1,
+        ...fft.getExportMetadata(selectedComponent),
+        brightness: componentBrightness,
+        contrast: componentContrast,
+      },
+    };
+
+    setIsExportingComponent(true);
+    try {
+      await ImageExporter.exportComponent(
+        componentExport,
+        componentExportFormat,
+        `image${index + 1}-${selectedComponent}`
+      );
+    } catch (error) {
+      console.error("Component export failed:", error);
+      alert("Failed to export component: " + error.message);
+    } finally {
+      setIsExportingComponent(false);
+    }
+  };
+
   // ==================== FFT COMPONENT SELECTION ====================
 
   /**
@@ -376,10 +769,7 @@ function ImageViewport({
     setComponentBrightness(0);
     setComponentContrast(0);
 
-    // Redraw the canvas with the new component
-    if (processor.hasFFT()) {
-      drawComponent();
-    }
+    // The canvas is redrawn by the display settings effect once the new values apply
   };
 
   // ==================== IMAGE CANVAS MOUSE HANDLERS ====================
@@ -445,20 +835,9 @@ function ImageViewport({
     );
 
     // Update state with new values
+    // The display settings effect redraws the image with them (real-time feedback during drag)
     setImageContrast(newContrast);
     setImageBrightness(newBrightness);
-
-    // Immediately redraw image with new adjustments
-    // This provides real-time visual feedback during drag
-    drawImage();
-  };
-
-  /**
-   * Mouse up on image canvas - End drag operation
-   * Simply marks drag as inactive
-   */
-  const handleImageMouseUp = () => {
-    setIsImageDragging(false);
   };
 
   // ==================== COMPONENT CANVAS MOUSE HANDLERS ====================
@@ -467,11 +846,42 @@ function ImageViewport({
 
   /**
    * Mouse down on component canvas - Start drag operation
+   *   - Shift + drag: draw a new region
+   *   - Drag on a region edge/body (or its mirrored twin): resize/move the region
+   *   - Drag anywhere else: brightness/contrast
    */
   const handleComponentMouseDown = (e) => {
     // Only allow dragging if FFT is computed
     if (!processor.hasFFT()) return;
 
+    const point = getComponentCanvasPoint(e);
+    if (isMaskEditorOpen) {
+      handleMaskMouseDown(point);
+      e.preventDefault();
+      return;
+    }
+    if (onRegionChange && regionConfig) {
+      if (e.shiftKey) {
+        setRegionDrag({ mode: "draw", start: point, mirrored: false });
+        e.preventDefault();
+        return;
+      }
+      const hit = hitTestRegion(point);
+      if (hit) {
+        setRegionDrag({
+          ...hit,
+          start: hit.mirrored ? mirrorPoint(point) : point,
+          startBox: getRegionBox(
+            regionConfig,
+            componentCanvasRef.current.width,
+            componentCanvasRef.current.height
+          ),
+        });
+        e.preventDefault();
+        return;
+      }
+    }
+
     setIsComponentDragging(true);
     setComponentDragStart({ x: e.clientX, y: e.clientY });
     setComponentDragStartValues({
@@ -483,10 +893,28 @@ function ImageViewport({
   };
 
   /**
-   * Mouse move on component canvas - Apply brightness/contrast adjustments
+   * Mouse move on component canvas - Apply region drag or brightness/contrast adjustments
    */
   const handleComponentMouseMove = (e) => {
-    if (!isComponentDragging) return;
+    if (maskStroke) {
+      handleMaskMouseMove(getComponentCanvasPoint(e));
+      return;
+    }
+
+    if (regionDrag) {
+      updateRegionDrag(getComponentCanvasPoint(e));
+      return;
+    }
+
+    if (!isComponentDragging) {
+      // Hovering - show which region action a drag would start
+      const hit =
+        processor.hasFFT() && onRegionChange && !isMaskEditorOpen
+          ? hitTestRegion(getComponentCanvasPoint(e))
+          : null;
+      setRegionCursor(hit ? getRegionCursor(hit) : null);
+      return;
+    }
 
     const deltaX = e.clientX - componentDragStart.x;
     const deltaY = e.clientY - componentDragStart.y;
@@ -503,18 +931,281 @@ function ImageViewport({
       Math.min(100, componentDragStartValues.brightness - deltaY * 0.5)
     );
 
+    // Redrawn by the display settings effect
     setComponentContrast(newContrast);
     setComponentBrightness(newBrightness);
+  };
+
+  // Latest drawing/loading functions (recreated on every render), for the effects below
+  // so each effect re-runs only when its own inputs change
+  const actionsRef = useRef(null);
+  actionsRef.current = { drawImage, drawComponent, computeFFT, loadFile, restoreSessionImage };
+
+  // ==================== REGION DRAWING ON THE COMPONENT CANVAS ====================
+  // The region is edited through its bounding box in canvas pixels and sent back
+  // to App as config fields (size, sizeY, offsetX, offsetY), which re-mixes.
+  // FourierMixer mirrors off-centre regions through DC, so either copy can be grabbed.
+
+  /**
+   * Mouse position in component canvas pixels (the canvas is scaled by CSS)
+   */
+  const getComponentCanvasPoint = (e) => {
+    const canvas = componentCanvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((e.clientY - rect.top) * canvas.height) / rect.height,
+      scale: canvas.width / rect.width, // Canvas pixels per screen pixel
+    };
+  };
+
+  /**
+   * Reflect a canvas point through the DC component (conjugate-symmetric twin)
+   */
+  const mirrorPoint = (point) => {
+    const canvas = componentCanvasRef.current;
+    const dc = getDCPoint(canvas.width, canvas.height);
+    return { ...point, x: 2 * dc.x - point.x, y: 2 * dc.y - point.y };
+  };
+
+  /**
+   * Find what a drag at this point would grab
+   * @returns {Object|null} { mode: 'move'|'resize', edges, mirrored } or null for brightness/contrast
+   */
+  const hitTestRegion = (point) => {
+    if (!regionConfig || !regionConfig.enabled) return null;
 
-    // Redraw component with new adjustments
+    const canvas = componentCanvasRef.current;
+    const box = getRegionBox(regionConfig, canvas.width, canvas.height);
+    const tolerance = REGION_HANDLE_TOLERANCE * point.scale;
+
+    const testBox = (p) => {
+      const withinX = p.x >= box.left - tolerance && p.x <= box.right + tolerance;
+      const withinY = p.y >= box.top - tolerance && p.y <= box.bottom + tolerance;
+      if (!withinX || !withinY) return null;
+
+      const edges = {
+        left: Math.abs(p.x - box.left) <= tolerance,
+        right: Math.abs(p.x - box.right) <= tolerance,
+        top: Math.abs(p.y - box.top) <= tolerance,
+        bottom: Math.abs(p.y - box.bottom) <= tolerance,
+      };
+      if (edges.left || edges.right || edges.top || edges.bottom) {
+        return { mode: "resize", edges };
+      }
+      return { mode: "move", edges };
+    };
+
+    const direct = testBox(point);
+    if (direct) return { ...direct, mirrored: false };
+    const mirrored = testBox(mirrorPoint(point));
+    return mirrored ? { ...mirrored, mirrored: true } : null;
+  };
+
+  /**
+   * CSS cursor for a region hit
+   */
+  const getRegionCursor = ({ mode, edges }) => {
+    if (mode === "move") return "move";
+    const horizontal = edges.left || edges.right;
+    const vertical = edges.top || edges.bottom;
+    if (horizontal && vertical) {
+      return (edges.left && edges.top) || (edges.right && edges.bottom) ? "nwse-resize" : "nesw-resize";
+    }
+    return horizontal ? "ew-resize" : "ns-resize";
+  };
+
+  /**
+   * Apply the current region drag and send the new region to App
+   */
+  const updateRegionDrag = (rawPoint) => {
+    const canvas = componentCanvasRef.current;
+    const point = regionDrag.mirrored ? mirrorPoint(rawPoint) : rawPoint;
+    const shape = regionConfig.shape || "rectangle";
+    let box;
+
+    if (regionDrag.mode === "draw") {
+      // Ignore tiny drags so a Shift+click does not collapse the region
+      if (
+        Math.abs(point.x - regionDrag.start.x) < 2 &&
+        Math.abs(point.y - regionDrag.start.y) < 2
+      ) {
+        return;
+      }
+      box = {
+        left: Math.min(point.x, regionDrag.start.x),
+        right: Math.max(point.x, regionDrag.start.x),
+        top: Math.min(point.y, regionDrag.start.y),
+        bottom: Math.max(point.y, regionDrag.start.y),
+      };
+    } else if (regionDrag.mode === "move") {
+      const dx = point.x - regionDrag.start.x;
+      const dy = point.y - regionDrag.start.y;
+      const { left, right, top, bottom } = regionDrag.startBox;
+      box = { left: left + dx, right: right + dx, top: top + dy, bottom: bottom + dy };
+    } else {
+      // Resize: grabbed edges follow the mouse, the opposite edges stay put
+      const { edges, startBox } = regionDrag;
+      box = { ...startBox };
+      if (edges.left) box.left = Math.min(point.x, startBox.right - 1);
+      if (edges.right) box.right = Math.max(point.x, startBox.left + 1);
+      if (edges.top) box.top = Math.min(point.y, startBox.bottom - 1);
+      if (edges.bottom) box.bottom = Math.max(point.y, startBox.top + 1);
+    }
+
+    onRegionChange(id, {
+      enabled: true,
+      ...boxToRegion(box, canvas.width, canvas.height, shape),
+    });
+  };
+
+  // ==================== SPECTRAL MASK EDITOR ====================
+  // Edits happen on the local SpectralMask for a responsive overlay; the mask is
+  // sent to App (regionConfig.customMask) when an edit finishes, which re-mixes.
+
+  /**
+   * Send the current mask to App and refresh undo/redo availability
+   */
+  const commitMask = () => {
+    const spectralMask = spectralMaskRef.current;
+    if (!spectralMask) return;
+
+    const customMask = spectralMask.toConfig();
+    sentMaskDataRef.current = customMask.data;
+    setMaskHistory({ canUndo: spectralMask.canUndo(), canRedo: spectralMask.canRedo() });
+    if (onRegionChange) {
+      onRegionChange(id, { enabled: true, customMask });
+    }
+  };
+
+  /**
+   * Open or close the mask editor
+   * Opening creates an all-pass mask at the FFT size if there is none yet
+   */
+  const handleToggleMaskEditor = () => {
+    if (isMaskEditorOpen) {
+      setIsMaskEditorOpen(false);
+      setPolygonPoints([]);
+      return;
+    }
+
+    const spectralMask = spectralMaskRef.current;
+    if (
+      !spectralMask ||
+      spectralMask.width !== processor.width ||
+      spectralMask.height !== processor.height
+    ) {
+      spectralMaskRef.current = new SpectralMask(processor.width, processor.height);
+    }
+    setIsMaskEditorOpen(true);
+    commitMask();
+  };
+
+  /**
+   * Discard the hand-drawn mask and go back to the region shape
+   */
+  const handleRemoveMask = () => {
+    spectralMaskRef.current = null;
+    sentMaskDataRef.current = null;
+    setIsMaskEditorOpen(false);
+    setPolygonPoints([]);
+    setMaskHistory({ canUndo: false, canRedo: false });
+    if (onRegionChange) {
+      onRegionChange(id, { customMask: null });
+    }
+  };
+
+  /**
+   * Apply a whole-mask edit (undo, redo, invert, clear) and send it
+   */
+  const applyMaskAction = (action) => {
+    const spectralMask = spectralMaskRef.current;
+    if (!spectralMask) return;
+
+    if (action === "undo") {
+      if (!spectralMask.undo()) return;
+    } else if (action === "redo") {
+      if (!spectralMask.redo()) return;
+    } else {
+      spectralMask.beginEdit();
+      if (action === "invert") spectralMask.invert();
+      if (action === "clear") spectralMask.fill(1);
+    }
+    commitMask();
+    drawComponent();
+  };
+
+  /**
+   * Mouse down while editing the mask - start a stroke, add a lasso vertex or place a notch
+   */
+  const handleMaskMouseDown = (point) => {
+    const spectralMask = spectralMaskRef.current;
+    if (!spectralMask) return;
+
+    if (maskTool === "brush" || maskTool === "erase") {
+      spectralMask.beginEdit();
+      spectralMask.paintDisc(point.x, point.y, brushSize, maskTool === "brush" ? 0 : 1);
+      setMaskStroke(point);
+      drawComponent();
+    } else if (maskTool === "notch") {
+      spectralMask.beginEdit();
+      spectralMask.notch(point.x, point.y, brushSize);
+      commitMask();
+      drawComponent();
+    } else {
+      // Polygon: clicking near the first vertex closes the lasso
+      const first = polygonPoints[0];
+      const tolerance = REGION_HANDLE_TOLERANCE * point.scale;
+      if (
+        polygonPoints.length >= 3 &&
+        Math.hypot(point.x - first.x, point.y - first.y) <= tolerance
+      ) {
+        closePolygon();
+      } else {
+        setPolygonPoints([...polygonPoints, { x: point.x, y: point.y }]);
+      }
+    }
+  };
+
+  /**
+   * Mouse move while painting - brush along the path since the last point
+   */
+  const handleMaskMouseMove = (point) => {
+    const spectralMask = spectralMaskRef.current;
+    if (!spectralMask) return;
+
+    spectralMask.paintLine(
+      maskStroke.x,
+      maskStroke.y,
+      point.x,
+      point.y,
+      brushSize,
+      maskTool === "brush" ? 0 : 1
+    );
+    setMaskStroke(point);
     drawComponent();
   };
 
   /**
-   * Mouse up on component canvas - End drag operation
+   * End a brush stroke (mouse released or left the canvas) and send the mask
    */
-  const handleComponentMouseUp = () => {
-    setIsComponentDragging(false);
+  const finishMaskStroke = () => {
+    if (!maskStroke) return;
+    setMaskStroke(null);
+    commitMask();
+  };
+
+  /**
+   * Fill the lasso (blocking its frequencies) and start a new one
+   */
+  const closePolygon = () => {
+    const spectralMask = spectralMaskRef.current;
+    if (!spectralMask || polygonPoints.length < 3) return;
+
+    spectralMask.beginEdit();
+    spectralMask.fillPolygon(polygonPoints, 0);
+    setPolygonPoints([]);
+    commitMask();
   };
 
   // ==================== GLOBAL MOUSE EVENT HANDLERS ====================
@@ -530,6 +1221,7 @@ function ImageViewport({
     const handleGlobalMouseUp = () => {
       setIsImageDragging(false);
       setIsComponentDragging(false);
+      setRegionDrag(null);
     };
 
     // Register listener on window
@@ -570,39 +1262,137 @@ function ImageViewport({
    *
    * Region config changes come from App.jsx and include:
    *   - enabled: true/false
-   *   - type: 'inner' or 'outer'
+   *   - type: 'inner', 'outer' or 'band'
    *   - size: 0-100 (percentage)
+   *   - customMask: hand-drawn mask from the mask editor (or null)
    *
    * When changed, the region rectangle overlay needs to be redrawn
    */
   useEffect(() => {
+    // Pick up a custom mask set from outside this viewport (e.g. edited for all images)
+    const customMask = regionConfig ? regionConfig.customMask : null;
+    if (!customMask) {
+      if (!isMaskEditorOpen) spectralMaskRef.current = null;
+    } else if (customMask.data !== sentMaskDataRef.current) {
+      spectralMaskRef.current = new SpectralMask(
+        customMask.width,
+        customMask.height,
+        customMask.data
+      );
+      sentMaskDataRef.current = customMask.data;
+      setMaskHistory({ canUndo: false, canRedo: false });
+    }
+
     if (processor.hasFFT()) {
-      drawComponent();
+      actionsRef.current.drawComponent();
+    }
+  }, [regionConfig, isMaskEditorOpen, processor]); // Re-run when regionConfig changes
+
+  /**
+   * Effect: Redraw the mask overlay when the editor opens/closes or the lasso changes
+   */
+  useEffect(() => {
+    if (processor.hasFFT()) {
+      actionsRef.current.drawComponent();
+    }
+  }, [isMaskEditorOpen, polygonPoints, processor]);
+
+  // ==================== SESSION STATE ====================
+
+  /**
+   * Effect: Load the session image once on mount
+   */
+  useEffect(() => {
+    if (hasRestoredRef.current || !restoreState || !restoreState.image) return;
+    hasRestoredRef.current = true;
+    actionsRef.current.restoreSessionImage();
+  }, [restoreState]); // Run once - a new session remounts the viewport
+
+  /**
+   * Effect: Report display settings to App so they can be saved in a session
+   */
+  useEffect(() => {
+    if (onDisplayStateChange) {
+      onDisplayStateChange(id, {
+        imageBrightness,
+        imageContrast,
+        componentBrightness,
+        componentContrast,
+        selectedComponent,
+      });
     }
-  }, [regionConfig]); // Re-run when regionConfig changes
+  }, [id, onDisplayStateChange, imageBrightness, imageContrast, componentBrightness, componentContrast, selectedComponent]);
+
+  /**
+   * Effect: Apply display settings restored by undo/redo
+   */
+  useEffect(() => {
+    if (!displayOverride) return;
+    const { display } = displayOverride;
+    setImageBrightness(display.imageBrightness);
+    setImageContrast(display.imageContrast);
+    setComponentBrightness(display.componentBrightness);
+    setComponentContrast(display.componentContrast);
+    setSelectedComponent(display.selectedComponent);
+  }, [displayOverride]);
+
+  /**
+   * Effects: Redraw a canvas whenever its display settings change
+   * (mouse drags, component selection, undo/redo)
+   */
+  useEffect(() => {
+    if (processor.hasImage()) {
+      actionsRef.current.drawImage();
+    }
+  }, [imageBrightness, imageContrast, processor]);
+
+  useEffect(() => {
+    if (processor.hasFFT()) {
+      actionsRef.current.drawComponent();
+    }
+  }, [componentBrightness, componentContrast, selectedComponent, processor]);
+
+  // ==================== COLOUR MODE UPDATES ====================
+
+  /**
+   * Effect: Compute any missing colour channel FFTs when the colour mode changes
+   * The grayscale FFT is reused; only the extra channels are computed
+   */
+  useEffect(() => {
+    if (!processor.hasFFT() || processor.hasChannelFFTs(colorMode)) return;
+
+    processor
+      .computeChannelFFTs(colorMode)
+      .then(() => {
+        if (onFFTComputed) onFFTComputed(id);
+      })
+      .catch((error) => console.error("Error computing channel FFTs:", error));
+  }, [colorMode, id, onFFTComputed, processor]); // Re-run when colorMode changes
 
   // ==================== TARGET SIZE SYNCHRONIZATION ====================
 
   /**
-   * Effect: Resize image when target size changes
+   * Effect: Resize image when target size or resampling settings change
    *
-   * Target size is calculated by App.jsx as the smallest dimensions
-   * across all loaded images. When it changes, all images must resize
-   * to match for consistent mixing.
+   * Target size is calculated by App.jsx from the ORIGINAL sizes of all
+   * loaded images under the chosen policy (smallest, largest or fixed).
+   * When it changes, all images must resize to match for consistent mixing.
    *
    * Resize flow:
-   *   1. App.jsx detects new image loaded or size change
-   *   2. Calculates new target size (smallest width/height)
-   *   3. Passes targetSize to all ImageViewport components
+   *   1. App.jsx detects new image loaded, policy or size change
+   *   2. Calculates new target size
+   *   3. Passes targetSize and resampling {method, fit} to all ImageViewport components
    *   4. This effect triggers, calling processor.resize()
+   *      (always resampled from the original, so earlier resizes lose no quality)
    *   5. FFT is recomputed on resized image
    *   6. Both canvases are redrawn
    */
   useEffect(() => {
-    // Only resize if both conditions are met
-    if (targetSize && processor.hasImage()) {
-      // Resize the image using nearest-neighbor interpolation
-      processor.resize(targetSize.width, targetSize.height);
+    // Only resize if an image is loaded and its size or resampling actually changes
+    // (e.g. a restored session image is already at the unified size)
+    if (processor.needsResize(targetSize, resampling)) {
+      // Resample the original with the chosen method and fit mode
+      processor.resize(targetSize.width, targetSize.height, resampling);
 
       // Reset all adjustments on resize
       // This prevents confusing states where adjustments from old size
@@ -613,14 +1403,13 @@ function ImageViewport({
       setComponentContrast(0);
 
       // Redraw image with new dimensions
-      drawImage();
+      actionsRef.current.drawImage();
 
       // Recompute FFT on resized data
-      if (processor.hasFFT()) {
-        computeFFT();
-      }
+      // (also when the first FFT is still running - it was started for the old size)
+      actionsRef.current.computeFFT();
     }
-  }, [targetSize]); // Re-run when targetSize changes
+  }, [targetSize, resampling, processor]); // Re-run when targetSize or the resampling settings change
 
   // ==================== FILE INPUT TRIGGER ====================
 
@@ -632,6 +1421,79 @@ function ImageViewport({
     fileInputRef.current.click();
   };
 
+  /**
+   * Effect: Load a file pushed by App (dropped on the app or part of a multi-selection)
+   */
+  useEffect(() => {
+    if (!fileLoad || loadedFileTokenRef.current === fileLoad.token) return;
+    loadedFileTokenRef.current = fileLoad.token;
+    actionsRef.current.loadFile(fileLoad.file);
+  }, [fileLoad]);
+
+  /**
+   * Ctrl+V while this viewport has focus: load the first pasted image
+   */
+  const handlePaste = (e) => {
+    const file = Array.from(e.clipboardData.files).find(ImageProcessor.canLoad);
+    if (!file) return; // Not an image - leave the paste alone
+    e.preventDefault();
+    loadFile(file);
+  };
+
+  // ==================== DRAG & DROP (SLOT SWAP, FILES) ====================
+
+  /**
+   * Start dragging this slot by its header
+   */
+  const handleSlotDragStart = (e) => {
+    e.dataTransfer.setData(SLOT_DRAG_TYPE, id);
+    e.dataTransfer.effectAllowed = "move";
+  };
+
+  /**
+   * Accept slot headers and files from the OS dragged over this viewport
+   */
+  const handleSlotDragOver = (e) => {
+    const { types } = e.dataTransfer;
+    const isSlot = types.includes(SLOT_DRAG_TYPE);
+    if (!isSlot && !types.includes("Files")) return;
+    e.preventDefault();
+    e.stopPropagation(); // Not a drop on the app as a whole
+    e.dataTransfer.dropEffect = isSlot ? "move" : "copy";
+    if (!isDropTarget) setIsDropTarget(true);
+  };
+
+  const handleSlotDragLeave = (e) => {
+    // Moving between child elements also fires dragleave - only react when leaving the viewport
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setIsDropTarget(false);
+  };
+
+  /**
+   * Dropped: swap the dragged slot with this one, or load the dropped files
+   * (one file loads here, several start here and fill the empty slots)
+   */
+  const handleSlotDrop = (e) => {
+    const { types } = e.dataTransfer;
+    if (!types.includes(SLOT_DRAG_TYPE) && !types.includes("Files")) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDropTarget(false);
+
+    if (types.includes(SLOT_DRAG_TYPE)) {
+      const draggedId = e.dataTransfer.getData(SLOT_DRAG_TYPE);
+      if (draggedId && draggedId !== id) onSwap(draggedId, id);
+      return;
+    }
+
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length === 1) {
+      loadFile(files[0]);
+    } else if (files.length > 1) {
+      onLoadFiles(files, id);
+    }
+  };
+
   // ==================== RENDER HELPERS ====================
 
   /**
@@ -644,46 +1506,167 @@ function ImageViewport({
     componentBrightness !== 0 ||
     componentContrast !== 0;
 
+  /**
+   * Component names for the current mix mode
+   * e.g. {primary: 'magnitude', secondary: 'phase'}
+   */
+  const componentNames = FourierMixer.getComponentNames(mixMode);
+
+  // Capitalized names for the assignment dropdown, e.g. "Magnitude only"
+  const componentLabels = {
+    primary:
+      componentNames.primary.charAt(0).toUpperCase() +
+      componentNames.primary.slice(1),
+    secondary:
+      componentNames.secondary.charAt(0).toUpperCase() +
+      componentNames.secondary.slice(1),
+  };
+
   // ==================== JSX RENDER ====================
 
   return (
-    <div className="image-viewport">
+    <div
+      className={`image-viewport ${isDropTarget ? "drop-target" : ""}`}
+      onDragOver={handleSlotDragOver}
+      onDragLeave={handleSlotDragLeave}
+      onDrop={handleSlotDrop}
+      onPaste={handlePaste}
+      tabIndex={0} // Focusable, so Ctrl+V pastes into this viewport
+    >
+      {/* Slot header: position label with move, clear and remove buttons
+          Dragging the header onto another viewport swaps the two images */}
+      <div
+        className="slot-header"
+        draggable={slotCount > 1}
+        onDragStart={handleSlotDragStart}
+        onDragEnd={() => setIsDropTarget(false)}
+        title={slotCount > 1 ? "Drag onto another image to swap them" : undefined}
+      >
+        <span className="slot-title">
+          {slotCount > 1 && <span className="slot-grip">⠿</span>}
+          Image {index + 1}
+        </span>
+        <button
+          className="slot-button"
+          onClick={() => onMove(id, -1)}
+          disabled={index === 0}
+          title="Move this image earlier"
+        >
+          ◀
+        </button>
+        <button
+          className="slot-button"
+          onClick={() => onMove(id, 1)}
+          disabled={index === slotCount - 1}
+          title="Move this image later"
+        >
+          ▶
+        </button>
+        <button
+          className="slot-button"
+          onClick={() => onClear(id)}
+          disabled={!hasImage}
+          title="Clear this image (keeps the slot and its weights)"
+        >
+          🗑
+        </button>
+        <button
+          className="slot-button"
+          onClick={() => onRemove(id)}
+          disabled={slotCount <= 1}
+          title="Remove this image slot"
+        >
+          ✖
+        </button>
+      </div>
+
       {/* Side by Side Layout: Original Image (left) + FFT Component (right) */}
       <div className="display-sections-container">
         {/* ========== LEFT SECTION: ORIGINAL IMAGE ========== */}
         <div className="display-section">
           <div className="section-header">
-            <h4>ORIGINAL IMAGE</h4>
+            <h4>
+              ORIGINAL IMAGE
+              {/* High-bit-depth input: the canvas shows its values mapped to 8-bit */}
+              {hasImage && processor.sourceDescription && (
+                <span
+                  className="source-badge"
+                  title={`Values ${processor.valueRange.min} to ${processor.valueRange.max} shown as 0-255`}
+                >
+                  {processor.sourceDescription}
+                </span>
+              )}
+            </h4>
+            {hasImage && (
+              <button
+                className="inspect-button"
+                onClick={() =>
+                  onInspect(PixelInspector.forImage(processor, `Image ${index + 1} - original`))
+                }
+                title="Open in the inspector (zoom, pan, pixel values)"
+              >
+                🔍
+              </button>
+            )}
           </div>
 
-          {/* WEIGHT SLIDER - Only shown when image is loaded */}
-          {/* Controls this image's contribution to the final mix (0-100%) */}
+          {/* COMPONENT ASSIGNMENT + WEIGHT SLIDERS - Only shown when image is loaded */}
+          {/* Chooses which component(s) this image feeds and how much (0-100%) */}
           {hasImage && (
             <div className="weight-slider-container">
-              <div className="slider-label">
-                <span className="slider-name">WEIGHT:</span>
-                <span className="slider-value">
-                  {(weight * 100).toFixed(0)}%
-                </span>
-              </div>
-              <input
-                type="range"
-                min="0"
-                max="1"
-                step="0.01"
-                value={weight}
+              <select
+                value={componentAssignment}
                 onChange={(e) =>
-                  onWeightChange(parseInt(id), parseFloat(e.target.value))
+                  onComponentAssignmentChange(id, e.target.value)
                 }
                 disabled={isDisabled} // Disabled if FFT not computed yet
-                className="weight-slider-input"
-                style={{
-                  // Dynamic gradient showing filled portion of slider
-                  background: `linear-gradient(to right, #667eea 0%, #764ba2 ${
-                    weight * 100
-                  }%, #e0e0e0 ${weight * 100}%, #e0e0e0 100%)`,
-                }}
-              />
+                className="fft-component-selector"
+              >
+                <option value="both">
+                  {componentLabels.primary} + {componentLabels.secondary}
+                </option>
+                <option value="primary">{componentLabels.primary} only</option>
+                <option value="secondary">
+                  {componentLabels.secondary} only
+                </option>
+              </select>
+              {["primary", "secondary"]
+                .filter(
+                  (key) =>
+                    componentAssignment === "both" || componentAssignment === key
+                )
+                .map((key) => (
+                  <React.Fragment key={key}>
+                    <div className="slider-label">
+                      <span className="slider-name">{componentNames[key]}:</span>
+                      <span className="slider-value">
+                        {(weights[key] * 100).toFixed(0)}%
+                      </span>
+                    </div>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.01"
+                      value={weights[key]}
+                      onChange={(e) =>
+                        onWeightChange(
+                          id,
+                          key,
+                          parseFloat(e.target.value)
+                        )
+                      }
+                      disabled={isDisabled} // Disabled if FFT not computed yet
+                      className="weight-slider-input"
+                      style={{
+                        // Dynamic gradient showing filled portion of slider
+                        background: `linear-gradient(to right, #667eea 0%, #764ba2 ${
+                          weights[key] * 100
+                        }%, #e0e0e0 ${weights[key] * 100}%, #e0e0e0 100%)`,
+                      }}
+                    />
+                  </React.Fragment>
+                ))}
             </div>
           )}
 
@@ -698,7 +1681,7 @@ function ImageViewport({
             {/* Placeholder shown when no image loaded */}
             {!hasImage && (
               <div className="placeholder">
-                <p>Double-click to load</p>
+                <p>Double-click, drop or paste to load</p>
               </div>
             )}
 
@@ -726,6 +1709,25 @@ function ImageViewport({
         <div className="display-section">
           <div className="section-header">
             <h4>FFT COMPONENT</h4>
+            {processor.hasFFT() && (
+              <button
+                className="inspect-button"
+                onClick={() =>
+                  onInspect(
+                    PixelInspector.forComponent(
+                      processor,
+                      selectedComponent,
+                      componentBrightness,
+                      componentContrast,
+                      `Image ${index + 1} - FFT ${selectedComponent}`
+                    )
+                  )
+                }
+                title="Open in the inspector (zoom, pan, frequency and complex values)"
+              >
+                🔍
+              </button>
+            )}
           </div>
 
           {/* FFT COMPONENT SELECTOR - Dropdown to choose which component to display */}
@@ -752,11 +1754,28 @@ function ImageViewport({
           {/* COMPONENT CANVAS CONTAINER */}
           <div
             className={`canvas-container component-canvas ${
-              isComponentDragging ? "dragging" : ""
+              isComponentDragging || regionDrag ? "dragging" : ""
             }`}
-            onMouseDown={handleComponentMouseDown} // Start B/C drag
-            onMouseMove={handleComponentMouseMove} // Apply B/C adjustments
-            title="Drag to adjust brightness/contrast"
+            onMouseDown={handleComponentMouseDown} // Start B/C or region drag
+            onMouseMove={handleComponentMouseMove} // Apply B/C adjustments or region edits
+            onMouseUp={finishMaskStroke} // End a mask brush stroke
+            onMouseLeave={() => {
+              setRegionCursor(null);
+              finishMaskStroke();
+            }}
+            onDoubleClick={() => maskTool === "polygon" && closePolygon()} // Close the lasso
+            style={
+              isMaskEditorOpen
+                ? { cursor: "crosshair" }
+                : regionCursor
+                ? { cursor: regionCursor }
+                : undefined
+            }
+            title={
+              isMaskEditorOpen
+                ? "Edit the spectral mask with the selected tool"
+                : "Drag to adjust brightness/contrast, Shift+drag to draw a region, drag the region to move/resize it"
+            }
           >
             {/* Loading/placeholder messages */}
             {!processor.hasFFT() && hasImage && (
@@ -788,19 +1807,149 @@ function ImageViewport({
           </div>
 
           {/* Drag instructions for component canvas */}
-          {processor.hasFFT() && (
+          {processor.hasFFT() && !isMaskEditorOpen && (
             <div className="drag-instructions">
               <span>🖱️ Drag: ↕️ Brightness | ↔️ Contrast</span>
+              <span>⇧ Drag: Draw region | Drag region: Move/Resize</span>
+            </div>
+          )}
+
+          {/* COMPONENT EXPORT - save the displayed view or the raw values */}
+          {processor.hasFFT() && (
+            <div className="mask-editor-row component-export">
+              <select
+                value={componentExportFormat}
+                onChange={(e) => setComponentExportFormat(e.target.value)}
+                className="fft-component-selector"
+                title="Export format"
+              >
+                {ImageExporter.getComponentFormats().map((format) => (
+                  <option key={format.value} value={format.value}>
+                    {format.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="mask-button"
+                onClick={handleExportComponent}
+                disabled={isExportingComponent}
+                title="Save this FFT component (raw formats include FFT size, shift and scaling metadata)"
+              >
+                {isExportingComponent ? "Saving..." : "💾 Save"}
+              </button>
+            </div>
+          )}
+
+          {/* SPECTRAL MASK EDITOR - hand-drawn mask replacing the region shape */}
+          {processor.hasFFT() && (
+            <div className="mask-editor">
+              <div className="mask-editor-row">
+                <button
+                  className={`mask-button ${isMaskEditorOpen ? "active" : ""}`}
+                  onClick={handleToggleMaskEditor}
+                  title="Paint a custom frequency mask on the FFT component"
+                >
+                  {isMaskEditorOpen ? "✔ Done" : "✏️ Edit Mask"}
+                </button>
+                {regionConfig && regionConfig.customMask && (
+                  <button
+                    className="mask-button"
+                    onClick={handleRemoveMask}
+                    title="Remove the custom mask and use the region shape again"
+                  >
+                    ✖ Remove Mask
+                  </button>
+                )}
+              </div>
+
+              {isMaskEditorOpen && (
+                <>
+                  <div className="mask-editor-row">
+                    <select
+                      value={maskTool}
+                      onChange={(e) => {
+                        setMaskTool(e.target.value);
+                        setPolygonPoints([]);
+                      }}
+                      className="fft-component-selector"
+                    >
+                      {MASK_TOOLS.map((tool) => (
+                        <option key={tool.value} value={tool.value}>
+                          {tool.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {maskTool !== "polygon" && (
+                    <div className="mask-editor-row">
+                      <span className="mask-size-label">Size: {brushSize}</span>
+                      <input
+                        type="range"
+                        min="1"
+                        max="30"
+                        value={brushSize}
+                        onChange={(e) => setBrushSize(parseInt(e.target.value))}
+                        className="mask-size-slider"
+                      />
+                    </div>
+                  )}
+
+                  <div className="mask-editor-row">
+                    <button
+                      className="mask-button"
+                      onClick={() => applyMaskAction("undo")}
+                      disabled={!maskHistory.canUndo}
+                    >
+                      ↶ Undo
+                    </button>
+                    <button
+                      className="mask-button"
+                      onClick={() => applyMaskAction("redo")}
+                      disabled={!maskHistory.canRedo}
+                    >
+                      ↷ Redo
+                    </button>
+                    <button className="mask-button" onClick={() => applyMaskAction("invert")}>
+                      ⇄ Invert
+                    </button>
+                    <button className="mask-button" onClick={() => applyMaskAction("clear")}>
+                      ⟲ Clear
+                    </button>
+                  </div>
+
+                  <div className="drag-instructions">
+                    <span>
+                      {maskTool === "polygon"
+                        ? "Click to add points, click the first point or double-click to fill"
+                        : maskTool === "notch"
+                        ? "Click a noise peak to notch it (mirror is notched too)"
+                        : "Drag to paint (mirrored through DC automatically)"}
+                    </span>
+                  </div>
+                </>
+              )}
             </div>
           )}
 
           {/* Region indicator badge - Shows selected frequency region */}
           {regionConfig && regionConfig.enabled && (
             <div className="region-indicator">
-              <span className={`region-badge ${regionConfig.type}`}>
-                {regionConfig.type === "inner" ? "📍 INNER" : "🌐 OUTER"}{" "}
-                {regionConfig.size}%
-              </span>
+              {regionConfig.customMask ? (
+                <span className="region-badge outer">✏️ CUSTOM MASK</span>
+              ) : (
+                <span className={`region-badge ${regionConfig.type}`}>
+                  {regionConfig.type === "inner"
+                    ? "📍 INNER"
+                    : regionConfig.type === "band"
+                    ? "🎯 BAND"
+                    : "🌐 OUTER"}{" "}
+                  {regionConfig.type === "band"
+                    ? `${Math.min(regionConfig.innerSize || 0, regionConfig.size)}-${regionConfig.size}%`
+                    : `${regionConfig.size}%`}
+                  {regionConfig.offsetX || regionConfig.offsetY ? " ↔ mirrored" : ""}
+                </span>
+              )}
             </div>
           )}
         </div>
@@ -822,7 +1971,8 @@ function ImageViewport({
       <input
         ref={fileInputRef}
         type="file"
-        accept="image/*"
+        accept={ImageProcessor.getAcceptedTypes()}
+        multiple // Several files fill this and the empty slots
         onChange={handleFileChange}
         style={{ display: "none" }}
       />
@@ -0,0 +1,313 @@
+// Inspector.jsx - UI ONLY - No pixel readout logic
+
+import React, { useState, useRef, useEffect, useCallback } from "react";
+import "./Inspector.css";
+
+// Largest zoom (screen pixels per image pixel)
+const MAX_ZOOM = 64;
+
+// Zoom factor per mouse-wheel notch and per +/- click
+const ZOOM_STEP = 1.25;
+
+// From this zoom on, a grid outlines every image pixel
+const GRID_ZOOM = 12;
+
+/**
+ * Inspector Component - Full-size view of one output port or input image
+ *
+ * Responsibilities:
+ * - Draw the image large with nearest-neighbour scaling
+ * - Zoom with the mouse wheel (around the pointer) or buttons, up to pixel level
+ * - Pan by dragging
+ * - Show the readout of the pixel under the pointer
+ *
+ * Does NOT handle:
+ * - Building the image or its readout (PixelInspector)
+ * - Choosing what is inspected (App / viewports)
+ */
+function Inspector({
+  inspection, // PixelInspector of the image being inspected
+  onClose, // Callback to close the inspector
+}) {
+  const wrapperRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  // The image at 1:1 on an off-screen canvas, scaled onto the visible one when drawing
+  const imageCanvasRef = useRef(null);
+
+  // Screen pixels per image pixel, and the screen position of the image's top-left corner
+  const [view, setView] = useState({ zoom: 1, offsetX: 0, offsetY: 0 });
+
+  // Image pixel under the pointer (null when outside the image)
+  const [hoverPixel, setHoverPixel] = useState(null);
+
+  // Pointer position where the current drag started, with the view at that time
+  const dragRef = useRef(null);
+
+  const { width, height } = inspection;
+
+  /**
+   * Size of the visible canvas (fills its wrapper)
+   */
+  const getViewportSize = useCallback(() => {
+    const wrapper = wrapperRef.current;
+    return { width: wrapper.clientWidth, height: wrapper.clientHeight };
+  }, []);
+
+  /**
+   * Whole image centred in the view
+   */
+  const fitView = useCallback(() => {
+    const viewport = getViewportSize();
+    const zoom = Math.min(MAX_ZOOM, viewport.width / width, viewport.height / height);
+    setView({
+      zoom,
+      offsetX: (viewport.width - width * zoom) / 2,
+      offsetY: (viewport.height - height * zoom) / 2,
+    });
+  }, [getViewportSize, width, height]);
+
+  /**
+   * Zoom by a factor, keeping the image point under (screenX, screenY) in place
+   * Zooming out stops once the image fits the view
+   */
+  const zoomAt = useCallback((factor, screenX, screenY) => {
+    setView((prev) => {
+      const viewport = getViewportSize();
+      const minZoom = Math.min(1, viewport.width / width, viewport.height / height);
+      const zoom = Math.max(minZoom, Math.min(MAX_ZOOM, prev.zoom * factor));
+      const scale = zoom / prev.zoom;
+      return {
+        zoom,
+        offsetX: screenX - (screenX - prev.offsetX) * scale,
+        offsetY: screenY - (screenY - prev.offsetY) * scale,
+      };
+    });
+  }, [getViewportSize, width, height]);
+
+  /**
+   * Zoom around the centre of the view (buttons)
+   */
+  const zoomCentered = (factor) => {
+    const viewport = getViewportSize();
+    zoomAt(factor, viewport.width / 2, viewport.height / 2);
+  };
+
+  /**
+   * Show image pixels at their actual size, centred on the middle of the view
+   */
+  const actualSize = () => zoomCentered(1 / view.zoom);
+
+  /**
+   * Copy the image onto the off-screen canvas when the inspected image changes
+   * A new size (another image) also resets the view
+   */
+  useEffect(() => {
+    const imageCanvas = imageCanvasRef.current || document.createElement("canvas");
+    imageCanvasRef.current = imageCanvas;
+    const resized = imageCanvas.width !== width || imageCanvas.height !== height;
+    imageCanvas.width = width;
+    imageCanvas.height = height;
+    const ctx = imageCanvas.getContext("2d");
+    const imageData = ctx.createImageData(width, height);
+    imageData.data.set(inspection.rgba);
+    ctx.putImageData(imageData, 0, 0);
+
+    if (resized) {
+      fitView();
+    } else {
+      // Same size, new pixels (e.g. the port was re-mixed) - keep the view, redraw
+      setView((prev) => ({ ...prev }));
+    }
+  }, [inspection, width, height, fitView]);
+
+  /**
+   * Draw the visible canvas: scaled image, pixel grid when zoomed in, hovered pixel
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const imageCanvas = imageCanvasRef.current;
+    if (!canvas || !imageCanvas) return;
+
+    const viewport = getViewportSize();
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    const ctx = canvas.getContext("2d");
+    ctx.imageSmoothingEnabled = false; // Nearest-neighbour: every image pixel stays a sharp square
+    ctx.fillStyle = "#202020";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const { zoom, offsetX, offsetY } = view;
+    ctx.drawImage(imageCanvas, offsetX, offsetY, width * zoom, height * zoom);
+
+    // Pixel grid over the visible part of the image
+    if (zoom >= GRID_ZOOM) {
+      const firstX = Math.max(0, Math.floor(-offsetX / zoom));
+      const lastX = Math.min(width, Math.ceil((canvas.width - offsetX) / zoom));
+      const firstY = Math.max(0, Math.floor(-offsetY / zoom));
+      const lastY = Math.min(height, Math.ceil((canvas.height - offsetY) / zoom));
+      ctx.strokeStyle = "rgba(128, 128, 128, 0.4)";
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let x = firstX; x <= lastX; x++) {
+        const screenX = Math.round(offsetX + x * zoom) + 0.5;
+        ctx.moveTo(screenX, offsetY + firstY * zoom);
+        ctx.lineTo(screenX, offsetY + lastY * zoom);
+      }
+      for (let y = firstY; y <= lastY; y++) {
+        const screenY = Math.round(offsetY + y * zoom) + 0.5;
+        ctx.moveTo(offsetX + firstX * zoom, screenY);
+        ctx.lineTo(offsetX + lastX * zoom, screenY);
+      }
+      ctx.stroke();
+    }
+
+    // Outline the hovered pixel
+    if (hoverPixel) {
+      ctx.strokeStyle = "#ffcc00";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(
+        offsetX + hoverPixel.x * zoom,
+        offsetY + hoverPixel.y * zoom,
+        Math.max(zoom, 2),
+        Math.max(zoom, 2)
+      );
+    }
+  }, [view, hoverPixel, width, height, getViewportSize]);
+
+  /**
+   * Refit when the window is resized, close on Escape
+   */
+  useEffect(() => {
+    const handleResize = () => setView((prev) => ({ ...prev }));
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("resize", handleResize);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      window.removeEventListener("resize", handleResize);
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [onClose]);
+
+  /**
+   * Mouse wheel zooms around the pointer
+   * Registered natively so the page does not scroll (React wheel listeners are passive)
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX - rect.left, e.clientY - rect.top);
+    };
+    canvas.addEventListener("wheel", handleWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", handleWheel);
+  }, [zoomAt]);
+
+  // ==================== MOUSE: PAN + HOVER ====================
+
+  const handleMouseDown = (e) => {
+    dragRef.current = { x: e.clientX, y: e.clientY, view };
+  };
+
+  const handleMouseMove = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const screenX = e.clientX - rect.left;
+    const screenY = e.clientY - rect.top;
+
+    // Drag pans the image
+    const drag = dragRef.current;
+    if (drag) {
+      setView({
+        ...drag.view,
+        offsetX: drag.view.offsetX + e.clientX - drag.x,
+        offsetY: drag.view.offsetY + e.clientY - drag.y,
+      });
+    }
+
+    // Image pixel under the pointer
+    const x = Math.floor((screenX - view.offsetX) / view.zoom);
+    const y = Math.floor((screenY - view.offsetY) / view.zoom);
+    const inside = x >= 0 && y >= 0 && x < width && y < height;
+    if (!inside) {
+      setHoverPixel(null);
+    } else if (!hoverPixel || hoverPixel.x !== x || hoverPixel.y !== y) {
+      setHoverPixel({ x, y });
+    }
+  };
+
+  const handleMouseUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleMouseLeave = () => {
+    dragRef.current = null;
+    setHoverPixel(null);
+  };
+
+  const readout = hoverPixel ? inspection.read(hoverPixel.x, hoverPixel.y) : [];
+
+  return (
+    <div className="inspector-backdrop" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="inspector">
+        <div className="inspector-header">
+          <span className="inspector-title">
+            🔍 {inspection.title}
+            <span className="inspector-size">
+              {width} × {height}
+            </span>
+          </span>
+          <button className="inspector-button" onClick={() => zoomCentered(1 / ZOOM_STEP)} title="Zoom out">
+            −
+          </button>
+          <span className="inspector-zoom">{Math.round(view.zoom * 100)}%</span>
+          <button className="inspector-button" onClick={() => zoomCentered(ZOOM_STEP)} title="Zoom in">
+            +
+          </button>
+          <button className="inspector-button" onClick={fitView} title="Fit the whole image">
+            Fit
+          </button>
+          <button className="inspector-button" onClick={actualSize} title="One screen pixel per image pixel">
+            1:1
+          </button>
+          <button className="inspector-button" onClick={onClose} title="Close (Esc)">
+            ✖
+          </button>
+        </div>
+
+        <div className="inspector-body">
+          <div className="inspector-canvas-wrapper" ref={wrapperRef}>
+            <canvas
+              ref={canvasRef}
+              className="inspector-canvas"
+              onMouseDown={handleMouseDown}
+              onMouseMove={handleMouseMove}
+              onMouseUp={handleMouseUp}
+              onMouseLeave={handleMouseLeave}
+            />
+          </div>
+
+          {/* Readout of the pixel under the pointer */}
+          <div className="inspector-readout">
+            {readout.length > 0 ? (
+              readout.map((line) => (
+                <div key={line.label} className="inspector-readout-line">
+                  <span className="inspector-readout-label">{line.label}</span>
+                  <span className="inspector-readout-value">{line.value}</span>
+                </div>
+              ))
+            ) : (
+              <span className="inspector-hint">
+                Hover to read pixel values. Scroll to zoom, drag to pan.
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Inspector;
@@ -0,0 +1,122 @@
+// OutputLevels.jsx - UI ONLY - No window/level maths
+
+import React, { useRef, useEffect } from "react";
+import DisplayLevels from "../classes/DisplayLevels";
+import "./OutputLevels.css";
+
+// Histogram canvas size (one column per display value)
+const HISTOGRAM_WIDTH = 256;
+const HISTOGRAM_HEIGHT = 64;
+
+/**
+ * OutputLevels Component - Display adjustments of the selected output port
+ *
+ * Responsibilities:
+ * - Draw the port's histogram with the displayed window and transfer curve
+ * - Level (brightness), window (contrast) and gamma sliders
+ * - Auto-levels and reset buttons
+ *
+ * Does NOT handle:
+ * - Building the histogram or lookup table, auto-levels (DisplayLevels)
+ * - Storing the settings per port (App)
+ */
+function OutputLevels({
+  port, // Port number being adjusted
+  levels, // { level, window, gamma } of that port
+  histogram, // Uint32Array(256) of the port's display values (null without output)
+  onChange, // Callback(levels) with the new settings
+  onAutoLevels, // Callback to stretch the histogram over the display range
+  onReset, // Callback to restore the unchanged display
+}) {
+  const canvasRef = useRef(null);
+  const ranges = DisplayLevels.getRanges();
+
+  /**
+   * Draw histogram, window range and transfer curve
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, HISTOGRAM_WIDTH, HISTOGRAM_HEIGHT);
+
+    // Displayed window (values outside it are clipped to black / white)
+    const low = levels.level - levels.window / 2;
+    ctx.fillStyle = "rgba(102, 126, 234, 0.12)";
+    ctx.fillRect(low, 0, levels.window, HISTOGRAM_HEIGHT);
+
+    // Bars scaled to the tallest bin, square-root so small bins stay visible
+    if (histogram) {
+      const tallest = Math.sqrt(Math.max(...histogram)) || 1;
+      ctx.fillStyle = "#666";
+      histogram.forEach((count, value) => {
+        const barHeight = (Math.sqrt(count) / tallest) * HISTOGRAM_HEIGHT;
+        ctx.fillRect(value, HISTOGRAM_HEIGHT - barHeight, 1, barHeight);
+      });
+    }
+
+    // Transfer curve: display value -> drawn value
+    const lut = DisplayLevels.buildLUT(levels);
+    ctx.strokeStyle = "#764ba2";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    lut.forEach((out, value) => {
+      const y = HISTOGRAM_HEIGHT - (out / 255) * HISTOGRAM_HEIGHT;
+      if (value === 0) ctx.moveTo(value, y);
+      else ctx.lineTo(value, y);
+    });
+    ctx.stroke();
+  }, [histogram, levels]);
+
+  const sliders = [
+    { key: "level", label: "Level", step: 0.5, format: (v) => v.toFixed(1) },
+    { key: "window", label: "Window", step: 1, format: (v) => v.toFixed(0) },
+    { key: "gamma", label: "Gamma", step: 0.05, format: (v) => v.toFixed(2) },
+  ];
+
+  return (
+    <div className="output-levels">
+      <div className="output-levels-header">
+        <span className="output-levels-title">Port {port} display</span>
+        <button className="output-levels-button" onClick={onAutoLevels} disabled={!histogram}>
+          Auto
+        </button>
+        <button
+          className="output-levels-button"
+          onClick={onReset}
+          disabled={DisplayLevels.isIdentity(levels)}
+        >
+          Reset
+        </button>
+      </div>
+
+      <canvas
+        ref={canvasRef}
+        width={HISTOGRAM_WIDTH}
+        height={HISTOGRAM_HEIGHT}
+        className="output-levels-histogram"
+        title="Histogram of the port's values, with the displayed window and transfer curve"
+      />
+
+      {sliders.map(({ key, label, step, format }) => (
+        <div key={key} className="output-levels-row">
+          <span className="output-levels-label">{label}</span>
+          <input
+            type="range"
+            min={ranges[key].min}
+            max={ranges[key].max}
+            step={step}
+            value={levels[key]}
+            onChange={(e) =>
+              onChange(DisplayLevels.clamp({ ...levels, [key]: parseFloat(e.target.value) }))
+            }
+            className="output-levels-slider"
+          />
+          <span className="output-levels-value">{format(levels[key])}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default OutputLevels;
@@ -1,8 +1,42 @@
 // OutputViewport.jsx - UI ONLY - No processing logic
 
-import React, { useRef, useEffect, useState } from "react";
+import React, { useRef, useEffect, useState, useMemo } from "react";
+import ImageExporter from "../classes/ImageExporter";
+import OutputComparison from "../classes/OutputComparison";
+import DisplayLevels from "../classes/DisplayLevels";
+import OutputLevels from "./OutputLevels";
 import "./OutputViewport.css";
 
+// Mix mode names shown in a port's recipe summary
+const MIX_MODE_LABELS = {
+  "magnitude-phase": "Magnitude/Phase",
+  "real-imaginary": "Real/Imaginary",
+};
+
+/**
+ * One-line summary and tooltip of the recipe that produced a port's output
+ */
+const describeRecipe = (recipe) => {
+  if (!recipe) return { summary: "", details: "" };
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const regions = recipe.regionConfigs.filter((config) => config.enabled).length;
+  return {
+    summary: `${recipe.slots.length} image${recipe.slots.length === 1 ? "" : "s"} · ${
+      MIX_MODE_LABELS[recipe.mixMode] || recipe.mixMode
+    } · ${recipe.colorMode}${regions > 0 ? " · regions" : ""}`,
+    details: recipe.slots
+      .map(
+        (slot, j) =>
+          `Image ${slot + 1}: ${percent(recipe.weights[j].primary)} / ${percent(
+            recipe.weights[j].secondary
+          )} (${recipe.componentAssignments[j]})${
+            recipe.regionConfigs[j].enabled ? `, ${recipe.regionConfigs[j].type} region` : ""
+          }`
+      )
+      .join("\n"),
+  };
+};
+
 /**
  * OutputViewport Component - Handles UI for output display and controls
  * 
@@ -10,129 +44,193 @@ import "./OutputViewport.css";
  * - Render output canvases
  * - Display mixing mode selector
  * - Display region filter controls
+ * - Display colour mode / chroma source controls
+ * - List the output ports (add / remove, select the port mixes go to)
+ * - Summarise the recipe each port was mixed with and offer to load it back
+ * - Open a port in the inspector
+ * - Per-port display adjustments: drag on a preview for window/level (like the input
+ *   viewports), plus histogram, auto-levels and gamma for the selected port
  * - Handle user input events
  * - Draw provided image data on canvas
+ * - Offer per-port saving (encoding is done by ImageExporter)
  * 
  * Does NOT handle:
  * - FFT calculations
  * - Image mixing logic
  * - Region mask creation
  * - IFFT computation
+ * - Window/level maths (DisplayLevels) - adjustments never re-run the mix
  */
 function OutputViewport({
-  outputData1,       // Grayscale image data for port 1
-  outputData2,       // Grayscale image data for port 2
-  selectedOutput,    // Currently selected port (1 or 2)
+  outputs,           // Output ports { id, data, recipe, display }, port N at index N - 1
+  selectedOutput,    // Currently selected port number (1-based)
   onOutputSelect,    // Callback to notify parent when user selects a port
+  onAddOutput,       // Callback to add an output port
+  onRemoveOutput,    // Callback(port) to remove an output port
+  onUseRecipe,       // Callback(port) to load a port's recipe back into the controls
+  onInspect,         // Callback(port) to open a port in the full-size inspector
+  onDisplayChange,   // Callback(port, levels) when a port's window/level/gamma changes
+  canAddOutput,      // Whether another port can be added
   mixMode,           // Current mixing mode
   onMixModeChange,   // Callback to notify parent when mix mode changes
-  regionType,        // Currently selected region type (inner/outer)
-  onRegionTypeChange,// Callback when region type changes
-  onRegionConfigChange, // Callback to notify parent when region config changes
+  regionConfig,      // Region configuration of the image being edited
+  regionTarget,      // Image whose region is edited: 'all' or slot position ('1', '2', ...)
+  onRegionTargetChange, // Callback when the edited image changes
+  onRegionConfigChange, // Callback with the changed region fields
+  colorMode,         // Colour mode: grayscale, rgb, ycbcr or luminance
+  onColorModeChange, // Callback when colour mode changes
+  chromaSource,      // Slot position whose chroma is used in luminance mode
+  onChromaSourceChange, // Callback when chroma source changes
+  slotCount,         // Number of input image slots (options of the image selectors)
 }) {
-  const canvas1Ref = useRef(null); // Reference to Port 1 canvas
-  const canvas2Ref = useRef(null); // Reference to Port 2 canvas
+  // Slot positions offered by the image selectors: '1' ... slotCount
+  const slotPositions = Array.from({ length: slotCount }, (_, index) => String(index + 1));
+
+  // Canvas per port ID, and the { canvas, data, display } last drawn (so unchanged ports are not redrawn)
+  const canvasRefs = useRef({});
+  const drawnOutputsRef = useRef({});
+
+  // Window/level drag on a preview: { port, x, y, start } (null when not dragging)
+  const [levelsDrag, setLevelsDrag] = useState(null);
+
+  // Histogram of the selected port's output
+  const selectedPort = outputs[selectedOutput - 1];
+  const selectedData = selectedPort ? selectedPort.data : null;
+  const histogram = useMemo(
+    () => (selectedData ? DisplayLevels.histogram(selectedData) : null),
+    [selectedData]
+  );
 
-  // Region filter UI state
-  const [regionEnabled, setRegionEnabled] = useState(false); // Whether region filter is enabled
-  const [regionSize, setRegionSize] = useState(50);          // Current region size (percentage)
+  // Export UI state
+  const [exportFormat, setExportFormat] = useState("png8"); // Selected file format
+  const [savingPort, setSavingPort] = useState(null);       // Port currently being encoded
+
+  // Region filter values of the edited image
+  const {
+    enabled: regionEnabled,
+    shape: regionShape,
+    type: regionType,
+    size: regionSize,
+    sizeY: regionSizeY,
+    offsetX = 0,
+    offsetY = 0,
+    innerSize,
+    profile: regionProfile,
+    order: butterworthOrder,
+    transition: transitionWidth,
+  } = regionConfig;
+
+  // Band-pass inner edge is kept below the outer size
+  const maxInnerSize = regionSize - 5;
+  const bandInnerSize = Math.min(innerSize, maxInnerSize);
 
   /**
-   * Notify parent of region configuration changes
+   * Send changed region fields to the parent
+   * The parent applies them to the targeted image (or all images)
    */
-  useEffect(() => {
-    if (onRegionConfigChange) {
-      const config = {
-        enabled: regionEnabled,
-        type: regionType,
-        size: regionSize,
-      };
-      onRegionConfigChange(config);
-    }
-  }, [regionEnabled, regionType, regionSize, onRegionConfigChange]);
+  const updateRegion = (changes) => {
+    onRegionConfigChange(changes);
+  };
 
   /**
    * Handle region enabled toggle
    */
   const handleRegionEnabledChange = (e) => {
-    setRegionEnabled(e.target.checked);
+    updateRegion({ enabled: e.target.checked });
   };
 
   /**
    * Handle region size slider change
+   * Pulls the band-pass inner edge down with it
    */
   const handleRegionSizeChange = (e) => {
-    setRegionSize(parseInt(e.target.value));
+    const size = parseInt(e.target.value);
+    updateRegion({ size, innerSize: Math.min(innerSize, size - 5) });
   };
 
   /**
-   * Calculate gradient for region size slider
-   * Maps 10-100 range to 0-100% for visual feedback
+   * Calculate gradient for a region slider
+   * Maps the min-max range to 0-100% for visual feedback
    */
-  const getRegionSliderGradient = () => {
-    const percent = ((regionSize - 10) / (100 - 10)) * 100;
+  const getRegionSliderGradient = (value = regionSize, min = 5, max = 100) => {
+    const percent = ((value - min) / (max - min)) * 100;
     return `linear-gradient(to right, #667eea 0%, #764ba2 ${percent}%, #e0e0e0 ${percent}%, #e0e0e0 100%)`;
   };
 
   /**
-   * Draw output 1 on canvas when data changes
-   * Converts grayscale array to RGBA ImageData
+   * Save one output port in the selected format
    */
-  useEffect(() => {
-    if (!outputData1 || !canvas1Ref.current) return;
+  const handleSave = async (port) => {
+    const outputData = outputs[port - 1] && outputs[port - 1].data;
+    if (!outputData) return;
 
-    const canvas = canvas1Ref.current;
+    setSavingPort(port);
+    try {
+      await ImageExporter.exportOutput(outputData, exportFormat, `fourier-mix-port${port}`);
+    } catch (error) {
+      console.error(`Error saving port ${port}:`, error);
+      alert(`Could not save port ${port}: ${error.message}`);
+    } finally {
+      setSavingPort(null);
+    }
+  };
+
+  /**
+   * Draw one output on its canvas with the port's display adjustments
+   * Uses the RGB colour data when present, otherwise the grayscale data
+   */
+  const drawOutput = (canvas, outputData, display) => {
     const ctx = canvas.getContext("2d");
 
     // Set canvas size to match image size
-    canvas.width = outputData1.width;
-    canvas.height = outputData1.height;
-
-    const imageData = ctx.createImageData(
-      outputData1.width,
-      outputData1.height
-    );
-
-    // Convert grayscale to RGBA
-    for (let i = 0; i < outputData1.imageData.length; i++) {
-      const val = outputData1.imageData[i];
-      imageData.data[i * 4] = val;       // Red
-      imageData.data[i * 4 + 1] = val;   // Green
-      imageData.data[i * 4 + 2] = val;   // Blue
-      imageData.data[i * 4 + 3] = 255;   // Alpha (fully opaque)
-    }
+    canvas.width = outputData.width;
+    canvas.height = outputData.height;
 
+    const imageData = ctx.createImageData(outputData.width, outputData.height);
+    imageData.data.set(DisplayLevels.apply(OutputComparison.toRGBA(outputData), display));
     ctx.putImageData(imageData, 0, 0); // Draw the image on canvas
-  }, [outputData1]);
+  };
 
   /**
-   * Draw output 2 on canvas when data changes
-   * Converts grayscale array to RGBA ImageData
+   * Draw every port whose output changed since it was last drawn
    */
   useEffect(() => {
-    if (!outputData2 || !canvas2Ref.current) return;
+    outputs.forEach((port) => {
+      const canvas = canvasRefs.current[port.id];
+      const drawn = drawnOutputsRef.current[port.id];
+      if (
+        !port.data ||
+        !canvas ||
+        (drawn && drawn.canvas === canvas && drawn.data === port.data && drawn.display === port.display)
+      ) {
+        return;
+      }
+      drawOutput(canvas, port.data, port.display);
+      drawnOutputsRef.current[port.id] = { canvas, data: port.data, display: port.display };
+    });
+  }, [outputs]);
 
-    const canvas = canvas2Ref.current;
-    const ctx = canvas.getContext("2d");
+  // ==================== WINDOW/LEVEL DRAG ====================
+  // Same gesture as the input viewports:
+  //   - Horizontal drag = contrast (window), right = more contrast
+  //   - Vertical drag = brightness (level), up = brighter
 
-    canvas.width = outputData2.width;
-    canvas.height = outputData2.height;
+  const handleLevelsMouseDown = (e, port) => {
+    setLevelsDrag({ port, x: e.clientX, y: e.clientY, start: outputs[port - 1].display });
+    e.preventDefault();
+  };
 
-    const imageData = ctx.createImageData(
-      outputData2.width,
-      outputData2.height
+  const handleLevelsMouseMove = (e) => {
+    if (!levelsDrag) return;
+    onDisplayChange(
+      levelsDrag.port,
+      DisplayLevels.fromDrag(levelsDrag.start, e.clientX - levelsDrag.x, e.clientY - levelsDrag.y)
     );
+  };
 
-    for (let i = 0; i < outputData2.imageData.length; i++) {
-      const val = outputData2.imageData[i];
-      imageData.data[i * 4] = val;       // Red
-      imageData.data[i * 4 + 1] = val;   // Green
-      imageData.data[i * 4 + 2] = val;   // Blue
-      imageData.data[i * 4 + 3] = 255;   // Alpha
-    }
-
-    ctx.putImageData(imageData, 0, 0);
-  }, [outputData2]);
+  const handleLevelsMouseUp = () => {
+    setLevelsDrag(null);
+  };
 
   return (
     <div className="output-panel">
@@ -149,16 +247,81 @@ function OutputViewport({
         </select>
       </div>
 
+      {/* Colour Mode Selector */}
+      <div className="control-row">
+        <label className="control-label">Colour:</label>
+        <select
+          className="control-dropdown"
+          value={colorMode}
+          onChange={(e) => onColorModeChange(e.target.value)}
+        >
+          <option value="grayscale">Grayscale</option>
+          <option value="rgb">RGB Channels</option>
+          <option value="ycbcr">YCbCr Channels</option>
+          <option value="luminance">Luminance Only</option>
+        </select>
+      </div>
+
+      {/* Chroma Source Selector - Only shown in luminance mode */}
+      {colorMode === "luminance" && (
+        <div className="control-row">
+          <label className="control-label">Chroma:</label>
+          <select
+            className="control-dropdown"
+            value={chromaSource}
+            onChange={(e) => onChromaSourceChange(e.target.value)}
+          >
+            {slotPositions.map((position) => (
+              <option key={position} value={position}>
+                Image {position}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Region Target Selector - which image the region controls edit */}
+      <div className="control-row">
+        <label className="control-label">Apply to:</label>
+        <select
+          className="control-dropdown"
+          value={regionTarget}
+          onChange={(e) => onRegionTargetChange(e.target.value)}
+        >
+          <option value="all">All Images</option>
+          {slotPositions.map((position) => (
+            <option key={position} value={position}>
+              Image {position}
+            </option>
+          ))}
+        </select>
+      </div>
+
       {/* Region Type Selector */}
       <div className="control-row">
         <label className="control-label">Region:</label>
         <select
           className="control-dropdown"
           value={regionType}
-          onChange={(e) => onRegionTypeChange(e.target.value)}
+          onChange={(e) => updateRegion({ type: e.target.value })}
         >
-          <option value="inner">Inner</option>
-          <option value="outer">Outer</option>
+          <option value="inner">Inner (Low-pass)</option>
+          <option value="outer">Outer (High-pass)</option>
+          <option value="band">Band (Band-pass)</option>
+        </select>
+      </div>
+
+      {/* Region Shape Selector */}
+      <div className="control-row">
+        <label className="control-label">Shape:</label>
+        <select
+          className="control-dropdown"
+          value={regionShape}
+          onChange={(e) => updateRegion({ shape: e.target.value })}
+        >
+          <option value="rectangle">Rectangle</option>
+          <option value="circle">Circle</option>
+          <option value="ellipse">Ellipse</option>
         </select>
       </div>
 
@@ -172,19 +335,35 @@ function OutputViewport({
           />
           <span className="toggle-slider"></span>
         </label>
-        <span className="toggle-label">Enable Region Filter</span>
+        <span className="toggle-label">
+          Enable Region Filter
+          {regionTarget === "all" ? "" : ` (Image ${regionTarget})`}
+        </span>
       </div>
 
+      {/* Custom mask note - the hand-drawn mask replaces the shape settings below */}
+      {regionEnabled && regionConfig.customMask && (
+        <div className="region-mask-note">
+          ✏️ Custom mask drawn on the FFT component is used instead of the shape
+        </div>
+      )}
+
       {/* Region Size Slider - Only shown when enabled */}
       {regionEnabled && (
         <div className="region-size-control">
           <div className="slider-label-row">
-            <span className="slider-name">SIZE:</span>
+            <span className="slider-name">
+              {regionShape === "rectangle"
+                ? "WIDTH:"
+                : regionShape === "ellipse"
+                ? "WIDTH RADIUS:"
+                : "RADIUS:"}
+            </span>
             <span className="slider-value">{regionSize}%</span>
           </div>
           <input
             type="range"
-            min="10"
+            min="5"
             max="100"
             step="5"
             value={regionSize}
@@ -197,74 +376,284 @@ function OutputViewport({
         </div>
       )}
 
-      {/* Output Port Selector */}
-      <div className="control-row">
-        <label className="control-label">View:</label>
-        <div className="radio-group">
-          <label
-            className={`radio-label ${selectedOutput === 1 ? "active" : ""}`}
+      {/* Vertical Extent Slider - rectangles and ellipses */}
+      {regionEnabled && regionShape !== "circle" && (
+        <div className="region-size-control">
+          <div className="slider-label-row">
+            <span className="slider-name">
+              {regionShape === "ellipse" ? "HEIGHT RADIUS:" : "HEIGHT:"}
+            </span>
+            <span className="slider-value">{regionSizeY}%</span>
+          </div>
+          <input
+            type="range"
+            min="5"
+            max="100"
+            step="5"
+            value={regionSizeY}
+            onChange={(e) => updateRegion({ sizeY: parseInt(e.target.value) })}
+            className="region-slider"
+            style={{
+              background: getRegionSliderGradient(regionSizeY),
+            }}
+          />
+        </div>
+      )}
+
+      {/* Region Offset - set by dragging the region on a component canvas */}
+      {regionEnabled && (offsetX !== 0 || offsetY !== 0) && (
+        <div className="control-row">
+          <label className="control-label">Offset:</label>
+          <span className="region-offset-value">
+            {offsetX}%, {offsetY}% (mirrored)
+          </span>
+          <button
+            className="region-recenter-button"
+            onClick={() => updateRegion({ offsetX: 0, offsetY: 0 })}
+            title="Move the region back onto the DC component"
           >
-            <input
-              type="radio"
-              name="port"
-              value="1"
-              checked={selectedOutput === 1}
-              onChange={() => onOutputSelect(1)}
-            />
-            <span className="radio-text">PORT 1</span>
-          </label>
-          <label
-            className={`radio-label ${selectedOutput === 2 ? "active" : ""}`}
+            Re-centre
+          </button>
+        </div>
+      )}
+
+      {/* Band-pass Inner Edge Slider - kept below the outer size */}
+      {regionEnabled && regionType === "band" && (
+        <div className="region-size-control">
+          <div className="slider-label-row">
+            <span className="slider-name">INNER:</span>
+            <span className="slider-value">{bandInnerSize}%</span>
+          </div>
+          <input
+            type="range"
+            min="0"
+            max={maxInnerSize}
+            step="5"
+            value={bandInnerSize}
+            onChange={(e) => updateRegion({ innerSize: parseInt(e.target.value) })}
+            className="region-slider"
+            style={{
+              background: getRegionSliderGradient(bandInnerSize, 0, maxInnerSize),
+            }}
+          />
+        </div>
+      )}
+
+      {/* Region Edge Profile - Only shown when enabled */}
+      {regionEnabled && (
+        <div className="control-row">
+          <label className="control-label">Edge:</label>
+          <select
+            className="control-dropdown"
+            value={regionProfile}
+            onChange={(e) => updateRegion({ profile: e.target.value })}
           >
+            <option value="ideal">Ideal (hard)</option>
+            <option value="gaussian">Gaussian</option>
+            <option value="butterworth">Butterworth</option>
+            <option value="cosine">Raised Cosine</option>
+          </select>
+        </div>
+      )}
+
+      {/* Butterworth Order Slider */}
+      {regionEnabled && regionProfile === "butterworth" && (
+        <div className="region-size-control">
+          <div className="slider-label-row">
+            <span className="slider-name">ORDER:</span>
+            <span className="slider-value">{butterworthOrder}</span>
+          </div>
+          <input
+            type="range"
+            min="1"
+            max="10"
+            step="1"
+            value={butterworthOrder}
+            onChange={(e) => updateRegion({ order: parseInt(e.target.value) })}
+            className="region-slider"
+            style={{
+              background: getRegionSliderGradient(butterworthOrder, 1, 10),
+            }}
+          />
+        </div>
+      )}
+
+      {/* Transition Width Slider - Gaussian and raised-cosine edges */}
+      {regionEnabled &&
+        (regionProfile === "gaussian" || regionProfile === "cosine") && (
+          <div className="region-size-control">
+            <div className="slider-label-row">
+              <span className="slider-name">TRANSITION:</span>
+              <span className="slider-value">{transitionWidth}%</span>
+            </div>
             <input
-              type="radio"
-              name="port"
-              value="2"
-              checked={selectedOutput === 2}
-              onChange={() => onOutputSelect(2)}
+              type="range"
+              min="5"
+              max="100"
+              step="5"
+              value={transitionWidth}
+              onChange={(e) => updateRegion({ transition: parseInt(e.target.value) })}
+              className="region-slider"
+              style={{
+                background: getRegionSliderGradient(transitionWidth, 5, 100),
+              }}
             />
-            <span className="radio-text">PORT 2</span>
-          </label>
+          </div>
+        )}
+
+      {/* Output Port Selector - mixes go to the selected port */}
+      <div className="control-row">
+        <label className="control-label">View:</label>
+        <div className="radio-group">
+          {outputs.map((port, index) => (
+            <label
+              key={port.id}
+              className={`radio-label ${selectedOutput === index + 1 ? "active" : ""}`}
+            >
+              <input
+                type="radio"
+                name="port"
+                value={index + 1}
+                checked={selectedOutput === index + 1}
+                onChange={() => onOutputSelect(index + 1)}
+              />
+              <span className="radio-text">PORT {index + 1}</span>
+            </label>
+          ))}
+          <button
+            className="port-add-button"
+            onClick={onAddOutput}
+            disabled={!canAddOutput}
+            title="Add an output port"
+          >
+            ➕
+          </button>
         </div>
       </div>
 
-      {/* Output Preview Canvases */}
-      <div className="output-previews">
-        {/* Port 1 Preview */}
-        <div
-          className={`preview-container ${
-            selectedOutput === 1 ? "selected" : ""
-          }`}
-        >
-          <div className="preview-canvas-wrapper">
-            {outputData1 ? (
-              <canvas ref={canvas1Ref} className="preview-canvas" />
-            ) : (
-              <div className="preview-placeholder">
-                <p>Port 1</p>
-                <span>No output</span>
+      {/* Output Preview Canvases - click a preview to select its port */}
+      <div className={`output-previews ${outputs.length > 2 ? "compact" : ""}`}>
+        {outputs.map((port, index) => {
+          const recipe = describeRecipe(port.recipe);
+          return (
+            <div
+              key={port.id}
+              className={`preview-container ${
+                selectedOutput === index + 1 ? "selected" : ""
+              }`}
+              onClick={() => onOutputSelect(index + 1)}
+            >
+              <div className="preview-header">
+                <span className="preview-title">Port {index + 1}</span>
+                <button
+                  className="port-button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onInspect(index + 1);
+                  }}
+                  disabled={!port.data}
+                  title="Open in the inspector (zoom, pan, pixel values)"
+                >
+                  🔍
+                </button>
+                <button
+                  className="port-button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onUseRecipe(index + 1);
+                  }}
+                  disabled={!port.recipe}
+                  title="Load the weights, modes and regions that produced this output"
+                >
+                  ↺ Recipe
+                </button>
+                <button
+                  className="port-button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onRemoveOutput(index + 1);
+                  }}
+                  disabled={outputs.length <= 1}
+                  title="Remove this port"
+                >
+                  ✖
+                </button>
               </div>
-            )}
-          </div>
-        </div>
+              <div className="preview-canvas-wrapper">
+                {port.data ? (
+                  <canvas
+                    ref={(canvas) => {
+                      canvasRefs.current[port.id] = canvas;
+                    }}
+                    className={`preview-canvas ${
+                      levelsDrag && levelsDrag.port === index + 1 ? "dragging" : ""
+                    }`}
+                    onMouseDown={(e) => handleLevelsMouseDown(e, index + 1)}
+                    onMouseMove={handleLevelsMouseMove}
+                    onMouseUp={handleLevelsMouseUp}
+                    onMouseLeave={handleLevelsMouseUp}
+                    title="Drag to adjust window/level (display only)"
+                  />
+                ) : (
+                  <div className="preview-placeholder">
+                    <p>Port {index + 1}</p>
+                    <span>No output</span>
+                  </div>
+                )}
+              </div>
+              {port.recipe && (
+                <div className="preview-recipe" title={recipe.details}>
+                  {recipe.summary}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Display adjustments of the selected port */}
+      {selectedPort && (
+        <OutputLevels
+          port={selectedOutput}
+          levels={selectedPort.display}
+          histogram={histogram}
+          onChange={(levels) => onDisplayChange(selectedOutput, levels)}
+          onAutoLevels={() =>
+            onDisplayChange(
+              selectedOutput,
+              DisplayLevels.autoLevels(histogram, selectedPort.display.gamma)
+            )
+          }
+          onReset={() => onDisplayChange(selectedOutput, DisplayLevels.getDefaults())}
+        />
+      )}
 
-        {/* Port 2 Preview */}
-        <div
-          className={`preview-container ${
-            selectedOutput === 2 ? "selected" : ""
-          }`}
+      {/* Save Controls - one save action per output port */}
+      <div className="control-row">
+        <label className="control-label">Save:</label>
+        <select
+          className="control-dropdown"
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
         >
-          <div className="preview-canvas-wrapper">
-            {outputData2 ? (
-              <canvas ref={canvas2Ref} className="preview-canvas" />
-            ) : (
-              <div className="preview-placeholder">
-                <p>Port 2</p>
-                <span>No output</span>
-              </div>
-            )}
-          </div>
-        </div>
+          {ImageExporter.getOutputFormats().map((format) => (
+            <option key={format.value} value={format.value}>
+              {format.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="save-buttons">
+        {outputs.map((output, index) => (
+          <button
+            key={output.id}
+            className="save-button"
+            onClick={() => handleSave(index + 1)}
+            disabled={!output.data || savingPort !== null}
+          >
+            {savingPort === index + 1 ? "Saving..." : `💾 Port ${index + 1}`}
+          </button>
+        ))}
       </div>
     </div>
   );
@@ -0,0 +1,87 @@
+// PresetPanel.jsx - UI ONLY - No preset encoding or storage logic
+
+import React, { useState } from "react";
+import "./PresetPanel.css";
+
+/**
+ * PresetPanel Component - Share link and named preset library
+ *
+ * Responsibilities:
+ * - Copy a link that reproduces the current weights, modes and regions
+ * - Save the current setup under a name
+ * - List saved presets with Apply / Delete
+ *
+ * Does NOT handle:
+ * - Encoding presets or reading/writing localStorage (PresetManager)
+ * - Applying a preset to the mixer (App)
+ */
+function PresetPanel({
+  presets, // Saved presets { name, preset, savedAt }, sorted by name
+  onCopyLink, // Callback to copy the share link of the current setup (resolves true once copied)
+  onSave, // Callback(name) to save the current setup
+  onApply, // Callback(preset) to load a saved preset
+  onDelete, // Callback(name) to delete a saved preset
+}) {
+  // Name typed for the next saved preset
+  const [presetName, setPresetName] = useState("");
+
+  // Briefly confirm the link reached the clipboard
+  const [isLinkCopied, setIsLinkCopied] = useState(false);
+
+  const handleCopyLink = async () => {
+    if (await onCopyLink()) {
+      setIsLinkCopied(true);
+      setTimeout(() => setIsLinkCopied(false), 2000);
+    }
+  };
+
+  const handleSave = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    onSave(name);
+    setPresetName("");
+  };
+
+  return (
+    <div className="preset-panel">
+      <div className="preset-header">
+        <span className="preset-title">Presets</span>
+        <button className="preset-button" onClick={handleCopyLink} title="Copy a link with the current weights, modes and regions (no images)">
+          {isLinkCopied ? "✔ Link Copied" : "🔗 Copy Share Link"}
+        </button>
+      </div>
+
+      <div className="preset-row">
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSave()}
+          placeholder="Preset name"
+          className="preset-name-input"
+        />
+        <button className="preset-button" onClick={handleSave} disabled={!presetName.trim()}>
+          Save
+        </button>
+      </div>
+
+      {presets.length > 0 && (
+        <ul className="preset-list">
+          {presets.map((entry) => (
+            <li key={entry.name}>
+              <span className="preset-name">{entry.name}</span>
+              <button className="preset-button" onClick={() => onApply(entry.preset)}>
+                Apply
+              </button>
+              <button className="preset-button" onClick={() => onDelete(entry.name)}>
+                ✖
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PresetPanel;
@@ -0,0 +1,129 @@
+// ResizeControls.jsx - UI ONLY - No resampling logic
+
+import React, { useState, useEffect } from "react";
+import Resampler from "../classes/Resampler";
+import "./ResizeControls.css";
+
+/**
+ * ResizeControls Component - How all inputs are brought to one size
+ *
+ * Responsibilities:
+ * - Policy selector: smallest, largest or a fixed size
+ * - Fixed width/height inputs (applied on Enter or when leaving the field)
+ * - Resampling method and fit mode selectors
+ *
+ * Does NOT handle:
+ * - Computing the unified size (App / Resampler)
+ * - Resampling the images (ImageProcessor / Resampler)
+ */
+function ResizeControls({
+  settings, // { policy, fixedWidth, fixedHeight, method, fit }
+  onChange, // Callback(changes) with the changed fields
+}) {
+  const { policies, methods, fits } = Resampler.getOptions();
+  const range = Resampler.getFixedSizeRange();
+
+  // Fixed size being typed (only applied once complete, so typing "512" does not resample at "5")
+  const [draftSize, setDraftSize] = useState({
+    width: String(settings.fixedWidth),
+    height: String(settings.fixedHeight),
+  });
+
+  // Follow the applied size (clamping, opened sessions)
+  useEffect(() => {
+    setDraftSize({ width: String(settings.fixedWidth), height: String(settings.fixedHeight) });
+  }, [settings.fixedWidth, settings.fixedHeight]);
+
+  /**
+   * Apply the typed fixed size (Resampler clamps it into range)
+   */
+  const commitFixedSize = () => {
+    const width = parseInt(draftSize.width, 10);
+    const height = parseInt(draftSize.height, 10);
+    if (!Number.isFinite(width) || !Number.isFinite(height)) {
+      setDraftSize({ width: String(settings.fixedWidth), height: String(settings.fixedHeight) });
+      return;
+    }
+    if (width !== settings.fixedWidth || height !== settings.fixedHeight) {
+      onChange({ fixedWidth: width, fixedHeight: height });
+    } else {
+      setDraftSize({ width: String(width), height: String(height) });
+    }
+  };
+
+  const handleSizeKeyDown = (e) => {
+    if (e.key === "Enter") commitFixedSize();
+  };
+
+  const renderSelect = (label, key, options, title) => (
+    <label className="resize-field" title={title}>
+      <span className="resize-label">{label}</span>
+      <select
+        value={settings[key]}
+        onChange={(e) => onChange({ [key]: e.target.value })}
+        className="resize-select"
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="resize-controls">
+      <span className="resize-title">Unified size</span>
+
+      <div className="resize-row">
+        {renderSelect("Size", "policy", policies, "Which size every input is resampled to")}
+
+        {settings.policy === "fixed" && (
+          <div className="resize-fixed">
+            <input
+              type="number"
+              min={range.min}
+              max={range.max}
+              value={draftSize.width}
+              onChange={(e) => setDraftSize((prev) => ({ ...prev, width: e.target.value }))}
+              onBlur={commitFixedSize}
+              onKeyDown={handleSizeKeyDown}
+              className="resize-number"
+              title="Width (pixels)"
+            />
+            <span className="resize-times">×</span>
+            <input
+              type="number"
+              min={range.min}
+              max={range.max}
+              value={draftSize.height}
+              onChange={(e) => setDraftSize((prev) => ({ ...prev, height: e.target.value }))}
+              onBlur={commitFixedSize}
+              onKeyDown={handleSizeKeyDown}
+              className="resize-number"
+              title="Height (pixels)"
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="resize-row">
+        {renderSelect(
+          "Resampling",
+          "method",
+          methods,
+          "Interpolation used to resample each original (anti-aliased when shrinking)"
+        )}
+        {renderSelect(
+          "Fit",
+          "fit",
+          fits,
+          "Different aspect ratio: stretch, crop the centre, or letterbox with black bars"
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ResizeControls;
@@ -0,0 +1,84 @@
+// SessionRecovery.jsx - UI ONLY - No storage logic
+
+import React from "react";
+import "./SessionRecovery.css";
+
+/**
+ * SessionRecovery Component - Offers autosaved sessions after a reload or crash
+ *
+ * Responsibilities:
+ * - Offer to restore the most recent autosaved session
+ * - List recent sessions with Open / Delete actions
+ *
+ * Does NOT handle:
+ * - Reading or writing IndexedDB (SessionStore)
+ * - Rebuilding the app state (App.applySession)
+ */
+function SessionRecovery({
+  sessions, // Stored session records { id, name, savedAt, imageCount, size }, newest first
+  currentSessionId, // Session this page is autosaving into (not offered for restore)
+  onRestore, // Callback(id) to reopen a session
+  onDelete, // Callback(id) to delete a session
+  onClose, // Callback to hide the panel
+}) {
+  // The session being written by this page is already on screen
+  const recent = sessions.filter((session) => session.id !== currentSessionId);
+  const last = recent[0];
+
+  // Human-readable size (sessions range from a few KB to many MB)
+  const formatSize = (bytes) =>
+    bytes >= 1024 * 1024
+      ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+      : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+  const formatDate = (time) => new Date(time).toLocaleString();
+
+  return (
+    <div className="session-recovery">
+      <div className="session-recovery-header">
+        <h3>🕘 Recent Sessions</h3>
+        <button className="session-recovery-close" onClick={onClose} title="Close">
+          ✖
+        </button>
+      </div>
+
+      {!last && <p className="session-recovery-empty">No autosaved sessions yet.</p>}
+
+      {/* Most recent session - what a reload or crash interrupted */}
+      {last && (
+        <div className="session-recovery-last">
+          <span>
+            Last session: <strong>{last.name}</strong> ({formatDate(last.savedAt)})
+          </span>
+          <button className="session-recovery-button primary" onClick={() => onRestore(last.id)}>
+            Restore last session
+          </button>
+        </div>
+      )}
+
+      {recent.length > 0 && (
+        <ul className="session-recovery-list">
+          {recent.map((session) => (
+            <li key={session.id}>
+              <div className="session-recovery-info">
+                <strong>{session.name}</strong>
+                <span>
+                  {formatDate(session.savedAt)} · {session.imageCount} image
+                  {session.imageCount === 1 ? "" : "s"} · {formatSize(session.size)}
+                </span>
+              </div>
+              <button className="session-recovery-button" onClick={() => onRestore(session.id)}>
+                Open
+              </button>
+              <button className="session-recovery-button" onClick={() => onDelete(session.id)}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SessionRecovery;
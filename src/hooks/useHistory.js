@@ -0,0 +1,233 @@
+// useHistory.js - Undo/redo of the mixer parameters and viewport display settings
+// A step is recorded whenever a tracked parameter changes, labelled by what changed.
+// Undo, redo and jumps in the history list put the snapshot back through the slots.
+// Snapshots name their slots by ID, so adding or removing an image keeps every step:
+// a restored snapshot only touches the slots that still exist, and puts them back in
+// its order when they were swapped or moved since.
+// Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import HistoryManager from '../classes/HistoryManager'; // Undo/redo snapshots
+
+// Region fields as named in the history list
+const REGION_FIELD_LABELS = {
+  enabled: 'on/off',
+  shape: 'shape',
+  type: 'type',
+  size: 'size',
+  sizeY: 'height',
+  offsetX: 'position',
+  offsetY: 'position',
+  innerSize: 'inner size',
+  profile: 'edge',
+  order: 'order',
+  transition: 'transition',
+  customMask: 'mask'
+};
+
+// Slots of `next` that `prev` also has: { id, index (in next), old (index in prev) }
+const getCommonSlots = (prev, next) =>
+  next.slotIds
+    .map((id, index) => ({ id, index, old: prev.slotIds.indexOf(id) }))
+    .filter(slot => slot.old !== -1);
+
+// Slot ID a 1-based position names in a tracked state (undefined if there is none)
+const getSlotIdAt = (state, position) => state.slotIds[parseInt(position) - 1];
+
+// Label and coalescing key for the difference between two tracked states
+// Returns null when nothing a user changed differs
+// Slots are compared by ID: adding or removing a slot is not a step of its own
+// (the current step is amended). A swap or move is a step: its snapshot keeps the
+// new slot order, which undo/redo re-apply
+const describeChange = (prev, next) => {
+  const common = getCommonSlots(prev, next);
+  const prevOrder = [...common].sort((a, b) => a.old - b.old);
+  const moved = common.filter((slot, i) => slot !== prevOrder[i]);
+  if (moved.length > 0) {
+    const label = moved.length === 2
+      ? `Swapped Image ${moved[0].index + 1} and Image ${moved[1].index + 1}`
+      : 'Reordered images';
+    return { label, key: `order-${next.slotIds.join()}` };
+  }
+  if (prev.mixMode !== next.mixMode) {
+    return { label: `Mix mode: ${next.mixMode}`, key: 'mixMode' };
+  }
+  if (prev.colorMode !== next.colorMode) {
+    return { label: `Colour mode: ${next.colorMode}`, key: 'colorMode' };
+  }
+  // A chroma slot that was removed is not a change (it falls back to the first slot)
+  const chromaId = getSlotIdAt(prev, prev.chromaSource);
+  if (next.slotIds.includes(chromaId) && chromaId !== getSlotIdAt(next, next.chromaSource)) {
+    return { label: `Chroma from Image ${next.chromaSource}`, key: 'chromaSource' };
+  }
+
+  for (const { index: i, old } of common) {
+    for (const component of ['primary', 'secondary']) {
+      if (prev.weights[old][component] !== next.weights[i][component]) {
+        return {
+          label: `Image ${i + 1} ${component} weight ${Math.round(next.weights[i][component] * 100)}%`,
+          key: `weight-${i}-${component}`
+        };
+      }
+    }
+    if (prev.componentAssignments[old] !== next.componentAssignments[i]) {
+      return { label: `Image ${i + 1} feeds ${next.componentAssignments[i]}`, key: `assignment-${i}` };
+    }
+  }
+
+  if (prev.regionConfigs !== next.regionConfigs) {
+    const images = [];
+    const fields = new Set();
+    common.forEach(({ index, old: oldIndex }) => {
+      const config = next.regionConfigs[index];
+      const old = prev.regionConfigs[oldIndex];
+      if (config === old) return;
+      images.push(index + 1);
+      Object.keys(config).forEach(field => {
+        if (config[field] !== old[field]) fields.add(REGION_FIELD_LABELS[field] || field);
+      });
+    });
+    if (images.length > 0) {
+      const target = images.length === next.regionConfigs.length && images.length > 1
+        ? 'all images'
+        : `Image ${images.join(', ')}`;
+      const what = [...fields].join(', ') || 'settings';
+      return { label: `Region ${what} (${target})`, key: `region-${images.join()}-${what}` };
+    }
+  }
+
+  for (const { id, index } of common) {
+    const a = prev.displays[id];
+    const b = next.displays[id];
+    const name = `Image ${index + 1}`;
+    // A viewport reporting for the first time is not a user change
+    if (!a || !b) continue;
+    if (a.selectedComponent !== b.selectedComponent) {
+      return { label: `${name} shows ${b.selectedComponent}`, key: `component-${id}` };
+    }
+    if (a.imageBrightness !== b.imageBrightness || a.imageContrast !== b.imageContrast) {
+      return { label: `${name} brightness/contrast`, key: `display-${id}-image` };
+    }
+    if (a.componentBrightness !== b.componentBrightness || a.componentContrast !== b.componentContrast) {
+      return { label: `${name} FFT brightness/contrast`, key: `display-${id}-component` };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Undo/redo history of the slots returned by useSlots
+ * @param {Object} slots - useSlots state (the tracked parameters, getDisplays and applySnapshot)
+ * @returns {Object} History entries and flags for the panel, and the undo/redo handlers
+ */
+function useHistory(slots) {
+  const {
+    slotIds, weights, componentAssignments, mixMode, regionConfigs, colorMode, chromaSource,
+    getDisplays, applySnapshot
+  } = slots;
+
+  const historyRef = useRef(null);
+  if (!historyRef.current) {
+    historyRef.current = new HistoryManager();
+  }
+  const recordHistoryRef = useRef(null);
+  const historyKeysRef = useRef(null);
+  const [, setHistoryVersion] = useState(0); // Bumped to re-render the history list
+
+  // Everything undo/redo restores
+  const getTrackedState = () => ({
+    slotIds,
+    weights,
+    componentAssignments,
+    mixMode,
+    regionConfigs,
+    colorMode,
+    chromaSource,
+    displays: { ...getDisplays() }
+  });
+
+  // Record the current state as a history step (or fold it into the current one)
+  const recordHistory = () => {
+    const history = historyRef.current;
+    const next = getTrackedState();
+    if (history.isEmpty()) {
+      history.init(next);
+      setHistoryVersion(prev => prev + 1);
+      return;
+    }
+
+    const change = describeChange(history.getCurrentState(), next);
+    if (change) {
+      history.push(change.label, next, change.key);
+      setHistoryVersion(prev => prev + 1);
+    } else {
+      history.amend(next);
+    }
+  };
+  recordHistoryRef.current = recordHistory;
+
+  // Record parameter changes (undo/redo restores land here too, and match the current step)
+  useEffect(() => {
+    recordHistoryRef.current();
+  }, [slotIds, weights, componentAssignments, mixMode, regionConfigs, colorMode, chromaSource]);
+
+  // Record a change outside the tracked parameters, such as new viewport display settings
+  const record = useCallback(() => recordHistoryRef.current(), []);
+
+  // Forget every step (undo cannot reach back past a different set of images)
+  const clear = useCallback(() => {
+    historyRef.current.clear();
+    setHistoryVersion(prev => prev + 1);
+  }, []);
+
+  // Put a history snapshot back into the slots and the viewports
+  const applyHistoryState = (snapshot) => {
+    if (!snapshot) return;
+    applySnapshot(snapshot);
+    setHistoryVersion(prev => prev + 1);
+  };
+
+  const handleUndo = () => applyHistoryState(historyRef.current.undo());
+  const handleRedo = () => applyHistoryState(historyRef.current.redo());
+  const handleHistoryJump = (index) => applyHistoryState(historyRef.current.goTo(index));
+  historyKeysRef.current = { undo: handleUndo, redo: handleRedo };
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // Leave text fields their own undo
+      const target = e.target;
+      if (target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type === 'text'))) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        historyKeysRef.current.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        historyKeysRef.current.redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const history = historyRef.current;
+  return {
+    entries: history.getEntries(),
+    canUndo: history.canUndo(),
+    canRedo: history.canRedo(),
+    record,
+    clear,
+    handleUndo,
+    handleRedo,
+    handleHistoryJump
+  };
+}
+
+export default useHistory;
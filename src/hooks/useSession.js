@@ -0,0 +1,219 @@
+// useSession.js - Session files, autosave and recovery
+// Saves the images, settings and output recipes to a session file or opens one,
+// autosaves the working state to IndexedDB a short while after it stops changing
+// (each image is stored once when it is loaded; later autosaves write only the settings),
+// and offers the stored sessions a reload or crash left behind
+
+import { useState, useEffect, useRef } from 'react';
+import SessionManager from '../classes/SessionManager'; // Versioned session (project) files
+import ImageProcessor from '../classes/ImageProcessor'; // Stored images back to data URLs
+import sessionStore from '../classes/SessionStore'; // Autosaved sessions in IndexedDB
+
+// Quiet period (ms) after the last change before the session is autosaved
+const AUTOSAVE_DELAY = 2000;
+
+/**
+ * Session saving, opening, autosave and recovery
+ * @param {Object} state - useSlots state plus selectedOutput, resizeSettings, targetSize and outputPorts
+ * @param {Function} applySession - Replaces the app state with a session: (session, outputs) where
+ *   outputs are the displayed output images of an autosaved session (empty for files)
+ * @returns {Object} Recovery panel state and the session handlers
+ */
+function useSession(state, applySession) {
+  const {
+    slotIds, loadedImages, weights, componentAssignments, regionConfigs, regionTarget, mixMode, colorMode,
+    chromaSource, selectedOutput, resizeSettings, targetSize, outputPorts, getProcessors, getDisplays
+  } = state;
+
+  // Autosave: this page load writes to its own stored session
+  const sessionIdRef = useRef(`session-${Date.now()}`);
+  const autosaveRef = useRef(null);
+  // Images this session already stored: processor ID -> { id, size }
+  const storedImagesRef = useRef(new Map());
+
+  // Stored sessions offered for recovery, and whether their panel is shown
+  const [recentSessions, setRecentSessions] = useState([]);
+  const [showRecovery, setShowRecovery] = useState(false);
+
+  // Session JSON of the current images, settings and every output port's recipe
+  // Autosave leaves the images out (withImages = false): they are stored on their own
+  const buildSessionJSON = (withImages = true) => {
+    return SessionManager.toJSON({
+      settings: { mixMode, colorMode, chromaSource, selectedOutput, regionTarget, resize: resizeSettings },
+      weights,
+      componentAssignments,
+      regionConfigs,
+      targetSize,
+      viewports: getProcessors().map((processor, index) => ({
+        image: withImages && processor && processor.hasImage() ? processor.getOriginalImage() : null,
+        display: getDisplays()[slotIds[index]] || null
+      })),
+      outputs: outputPorts.map(port => port.recipe),
+      outputDisplays: outputPorts.map(port => port.display)
+    });
+  };
+
+  // Save the session to a file
+  const handleSaveSession = () => {
+    try {
+      const json = buildSessionJSON();
+      SessionManager.download(json);
+      console.log(`Session saved (v${SessionManager.getVersion()}, ${json.length} bytes)`);
+    } catch (error) {
+      console.error('Failed to save session:', error);
+      alert('Failed to save session: ' + error.message);
+    }
+  };
+
+  // Open a session file chosen in a file input
+  const handleOpenSession = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow reopening the same file
+    if (!file) return;
+
+    try {
+      applySession(await SessionManager.readFile(file), []);
+    } catch (error) {
+      console.error('Failed to open session:', error);
+      alert('Failed to open session: ' + error.message);
+    }
+  };
+
+  // ==================== AUTOSAVE / RECOVERY ====================
+
+  // Snapshot the working state into IndexedDB (only once there is an image to keep)
+  // Images not stored yet are written as Blobs alongside; the rest are only referenced
+  const autosaveSession = async () => {
+    const slotProcessors = getProcessors().map(p => (p && p.hasImage() ? p : null));
+    const processors = slotProcessors.filter(Boolean);
+    if (processors.length === 0 || !sessionStore.isSupported()) return;
+
+    try {
+      // Images stored by an earlier autosave are only referred to
+      const refs = new Map();
+      const newImages = [];
+      for (const processor of processors) {
+        let ref = storedImagesRef.current.get(processor.id);
+        if (!ref) {
+          const blob = await processor.getSourceBlob();
+          if (!blob) continue;
+          ref = { id: `${sessionIdRef.current}/${processor.id}`, size: blob.size };
+          newImages.push({
+            id: ref.id,
+            name: processor.fileName,
+            width: processor.sourceWidth,
+            height: processor.sourceHeight,
+            blob
+          });
+        }
+        refs.set(processor.id, ref);
+      }
+
+      // Displayed output pixels, so a restored session shows its outputs before re-mixing
+      const outputs = outputPorts.map(({ data: output }) => output && {
+        width: output.width,
+        height: output.height,
+        imageData: output.imageData,
+        colorData: output.colorData || null
+      });
+      const saved = await sessionStore.save(
+        sessionIdRef.current,
+        {
+          json: buildSessionJSON(false),
+          outputs,
+          images: slotProcessors.map(p => (p && refs.get(p.id)) || null)
+        },
+        {
+          name: processors.map(p => p.fileName || 'image').join(', '),
+          imageCount: processors.length
+        },
+        newImages
+      );
+      if (saved) storedImagesRef.current = refs;
+      if (saved && showRecovery) {
+        setRecentSessions(await sessionStore.list());
+      }
+    } catch (error) {
+      console.error('Autosave failed:', error);
+    }
+  };
+  autosaveRef.current = autosaveSession;
+
+  // Autosave a short while after the working state stops changing
+  useEffect(() => {
+    const timer = setTimeout(() => autosaveRef.current(), AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [slotIds, weights, componentAssignments, mixMode, regionConfigs, regionTarget, colorMode, chromaSource,
+      selectedOutput, loadedImages, outputPorts]);
+
+  // On startup, offer the sessions a reload or crash left behind
+  useEffect(() => {
+    if (!sessionStore.isSupported()) return;
+    sessionStore.list()
+      .then(sessions => {
+        setRecentSessions(sessions);
+        if (sessions.length > 0) setShowRecovery(true);
+      })
+      .catch(error => console.error('Failed to list stored sessions:', error));
+  }, []);
+
+  // Show or hide the recent sessions panel (refreshing the list when shown)
+  const handleToggleRecovery = async () => {
+    if (!showRecovery) {
+      try {
+        setRecentSessions(await sessionStore.list());
+      } catch (error) {
+        console.error('Failed to list stored sessions:', error);
+      }
+    }
+    setShowRecovery(!showRecovery);
+  };
+
+  const handleCloseRecovery = () => setShowRecovery(false);
+
+  // Reopen an autosaved session, showing the saved outputs until they are re-mixed at full precision
+  const handleRestoreStored = async (id) => {
+    try {
+      const snapshot = await sessionStore.load(id);
+      if (!snapshot) throw new Error('The session no longer exists');
+      const session = SessionManager.fromJSON(snapshot.json);
+
+      // Put the separately stored images back into the viewports, as in a session file
+      const viewports = await Promise.all(session.viewports.map(async (viewport, index) => {
+        const image = snapshot.images[index];
+        if (!image) return viewport;
+        const { name, width, height, blob } = image;
+        return { ...viewport, image: { name, width, height, dataUrl: await ImageProcessor.readAsDataURL(blob) } };
+      }));
+      applySession({ ...session, viewports }, snapshot.outputs);
+      setShowRecovery(false);
+    } catch (error) {
+      console.error('Failed to restore session:', error);
+      alert('Failed to restore session: ' + error.message);
+    }
+  };
+
+  // Delete an autosaved session
+  const handleDeleteStored = async (id) => {
+    try {
+      await sessionStore.remove(id);
+      setRecentSessions(await sessionStore.list());
+    } catch (error) {
+      console.error('Failed to delete session:', error);
+    }
+  };
+
+  return {
+    sessionId: sessionIdRef.current,
+    recentSessions,
+    showRecovery,
+    handleSaveSession,
+    handleOpenSession,
+    handleToggleRecovery,
+    handleCloseRecovery,
+    handleRestoreStored,
+    handleDeleteStored
+  };
+}
+
+export default useSession;
@@ -0,0 +1,602 @@
+// useSlots.js - Input slots and the mixer parameters that go with them
+// Slot IDs in display order, the image loaded in each slot, and the per-slot weights,
+// component assignments and regions (parallel arrays in slot order), plus the mix and
+// colour modes. chromaSource and regionTarget name a slot by its 1-based position ('1', '2', ...)
+// Image files dropped anywhere on the app, or picked several at once, fill the empty slots
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import fourierService from '../classes/FourierService'; // Frees the worker's spectra of removed images
+import ImageProcessor from '../classes/ImageProcessor'; // Which files can be loaded as images
+
+// Region configuration every input starts with (disabled by default)
+const defaultRegionConfig = {
+  enabled: false,
+  shape: 'rectangle', // rectangle, circle or ellipse
+  type: 'inner', // inner (low-pass), outer (high-pass) or band (band-pass) region
+  size: 50, // width (or circle radius)
+  sizeY: 50, // height of rectangles and ellipses
+  offsetX: 0, // region centre offset from DC (% of width), mirrored through DC
+  offsetY: 0, // region centre offset from DC (% of height)
+  innerSize: 20, // inner edge of a band-pass annulus
+  profile: 'ideal', // edge profile: ideal, gaussian, butterworth or cosine
+  order: 2, // Butterworth order
+  transition: 20 // transition width (% of region half-size)
+};
+
+// Number of input image slots on startup, and the range the user can add/remove within
+const DEFAULT_SLOT_COUNT = 4;
+const MIN_SLOTS = 1;
+export const MAX_SLOTS = 8;
+
+// Weight every new input slot starts with
+const defaultWeight = { primary: 0.25, secondary: 0.25 };
+
+// Slot IDs are never reused, so a viewport keeps its identity (and React key) when slots move
+let nextSlotId = 1;
+const createSlotId = () => String(nextSlotId++);
+
+// Number of slots needed for per-image lists of a session or preset (within the allowed range)
+const getSlotCount = (...lists) => {
+  const longest = Math.max(0, ...lists.map(list => (Array.isArray(list) ? list.length : 0)));
+  return Math.min(MAX_SLOTS, Math.max(MIN_SLOTS, longest || DEFAULT_SLOT_COUNT));
+};
+
+// Follow a 1-based slot position through a reorder (`order` lists old positions in their new order)
+// Returns `fallback` when the slot was removed
+const remapPosition = (position, order, fallback) => {
+  const newIndex = order.indexOf(parseInt(position) - 1);
+  return newIndex === -1 ? fallback : String(newIndex + 1);
+};
+
+// Follow a recipe's slots through a reorder, dropping removed slots (null once none are left)
+export const remapRecipe = (recipe, order) => {
+  if (!recipe) return null;
+  const kept = recipe.slots
+    .map((slot, j) => ({ slot: order.indexOf(slot), j }))
+    .filter(entry => entry.slot !== -1);
+  if (kept.length === 0) return null;
+  return {
+    ...recipe,
+    slots: kept.map(entry => entry.slot),
+    weights: kept.map(entry => recipe.weights[entry.j]),
+    componentAssignments: kept.map(entry => recipe.componentAssignments[entry.j]),
+    regionConfigs: kept.map(entry => recipe.regionConfigs[entry.j]),
+    chromaSource: remapPosition(recipe.chromaSource, order, '1')
+  };
+};
+
+// Order (old positions in their new order, as reorderSlots takes it) that puts the slots in
+// `ids` an undo/redo snapshot knows back in the snapshot's order; slots added since keep
+// their places. Null when they already are in that order
+const getSnapshotOrder = (snapshot, ids) => {
+  const known = ids
+    .map((id, index) => index)
+    .filter(index => snapshot.slotIds.includes(ids[index]));
+  const sorted = [...known].sort((a, b) =>
+    snapshot.slotIds.indexOf(ids[a]) - snapshot.slotIds.indexOf(ids[b])
+  );
+  if (sorted.every((index, i) => index === known[i])) return null;
+
+  const order = ids.map((id, index) => index);
+  known.forEach((position, i) => {
+    order[position] = sorted[i];
+  });
+  return order;
+};
+
+// Per-slot list of an undo/redo snapshot laid out for the slots in `ids`
+// Slots the snapshot does not know (added since) keep their entry in `current`
+const pickFromSnapshot = (snapshot, field, ids, current) =>
+  ids.map((id, index) => {
+    const position = snapshot.slotIds.indexOf(id);
+    return position === -1 ? current[index] : snapshot[field][position];
+  });
+
+// Mixer state described by a preset for `count` input slots, with defaults for anything it leaves out
+// Regions start from the defaults so a preset fully defines them (masks are never in presets)
+const presetToState = (preset, count) => ({
+  weights: Array.from({ length: count }, (_, index) => ({
+    ...defaultWeight,
+    ...(preset.weights && preset.weights[index])
+  })),
+  componentAssignments: Array.from({ length: count }, (_, index) =>
+    (preset.componentAssignments && preset.componentAssignments[index]) || 'both'
+  ),
+  mixMode: preset.mixMode || 'magnitude-phase',
+  regionConfigs: Array.from({ length: count }, (_, index) => ({
+    ...defaultRegionConfig,
+    ...(preset.regionConfigs && preset.regionConfigs[index])
+  })),
+  colorMode: preset.colorMode || 'grayscale',
+  chromaSource: preset.chromaSource || '1'
+});
+
+// Whether two viewport display states match (brightness/contrast and component)
+const isSameDisplay = (a, b) =>
+  !!a && !!b &&
+  a.imageBrightness === b.imageBrightness &&
+  a.imageContrast === b.imageContrast &&
+  a.componentBrightness === b.componentBrightness &&
+  a.componentContrast === b.componentContrast &&
+  a.selectedComponent === b.selectedComponent;
+
+/**
+ * Input slots, their images and the mixer parameters
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onReorder - Called with `order` (old positions in their new order)
+ *   whenever slots are moved or removed
+ * @param {Function} callbacks.onDisplayChange - Called when a viewport reports new display settings
+ * @returns {Object} Slot state, its setters and the slot handlers
+ */
+function useSlots({ onReorder, onDisplayChange }) {
+  // Input slots in display order (stable IDs)
+  const [slotIds, setSlotIds] = useState(() =>
+    Array.from({ length: DEFAULT_SLOT_COUNT }, createSlotId)
+  );
+  const slotIdsRef = useRef(slotIds);
+  slotIdsRef.current = slotIds;
+
+  // State to store loaded images and their processors, keyed by slot ID
+  const [loadedImages, setLoadedImages] = useState({});
+
+  // Times each slot's viewport was remounted empty (clearing), part of its React key
+  const [slotMounts, setSlotMounts] = useState({});
+
+  // One region configuration per input image, so each image can feed its own frequencies
+  const [regionConfigs, setRegionConfigs] = useState(
+    Array.from({ length: DEFAULT_SLOT_COUNT }, () => ({ ...defaultRegionConfig }))
+  );
+
+  // Which image the region controls edit: 'all' or a slot position ('1', '2', ...)
+  const [regionTarget, setRegionTarget] = useState('all');
+
+  // Mixing mode: magnitude/phase or real/imaginary
+  const [mixMode, setMixMode] = useState('magnitude-phase');
+
+  // Weight management for each input image
+  // primary = magnitude (or real) weight, secondary = phase (or imaginary) weight
+  const [weights, setWeights] = useState(
+    Array.from({ length: DEFAULT_SLOT_COUNT }, () => ({ ...defaultWeight }))
+  );
+
+  // Colour handling: 'grayscale', 'rgb', 'ycbcr' or 'luminance' (mix Y, chroma from one source)
+  const [colorMode, setColorMode] = useState('grayscale');
+  const [chromaSource, setChromaSource] = useState('1'); // Slot position whose chroma is carried in 'luminance' mode
+
+  // Which component(s) each input feeds into the mix: 'both', 'primary' or 'secondary'
+  const [componentAssignments, setComponentAssignments] = useState(
+    Array.from({ length: DEFAULT_SLOT_COUNT }, () => 'both')
+  );
+
+  // Saved image and display settings per slot ID of an opened session
+  // (the session's slots get fresh IDs, so their viewports mount and restore from these)
+  const [restoreStates, setRestoreStates] = useState({});
+
+  // Display settings each viewport reports (brightness/contrast, selected component), keyed by slot ID
+  // Kept in a ref - they are only read when a session is saved or history is recorded
+  const displayStatesRef = useRef({});
+  const onDisplayChangeRef = useRef(null);
+  onDisplayChangeRef.current = onDisplayChange;
+
+  // Display settings pushed back into viewports by undo/redo: { [slotId]: { token, display } }
+  const [displayOverrides, setDisplayOverrides] = useState({});
+
+  // Image files handed to viewports to load (drop on the app, multi-select): { [slotId]: { token, file } }
+  const [fileLoads, setFileLoads] = useState({});
+  const loadFilesRef = useRef(null); // Latest handleLoadFiles, for the window drop listener
+
+  // Processors in slot order (null for empty slots)
+  const getProcessors = () => slotIds.map(slotId => loadedImages[slotId] || null);
+
+  // Display settings reported by every viewport, keyed by slot ID
+  const getDisplays = () => displayStatesRef.current;
+
+  // Called when an image is loaded in a viewport
+  // Functional update: a restored session loads all viewports at once
+  const handleImageLoaded = (viewportId, processor) => {
+    setLoadedImages(prev => ({
+      ...prev,
+      [viewportId]: processor
+    }));
+  };
+
+  // Update the region configuration of the targeted image(s) (auto-mixing re-runs via effect)
+  // Only the changed fields are merged, so editing 'all' keeps each image's other settings
+  const handleRegionConfigChange = useCallback((changes) => {
+    console.log(`App: Region config updated (${regionTarget}):`, changes);
+    setRegionConfigs(prev => prev.map((config, index) =>
+      regionTarget === 'all' || regionTarget === String(index + 1)
+        ? { ...config, ...changes }
+        : config
+    ));
+  }, [regionTarget]);
+
+  // Region drawn, moved or resized on a viewport's component canvas
+  // Edits every image while the controls target 'all', otherwise that image (and selects it)
+  const handleViewportRegionChange = useCallback((viewportId, changes) => {
+    const position = slotIds.indexOf(viewportId) + 1;
+    setRegionConfigs(prev => prev.map((config, index) =>
+      regionTarget === 'all' || index + 1 === position
+        ? { ...config, ...changes }
+        : config
+    ));
+    if (regionTarget !== 'all') {
+      setRegionTarget(String(position));
+    }
+  }, [regionTarget, slotIds]);
+
+  // Viewport display settings changed (stored for saving, no re-render needed)
+  const handleDisplayStateChange = useCallback((viewportId, displayState) => {
+    displayStatesRef.current[viewportId] = displayState;
+    onDisplayChangeRef.current();
+  }, []);
+
+  // Update one component weight of a specific viewport (auto-mixing re-runs via effect)
+  const handleWeightChange = (viewportId, component, newWeight) => {
+    const index = slotIds.indexOf(viewportId);
+    const newWeights = [...weights];
+    newWeights[index] = { ...newWeights[index], [component]: newWeight };
+    setWeights(newWeights);
+    console.log(`${component} weight changed for Image ${index + 1}: ${newWeight}%`);
+  };
+
+  // Update which component(s) a viewport feeds (mixing re-runs via effect)
+  const handleComponentAssignmentChange = (viewportId, assignment) => {
+    const index = slotIds.indexOf(viewportId);
+    const newAssignments = [...componentAssignments];
+    newAssignments[index] = assignment;
+    setComponentAssignments(newAssignments);
+    console.log(`Image ${index + 1} now feeds: ${assignment}`);
+  };
+
+  // ==================== ADD / LOAD ====================
+
+  // Append empty input slots (weights and assignment at their defaults) and return their IDs
+  // While the region controls edit all images, new slots share their region
+  const addSlots = (count) => {
+    const newIds = Array.from({ length: count }, createSlotId);
+    setSlotIds([...slotIds, ...newIds]);
+    setWeights([...weights, ...newIds.map(() => ({ ...defaultWeight }))]);
+    setComponentAssignments([...componentAssignments, ...newIds.map(() => 'both')]);
+    setRegionConfigs([
+      ...regionConfigs,
+      ...newIds.map(() =>
+        regionTarget === 'all' ? { ...regionConfigs[0] } : { ...defaultRegionConfig }
+      )
+    ]);
+    return newIds;
+  };
+
+  // Append one empty input slot
+  const handleAddSlot = () => {
+    if (slotIds.length >= MAX_SLOTS) return;
+
+    addSlots(1);
+    console.log(`Added input slot (${slotIds.length + 1} slots)`);
+  };
+
+  // Load several image files at once: the first into `startSlotId` (if given), the rest
+  // into the empty slots that follow it in order; slots are added (up to MAX_SLOTS)
+  // when there are not enough empty ones
+  const handleLoadFiles = (files, startSlotId = null) => {
+    const images = files.filter(ImageProcessor.canLoad);
+    if (images.length === 0) {
+      alert('None of the files is an image.');
+      return;
+    }
+
+    // Empty slots from the start slot onwards, then the ones before it
+    const start = startSlotId ? slotIds.indexOf(startSlotId) : 0;
+    const ordered = [...slotIds.slice(start), ...slotIds.slice(0, start)];
+    const isEmpty = slotId => !loadedImages[slotId] || !loadedImages[slotId].hasImage();
+    const targets = ordered.filter(slotId => slotId === startSlotId || isEmpty(slotId));
+
+    const missing = Math.min(images.length - targets.length, MAX_SLOTS - slotIds.length);
+    if (missing > 0) targets.push(...addSlots(missing));
+
+    const loads = images.slice(0, targets.length);
+    setFileLoads(prev => {
+      const next = { ...prev };
+      loads.forEach((file, index) => {
+        const slotId = targets[index];
+        next[slotId] = { token: (prev[slotId] ? prev[slotId].token : 0) + 1, file };
+      });
+      return next;
+    });
+    console.log(`Loading ${loads.length} image(s) into slots`, targets.slice(0, loads.length));
+
+    const skipped = files.length - loads.length;
+    if (skipped > 0) {
+      alert(`${skipped} file(s) were not loaded: not an image, or no free slot (up to ${MAX_SLOTS} images).`);
+    }
+  };
+  loadFilesRef.current = handleLoadFiles;
+
+  // Image files dropped anywhere outside a viewport fill the empty slots in order
+  // (viewports handle drops on themselves). Without this the browser would open the file
+  useEffect(() => {
+    const hasFiles = (e) => e.dataTransfer && e.dataTransfer.types.includes('Files');
+    const handleDragOver = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    };
+    const handleDrop = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      const files = Array.from(e.dataTransfer.files);
+      if (files.length > 0) loadFilesRef.current(files);
+    };
+
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('drop', handleDrop);
+    return () => {
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, []);
+
+  // ==================== REMOVE / CLEAR / REORDER ====================
+
+  // Remove an input slot and its image
+  const handleRemoveSlot = (slotId) => {
+    if (slotIds.length <= MIN_SLOTS) return;
+    const index = slotIds.indexOf(slotId);
+    const processor = loadedImages[slotId];
+    if (processor && processor.hasImage() && !window.confirm(`Remove Image ${index + 1} from the mix?`)) {
+      return;
+    }
+
+    // Free the worker's spectrum of the removed image
+    if (processor) fourierService.releaseFFT(processor.id);
+    setLoadedImages(prev => {
+      const next = { ...prev };
+      delete next[slotId];
+      return next;
+    });
+    delete displayStatesRef.current[slotId];
+
+    reorderSlots(slotIds.map((_, i) => i).filter(i => i !== index));
+    console.log(`Removed Image ${index + 1} (${slotIds.length - 1} slots)`);
+  };
+
+  // Empty an input slot: its image leaves the mix, the slot keeps its weights,
+  // assignment and region
+  const handleClearSlot = (slotId) => {
+    const index = slotIds.indexOf(slotId);
+    const processor = loadedImages[slotId];
+    if (!processor || !processor.hasImage()) return;
+    if (!window.confirm(`Clear Image ${index + 1}?`)) return;
+
+    // Free the worker's spectrum of the cleared image
+    fourierService.releaseFFT(processor.id);
+    setLoadedImages(prev => {
+      const next = { ...prev };
+      delete next[slotId];
+      return next;
+    });
+
+    // The slot keeps its ID (weights, region and undo history stay valid); its viewport
+    // remounts empty with the same display settings, and nothing pending is replayed into it
+    const display = displayStatesRef.current[slotId];
+    setRestoreStates(prev => ({ ...prev, [slotId]: display ? { image: null, display } : null }));
+    setDisplayOverrides(prev => {
+      const next = { ...prev };
+      delete next[slotId];
+      return next;
+    });
+    setFileLoads(prev => {
+      const next = { ...prev };
+      delete next[slotId];
+      return next;
+    });
+    setSlotMounts(prev => ({ ...prev, [slotId]: (prev[slotId] || 0) + 1 }));
+    console.log(`Cleared Image ${index + 1}`);
+  };
+
+  // Swap two input slots: images travel with their weights, assignments, regions
+  // and brightness/contrast (the viewports themselves change places)
+  const swapSlots = (index, target) => {
+    const order = slotIds.map((_, i) => i);
+    order[index] = target;
+    order[target] = index;
+    reorderSlots(order);
+  };
+
+  // Move an input slot one place earlier (-1) or later (+1)
+  const handleMoveSlot = (slotId, direction) => {
+    const index = slotIds.indexOf(slotId);
+    const target = index + direction;
+    if (target < 0 || target >= slotIds.length) return;
+
+    swapSlots(index, target);
+    console.log(`Moved Image ${index + 1} to position ${target + 1}`);
+  };
+
+  // Swap the slot dragged from one viewport with the slot it was dropped on
+  const handleSwapSlots = (sourceId, targetId) => {
+    const index = slotIds.indexOf(sourceId);
+    const target = slotIds.indexOf(targetId);
+    if (index === -1 || target === -1 || index === target) return;
+
+    swapSlots(index, target);
+    console.log(`Swapped Image ${index + 1} and Image ${target + 1}`);
+  };
+
+  // Rearrange every per-slot list to `order` (old positions, in their new order)
+  // Positions dropped from `order` are removed; position references follow their slot
+  const reorderSlots = (order) => {
+    const pick = list => order.map(i => list[i]);
+
+    setSlotIds(pick(slotIds));
+    setWeights(pick(weights));
+    setComponentAssignments(pick(componentAssignments));
+    setRegionConfigs(pick(regionConfigs));
+    setChromaSource(remapPosition(chromaSource, order, '1'));
+    if (regionTarget !== 'all') {
+      setRegionTarget(remapPosition(regionTarget, order, 'all'));
+    }
+    onReorder(order);
+  };
+
+  // ==================== APPLYING SAVED STATE ====================
+
+  // Load a preset's weights, assignments, modes and regions (images stay as they are)
+  // Slots are added if the preset is for more images; existing slots are never removed
+  const applyPreset = useCallback((preset) => {
+    const currentIds = slotIdsRef.current;
+    const count = Math.max(currentIds.length, getSlotCount(preset.weights, preset.componentAssignments));
+    if (count > currentIds.length) {
+      setSlotIds([...currentIds, ...Array.from({ length: count - currentIds.length }, createSlotId)]);
+    }
+    const state = presetToState(preset, count);
+    setWeights(state.weights);
+    setComponentAssignments(state.componentAssignments);
+    setMixMode(state.mixMode);
+    setRegionConfigs(state.regionConfigs);
+    setColorMode(state.colorMode);
+    setChromaSource(state.chromaSource);
+    console.log('Preset applied:', state);
+  }, []);
+
+  // Load the recipe an output port was mixed with back into the controls
+  // Inputs that were empty when it was mixed keep their current settings
+  const applyRecipe = (recipe) => {
+    const newWeights = [...weights];
+    const newAssignments = [...componentAssignments];
+    const newRegionConfigs = [...regionConfigs];
+    recipe.slots.forEach((slot, j) => {
+      if (slot >= slotIds.length) return;
+      newWeights[slot] = recipe.weights[j];
+      newAssignments[slot] = recipe.componentAssignments[j];
+      newRegionConfigs[slot] = recipe.regionConfigs[j];
+    });
+
+    setWeights(newWeights);
+    setComponentAssignments(newAssignments);
+    setRegionConfigs(newRegionConfigs);
+    setMixMode(recipe.mixMode);
+    setColorMode(recipe.colorMode);
+    setChromaSource(parseInt(recipe.chromaSource) <= slotIds.length ? recipe.chromaSource : '1');
+  };
+
+  // Put an undo/redo snapshot back into the parameters and the viewports
+  // Only slots that still exist are restored (the snapshot names them by ID);
+  // slots added since keep their settings
+  const applySnapshot = (state) => {
+    // Slots swapped or moved since go back to the snapshot's order through reorderSlots,
+    // so the images, chroma source, region target and port recipes move with them
+    const order = getSnapshotOrder(state, slotIds);
+    if (order) reorderSlots(order);
+    const inOrder = list => (order ? order.map(i => list[i]) : list);
+    const ids = inOrder(slotIds);
+
+    setWeights(pickFromSnapshot(state, 'weights', ids, inOrder(weights)));
+    setComponentAssignments(pickFromSnapshot(state, 'componentAssignments', ids, inOrder(componentAssignments)));
+    setMixMode(state.mixMode);
+    setRegionConfigs(pickFromSnapshot(state, 'regionConfigs', ids, inOrder(regionConfigs)));
+    setColorMode(state.colorMode);
+    const chromaIndex = ids.indexOf(state.slotIds[parseInt(state.chromaSource) - 1]);
+    if (chromaIndex !== -1) setChromaSource(String(chromaIndex + 1));
+
+    // Viewports own their display state, so changed ones get an override to apply
+    const changed = Object.keys(state.displays).filter(id =>
+      ids.includes(id) && !isSameDisplay(displayStatesRef.current[id], state.displays[id])
+    );
+    // Update the ref first, so the restored state is not recorded as a new change
+    changed.forEach(id => {
+      displayStatesRef.current[id] = state.displays[id];
+    });
+    if (changed.length > 0) {
+      setDisplayOverrides(prev => {
+        const next = { ...prev };
+        changed.forEach(id => {
+          next[id] = { token: (prev[id] ? prev[id].token : 0) + 1, display: state.displays[id] };
+        });
+        return next;
+      });
+    }
+  };
+
+  // Replace every slot with an opened session's
+  // Missing fields fall back to defaults, so partial or older sessions still open
+  const loadSession = (session) => {
+    const settings = session.settings || {};
+    const count = getSlotCount(session.viewports, session.weights);
+    const positions = Array.from({ length: count }, (_, index) => index);
+    console.log(`Opening session v${session.version} saved ${session.savedAt} (${count} images)`);
+
+    // Drop the worker's spectra of the images being replaced
+    Object.values(loadedImages).forEach(processor => fourierService.releaseFFT(processor.id));
+
+    setMixMode(settings.mixMode || 'magnitude-phase');
+    setColorMode(settings.colorMode || 'grayscale');
+    setChromaSource(settings.chromaSource || '1');
+    setRegionTarget(settings.regionTarget || 'all');
+    setWeights(positions.map(index =>
+      (session.weights && session.weights[index]) || { ...defaultWeight }
+    ));
+    setComponentAssignments(positions.map(index =>
+      (session.componentAssignments && session.componentAssignments[index]) || 'both'
+    ));
+    setRegionConfigs(positions.map(index =>
+      ({ ...defaultRegionConfig, ...session.regionConfigs[index] })
+    ));
+    setDisplayOverrides({});
+
+    // Fresh slots remount their viewports, which load the saved images
+    // already at the session's unified size
+    const newSlotIds = positions.map(createSlotId);
+    const restores = {};
+    newSlotIds.forEach((slotId, index) => {
+      const viewport = session.viewports[index];
+      if (viewport && viewport.image) {
+        restores[slotId] = { ...viewport, targetSize: session.targetSize || null };
+      }
+    });
+    setSlotIds(newSlotIds);
+    setRestoreStates(restores);
+    setLoadedImages({});
+    displayStatesRef.current = {};
+  };
+
+  return {
+    slotIds,
+    slotMounts,
+    loadedImages,
+    weights,
+    componentAssignments,
+    regionConfigs,
+    regionTarget,
+    setRegionTarget,
+    mixMode,
+    setMixMode,
+    colorMode,
+    setColorMode,
+    chromaSource,
+    setChromaSource,
+    restoreStates,
+    displayOverrides,
+    fileLoads,
+    getProcessors,
+    getDisplays,
+    handleImageLoaded,
+    handleRegionConfigChange,
+    handleViewportRegionChange,
+    handleDisplayStateChange,
+    handleWeightChange,
+    handleComponentAssignmentChange,
+    handleAddSlot,
+    handleLoadFiles,
+    handleRemoveSlot,
+    handleClearSlot,
+    handleMoveSlot,
+    handleSwapSlots,
+    applyPreset,
+    applyRecipe,
+    applySnapshot,
+    loadSession
+  };
+}
+
+export default useSlots;
@@ -0,0 +1,120 @@
+/* eslint-env worker */
+// fourier.worker.js - Runs FFT and mixing math off the main thread
+// Owns a FourierTransform per image so mixing only needs to send image IDs,
+// and returns results as transferable Float64Array / Uint8ClampedArray buffers
+
+import FourierTransform from '../classes/FourierTransform';
+import FourierMixer from '../classes/FourierMixer';
+
+// Computed spectra kept in the worker, keyed by processor ID
+// Each entry: { width, height, fft, channelFFTs } - same shape FourierMixer expects from a processor
+const spectra = new Map();
+
+/**
+ * Compute the 2D FFT of one image (or one of its colour channels) and cache it for later mixes
+ * The display components are transferred out; complexData is copied
+ * because the worker still needs its own version for mixing
+ */
+function handleFFT({ processorId, grayscale, width, height, channel }) {
+  const fft = new FourierTransform(width, height);
+  fft.compute2DFFT(grayscale);
+
+  const result = {
+    complexData: new Float64Array(fft.complexData),
+    magnitude: fft.magnitude,
+    phase: fft.phase,
+    real: fft.real,
+    imaginary: fft.imaginary
+  };
+
+  // Components are detached once transferred, only complexData is kept for mixing
+  fft.magnitude = null;
+  fft.phase = null;
+  fft.real = null;
+  fft.imaginary = null;
+
+  if (channel) {
+    // Colour channel spectra hang off the image's grayscale entry
+    const entry = spectra.get(processorId) || { width, height, fft: null, channelFFTs: {}, hasFFT: () => true };
+    entry.channelFFTs[channel] = fft;
+    spectra.set(processorId, entry);
+  } else {
+    // A new grayscale spectrum invalidates the image's old channel spectra
+    spectra.set(processorId, {
+      width,
+      height,
+      fft,
+      channelFFTs: {},
+      hasFFT: () => true
+    });
+  }
+
+  return {
+    result,
+    transfer: [
+      result.complexData.buffer,
+      result.magnitude.buffer,
+      result.phase.buffer,
+      result.real.buffer,
+      result.imaginary.buffer
+    ]
+  };
+}
+
+/**
+ * Mix cached spectra with the given configuration
+ */
+function handleMix({ processorIds, weights, componentAssignments, mixMode, regionConfig, regionConfigs, colorMode, chroma }) {
+  const processors = processorIds.map(id => {
+    const entry = spectra.get(id);
+    if (!entry) {
+      throw new Error(`No FFT data for image ${id}`);
+    }
+    return entry;
+  });
+
+  const mixer = new FourierMixer();
+  mixer.setProcessors(processors);
+  mixer.setWeights(weights);
+  mixer.setComponentAssignments(componentAssignments);
+  mixer.setMixMode(mixMode);
+  mixer.setRegionConfig(regionConfig);
+  mixer.setRegionConfigs(regionConfigs);
+  mixer.setColorMode(colorMode);
+  mixer.setChromaSource(chroma);
+
+  const result = mixer.mix();
+  const transfer = [result.imageData.buffer];
+  if (result.colorData) {
+    transfer.push(result.colorData.buffer);
+  }
+  // Full-precision planes and spectra kept for exports
+  Object.values(result.realPlanes).forEach(plane => transfer.push(plane.buffer));
+  Object.values(result.spectra).forEach(spectrum => transfer.push(spectrum.buffer));
+  return { result, transfer };
+}
+
+onmessage = (event) => {
+  const { requestId, type, payload } = event.data;
+
+  try {
+    let response;
+    switch (type) {
+      case 'fft':
+        response = handleFFT(payload);
+        break;
+      case 'mix':
+        response = handleMix(payload);
+        break;
+      case 'release':
+        spectra.delete(payload.processorId);
+        response = { result: null, transfer: [] };
+        break;
+      default:
+        throw new Error(`Unknown worker request: ${type}`);
+    }
+    postMessage({ requestId, result: response.result }, response.transfer);
+  } catch (error) {
+    postMessage({ requestId, error: error.message });
+  }
+};